@@ -28,6 +28,28 @@ $testsFile = 'tests/AllTests.travis.js';
 $includeSource = array(
     'src/Mumsys.js',
     'src/Mumsys/Exception.js',
+    'src/Mumsys/Middleware.js',
+
+    'src/Mumsys/Transport/Exception.js',
+    'src/Mumsys/Transport/Abstract.js',
+    'src/Mumsys/Transport/Fetch.js',
+    'src/Mumsys/Transport/Xhr.js',
+    'src/Mumsys/Transport/Jquery.js',
+    'src/Mumsys/Transport/Memory.js',
+    'src/Mumsys/JsonRpc/Exception.js',
+    'src/Mumsys/JsonRpc/Exception/Parse.js',
+    'src/Mumsys/JsonRpc/Exception/InvalidRequest.js',
+    'src/Mumsys/JsonRpc/Exception/MethodNotFound.js',
+    'src/Mumsys/JsonRpc/Exception/InvalidParams.js',
+    'src/Mumsys/JsonRpc/Exception/Internal.js',
+    'src/Mumsys/JsonRpc/Exception/Server.js',
+    'src/Mumsys/JsonRpc/Client.js',
+    'src/Mumsys/JsonRpc/Batch.js',
+    'src/Mumsys/Storage/Exception.js',
+    'src/Mumsys/Storage/Abstract.js',
+    'src/Mumsys/Storage/Memory.js',
+    'src/Mumsys/Storage/Web.js',
+    'src/Mumsys/Storage/IndexedDb.js',
 
     'src/Mumsys/File/Item/Exception.js',
     'src/Mumsys/File/Item/Default.js',
@@ -35,7 +57,25 @@ $includeSource = array(
     'src/Mumsys/Generic/Exception.js',
     'src/Mumsys/Generic/Item/Exception.js',
     'src/Mumsys/Generic/Manager/Exception.js',
+    'src/Mumsys/Generic/Manager/UnitOfWork/Exception.js',
+    'src/Mumsys/Generic/Manager/Conflict/Exception.js',
+    'src/Mumsys/Generic/Manager/Relation/Exception.js',
+    'src/Mumsys/Generic/Item/Schema/Exception.js',
+    'src/Mumsys/Generic/Emitter.js',
+    'src/Mumsys/Generic/Item/Schema.js',
     'src/Mumsys/Generic/Item/Default.js',
+    'src/Mumsys/Generic/Item/Binding.js',
+    'src/Mumsys/Generic/Query.js',
+    'src/Mumsys/Generic/Manager/Index.js',
+    'src/Mumsys/Generic/Manager/UnitOfWork.js',
+    'src/Mumsys/Generic/Manager/Conflict.js',
+    'src/Mumsys/Generic/Manager/Cache.js',
+    'src/Mumsys/Generic/Manager/Offline.js',
+    'src/Mumsys/Generic/Manager/Snapshot.js',
+    'src/Mumsys/Generic/Manager/Relation.js',
+    'src/Mumsys/Generic/Manager/IdentityMap.js',
+    'src/Mumsys/Generic/Manager/Exchange.js',
+    'src/Mumsys/Generic/Manager/Worker.js',
     'src/Mumsys/Generic/Manager/Default.js',
     // to be removed, not supported
     'src/Mumsys/Generic/Item.js',
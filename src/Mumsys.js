@@ -31,6 +31,37 @@ class Mumsys
         return '3.1.1';
     }
 
+    /**
+     * Adds a middleware for the requests of all managers (see 
+     * Mumsys_Middleware). Global middlewares run before the middlewares of a
+     * manager.
+     *
+     * @param {Function} middleware Callback function( request, next )
+     * @param {Number} priority Higher priorities run first; Optional,
+     * Default: 0
+     *
+     * @returns {void}
+     * @throws {Mumsys_Exception} If middleware is invalid
+     */
+    static use( middleware, priority = 0 )
+    {
+        Mumsys.getMiddleware().use( middleware, priority );
+    }
+
+    /**
+     * Returns the global middleware chain (e.g. to remove middlewares).
+     *
+     * @returns {Mumsys_Middleware} Middleware chain
+     */
+    static getMiddleware()
+    {
+        if ( Mumsys.__middleware === undefined ) {
+            Mumsys.__middleware = new Mumsys_Middleware();
+        }
+
+        return Mumsys.__middleware;
+    }
+
     /**
      *  Initilizes the Mumsys object.
      *  
@@ -47,11 +78,24 @@ class Mumsys
      * 
      * @return {void} 
      * @throws {Mumsys_Exception} If response seems to be invalid
+     * @throws {Mumsys_JsonRpc_Exception} Typed exception if the response 
+     * contains an error object (see Mumsys_JsonRpc_Exception.createFromError())
      */
     static checkJsonRpcResponce( response )
     {
-        if ( !( response instanceof Object ) ) {
-            var message = 'Invalid json rpc resopnse';
+        var message;
+
+        if ( !( response instanceof Object ) || response.jsonrpc !== '2.0' ) {
+            message = 'Invalid json rpc resopnse';
+            throw new Mumsys_Exception( message );
+        }
+
+        if ( response.error instanceof Object ) {
+            throw Mumsys_JsonRpc_Exception.createFromError( response.error );
+        }
+
+        if ( !response.hasOwnProperty( 'result' ) ) {
+            message = 'Invalid json rpc resopnse, result missing';
             throw new Mumsys_Exception( message );
         }
     }
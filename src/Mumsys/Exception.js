@@ -27,6 +27,34 @@ class Mumsys_Exception extends Error
      * @var constant
      */
     static get ERRCODE_DEFAULT() { return 1; }
+
+    /**
+     * Error code for transport errors (e.g. network or http errors).
+     * 
+     * @var constant
+     */
+    static get ERRCODE_TRANSPORT() { return 2; }
+
+    /**
+     * Error code for requests exceeding the timeout.
+     * 
+     * @var constant
+     */
+    static get ERRCODE_TIMEOUT() { return 3; }
+
+    /**
+     * Error code for aborted requests.
+     * 
+     * @var constant
+     */
+    static get ERRCODE_ABORTED() { return 4; }
+
+    /**
+     * Error code for requests failed after all retries.
+     * 
+     * @var constant
+     */
+    static get ERRCODE_RETRIES() { return 5; }
     
 
     /**
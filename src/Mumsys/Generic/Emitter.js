@@ -0,0 +1,342 @@
+/**
+ * Mumsys_Generic_Emitter
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Small event emitter of generic items and managers.
+ *
+ * Listeners get the event object {"type": String, "target": Object, ...}.
+ * Listeners of "*" get all events (e.g. to forward them to another emitter,
+ * see dispatch()).
+ *
+ * Between begin() and end() events are collected and delivered together
+ * (in order) by the last end() call, e.g. for the events of a batch
+ * operation.
+ *
+ * E.g:
+ * <pre>
+ *  var emitter = new Mumsys_Generic_Emitter( myObject );
+ *  emitter.on( 'change', function ( event ) { render( event.target ); } );
+ *  emitter.emit( 'change', {"key": "name"} );
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Emitter
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the emitter.
+     *
+     * @param {Object} target Target of the emitted events
+     *
+     * @returns {Mumsys_Generic_Emitter}
+     */
+    constructor( target )
+    {
+        /**
+         * Target of the emitted events.
+         * @private
+         * @type Object
+         */
+        this.__target = target;
+
+        /**
+         * Listeners ({"listener": Function, "once": Boolean}) by event type.
+         * @private
+         * @type Object
+         */
+        this.__listeners = {};
+
+        /**
+         * Depth of nested begin() calls.
+         * @private
+         * @type integer
+         */
+        this.__depth = 0;
+
+        /**
+         * Collected events of the current batch.
+         * @private
+         * @type Array
+         */
+        this.__queue = [];
+    }
+
+
+    /**
+     * Adds a listener of the event type.
+     *
+     * @param {String} type Event type or "*" for all events
+     * @param {Function} listener Callback function( event )
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Exception} If listener is not a function
+     */
+    on( type, listener )
+    {
+        this._addListener( type, listener, false );
+    }
+
+
+    /**
+     * Adds a listener to be called once.
+     *
+     * @param {String} type Event type or "*" for all events
+     * @param {Function} listener Callback function( event )
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Exception} If listener is not a function
+     */
+    once( type, listener )
+    {
+        this._addListener( type, listener, true );
+    }
+
+
+    /**
+     * Removes listeners.
+     *
+     * @param {String|null} type Event type or null for all types; Optional
+     * @param {Function|null} listener Listener to remove or null for all
+     * listeners of the type; Optional
+     *
+     * @returns {void}
+     */
+    off( type = null, listener = null )
+    {
+        if ( type === null ) {
+            this.__listeners = {};
+            return;
+        }
+
+        if ( this.__listeners[type] === undefined ) {
+            return;
+        }
+
+        if ( listener === null ) {
+            delete this.__listeners[type];
+            return;
+        }
+
+        this.__listeners[type] = this.__listeners[type].filter( function ( entry ) {
+            return entry.listener !== listener;
+        } );
+    }
+
+
+    /**
+     * Checks if listeners exist.
+     *
+     * @param {String} type Event type; Optional, Default: any type
+     *
+     * @returns {Boolean}
+     */
+    hasListeners( type )
+    {
+        if ( type === undefined ) {
+            for ( var key in this.__listeners ) {
+                if ( this.__listeners[key].length > 0 ) {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        return this.__listeners[type] !== undefined && this.__listeners[type].length > 0;
+    }
+
+
+    /**
+     * Creates and dispatches an event.
+     *
+     * @param {String} type Event type
+     * @param {Object} data Properties of the event; Optional
+     *
+     * @returns {void}
+     */
+    emit( type, data = {} )
+    {
+        var event = { "type": type, "target": this.__target };
+
+        for ( var key in data ) {
+            if ( data.hasOwnProperty( key ) ) {
+                event[key] = data[key];
+            }
+        }
+
+        this.dispatch( event );
+    }
+
+
+    /**
+     * Delivers an event to the listeners (or collects it while in a batch).
+     *
+     * @param {Object} event Event object
+     *
+     * @returns {void}
+     */
+    dispatch( event )
+    {
+        if ( this.__depth > 0 ) {
+            this.__queue.push( event );
+            return;
+        }
+
+        this._deliver( event );
+    }
+
+
+    /**
+     * Starts to collect the events (nested calls allowed).
+     *
+     * @returns {void}
+     */
+    begin()
+    {
+        this.__depth++;
+    }
+
+
+    /**
+     * Ends collecting the events. The last end() call delivers the collected
+     * events in order. If a listener throws, the other events are delivered
+     * anyway and the first exception is thrown afterwards.
+     *
+     * @returns {void}
+     * @throws {Error} First exception of a listener
+     */
+    end()
+    {
+        if ( this.__depth === 0 || --this.__depth > 0 ) {
+            return;
+        }
+
+        var error = null;
+
+        while ( this.__queue.length > 0 && this.__depth === 0 )
+        {
+            try {
+                this._deliver( this.__queue.shift() );
+            } catch ( e ) {
+                error = ( error === null ) ? e : error;
+            }
+        }
+
+        if ( error !== null ) {
+            throw error;
+        }
+    }
+
+
+    /**
+     * Calls the callback and delivers its events together afterwards (also
+     * if the callback throws an exception).
+     *
+     * @param {Function} callback Callback to call
+     *
+     * @returns {Mixed} Return value of the callback
+     */
+    batch( callback )
+    {
+        this.begin();
+
+        try {
+            return callback();
+        } finally {
+            this.end();
+        }
+    }
+
+
+    /**
+     * Calls the listeners of the event type and the "*" listeners.
+     *
+     * @param {Object} event Event object
+     *
+     * @returns {void}
+     */
+    _deliver( event )
+    {
+        var entries = ( this.__listeners[event.type] || [] ).concat( this.__listeners['*'] || [] );
+
+        for ( var i = 0; i < entries.length; i++ )
+        {
+            if ( entries[i].once ) {
+                this._removeEntry( entries[i] );
+            }
+
+            entries[i].listener( event );
+        }
+    }
+
+
+    /**
+     * Removes a listener entry (of a once() listener).
+     *
+     * @param {Object} entry Listener entry
+     *
+     * @returns {void}
+     */
+    _removeEntry( entry )
+    {
+        var isOther = function ( other ) {
+            return other !== entry;
+        };
+
+        for ( var type in this.__listeners ) {
+            if ( this.__listeners.hasOwnProperty( type ) ) {
+                this.__listeners[type] = this.__listeners[type].filter( isOther );
+            }
+        }
+    }
+
+
+    /**
+     * Adds a listener.
+     *
+     * @param {String} type Event type or "*" for all events
+     * @param {Function} listener Callback function( event )
+     * @param {Boolean} once Flag to remove the listener after the first call
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Exception} If listener is not a function
+     */
+    _addListener( type, listener, once )
+    {
+        if ( typeof listener !== 'function' ) {
+            var message = 'Invalid listener for "' + type + '"';
+            throw new Mumsys_Generic_Exception( message );
+        }
+
+        if ( this.__listeners[type] === undefined ) {
+            this.__listeners[type] = [];
+        }
+
+        this.__listeners[type].push( { "listener": listener, "once": once } );
+    }
+
+}
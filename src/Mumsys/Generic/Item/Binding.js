@@ -0,0 +1,436 @@
+/**
+ * Mumsys_Generic_Item_Binding
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Two-way binding of a generic item and the elements of a form or element
+ * tree (DOM API, no jQuery required).
+ *
+ * Elements are bound by the data-mumsys-bind="key" attribute. Property values
+ * are written to the elements (and on each "change" event of the item). Input
+ * and change events of form fields set the values to the item.
+ *
+ * Field values:
+ * <pre>
+ *  - text, textarea, select and other inputs: String
+ *  - number, range: Number or null if empty
+ *  - checkbox: Boolean or, for several checkboxes of a key, the Array of the
+ *    checked values
+ *  - radio: Value of the checked radio or null
+ *  - select-multiple: Array of the selected values
+ *  - other elements (e.g. span): text content (item to element only)
+ * </pre>
+ *
+ * Options:
+ * <pre>
+ *  - formatters: {Object} Callbacks function( value, element ) by key
+ *    returning the value to show
+ *  - parsers: {Object} Callbacks function( value, element ) by key returning
+ *    the value to set to the item
+ *  - error: {Function} Callback function( error, element ) for invalid values
+ *    (e.g. schema exceptions or exceptions of parsers). Default: the
+ *    exception will be thrown
+ * </pre>
+ *
+ * E.g:
+ * <pre>
+ *  // <form id="user"><input data-mumsys-bind="name"></form>
+ *  var binding = new Mumsys_Generic_Item_Binding( item, document.getElementById( 'user' ), {
+ *      "formatters": {"price": function ( value ) { return value.toFixed( 2 ); }},
+ *      "parsers": {"price": function ( value ) { return parseFloat( value ); }}
+ *  } );
+ *  binding.bind();
+ *  ...
+ *  binding.unbind();
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Item_Binding
+{
+    /**
+     * Name of the binding attribute.
+     * @var constant
+     */
+    static get ATTRIBUTE() { return 'data-mumsys-bind'; }
+
+
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the binding.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item to bind
+     * @param {Element} root Form or root element of the bound elements
+     * @param {Object} options Binding options; Optional
+     *
+     * @returns {Mumsys_Generic_Item_Binding}
+     * @throws {Mumsys_Generic_Item_Exception} If item or root is invalid
+     */
+    constructor( item, root, options = {} )
+    {
+        var _this = this;
+        var message;
+
+        if ( !( item instanceof Mumsys_Generic_Item_Default ) ) {
+            message = 'Invalid item';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        // no instanceof: elements may be of another window (e.g. iframes)
+        if ( root === null || typeof root !== 'object' || typeof root.querySelectorAll !== 'function' ) {
+            message = 'Invalid root element';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        /**
+         * Bound generic item.
+         * @private
+         * @type Mumsys_Generic_Item_Default
+         */
+        this.__item = item;
+
+        /**
+         * Root element.
+         * @private
+         * @type Element
+         */
+        this.__root = root;
+
+        /**
+         * Formatters by key.
+         * @private
+         * @type Object
+         */
+        this.__formatters = options.formatters || {};
+
+        /**
+         * Parsers by key.
+         * @private
+         * @type Object
+         */
+        this.__parsers = options.parsers || {};
+
+        /**
+         * Error callback or null to throw.
+         * @private
+         * @type {Function|null}
+         */
+        this.__error = options.error || null;
+
+        /**
+         * Element which sets a value to the item (not to be updated).
+         * @private
+         * @type {Element|null}
+         */
+        this.__source = null;
+
+        /**
+         * Flag if bound.
+         * @private
+         * @type Boolean
+         */
+        this.__bound = false;
+
+        /**
+         * Listener of the input/change events of the elements.
+         * @private
+         * @type Function
+         */
+        this.__onInput = function ( event ) {
+            if ( event.target.hasAttribute && event.target.hasAttribute( Mumsys_Generic_Item_Binding.ATTRIBUTE ) ) {
+                _this.update( event.target );
+            }
+        };
+
+        /**
+         * Listener of the change events of the item.
+         * @private
+         * @type Function
+         */
+        this.__onChange = function ( event ) {
+            _this.render( event.key );
+        };
+    }
+
+
+    /**
+     * Writes the values to the elements and starts the two-way binding.
+     *
+     * @returns {void}
+     */
+    bind()
+    {
+        if ( this.__bound ) {
+            return;
+        }
+
+        this.render();
+        this.__root.addEventListener( 'input', this.__onInput );
+        this.__root.addEventListener( 'change', this.__onInput );
+        this.__item.on( 'change', this.__onChange );
+        this.__bound = true;
+    }
+
+
+    /**
+     * Stops the binding.
+     *
+     * @returns {void}
+     */
+    unbind()
+    {
+        this.__root.removeEventListener( 'input', this.__onInput );
+        this.__root.removeEventListener( 'change', this.__onInput );
+        this.__item.off( 'change', this.__onChange );
+        this.__bound = false;
+    }
+
+
+    /**
+     * Checks if the binding is active.
+     *
+     * @returns {Boolean}
+     */
+    isBound()
+    {
+        return this.__bound;
+    }
+
+
+    /**
+     * Writes the item values to the elements.
+     *
+     * @param {String} key Property to write; Optional, Default: all bound
+     * properties
+     *
+     * @returns {void}
+     */
+    render( key )
+    {
+        var elements = this.getElements( key );
+
+        for ( var i = 0; i < elements.length; i++ ) {
+            if ( elements[i] !== this.__source ) {
+                this._write( elements[i] );
+            }
+        }
+    }
+
+
+    /**
+     * Sets the value of the element to the item.
+     *
+     * @param {Element} element Bound form field
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If the value is invalid
+     * (or the exception of the parser) and no error callback is set
+     */
+    update( element )
+    {
+        var key = element.getAttribute( Mumsys_Generic_Item_Binding.ATTRIBUTE );
+
+        if ( !this._isField( element ) ) {
+            return;
+        }
+
+        var value = this._read( element, key );
+
+        this.__source = element;
+
+        try {
+            if ( this.__parsers[key] !== undefined ) {
+                value = this.__parsers[key]( value, element );
+            }
+
+            this.__item.set( key, value );
+        } catch ( e ) {
+            if ( this.__error === null ) {
+                throw e;
+            }
+            this.__error( e, element );
+        } finally {
+            this.__source = null;
+        }
+    }
+
+
+    /**
+     * Returns the bound elements.
+     *
+     * @param {String} key Property of the elements; Optional, Default: all
+     *
+     * @returns {Array} List of elements
+     */
+    getElements( key )
+    {
+        var name = Mumsys_Generic_Item_Binding.ATTRIBUTE;
+        var list = Array.prototype.slice.call( this.__root.querySelectorAll( '[' + name + ']' ) );
+
+        if ( this.__root.hasAttribute && this.__root.hasAttribute( name ) ) {
+            list.unshift( this.__root );
+        }
+
+        if ( key === undefined ) {
+            return list;
+        }
+
+        return list.filter( function ( element ) {
+            return element.getAttribute( name ) === key;
+        } );
+    }
+
+
+    /**
+     * Writes the item value to the element.
+     *
+     * @param {Element} element Bound element
+     *
+     * @returns {void}
+     */
+    _write( element )
+    {
+        var key = element.getAttribute( Mumsys_Generic_Item_Binding.ATTRIBUTE );
+        var value = this.__item.get( key, null );
+        var i;
+
+        if ( this.__formatters[key] !== undefined ) {
+            value = this.__formatters[key]( value, element );
+        }
+
+        if ( !this._isField( element ) ) {
+            element.textContent = ( value === null || value === undefined ) ? '' : String( value );
+            return;
+        }
+
+        switch ( element.type )
+        {
+            case 'checkbox':
+                if ( Array.isArray( value ) ) {
+                    element.checked = ( value.map( String ).indexOf( element.value ) !== -1 );
+                } else {
+                    element.checked = Boolean( value );
+                }
+                break;
+
+            case 'radio':
+                element.checked = ( value !== null && value !== undefined && String( value ) === element.value );
+                break;
+
+            case 'select-multiple':
+                value = Array.isArray( value ) ? value.map( String ) : [];
+                for ( i = 0; i < element.options.length; i++ ) {
+                    element.options[i].selected = ( value.indexOf( element.options[i].value ) !== -1 );
+                }
+                break;
+
+            default:
+                element.value = ( value === null || value === undefined ) ? '' : String( value );
+        }
+    }
+
+
+    /**
+     * Reads the value of the form field.
+     *
+     * @param {Element} element Bound form field
+     * @param {String} key Property of the field
+     *
+     * @returns {Mixed} Value of the field
+     */
+    _read( element, key )
+    {
+        var list;
+
+        switch ( element.type )
+        {
+            case 'checkbox':
+                list = this._getGroup( key, 'checkbox' );
+
+                if ( list.length === 1 ) {
+                    return element.checked;
+                }
+
+                return list.filter( function ( field ) {
+                    return field.checked;
+                } ).map( function ( field ) {
+                    return field.value;
+                } );
+
+            case 'radio':
+                list = this._getGroup( key, 'radio' ).filter( function ( field ) {
+                    return field.checked;
+                } );
+
+                return ( list.length === 0 ) ? null : list[0].value;
+
+            case 'select-multiple':
+                return Array.prototype.filter.call( element.options, function ( option ) {
+                    return option.selected;
+                } ).map( function ( option ) {
+                    return option.value;
+                } );
+
+            case 'number':
+            case 'range':
+                return ( element.value === '' ) ? null : Number( element.value );
+
+            default:
+                return element.value;
+        }
+    }
+
+
+    /**
+     * Returns the bound fields of the key and type (checkbox/radio groups).
+     *
+     * @param {String} key Property of the fields
+     * @param {String} type Field type
+     *
+     * @returns {Array} List of fields
+     */
+    _getGroup( key, type )
+    {
+        return this.getElements( key ).filter( function ( element ) {
+            return element.type === type;
+        } );
+    }
+
+
+    /**
+     * Checks if the element is a form field (input, select, textarea).
+     *
+     * @param {Element} element Bound element
+     *
+     * @returns {Boolean}
+     */
+    _isField( element )
+    {
+        var tag = String( element.tagName ).toUpperCase();
+
+        return ( tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA' );
+    }
+
+}
@@ -31,6 +31,24 @@
  * returns the value of "name" property or the default value if 'name' key
  * not exists. Then: 'unknown' will return. If not given undefined will return.
  * 
+ * Optional a schema (Mumsys_Generic_Item_Schema) can be given to validate the 
+ * properties on construction and on each set() call.
+ * 
+ * Changes are tracked per property: The original value of each changed 
+ * property is kept until commit() (or setModified(false)) accepts the current
+ * values. Note: Only changes made through set() will be detected. Changing 
+ * the content of object properties directly will not.
+ * 
+ * Each set() call will be recorded in a bounded undo/redo history. Use 
+ * undo()/redo() to step through, revert() to go back to the last loaded or 
+ * saved state or snapshot()/restore() to keep and restore a state, e.g. when 
+ * opening/ canceling a form. Values of the server (see merge(), confirm()) 
+ * are not recorded.
+ *
+ * Observers (see attach()) will be notified before a property changes, e.g.
+ * to keep the indexes of the manager up to date. Event listeners (see on())
+ * get the "change" events after the change, e.g. to update the view.
+ *
  * @category    Mumsys
  * @package     Js
  * @subpackage  Generic
@@ -51,11 +69,14 @@ class Mumsys_Generic_Item_Default
      * Initialise the item
      * 
      * @param {Object} params Mixes parameters to set the item properties
+     * @param {Mumsys_Generic_Item_Schema|Object|null} schema Schema object or
+     * schema definition to validate the properties; Optional
      * 
      * @returns {Mumsys_Generic_Item}
      * @throws {Mumsys_Generic_Item_Exception} If params not of type object
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If params are invalid
      */
-    constructor( params )
+    constructor( params, schema = null )
     {
         /**
          * Incomming properties to be used.
@@ -70,8 +91,73 @@ class Mumsys_Generic_Item_Default
          */
         this.__m = false;
 
+        /**
+         * List of changed properties and its original values.
+         * @private
+         * @type Object
+         */
+        this.__changes = {};
+
+        /**
+         * Undo history: List of {key, old, new} changes.
+         * @private
+         * @type Array
+         */
+        this.__undo = [];
+
+        /**
+         * Redo history: List of {key, old, new} changes.
+         * @private
+         * @type Array
+         */
+        this.__redo = [];
+
+        /**
+         * Max. number of changes in the undo history. 0 disables the history.
+         * @private
+         * @type integer
+         */
+        this.__historyLimit = 100;
+
+        /**
+         * Schema to validate the properties or null for no validation.
+         * @private
+         * @type {Mumsys_Generic_Item_Schema|null}
+         */
+        this.__schema = null;
+
+        /**
+         * List of observers to be notified before a property changes.
+         * @private
+         * @type Array
+         */
+        this.__observers = [];
+
+        /**
+         * Event emitter.
+         * @private
+         * @type Mumsys_Generic_Emitter
+         */
+        this.__events = new Mumsys_Generic_Emitter( this );
+
+        /**
+         * Manager of the item (to resolve relations) or null.
+         * @private
+         * @type {Mumsys_Generic_Manager_Default|null}
+         */
+        this.__manager = null;
+
+        if ( schema !== null && !( schema instanceof Mumsys_Generic_Item_Schema ) ) {
+            schema = new Mumsys_Generic_Item_Schema( schema );
+        }
+
         if ( params instanceof Object )
         {
+            if ( schema !== null ) {
+                schema.assertValid( params );
+                this.__schema = schema;
+            }
+
             this.__itemProps = params;
 
             if ( undefined !== params.id ) {
@@ -110,6 +196,7 @@ class Mumsys_Generic_Item_Default
      * @param {Mixed} val Value to be set
      *
      * @returns {void}
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If the value is invalid
      */
     set( key, val )
     {
@@ -119,16 +206,32 @@ class Mumsys_Generic_Item_Default
             return;
         }
 
-        if ( key === 'id' )
+        if ( this.__schema !== null ) {
+            this.__schema.assertValue( key, val );
+        }
+
+        this.__events.begin();
+
+        try
         {
-            if ( ( this.__itemProps[key] = this._checkId( this.get( "id" ), val ) ) === null ) {
-                this.setModified( true );
+            if ( key === 'id' )
+            {
+                var id = this._checkId( this.get( "id" ), val );
+                this._notify( key, id, this.__itemProps[key] );
+                this._addHistory( key, this.__itemProps[key], id );
+                this._trackChange( key, id );
+
+                if ( ( this.__itemProps[key] = id ) !== null ) {
+                    this.setModified( false );
+                }
             } else {
-                this.setModified( false );
+                this._notify( key, val, this.__itemProps[key] );
+                this._addHistory( key, this.__itemProps[key], val );
+                this._trackChange( key, val );
+                this.__itemProps[key] = val;
             }
-        } else {
-            this.__itemProps[key] = val;
-            this.setModified( true );
+        } finally {
+            this.__events.end();
         }
     }
     
@@ -146,19 +249,445 @@ class Mumsys_Generic_Item_Default
 
 
     /**
-     * Checks if the item was modified.
+     * Returns the schema of the item.
+     *
+     * @returns {Mumsys_Generic_Item_Schema|null} Schema or null if not set
+     */
+    getSchema() {
+        return this.__schema;
+    }
+
+
+    /**
+     * Validates the item properties against the schema without throwing.
+     *
+     * @returns {Array} List of {key, message} errors. Empty if valid or no
+     * schema was set
+     */
+    validate() {
+        if ( this.__schema === null ) {
+            return [];
+        }
+
+        return this.__schema.validate( this.__itemProps );
+    }
+
+
+    /**
+     * Checks if the item or a property of the item was modified.
+     *
+     * @param {String} key Property to check; Optional, Default: check the item
+     *
+     * @returns {Boolean}
+     */
+    isModified( key ) {
+        if ( key !== undefined ) {
+            return this.__changes.hasOwnProperty( key );
+        }
+
+        return ( this.__m || Object.keys( this.__changes ).length > 0 );
+    }
+
+
+    /**
+     * Returns the changed properties.
+     *
+     * @returns {Object} List of key/value pairs containing the current values 
+     * of changed properties
+     */
+    getChanges()
+    {
+        var changes = {};
+
+        for ( var key in this.__changes ) {
+            if ( this.__changes.hasOwnProperty( key ) ) {
+                changes[key] = this.__itemProps[key];
+            }
+        }
+
+        return changes;
+    }
+
+
+    /**
+     * Returns the original value (last loaded or saved state) of a property.
+     *
+     * @param {String} key Property to get
+     * @param {mixed} defVal Value to return if key not exists.
+     *
+     * @returns {mixed} Original value of the property
+     */
+    getOriginal( key, defVal )
+    {
+        if ( !this.__changes.hasOwnProperty( key ) ) {
+            return this.get( key, defVal );
+        }
+
+        if ( this.__changes[key] === undefined ) {
+            return defVal;
+        }
+
+        return this.__changes[key];
+    }
+
+
+    /**
+     * Returns the changes as JSON Patch document (RFC 6902).
+     *
+     * E.g: [{"op": "replace", "path": "/name", "value": "new name"}]
+     *
+     * @returns {Array} List of patch operations (add, replace, remove)
+     */
+    getPatch()
+    {
+        var patch = [];
+        var path;
+
+        for ( var key in this.__changes )
+        {
+            if ( !this.__changes.hasOwnProperty( key ) ) {
+                continue;
+            }
+
+            path = '/' + String( key ).replace( /~/g, '~0' ).replace( /\//g, '~1' );
+
+            if ( this.__itemProps[key] === undefined ) {
+                patch.push( { "op": "remove", "path": path } );
+            } else if ( this.__changes[key] === undefined ) {
+                patch.push( { "op": "add", "path": path, "value": this.__itemProps[key] } );
+            } else {
+                patch.push( { "op": "replace", "path": path, "value": this.__itemProps[key] } );
+            }
+        }
+
+        return patch;
+    }
+
+
+    /**
+     * Accepts the current values as original values and resets the 
+     * modification status.
+     *
+     * With a list of values (e.g. the properties sent to the server) these
+     * values will be accepted as original values: properties having another
+     * value (changed since) stay modified.
+     *
+     * @param {Object|null} values List of key/value pairs of the accepted
+     * state; Optional, Default: null (the current values)
+     *
+     * @returns {void}
+     */
+    commit( values = null )
+    {
+        this.__changes = {};
+        this.__m = false;
+
+        if ( values === null ) {
+            return;
+        }
+
+        var keys = new Set( Object.keys( values ).concat( Object.keys( this.__itemProps ) ) );
+
+        keys.forEach( function ( key ) {
+            if ( JSON.stringify( this.__itemProps[key] ) !== JSON.stringify( values[key] ) ) {
+                this.__changes[key] = values[key];
+            }
+        }, this );
+    }
+
+
+    /**
+     * Merges properties of the server (e.g. a reloaded item) into the item.
+     *
+     * Unmodified properties will be updated and stay unmodified. For locally
+     * modified properties the server value becomes the original value and
+     * the local value will be kept unless the resolver returns another 
+     * value. The "id" property will not be changed. Merged values are not
+     * added to the undo history.
+     *
+     * @param {Object} props List of key/value pairs of the server
+     * @param {Function|null} resolver Callback getting the key, the local and
+     * the server value of a locally modified property and returning the value
+     * to use; Optional, Default: null (keep local values)
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If a value is invalid
+     */
+    merge( props, resolver = null )
+    {
+        this.__events.begin();
+
+        try
+        {
+            for ( var key in props )
+            {
+                if ( props.hasOwnProperty( key ) && key !== 'id' ) {
+                    this._mergeValue( key, props[key], resolver );
+                }
+            }
+        } finally {
+            this.__events.end();
+        }
+    }
+
+
+    /**
+     * Applies values confirmed by the server (e.g. the id and the version of
+     * a save) as original values.
+     *
+     * The properties will not be modified afterwards, other changes stay
+     * modified. The values are not added to the undo history and undo/redo
+     * entries of the properties will be dropped.
+     *
+     * @param {Object} props List of key/value pairs of the server
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Exception} If the id differs
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If a value is invalid
+     */
+    confirm( props )
+    {
+        var val;
+        var same;
+
+        var isConfirmed = function ( change ) {
+            return !props.hasOwnProperty( change.key );
+        };
+
+        this.__events.begin();
+
+        try
+        {
+            for ( var key in props )
+            {
+                if ( !props.hasOwnProperty( key ) ) {
+                    continue;
+                }
+
+                val = ( key === 'id' ) ? this._checkId( this.get( 'id' ), props[key] ) : props[key];
+                same = ( JSON.stringify( val ) === JSON.stringify( this.__itemProps[key] ) );
+
+                if ( !same && this.__schema !== null ) {
+                    this.__schema.assertValue( key, val );
+                }
+
+                if ( !same ) {
+                    this._notify( key, val, this.__itemProps[key] );
+                    this.__itemProps[key] = val;
+                }
+
+                delete this.__changes[key];
+            }
+
+            this.__undo = this.__undo.filter( isConfirmed );
+            this.__redo = this.__redo.filter( isConfirmed );
+        } finally {
+            this.__events.end();
+        }
+    }
+
+
+    /**
+     * Returns a snapshot of the current state of the item.
+     *
+     * @returns {Object} Snapshot to be used with restore()
+     */
+    snapshot()
+    {
+        return {
+            "props": this._copy( this.__itemProps ),
+            "changes": this._copy( this.__changes ),
+            "modified": this.__m
+        };
+    }
+
+
+    /**
+     * Restores the state of a snapshot() and clears the undo/redo history.
+     *
+     * @param {Object} snapshot Snapshot created by snapshot()
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Exception} If snapshot is invalid
+     */
+    restore( snapshot )
+    {
+        var key;
+
+        if ( !( snapshot instanceof Object ) || !( snapshot.props instanceof Object ) ) {
+            var message = 'Invalid snapshot';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        this.__events.begin();
+
+        try
+        {
+            for ( key in this.__itemProps ) {
+                if ( this.__itemProps.hasOwnProperty( key ) && !snapshot.props.hasOwnProperty( key ) ) {
+                    this._notify( key, undefined, this.__itemProps[key] );
+                    delete this.__itemProps[key];
+                }
+            }
+
+            for ( key in snapshot.props ) {
+                if ( snapshot.props.hasOwnProperty( key ) ) {
+                    this._notify( key, snapshot.props[key], this.__itemProps[key] );
+                    this.__itemProps[key] = snapshot.props[key];
+                }
+            }
+
+            this.__changes = this._copy( snapshot.changes || {} );
+            this.__m = Boolean( snapshot.modified );
+            this.clearHistory();
+        } finally {
+            this.__events.end();
+        }
+    }
+
+
+    /**
+     * Reverts all changes to the last loaded or saved state and clears the 
+     * undo/redo history.
+     *
+     * @returns {void}
+     */
+    revert()
+    {
+        this.__events.begin();
+
+        try
+        {
+            for ( var key in this.__changes )
+            {
+                if ( !this.__changes.hasOwnProperty( key ) ) {
+                    continue;
+                }
+
+                this._notify( key, this.__changes[key], this.__itemProps[key] );
+
+                if ( this.__changes[key] === undefined ) {
+                    delete this.__itemProps[key];
+                } else {
+                    this.__itemProps[key] = this.__changes[key];
+                }
+            }
+
+            this.commit();
+            this.clearHistory();
+        } finally {
+            this.__events.end();
+        }
+    }
+
+
+    /**
+     * Undo the last change.
+     *
+     * @returns {Boolean} True if a change was undone or false if the undo 
+     * history is empty
+     */
+    undo()
+    {
+        if ( this.__undo.length === 0 ) {
+            return false;
+        }
+
+        var change = this.__undo.pop();
+        this._applyHistory( change.key, change.old );
+        this.__redo.push( change );
+
+        return true;
+    }
+
+
+    /**
+     * Redo the last undone change.
+     *
+     * @returns {Boolean} True if a change was redone or false if the redo 
+     * history is empty
+     */
+    redo()
+    {
+        if ( this.__redo.length === 0 ) {
+            return false;
+        }
+
+        var change = this.__redo.pop();
+        this._applyHistory( change.key, change.new );
+        this.__undo.push( change );
+
+        return true;
+    }
+
+
+    /**
+     * Checks if a change can be undone.
+     *
+     * @returns {Boolean}
+     */
+    canUndo()
+    {
+        return ( this.__undo.length > 0 );
+    }
+
+
+    /**
+     * Checks if an undone change can be redone.
      *
      * @returns {Boolean}
      */
-    isModified() {
-        return this.__m;
+    canRedo()
+    {
+        return ( this.__redo.length > 0 );
+    }
+
+
+    /**
+     * Clears the undo/redo history.
+     *
+     * @returns {void}
+     */
+    clearHistory()
+    {
+        this.__undo = [];
+        this.__redo = [];
+    }
+
+
+    /**
+     * Sets the max. number of changes in the undo history.
+     *
+     * @param {integer} limit Max. number of changes. 0 disables the history
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Exception} If limit is not a positive 
+     * integer
+     */
+    setHistoryLimit( limit )
+    {
+        if ( !Number.isInteger( limit ) || limit < 0 ) {
+            var message = 'Invalid history limit "' + limit + '"';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        this.__historyLimit = limit;
+
+        if ( this.__undo.length > limit ) {
+            this.__undo.splice( 0, this.__undo.length - limit );
+        }
+
+        if ( this.__redo.length > limit ) {
+            this.__redo.splice( 0, this.__redo.length - limit );
+        }
     }
 
 
     /**
      * Set the modification status.
      *
-     * By default set to true otherwise given boolean value
+     * By default set to true otherwise given boolean value. Setting false 
+     * equals to commit().
      *
      * @param {boolean} flag Flag to set. true or false, Default or without a 
      * value: true will be set.
@@ -175,7 +704,354 @@ class Mumsys_Generic_Item_Default
             _flag = Boolean( flag );
         }
 
-        this.__m = _flag;
+        if ( _flag === false ) {
+            this.commit();
+        } else {
+            this.__m = _flag;
+        }
+    }
+
+
+    /**
+     * Attaches an observer to be notified before a property changes (by 
+     * set(), undo(), redo(), revert() or restore()).
+     *
+     * The observer gets the item, the key, the new and the old value. It may 
+     * throw an exception to prevent the change.
+     *
+     * @param {Function} observer Callback function( item, key, newVal, oldVal )
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Exception} If observer is not a function
+     */
+    attach( observer )
+    {
+        if ( typeof observer !== 'function' ) {
+            var message = 'Invalid observer';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        if ( this.__observers.indexOf( observer ) === -1 ) {
+            this.__observers.push( observer );
+        }
+    }
+
+
+    /**
+     * Detaches an observer.
+     *
+     * @param {Function} observer Callback attached by attach()
+     *
+     * @returns {void}
+     */
+    detach( observer )
+    {
+        var idx = this.__observers.indexOf( observer );
+
+        if ( idx !== -1 ) {
+            this.__observers.splice( idx, 1 );
+        }
+    }
+
+
+    /**
+     * Returns the related items of a relation of the manager.
+     *
+     * @see Mumsys_Generic_Manager_Default.getRelated()
+     *
+     * @param {String} name Name of the relation
+     *
+     * @returns {Array|Mumsys_Generic_Item_Default|null} List of related items
+     * (hasMany) or the related item or null (belongsTo)
+     * @throws {Mumsys_Generic_Item_Exception} If the item has no manager
+     * @throws {Mumsys_Generic_Manager_Exception} If the relation not exists
+     */
+    related( name )
+    {
+        return this._getManager().getRelated( this, name );
+    }
+
+
+    /**
+     * Loads the related items of a relation if not loaded yet.
+     *
+     * @see Mumsys_Generic_Manager_Default.loadRelated()
+     *
+     * @param {String} name Name of the relation
+     * @param {Object} requestParams Request parameters; Optional
+     *
+     * @returns {Promise} Resolves with the related items (see related())
+     */
+    loadRelated( name, requestParams = false )
+    {
+        try {
+            return this._getManager().loadRelated( this, name, requestParams );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+    }
+
+
+    /**
+     * Sets the manager of the item (called by the manager).
+     *
+     * @param {Mumsys_Generic_Manager_Default|null} manager Manager or null
+     *
+     * @returns {void}
+     */
+    _setManager( manager )
+    {
+        this.__manager = manager;
+    }
+
+
+    /**
+     * Resets the manager of the item if it is the given manager (items may be
+     * shared by several managers, see Mumsys_Generic_Manager_IdentityMap).
+     *
+     * @param {Mumsys_Generic_Manager_Default} manager Manager removing the item
+     *
+     * @returns {void}
+     */
+    _unsetManager( manager )
+    {
+        if ( this.__manager === manager ) {
+            this.__manager = null;
+        }
+    }
+
+
+    /**
+     * Returns the manager of the item.
+     *
+     * @returns {Mumsys_Generic_Manager_Default} Manager
+     * @throws {Mumsys_Generic_Item_Exception} If the item has no manager
+     */
+    _getManager()
+    {
+        if ( this.__manager === null ) {
+            var message = 'Item has no manager';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        return this.__manager;
+    }
+
+
+    /**
+     * Adds an event listener.
+     *
+     * Events (listeners get the event object, target: the item):
+     * <pre>
+     *  - change: {"key": String, "value": Mixed, "old": Mixed} after a 
+     *    property changed (by set(), merge(), confirm(), undo(), redo(), 
+     *    revert() or restore())
+     *  - change:<key>: Same as "change" for the property "key"
+     *  - *: All events
+     * </pre>
+     * Events of merge(), confirm(), revert() and restore() are delivered 
+     * together after all properties changed. Events bubble up to the manager
+     * of the item.
+     *
+     * @param {String} type Event type
+     * @param {Function} listener Callback function( event )
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Exception} If listener is not a function
+     */
+    on( type, listener )
+    {
+        this.__events.on( type, listener );
+    }
+
+
+    /**
+     * Adds an event listener to be called once.
+     *
+     * @see on()
+     *
+     * @param {String} type Event type
+     * @param {Function} listener Callback function( event )
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Exception} If listener is not a function
+     */
+    once( type, listener )
+    {
+        this.__events.once( type, listener );
+    }
+
+
+    /**
+     * Removes event listeners.
+     *
+     * @param {String|null} type Event type or null for all types; Optional
+     * @param {Function|null} listener Listener to remove or null for all
+     * listeners of the type; Optional
+     *
+     * @returns {void}
+     */
+    off( type = null, listener = null )
+    {
+        this.__events.off( type, listener );
+    }
+
+
+    /**
+     * Notifies the observers about a change if the value differs and emits
+     * the "change" and "change:<key>" events.
+     *
+     * @param {String} key Property to be changed
+     * @param {Mixed} newVal New value
+     * @param {Mixed} oldVal Current value
+     *
+     * @returns {void}
+     */
+    _notify( key, newVal, oldVal )
+    {
+        if ( newVal === oldVal ) {
+            return;
+        }
+
+        for ( var i = 0; i < this.__observers.length; i++ ) {
+            this.__observers[i]( this, key, newVal, oldVal );
+        }
+
+        // delivered after the change (see the callers)
+        var data = { "key": key, "value": newVal, "old": oldVal };
+        this.__events.emit( 'change', data );
+        this.__events.emit( 'change:' + key, data );
+    }
+
+
+    /**
+     * Adds a change to the undo history and clears the redo history.
+     *
+     * @param {String} key Property to be changed
+     * @param {Mixed} oldVal Current value
+     * @param {Mixed} newVal New value
+     *
+     * @returns {void}
+     */
+    _addHistory( key, oldVal, newVal )
+    {
+        if ( this.__historyLimit === 0 ) {
+            return;
+        }
+
+        this.__undo.push( { "key": key, "old": oldVal, "new": newVal } );
+        this.__redo = [];
+
+        if ( this.__undo.length > this.__historyLimit ) {
+            this.__undo.shift();
+        }
+    }
+
+
+    /**
+     * Sets a value from the undo/redo history and updates the change tracking.
+     *
+     * @param {String} key Property to be changed
+     * @param {Mixed} val Value to set
+     *
+     * @returns {void}
+     */
+    _applyHistory( key, val )
+    {
+        this.__events.begin();
+
+        try
+        {
+            this._notify( key, val, this.__itemProps[key] );
+            this._trackChange( key, val );
+
+            if ( val === undefined ) {
+                delete this.__itemProps[key];
+            } else {
+                this.__itemProps[key] = val;
+            }
+        } finally {
+            this.__events.end();
+        }
+    }
+
+
+    /**
+     * Returns a flat copy of the given list of key/value pairs.
+     *
+     * @param {Object} obj List of key/value pairs
+     *
+     * @returns {Object} Copy of the list
+     */
+    _copy( obj )
+    {
+        var copy = {};
+
+        for ( var key in obj ) {
+            if ( obj.hasOwnProperty( key ) ) {
+                copy[key] = obj[key];
+            }
+        }
+
+        return copy;
+    }
+
+
+    /**
+     * Merges a property value of the server into the item (see merge()).
+     *
+     * @param {String} key Property name
+     * @param {Mixed} value Value of the server
+     * @param {Function|null} resolver Callback for locally modified properties
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If a value is invalid
+     */
+    _mergeValue( key, value, resolver )
+    {
+        var local = this.__itemProps[key];
+        var isModified = this.__changes.hasOwnProperty( key );
+        var val = value;
+
+        if ( isModified ) {
+            val = ( resolver === null ) ? local : resolver( key, local, value );
+        }
+
+        if ( JSON.stringify( val ) !== JSON.stringify( local ) )
+        {
+            if ( this.__schema !== null ) {
+                this.__schema.assertValue( key, val );
+            }
+
+            this._notify( key, val, local );
+            this.__itemProps[key] = val;
+        }
+
+        if ( isModified ) {
+            this.__changes[key] = value;
+            this._trackChange( key, val );
+        }
+    }
+
+
+    /**
+     * Tracks the change of a property before the new value will be set.
+     *
+     * Keeps the original value on the first change and drops the change if
+     * the original value will be set again.
+     *
+     * @param {String} key Property to be changed
+     * @param {Mixed} val New value
+     *
+     * @returns {void}
+     */
+    _trackChange( key, val )
+    {
+        if ( !this.__changes.hasOwnProperty( key ) ) {
+            this.__changes[key] = this.__itemProps[key];
+        } else if ( JSON.stringify( this.__changes[key] ) === JSON.stringify( val ) ) {
+            delete this.__changes[key];
+        }
     }
 
 
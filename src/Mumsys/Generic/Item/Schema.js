@@ -0,0 +1,382 @@
+/**
+ * Mumsys_Generic_Item_Schema
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Schema to validate generic item properties.
+ *
+ * A schema is a list of property names and its rules. E.g:
+ * <pre>
+ *  var schema = new Mumsys_Generic_Item_Schema( {
+ *      "id": { "type": "integer", "nullable": true },
+ *      "name": { "type": "string", "required": true, "min": 1, "max": 255 },
+ *      "email": { "type": "string", "pattern": /^[^@]+@[^@]+$/ },
+ *      "status": { "enum": [ "new", "open", "closed" ] },
+ *      "tags": { "type": "array", "max": 10 }
+ *  } );
+ * </pre>
+ *
+ * Rules:
+ * <pre>
+ *  - type: {String|Array} One or a list of: string, number, integer, boolean,
+ *    array, object, any. Default: any
+ *  - required: {Boolean} Property must exist (not undefined); Default: false
+ *  - nullable: {Boolean} null is a valid value; Default: false
+ *  - min: {Number} Min. value of numbers or min. length of strings and arrays
+ *  - max: {Number} Max. value of numbers or max. length of strings and arrays
+ *  - pattern: {RegExp|String} Regular expression strings must match
+ *  - enum: {Array} List of allowed values (checks are type save)
+ * </pre>
+ *
+ * In strict mode (default) properties not defined in the schema are invalid
+ * to detect typos in property names.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Item_Schema
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Returns the list of known types.
+     * @returns {Array} List of type names
+     */
+    static get TYPES()
+    {
+        return [ 'string', 'number', 'integer', 'boolean', 'array', 'object', 'any' ];
+    }
+
+
+    /**
+     * Initialise the schema.
+     *
+     * @param {Object} fields List of property names and its rules
+     * @param {Boolean} strict Flag to reject properties not defined in the
+     * schema; Optional, Default: true
+     *
+     * @returns {Mumsys_Generic_Item_Schema}
+     * @throws {Mumsys_Generic_Item_Exception} If fields or rules are invalid
+     */
+    constructor( fields, strict = true )
+    {
+        var message;
+
+        if ( !( fields instanceof Object ) ) {
+            message = 'Invalid schema definition';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        for ( var key in fields ) {
+            if ( fields.hasOwnProperty( key ) ) {
+                this._checkRule( key, fields[key] );
+            }
+        }
+
+        /**
+         * List of property names and its rules.
+         * @private
+         * @type Object
+         */
+        this.__fields = fields;
+
+        /**
+         * Flag to reject unknown properties.
+         * @private
+         * @type Boolean
+         */
+        this.__strict = Boolean( strict );
+    }
+
+
+    /**
+     * Returns the list of property names and its rules.
+     *
+     * @returns {Object} List of key/rule pairs
+     */
+    getFields()
+    {
+        return this.__fields;
+    }
+
+
+    /**
+     * Checks if the schema rejects properties not defined in the schema.
+     *
+     * @returns {Boolean}
+     */
+    isStrict()
+    {
+        return this.__strict;
+    }
+
+
+    /**
+     * Validates all given properties and returns all errors found.
+     *
+     * @param {Object} props List of key/value pairs to validate
+     *
+     * @returns {Array} List of {key, message} errors. Empty if valid
+     */
+    validate( props )
+    {
+        var errors = [];
+        var key;
+
+        for ( key in this.__fields ) {
+            if ( this.__fields.hasOwnProperty( key ) ) {
+                errors = errors.concat( this.validateValue( key, props[key] ) );
+            }
+        }
+
+        for ( key in props ) {
+            if ( props.hasOwnProperty( key ) && this.__fields[key] === undefined ) {
+                errors = errors.concat( this.validateValue( key, props[key] ) );
+            }
+        }
+
+        return errors;
+    }
+
+
+    /**
+     * Validates a single property value.
+     *
+     * @param {String} key Property name
+     * @param {Mixed} value Value to check
+     *
+     * @returns {Array} List of {key, message} errors. Empty if valid
+     */
+    validateValue( key, value )
+    {
+        var rule = this.__fields[key];
+        var errors = [];
+
+        if ( rule === undefined ) {
+            if ( this.__strict ) {
+                errors.push( { "key": key, "message": 'Property not defined in schema' } );
+            }
+
+            return errors;
+        }
+
+        if ( value === undefined ) {
+            if ( rule.required ) {
+                errors.push( { "key": key, "message": 'Value is required' } );
+            }
+
+            return errors;
+        }
+
+        if ( value === null ) {
+            if ( !rule.nullable ) {
+                errors.push( { "key": key, "message": 'Value must not be null' } );
+            }
+
+            return errors;
+        }
+
+        if ( !this._checkType( rule.type, value ) ) {
+            errors.push( {
+                "key": key,
+                "message": 'Value must be of type "' + [].concat( rule.type ).join( '|' ) + '"'
+            } );
+
+            return errors;
+        }
+
+        var size = this._getSize( value );
+
+        if ( rule.min !== undefined && size !== null && size < rule.min ) {
+            errors.push( { "key": key, "message": 'Value must be at least ' + rule.min } );
+        }
+
+        if ( rule.max !== undefined && size !== null && size > rule.max ) {
+            errors.push( { "key": key, "message": 'Value must be at most ' + rule.max } );
+        }
+
+        if ( rule.pattern !== undefined && typeof value === 'string'
+            && !( new RegExp( rule.pattern ) ).test( value )
+        ) {
+            errors.push( { "key": key, "message": 'Value does not match pattern ' + rule.pattern } );
+        }
+
+        if ( rule.enum !== undefined && rule.enum.indexOf( value ) === -1 ) {
+            errors.push( {
+                "key": key,
+                "message": 'Value must be one of: ' + JSON.stringify( rule.enum )
+            } );
+        }
+
+        return errors;
+    }
+
+
+    /**
+     * Validates all given properties.
+     *
+     * @param {Object} props List of key/value pairs to validate
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Schema_Exception} Listing all errors found
+     */
+    assertValid( props )
+    {
+        var errors = this.validate( props );
+
+        if ( errors.length > 0 ) {
+            throw new Mumsys_Generic_Item_Schema_Exception( errors );
+        }
+    }
+
+
+    /**
+     * Validates a single property value.
+     *
+     * @param {String} key Property name
+     * @param {Mixed} value Value to check
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Schema_Exception} Listing all errors found
+     */
+    assertValue( key, value )
+    {
+        var errors = this.validateValue( key, value );
+
+        if ( errors.length > 0 ) {
+            throw new Mumsys_Generic_Item_Schema_Exception( errors );
+        }
+    }
+
+
+    /**
+     * Checks if the value matches one of the given types.
+     *
+     * @param {String|Array|undefined} type Type name or list of type names
+     * @param {Mixed} value Value to check (not null, not undefined)
+     *
+     * @returns {Boolean} True if type matches
+     */
+    _checkType( type, value )
+    {
+        var types = [].concat( ( type === undefined ) ? 'any' : type );
+
+        for ( var i = 0; i < types.length; i++ )
+        {
+            switch ( types[i] )
+            {
+                case 'any':
+                    return true;
+
+                case 'string':
+                case 'boolean':
+                    if ( typeof value === types[i] ) {
+                        return true;
+                    }
+                    break;
+
+                case 'number':
+                    if ( typeof value === 'number' && isFinite( value ) ) {
+                        return true;
+                    }
+                    break;
+
+                case 'integer':
+                    if ( Number.isInteger( value ) ) {
+                        return true;
+                    }
+                    break;
+
+                case 'array':
+                    if ( Array.isArray( value ) ) {
+                        return true;
+                    }
+                    break;
+
+                case 'object':
+                    if ( typeof value === 'object' && !Array.isArray( value ) ) {
+                        return true;
+                    }
+                    break;
+            }
+        }
+
+        return false;
+    }
+
+
+    /**
+     * Returns the size of a value to check min/max rules.
+     *
+     * @param {Mixed} value Value to get the size for
+     *
+     * @returns {Number|null} Number value, length of strings and arrays or
+     * null if not measurable
+     */
+    _getSize( value )
+    {
+        if ( typeof value === 'number' ) {
+            return value;
+        }
+
+        if ( typeof value === 'string' || Array.isArray( value ) ) {
+            return value.length;
+        }
+
+        return null;
+    }
+
+
+    /**
+     * Checks a rule of the schema definition.
+     *
+     * @param {String} key Property name
+     * @param {Object} rule Rule to check
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Item_Exception} If the rule is invalid
+     */
+    _checkRule( key, rule )
+    {
+        var message;
+
+        if ( !( rule instanceof Object ) ) {
+            message = 'Invalid schema rule for "' + key + '"';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+
+        var types = [].concat( ( rule.type === undefined ) ? 'any' : rule.type );
+        for ( var i = 0; i < types.length; i++ ) {
+            if ( Mumsys_Generic_Item_Schema.TYPES.indexOf( types[i] ) === -1 ) {
+                message = 'Invalid schema type "' + types[i] + '" for "' + key + '"';
+                throw new Mumsys_Generic_Item_Exception( message );
+            }
+        }
+
+        if ( rule.enum !== undefined && !Array.isArray( rule.enum ) ) {
+            message = 'Invalid schema enum for "' + key + '"';
+            throw new Mumsys_Generic_Item_Exception( message );
+        }
+    }
+
+}
@@ -0,0 +1,76 @@
+/**
+ * Mumsys_Generic_Item_Schema_Exception
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Mumsys generic item schema exception.
+ *
+ * Thrown if item properties does not match the item schema. The message
+ * lists every failing field, getErrors() returns the details.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Item_Schema_Exception
+    extends Mumsys_Generic_Item_Exception
+{
+    /**
+     * Returns the version ID.
+     *
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the schema exception.
+     *
+     * @param {Array} errors List of validation errors ({key, message} objects)
+     * @param {String|integer} code Exception code; Optional, Default: 0
+     *
+     * @returns {Mumsys_Generic_Item_Schema_Exception}
+     */
+    constructor( errors, code = 0 )
+    {
+        var list = [];
+
+        for ( var i = 0; i < errors.length; i++ ) {
+            list.push( '"' + errors[i].key + '": ' + errors[i].message );
+        }
+
+        super( 'Schema validation failed: ' + list.join( '; ' ), code );
+
+        /**
+         * List of validation errors.
+         * @type Array
+         */
+        this.errors = errors;
+    }
+
+
+    /**
+     * Returns the list of validation errors.
+     *
+     * @returns {Array} List of {key, message} objects
+     */
+    getErrors()
+    {
+        return this.errors;
+    }
+
+};
@@ -21,12 +21,15 @@
  *
  * Loads lists of items, handles and saves items in a generic way.
  * 
- * @uses jQuery for ajax requests
+ * @uses Mumsys_Transport_Abstract for server requests (Default: jQuery if 
+ * available, otherwise fetch() or XMLHttpRequest)
  * @uses JSONRpc 2.0 API
  * 
  * @param url Location to send post/get requests. Default 'jsonrpc.php'
+ * @param {Mumsys_Transport_Abstract|null} transport Transport to send requests;
+ * Optional, Default: Mumsys_Transport_Abstract.createDefault()
  */
-function Mumsys_Generic_Manager(url = false)
+function Mumsys_Generic_Manager(url = false, transport = null)
 {    
     /**
      * Location to send/get requests results.
@@ -58,9 +61,33 @@ function Mumsys_Generic_Manager(url = false)
      * @type Object
      */
     this.__map = {};
+
+    /**
+     * Transport to send requests.
+     * @private Private property
+     * @type {Mumsys_Transport_Abstract|null}
+     */
+    this.__transport = transport;
 }
 
 
+/**
+ * Returns the transport to send requests.
+ *
+ * If not set the default transport will be created.
+ *
+ * @returns {Mumsys_Transport_Abstract} Transport object
+ */
+Mumsys_Generic_Manager.prototype.getTransport = function ()
+{
+    if ( this.__transport === null ) {
+        this.__transport = Mumsys_Transport_Abstract.createDefault();
+    }
+
+    return this.__transport;
+};
+
+
 /**
  * Returns the version ID.
  * @returns {String} Version ID
@@ -192,8 +219,13 @@ Mumsys_Generic_Manager.prototype.getItem = function ( key, value, defreturn )
         return this.__itemList[ value ];
     }
 
-    if ( key === 'id' && this.__map[ key ] !== undefined ) {
-        return this.__itemList[ this.__map[ key ] ];
+    if ( key === 'id' && this.__map[ value ] !== undefined ) {
+        var item = this.__itemList[ this.__map[ value ] ];
+
+        // the map is not updated on id changes or removals
+        if ( item !== undefined && item.get( 'id' ) === value ) {
+            return item;
+        }
     }
 
     for ( var i = 0; i < this.__itemList.length; i++ ) {
@@ -206,6 +238,34 @@ Mumsys_Generic_Manager.prototype.getItem = function ( key, value, defreturn )
 };
 
 
+/**
+ * Returns a query to filter, sort and paginate the items.
+ *
+ * @see Mumsys_Generic_Manager_Default.query()
+ *
+ * @returns {Mumsys_Generic_Query} Query object
+ */
+Mumsys_Generic_Manager.prototype.query = function ()
+{
+    return new Mumsys_Generic_Query( this );
+};
+
+
+/**
+ * Returns all items matching the criteria.
+ *
+ * @see Mumsys_Generic_Query for the criteria format
+ *
+ * @param {Array|Object|Function} criteria Criteria to match
+ *
+ * @returns {Array} List of generic items
+ */
+Mumsys_Generic_Manager.prototype.findAll = function ( criteria )
+{
+    return this.query().where( criteria ).getItems();
+};
+
+
 /**
  * Clears the item list buffer.
  */
@@ -228,7 +288,7 @@ Mumsys_Generic_Manager.prototype.isLoaded = function ()
 
 
 /**
- * Loads a list of generic items. Wrapper method for jQuery.ajax()
+ * Loads a list of generic items using the transport.
  *
  * Warning: This methods load records and keeps existing data when loading 
  * again. This can endup in very bad performance which huge lists of data!
@@ -252,15 +312,17 @@ Mumsys_Generic_Manager.prototype.isLoaded = function ()
  *  - type: {String} Request type. Default: 'GET'
  *  - contentType: {String} Default: 'application/json'
  *  - dataType: {String} Default: 'json'
+ *  - error: {Function} Callback for transport, json rpc and response errors,
+ *    gets the exception. Default: reports the error to the console
  * </pre>
- * Feel free also to overwrite jQuerys success, error callbacks
+ * Feel free also to overwrite the success, error callbacks
  *
  * @param {Object} data Mixed request parameters/ data
- * @param {Object} requestParams Parameters to overwrite the ajax request 
- * defaults or to extend for jQuery.ajax().
+ * @param {Object} requestParams Parameters to overwrite the request defaults
+ * or to extend for the transport.
  *
- * @return {void}
- * @throws {Exception} On errors in response
+ * @return {Promise} Resolves when the request is done. Never rejects, errors
+ * will be reported to the "error" callback and isLoaded() stays false
  */
 Mumsys_Generic_Manager.prototype.loadItems = function ( data, requestParams = false )
 {
@@ -287,16 +349,25 @@ Mumsys_Generic_Manager.prototype.loadItems = function ( data, requestParams = fa
             }
             _this.__flags.isLoaded = true;
         }
-        , error: function ( obj/*, textStatus, errorThrown */ )
+        , error: function ( error )
         {
-            Mumsys.checkJsonRpcResponce( obj );
+            console.error( error );
         }
     };
 
     _reParams = this._buildParams( defaultParams, data, requestParams );
 
-    jQuery.ajax( _reParams ).done( function ( obj ) {
-        Mumsys.checkJsonRpcResponce( obj );
+    // reported once below for all errors. Some transports (e.g. jQuery)
+    // would call it with their own arguments
+    var onError = _reParams.error;
+    delete _reParams.error;
+
+    return this.getTransport().request( _reParams ).catch( function ( error )
+    {
+        _this.__flags.isLoaded = false;
+        if ( typeof onError === 'function' ) {
+            onError( error );
+        }
     } );
 };
 
@@ -311,12 +382,13 @@ Mumsys_Generic_Manager.prototype.loadItems = function ( data, requestParams = fa
  * <pre>
  *  - url: {String} Url to request to, Default; 'jsonrpc.php'
  *  - type: {String} Request type. Default: 'POST'
- *  - error: {function} Callback for errors
+ *  - error: {function} Callback for transport and json rpc errors. The item
+ *    will be marked as modified again
  * </pre>
  *
  * @param {Mumsys_Generic_Item} item Generic item object
  * @param {Object} params Request parameters to the server
- * @param {Object} requestParams Parameters to overwrite the ajax request defaults of jQuery.
+ * @param {Object} requestParams Parameters to overwrite the request defaults of the transport.
  *
  * @returns {Object} Returns the updated generic item
  *
@@ -336,22 +408,27 @@ Mumsys_Generic_Manager.prototype.saveItem = function ( item, params, requestPara
         var defaultParams = {
             url: this.__url
             , type: 'POST'
-            , fail: function ( obj, textStatus, errorThrown )
-                {
-                    console.log( "fail textStatus", textStatus );
-                    console.log( "fail errorThrown", errorThrown );
-
-                    Mumsys.checkJsonRpcResponce( jQuery.parseJSON( obj.responseText ) );
-                }
         };
 
         var reqParams = this._buildParams( defaultParams, params, requestParams );
-        jQuery.ajax( reqParams ).done( function ( obj )
+        this.getTransport().request( reqParams ).then( function ( obj )
             {
-                Mumsys.checkJsonRpcResponce( obj );
-                if ( obj.result.item.id !== undefined ) {
-                    item.set( 'id', obj.result.item.id );
+                try {
+                    Mumsys.checkJsonRpcResponce( obj );
+                    if ( obj.result.item.id !== undefined ) {
+                        item.set( 'id', obj.result.item.id );
+                    }
+                } catch ( e ) {
+                    item.setModified( true );
+                    if ( typeof reqParams.error === 'function' ) {
+                        reqParams.error( e );
+                    }
                 }
+            },
+            function ()
+            {
+                // reported to the "error" callback by the transport
+                item.setModified( true );
             }
         );
 
@@ -363,14 +440,14 @@ Mumsys_Generic_Manager.prototype.saveItem = function ( item, params, requestPara
 
 
 /**
- * Returns a build parameter object for the jquery ajax request.
+ * Returns a build parameter object for the transport request.
  *
- * @param {object} defaultParams Parameters for the jquery ajax request ($.ajax( params )...)
+ * @param {object} defaultParams Request options for the transport (see Mumsys_Transport_Abstract)
  * @param {object} dataParams Your data to request or send
  * @param {object} requestParams Parameters to overwrite or reset keys of the default
- * parameters or to add additionals jquery ajax() request can handle.
+ * parameters or to add additionals the transport can handle.
  *
- * @returns {object} Parameters to be set to the jquery ajax request.
+ * @returns {object} Parameters to be set to the transport request.
  */
 Mumsys_Generic_Manager.prototype._buildParams = function ( defaultParams, dataParams, requestParams )
 {
@@ -0,0 +1,430 @@
+/**
+ * Mumsys_Generic_Manager_Cache
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Response cache with in-flight request deduplication.
+ *
+ * Entries expire after the ttl and the least recently used entries will be
+ * dropped if the size limit is reached. Values are stored and returned as
+ * copies (json) so the callers can not change the cached values. Entries can
+ * be tagged (e.g. by the url of a manager) to invalidate related entries.
+ *
+ * A cache can be shared by several managers.
+ *
+ * E.g:
+ * <pre>
+ *  var cache = new Mumsys_Generic_Manager_Cache( {"ttl": 30000, "maxSize": 50} );
+ *  myManager.setCache( cache );
+ *  // both calls share one request and the result is cached for 30 seconds
+ *  myManager.loadItems( {"status": "open"} );
+ *  otherManager.loadItems( {"status": "open"} );
+ * </pre>
+ *
+ * @see Mumsys_Generic_Manager_Default.setCache()
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Cache
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Returns the normalised cache key of the given value (json with sorted
+     * object keys).
+     *
+     * @param {Mixed} value Value to create the key for (e.g. the request)
+     *
+     * @returns {String} Cache key
+     */
+    static createKey( value )
+    {
+        return JSON.stringify( Mumsys_Generic_Manager_Cache._normalize( value ) );
+    }
+
+
+    /**
+     * Initialize the cache.
+     *
+     * Options:
+     * <pre>
+     *  - ttl: {integer} Time to live of an entry in milliseconds, 0 for no
+     *    expiry. Default: 60000
+     *  - maxSize: {integer} Max. number of entries, 0 for no limit.
+     *    Default: 100
+     * </pre>
+     *
+     * @param {Object} options Cache options; Optional
+     *
+     * @returns {Mumsys_Generic_Manager_Cache}
+     * @throws {Mumsys_Generic_Manager_Exception} If an option is invalid
+     */
+    constructor( options = {} )
+    {
+        var ttl = ( options.ttl === undefined ) ? 60000 : options.ttl;
+        var maxSize = ( options.maxSize === undefined ) ? 100 : options.maxSize;
+        var message;
+
+        if ( !Number.isInteger( ttl ) || ttl < 0 ) {
+            message = 'Invalid cache ttl "' + ttl + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( !Number.isInteger( maxSize ) || maxSize < 0 ) {
+            message = 'Invalid cache size "' + maxSize + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        /**
+         * Time to live in milliseconds.
+         * @private
+         * @type integer
+         */
+        this.__ttl = ttl;
+
+        /**
+         * Max. number of entries.
+         * @private
+         * @type integer
+         */
+        this.__maxSize = maxSize;
+
+        /**
+         * Entries ({"value": String, "expires": integer, "tags": Array}) in
+         * the order of their last use.
+         * @private
+         * @type Map
+         */
+        this.__entries = new Map();
+
+        /**
+         * In-flight requests ({"promise": Promise, "tags": Array,
+         * "consumers": integer, "aborted": Boolean, "sent": Promise|null})
+         * by key.
+         * @private
+         * @type Map
+         */
+        this.__pending = new Map();
+    }
+
+
+    /**
+     * Checks if a valid entry exists.
+     *
+     * @param {String} key Cache key
+     *
+     * @returns {Boolean}
+     */
+    has( key )
+    {
+        return this._getEntry( key ) !== undefined;
+    }
+
+
+    /**
+     * Returns a copy of the cached value.
+     *
+     * @param {String} key Cache key
+     *
+     * @returns {Mixed} Cached value or undefined if not found or expired
+     */
+    get( key )
+    {
+        var entry = this._getEntry( key );
+
+        if ( entry === undefined ) {
+            return undefined;
+        }
+
+        // move to the end (most recently used)
+        this.__entries.delete( key );
+        this.__entries.set( key, entry );
+
+        return JSON.parse( entry.value );
+    }
+
+
+    /**
+     * Stores a copy of the value.
+     *
+     * @param {String} key Cache key
+     * @param {Mixed} value Value to cache (json serializable)
+     * @param {Array} tags List of tags to invalidate the entry; Optional
+     *
+     * @returns {void}
+     */
+    set( key, value, tags = [] )
+    {
+        this.__entries.delete( key );
+        this.__entries.set( key, {
+            "value": JSON.stringify( value ),
+            "expires": ( this.__ttl === 0 ) ? 0 : Date.now() + this.__ttl,
+            "tags": tags
+        } );
+
+        if ( this.__maxSize > 0 && this.__entries.size > this.__maxSize ) {
+            this.__entries.delete( this.__entries.keys().next().value );
+        }
+    }
+
+
+    /**
+     * Returns the cached value or calls the loader once for all identical
+     * calls until its promise settled.
+     *
+     * The returned promise has an abort() method. It rejects the promise of
+     * the caller; the loader (the abort() method of its promise) will be
+     * aborted when all callers waiting for it aborted.
+     *
+     * @param {String} key Cache key
+     * @param {Function} loader Callback returning a promise of the value
+     * @param {Array} tags List of tags of the entry; Optional
+     *
+     * @returns {Promise} Resolves with a copy of the value, rejects with the
+     * error of the loader (nothing will be cached) or a
+     * Mumsys_Transport_Exception (code Mumsys_Exception.ERRCODE_ABORTED) if
+     * aborted
+     */
+    fetch( key, loader, tags = [] )
+    {
+        var _this = this;
+        var promise;
+
+        if ( this.has( key ) ) {
+            promise = Promise.resolve( this.get( key ) );
+            promise.abort = function () {};
+
+            return promise;
+        }
+
+        if ( !this.__pending.has( key ) )
+        {
+            var pending = { "tags": tags, "consumers": 0, "aborted": false, "sent": null };
+
+            pending.promise = Promise.resolve()
+                .then( function ()
+                {
+                    if ( pending.aborted ) {
+                        var message = 'Request aborted';
+                        throw new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_ABORTED );
+                    }
+
+                    pending.sent = loader();
+
+                    return pending.sent;
+                } )
+                .then( function ( value ) {
+                    if ( _this.__pending.get( key ) === pending ) {
+                        _this.__pending.delete( key );
+                        _this.set( key, value, tags );
+                    }
+
+                    return JSON.stringify( value );
+                }, function ( error ) {
+                    if ( _this.__pending.get( key ) === pending ) {
+                        _this.__pending.delete( key );
+                    }
+
+                    throw error;
+                } );
+
+            this.__pending.set( key, pending );
+        }
+
+        return this._consume( key, this.__pending.get( key ) );
+    }
+
+
+    /**
+     * Returns the promise of a caller waiting for an in-flight request.
+     *
+     * @param {String} key Cache key
+     * @param {Object} pending In-flight request
+     *
+     * @returns {Promise} Resolves with a copy of the value. Has an abort()
+     * method
+     */
+    _consume( key, pending )
+    {
+        var _this = this;
+        var settled = false;
+        var cancel;
+
+        pending.consumers++;
+
+        var promise = new Promise( function ( resolve, reject )
+        {
+            cancel = reject;
+
+            pending.promise.then( function ( json ) {
+                settled = true;
+                resolve( JSON.parse( json ) );
+            }, function ( error ) {
+                settled = true;
+                reject( error );
+            } );
+        } );
+
+        promise.abort = function ()
+        {
+            if ( settled ) {
+                return;
+            }
+
+            var message = 'Request aborted';
+            settled = true;
+            cancel( new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_ABORTED ) );
+
+            if ( --pending.consumers > 0 ) {
+                return;
+            }
+
+            pending.aborted = true;
+            if ( _this.__pending.get( key ) === pending ) {
+                _this.__pending.delete( key );
+            }
+
+            if ( pending.sent instanceof Object && typeof pending.sent.abort === 'function' ) {
+                pending.sent.abort();
+            }
+        };
+
+        return promise;
+    }
+
+
+    /**
+     * Removes an entry.
+     *
+     * @param {String} key Cache key
+     *
+     * @returns {void}
+     */
+    delete( key )
+    {
+        this.__entries.delete( key );
+        this.__pending.delete( key );
+    }
+
+
+    /**
+     * Removes all entries having the tag. In-flight requests of the tag will
+     * not be cached.
+     *
+     * @param {String} tag Tag of the entries
+     *
+     * @returns {void}
+     */
+    invalidate( tag )
+    {
+        var _this = this;
+
+        this.__entries.forEach( function ( entry, key ) {
+            if ( entry.tags.indexOf( tag ) !== -1 ) {
+                _this.__entries.delete( key );
+            }
+        } );
+
+        this.__pending.forEach( function ( pending, key ) {
+            if ( pending.tags.indexOf( tag ) !== -1 ) {
+                _this.__pending.delete( key );
+            }
+        } );
+    }
+
+
+    /**
+     * Removes all entries.
+     *
+     * @returns {void}
+     */
+    clear()
+    {
+        this.__entries.clear();
+        this.__pending.clear();
+    }
+
+
+    /**
+     * Returns the number of entries (including expired entries not removed
+     * yet).
+     *
+     * @returns {integer} Number of entries
+     */
+    size()
+    {
+        return this.__entries.size;
+    }
+
+
+    /**
+     * Returns the valid entry and removes expired entries.
+     *
+     * @param {String} key Cache key
+     *
+     * @returns {Object|undefined} Entry or undefined
+     */
+    _getEntry( key )
+    {
+        var entry = this.__entries.get( key );
+
+        if ( entry !== undefined && entry.expires !== 0 && entry.expires <= Date.now() ) {
+            this.__entries.delete( key );
+            return undefined;
+        }
+
+        return entry;
+    }
+
+
+    /**
+     * Returns a copy of the value with sorted object keys.
+     *
+     * @param {Mixed} value Value to normalise
+     *
+     * @returns {Mixed} Normalised value
+     */
+    static _normalize( value )
+    {
+        if ( Array.isArray( value ) ) {
+            return value.map( Mumsys_Generic_Manager_Cache._normalize );
+        }
+
+        if ( !( value instanceof Object ) ) {
+            return value;
+        }
+
+        var result = {};
+        var keys = Object.keys( value ).sort();
+
+        for ( var i = 0; i < keys.length; i++ ) {
+            if ( value[keys[i]] !== undefined && typeof value[keys[i]] !== 'function' ) {
+                result[keys[i]] = Mumsys_Generic_Manager_Cache._normalize( value[keys[i]] );
+            }
+        }
+
+        return result;
+    }
+
+}
@@ -0,0 +1,279 @@
+/**
+ * Mumsys_Generic_Manager_Conflict
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Conflict resolution of optimistic locking.
+ *
+ * Strategies:
+ * <pre>
+ *  - STRATEGY_CLIENT: Client wins. The item will be saved again with the
+ *    version of the server
+ *  - STRATEGY_SERVER: Server wins. The server properties will be set to the
+ *    item and the local changes are dropped
+ *  - STRATEGY_MERGE: Field-level merge. Properties changed on the server
+ *    only will be taken, local changes kept and the item saved again. Fails
+ *    if a property was changed on both sides with different values
+ *  - {Function} Callback getting the item, the server properties and the
+ *    conflict exception. Returns (or resolves with) one of the strategies
+ *    above, an object of properties to set and save again or false/ null to
+ *    fail
+ * </pre>
+ *
+ * All strategies except the callback require the current server properties
+ * (data.item of the json rpc error object).
+ *
+ * @see Mumsys_Generic_Manager_Default.setConflictStrategy()
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Conflict
+{
+    /**
+     * Strategy: the local item wins.
+     * @var constant
+     */
+    static get STRATEGY_CLIENT() { return 'client'; }
+
+    /**
+     * Strategy: the server wins.
+     * @var constant
+     */
+    static get STRATEGY_SERVER() { return 'server'; }
+
+    /**
+     * Strategy: field-level merge.
+     * @var constant
+     */
+    static get STRATEGY_MERGE() { return 'merge'; }
+
+
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Returns the conflict exception if the error reports a conflict.
+     *
+     * Conflicts are json rpc errors with the conflict code (data.item may
+     * contain the current server properties) or http 409 responses.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Saved item
+     * @param {Error} error Error of the save request
+     * @param {integer} code Json rpc error code of conflicts
+     *
+     * @returns {Mumsys_Generic_Manager_Conflict_Exception|null} Conflict
+     * exception or null if the error is not a conflict
+     */
+    static createException( item, error, code )
+    {
+        var serverProps = null;
+
+        if ( error instanceof Mumsys_JsonRpc_Exception && error.code === code ) {
+            var data = error.getData();
+            if ( data instanceof Object && data.item instanceof Object ) {
+                serverProps = data.item;
+            }
+        } else if ( !( error instanceof Mumsys_Transport_Exception && error.status === 409 ) ) {
+            return null;
+        }
+
+        var fields = [];
+
+        if ( serverProps !== null ) {
+            var changes = item.getChanges();
+            for ( var key in changes ) {
+                if ( changes.hasOwnProperty( key ) && serverProps.hasOwnProperty( key )
+                    && Mumsys_Generic_Manager_Conflict._differs( serverProps[key], item.getOriginal( key ) )
+                    && Mumsys_Generic_Manager_Conflict._differs( serverProps[key], item.get( key ) )
+                ) {
+                    fields.push( key );
+                }
+            }
+        }
+
+        return new Mumsys_Generic_Manager_Conflict_Exception( item, serverProps, fields, code );
+    }
+
+
+    /**
+     * Initialize the conflict resolution.
+     *
+     * @param {String|Function} strategy One of the STRATEGY_* constants or a
+     * callback
+     *
+     * @returns {Mumsys_Generic_Manager_Conflict}
+     * @throws {Mumsys_Generic_Manager_Exception} If strategy is invalid
+     */
+    constructor( strategy )
+    {
+        if ( typeof strategy !== 'function' && !this._isStrategy( strategy ) ) {
+            var message = 'Invalid conflict strategy "' + strategy + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        /**
+         * Strategy or callback.
+         * @private
+         * @type {String|Function}
+         */
+        this.__strategy = strategy;
+    }
+
+
+    /**
+     * Returns the strategy.
+     *
+     * @returns {String|Function} Strategy or callback
+     */
+    getStrategy()
+    {
+        return this.__strategy;
+    }
+
+
+    /**
+     * Resolves the conflict.
+     *
+     * @param {Mumsys_Generic_Manager_Conflict_Exception} conflict Conflict
+     * @param {String} versionField Name of the version property
+     *
+     * @returns {Promise} Resolves with the properties to set to the item
+     * before saving again or null if the item was updated and must not be
+     * saved again. Rejects with the conflict if it can not be resolved
+     */
+    resolve( conflict, versionField )
+    {
+        var _this = this;
+
+        if ( typeof this.__strategy !== 'function' ) {
+            return this._resolve( this.__strategy, conflict, versionField );
+        }
+
+        return Promise.resolve()
+            .then( function () {
+                return _this.__strategy( conflict.getItem(), conflict.getServerProperties(), conflict );
+            } )
+            .then( function ( result )
+            {
+                if ( _this._isStrategy( result ) ) {
+                    return _this._resolve( result, conflict, versionField );
+                }
+
+                if ( !( result instanceof Object ) ) {
+                    throw conflict;
+                }
+
+                var props = {};
+                var serverProps = conflict.getServerProperties();
+
+                if ( serverProps !== null && serverProps[versionField] !== undefined ) {
+                    props[versionField] = serverProps[versionField];
+                }
+
+                for ( var key in result ) {
+                    if ( result.hasOwnProperty( key ) ) {
+                        props[key] = result[key];
+                    }
+                }
+
+                return props;
+            } );
+    }
+
+
+    /**
+     * Resolves the conflict using a strategy.
+     *
+     * @param {String} strategy One of the STRATEGY_* constants
+     * @param {Mumsys_Generic_Manager_Conflict_Exception} conflict Conflict
+     * @param {String} versionField Name of the version property
+     *
+     * @returns {Promise} See resolve()
+     */
+    _resolve( strategy, conflict, versionField )
+    {
+        var item = conflict.getItem();
+        var serverProps = conflict.getServerProperties();
+        var props = {};
+        var key;
+
+        if ( serverProps === null ) {
+            return Promise.reject( conflict );
+        }
+
+        switch ( strategy )
+        {
+            case Mumsys_Generic_Manager_Conflict.STRATEGY_SERVER:
+                item.confirm( serverProps );
+                item.setModified( false );
+
+                return Promise.resolve( null );
+
+            case Mumsys_Generic_Manager_Conflict.STRATEGY_MERGE:
+                if ( conflict.getFields().length > 0 ) {
+                    return Promise.reject( conflict );
+                }
+
+                for ( key in serverProps ) {
+                    if ( serverProps.hasOwnProperty( key ) && !item.isModified( key ) ) {
+                        props[key] = serverProps[key];
+                    }
+                }
+                break;
+        }
+
+        props[versionField] = serverProps[versionField];
+
+        return Promise.resolve( props );
+    }
+
+
+    /**
+     * Checks if the value is one of the STRATEGY_* constants.
+     *
+     * @param {Mixed} strategy Value to check
+     *
+     * @returns {Boolean}
+     */
+    _isStrategy( strategy )
+    {
+        return strategy === Mumsys_Generic_Manager_Conflict.STRATEGY_CLIENT
+            || strategy === Mumsys_Generic_Manager_Conflict.STRATEGY_SERVER
+            || strategy === Mumsys_Generic_Manager_Conflict.STRATEGY_MERGE;
+    }
+
+
+    /**
+     * Checks if two values differ (compared as json).
+     *
+     * @param {Mixed} a First value
+     * @param {Mixed} b Second value
+     *
+     * @returns {Boolean}
+     */
+    static _differs( a, b )
+    {
+        return JSON.stringify( a ) !== JSON.stringify( b );
+    }
+
+}
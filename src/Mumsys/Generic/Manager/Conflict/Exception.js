@@ -0,0 +1,116 @@
+/**
+ * Mumsys_Generic_Manager_Conflict_Exception
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Mumsys generic manager conflict exception.
+ *
+ * Thrown if the server rejected a save because the item was changed by
+ * someone else (optimistic locking, see
+ * Mumsys_Generic_Manager_Default.setVersionField()).
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Conflict_Exception
+    extends Mumsys_Generic_Manager_Exception
+{
+    /**
+     * Returns the version ID.
+     *
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the conflict exception.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Item of the conflict
+     * @param {Object|null} serverProps Current properties of the item on the
+     * server or null if unknown
+     * @param {Array} fields List of properties changed on both sides with
+     * different values
+     * @param {String|integer} code Exception code; Optional, Default: 409
+     *
+     * @returns {Mumsys_Generic_Manager_Conflict_Exception}
+     */
+    constructor( item, serverProps, fields, code = 409 )
+    {
+        var message = 'Conflict: item "' + item.get( 'id', null ) + '" was changed by someone else';
+
+        if ( fields.length > 0 ) {
+            message += ' (' + fields.join( ', ' ) + ')';
+        }
+
+        super( message, code );
+
+        /**
+         * Item of the conflict.
+         * @type Mumsys_Generic_Item_Default
+         */
+        this.item = item;
+
+        /**
+         * Current properties of the item on the server or null.
+         * @type {Object|null}
+         */
+        this.serverProps = serverProps;
+
+        /**
+         * List of properties changed on both sides.
+         * @type Array
+         */
+        this.fields = fields;
+    }
+
+
+    /**
+     * Returns the item of the conflict.
+     *
+     * @returns {Mumsys_Generic_Item_Default} Generic item
+     */
+    getItem()
+    {
+        return this.item;
+    }
+
+
+    /**
+     * Returns the current properties of the item on the server.
+     *
+     * @returns {Object|null} Properties or null if the server did not send
+     * them
+     */
+    getServerProperties()
+    {
+        return this.serverProps;
+    }
+
+
+    /**
+     * Returns the properties changed on both sides with different values.
+     *
+     * @returns {Array} List of property names
+     */
+    getFields()
+    {
+        return this.fields;
+    }
+
+};
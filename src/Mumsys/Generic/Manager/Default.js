@@ -20,7 +20,8 @@
  *
  * Loads lists of items, handles and saves items in a generic way.
  * 
- * @uses jQuery for ajax requests
+ * @uses Mumsys_Transport_Abstract for server requests (Default: jQuery if 
+ * available, otherwise fetch() or XMLHttpRequest)
  * @uses JSONRpc 2.0 API
  */
 class Mumsys_Generic_Manager_Default
@@ -33,6 +34,112 @@ class Mumsys_Generic_Manager_Default
     {
         return '3.1.1';
     }
+
+
+    /**
+     * Save mode: Send all item properties (default).
+     * @var constant
+     */
+    static get SAVEMODE_FULL() { return 'full'; }
+
+    /**
+     * Save mode: Send the item ID and the changed properties only.
+     * @var constant
+     */
+    static get SAVEMODE_PARTIAL() { return 'partial'; }
+
+    /**
+     * Save mode: Send the item ID and a JSON Patch (RFC 6902) document.
+     * @var constant
+     */
+    static get SAVEMODE_PATCH() { return 'patch'; }
+
+    /**
+     * Merge policy: Keep locally modified properties when merging.
+     * @var constant
+     */
+    static get MERGEPOLICY_LOCAL() { return 'local'; }
+
+    /**
+     * Merge policy: Overwrite locally modified properties when merging.
+     * @var constant
+     */
+    static get MERGEPOLICY_SERVER() { return 'server'; }
+
+    /**
+     * Format version of serialize() snapshots.
+     * @var constant
+     */
+    static get SNAPSHOT_VERSION() { return 1; }
+
+
+    /**
+     * Creates a manager from a snapshot of serialize() (e.g. rendered on the
+     * server or stored by Mumsys_Generic_Manager_Snapshot).
+     *
+     * The items keep their properties, original values and modified state.
+     * Indexes, save mode, version field and loaded flag will be restored.
+     *
+     * @param {Object} snapshot Snapshot created by serialize()
+     * @param {Mumsys_Generic_Item_Schema|Object|null} schema Default schema 
+     * of the items (not part of the snapshot); Optional
+     * @param {Mumsys_Transport_Abstract|null} transport Transport to send 
+     * requests; Optional, Default: Mumsys_Transport_Abstract.createDefault()
+     *
+     * @returns {Mumsys_Generic_Manager_Default} Manager object
+     * @throws {Mumsys_Generic_Manager_Exception} If the snapshot is invalid or
+     * of another version
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If items are invalid
+     */
+    static fromSnapshot( snapshot, schema = null, transport = null )
+    {
+        var message;
+
+        if ( !( snapshot instanceof Object ) || !Array.isArray( snapshot.items ) ) {
+            message = 'Invalid snapshot';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( snapshot.version !== Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION ) {
+            message = 'Unsupported snapshot version "' + snapshot.version + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        var manager = new Mumsys_Generic_Manager_Default( snapshot.url, transport );
+        var indexes = snapshot.indexes || [];
+        var item;
+
+        manager.setSchema( schema );
+
+        if ( snapshot.saveMode !== undefined ) {
+            manager.setSaveMode( snapshot.saveMode );
+        }
+
+        if ( snapshot.versionField !== undefined && snapshot.versionField !== null ) {
+            manager.setVersionField( snapshot.versionField, snapshot.conflictCode );
+        }
+
+        for ( var i = 0; i < indexes.length; i++ ) {
+            if ( !manager.hasIndex( indexes[i].key ) ) {
+                manager.addIndex( indexes[i].key, indexes[i].unique );
+            }
+        }
+
+        for ( var j = 0; j < snapshot.items.length; j++ ) {
+            if ( !( snapshot.items[j] instanceof Object ) ) {
+                message = 'Invalid snapshot';
+                throw new Mumsys_Generic_Manager_Exception( message );
+            }
+
+            item = manager.createItem( JSON.parse( JSON.stringify( snapshot.items[j].props ) ) );
+            item.restore( snapshot.items[j] );
+            manager.addItem( item );
+        }
+
+        manager.__flags.isLoaded = Boolean( snapshot.loaded );
+
+        return manager;
+    }
     
     
     /**
@@ -40,369 +147,2946 @@ class Mumsys_Generic_Manager_Default
      * 
      * @param url Location to send post/get requests. Default 'jsonrpc.php'; 
      * Optional
+     * @param {Mumsys_Transport_Abstract|null} transport Transport to send 
+     * requests; Optional, Default: Mumsys_Transport_Abstract.createDefault()
      * 
      * @returns {Mumsys_Generic_Manager_Default}
+     * @throws {Mumsys_Generic_Manager_Exception} If transport is invalid
+     */
+    constructor( url = false, transport = null )
+    {
+        /**
+         * Location to send/get requests results.
+         * @private Private property
+         * @type {string}
+         */
+        this.__url = 'jsonrpc.php';
+
+        if ( url ) {
+            this.__url = url;
+        }
+
+        /**
+         * List of items.
+         * @private Private property
+         * @type Array
+         */
+        this.__itemList = [];
+
+        /**
+         * Private flags to detect:
+         *  - if loading of data is finished.
+         * @private Private property: Use public methodes
+         * @type {Object}
+         */
+        this.__flags = { "isLoaded": false };
+
+        /**
+         * List of property names and indexes to speed up item searches.
+         * @private
+         * @type Object
+         */
+        this.__indexes = { };
+
+        var _this = this;
+
+        /**
+         * Observer of the items to update the indexes.
+         * @private
+         * @type Function
+         */
+        this.__observer = function ( item, key, newVal, oldVal ) {
+            if ( _this.__indexes[key] !== undefined ) {
+                _this.__indexes[key].update( item, newVal, oldVal );
+            }
+        };
+
+        /**
+         * Event emitter.
+         * @private
+         * @type Mumsys_Generic_Emitter
+         */
+        this.__events = new Mumsys_Generic_Emitter( this );
+
+        /**
+         * Listener of the items to bubble up their events.
+         * @private
+         * @type Function
+         */
+        this.__forward = function ( event ) {
+            _this.__events.dispatch( event );
+        };
+
+        this.addIndex( 'id', true );
+
+        /**
+         * Active unit of work or null.
+         * @private
+         * @type {Mumsys_Generic_Manager_UnitOfWork|null}
+         */
+        this.__transaction = null;
+
+        /**
+         * Default schema for new items or null for no validation.
+         * @private
+         * @type {Mumsys_Generic_Item_Schema|null}
+         */
+        this.__schema = null;
+
+        /**
+         * Transport to send requests.
+         * @private
+         * @type {Mumsys_Transport_Abstract|null}
+         */
+        this.__transport = null;
+
+        if ( transport !== null ) {
+            this.setTransport( transport );
+        }
+
+        /**
+         * Json rpc client to send requests or null to use the transport.
+         * @private
+         * @type {Mumsys_JsonRpc_Client|null}
+         */
+        this.__client = null;
+
+        /**
+         * Map of actions and json rpc method names.
+         * @private
+         * @type Object
+         */
+        this.__clientMethods = { "load": "load", "save": "save", "delete": "delete" };
+
+        /**
+         * Save mode, one of the SAVEMODE_* constants.
+         * @private
+         * @type {String}
+         */
+        this.__saveMode = Mumsys_Generic_Manager_Default.SAVEMODE_FULL;
+
+        /**
+         * Name of the version property for optimistic locking or null.
+         * @private
+         * @type {String|null}
+         */
+        this.__versionField = null;
+
+        /**
+         * Json rpc error code of conflicts.
+         * @private
+         * @type integer
+         */
+        this.__conflictCode = 409;
+
+        /**
+         * Conflict resolution or null to reject conflicts.
+         * @private
+         * @type {Mumsys_Generic_Manager_Conflict|null}
+         */
+        this.__conflict = null;
+
+        /**
+         * Cache of the loaded results or null.
+         * @private
+         * @type {Mumsys_Generic_Manager_Cache|null}
+         */
+        this.__cache = null;
+
+        /**
+         * Relations by name.
+         * @private
+         * @type Object
+         */
+        this.__relations = {};
+
+        /**
+         * Offline mutation queue or null.
+         * @private
+         * @type {Mumsys_Generic_Manager_Offline|null}
+         */
+        this.__offline = null;
+
+        /**
+         * Shared identity map or null.
+         * @private
+         * @type {Mumsys_Generic_Manager_IdentityMap|null}
+         */
+        this.__identityMap = null;
+
+        /**
+         * Item type of the items in the identity map.
+         * @private
+         * @type {String|null}
+         */
+        this.__identityType = null;
+
+        /**
+         * Request middlewares of the manager.
+         * @private
+         * @type Mumsys_Middleware
+         */
+        this.__middleware = new Mumsys_Middleware();
+    }
+
+
+    /**
+     * Returns the location to send requests to.
+     *
+     * @returns {String} Url
+     */
+    getUrl()
+    {
+        return this.__url;
+    }
+
+
+    /**
+     * Sets the mode how saveItem() sends the item to the server.
+     *
+     * <pre>
+     *  - SAVEMODE_FULL: params.item contains all properties (default)
+     *  - SAVEMODE_PARTIAL: params.item contains the "id" and the changed 
+     *    properties
+     *  - SAVEMODE_PATCH: params.item contains the "id", params.patch the 
+     *    changes as JSON Patch (RFC 6902) document
+     * </pre>
+     *
+     * @param {String} mode One of the SAVEMODE_* constants
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If mode is unknown
+     */
+    setSaveMode( mode )
+    {
+        var modes = [
+            Mumsys_Generic_Manager_Default.SAVEMODE_FULL,
+            Mumsys_Generic_Manager_Default.SAVEMODE_PARTIAL,
+            Mumsys_Generic_Manager_Default.SAVEMODE_PATCH
+        ];
+
+        if ( modes.indexOf( mode ) === -1 ) {
+            var message = 'Invalid save mode "' + mode + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__saveMode = mode;
+    }
+
+
+    /**
+     * Returns the save mode.
+     *
+     * @returns {String} One of the SAVEMODE_* constants
+     */
+    getSaveMode()
+    {
+        return this.__saveMode;
+    }
+
+
+    /**
+     * Enables optimistic locking using the given version property (e.g. 
+     * "version" or "etag").
+     *
+     * The version will be send with each save (params.item) and updated by 
+     * the version the server returns (result.item). The server must reject 
+     * saves of outdated versions with a json rpc error using the conflict 
+     * code (data.item: current properties on the server) or a http 409 
+     * response. Conflicts reject with a 
+     * Mumsys_Generic_Manager_Conflict_Exception or will be resolved by the 
+     * conflict strategy (see setConflictStrategy()).
+     *
+     * @param {String|null} field Name of the version property or null to 
+     * disable optimistic locking
+     * @param {integer} conflictCode Json rpc error code of conflicts; 
+     * Optional, Default: 409
+     *
+     * @returns {void}
+     */
+    setVersionField( field, conflictCode = 409 )
+    {
+        this.__versionField = field;
+        this.__conflictCode = conflictCode;
+    }
+
+
+    /**
+     * Returns the name of the version property.
+     *
+     * @returns {String|null} Name of the version property or null if 
+     * optimistic locking is disabled
+     */
+    getVersionField()
+    {
+        return this.__versionField;
+    }
+
+
+    /**
+     * Sets the strategy to resolve conflicts of saveItem() and saveItems().
+     *
+     * @see Mumsys_Generic_Manager_Conflict for the strategies
+     *
+     * @param {String|Function|null} strategy One of the 
+     * Mumsys_Generic_Manager_Conflict.STRATEGY_* constants, a callback or 
+     * null to reject conflicts (default)
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If strategy is invalid
+     */
+    setConflictStrategy( strategy )
+    {
+        if ( strategy === null ) {
+            this.__conflict = null;
+        } else {
+            this.__conflict = new Mumsys_Generic_Manager_Conflict( strategy );
+        }
+    }
+
+
+    /**
+     * Returns the conflict strategy.
+     *
+     * @returns {String|Function|null} Strategy, callback or null
+     */
+    getConflictStrategy()
+    {
+        return ( this.__conflict === null ) ? null : this.__conflict.getStrategy();
+    }
+
+
+    /**
+     * Sets the cache of loadItems() results.
+     *
+     * Identical loadItems() calls (same url, method and data) will be 
+     * resolved from the cache or share one in-flight request. Confirmed saves
+     * and deletes invalidate the entries of the manager (tagged by the url).
+     * Use the request option {"cache": false} to bypass the cache.
+     *
+     * @param {Mumsys_Generic_Manager_Cache|null} cache Cache or null to 
+     * disable caching
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If cache is invalid
+     */
+    setCache( cache )
+    {
+        if ( cache !== null && !( cache instanceof Mumsys_Generic_Manager_Cache ) ) {
+            var message = 'Invalid cache';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__cache = cache;
+    }
+
+
+    /**
+     * Returns the cache.
+     *
+     * @returns {Mumsys_Generic_Manager_Cache|null} Cache or null
+     */
+    getCache()
+    {
+        return this.__cache;
+    }
+
+
+    /**
+     * Sets the offline mutation queue.
+     *
+     * While offline (see Mumsys_Generic_Manager_Offline.isOnline()) saveItem()
+     * and deleteItem() add the mutation to the queue and resolve immediately:
+     * saved items are no longer modified, deleted items are removed from the
+     * list. Mutations failing with a network error and further mutations of
+     * queued items will be queued as well. The queue will be replayed in
+     * order when the connection returns.
+     *
+     * @param {Mumsys_Generic_Manager_Offline|null} queue Offline queue or 
+     * null to disable offline mode
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If queue is invalid
+     */
+    setOfflineQueue( queue )
+    {
+        if ( queue !== null && !( queue instanceof Mumsys_Generic_Manager_Offline ) ) {
+            var message = 'Invalid offline queue';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__offline = queue;
+    }
+
+
+    /**
+     * Returns the offline mutation queue.
+     *
+     * @returns {Mumsys_Generic_Manager_Offline|null} Offline queue or null
+     */
+    getOfflineQueue()
+    {
+        return this.__offline;
+    }
+
+
+    /**
+     * Sets the identity map shared with other managers.
+     *
+     * Managers sharing the map and the item type work with the same item 
+     * object per id: createItem() and loadItems() update and return the 
+     * registered item instead of creating a duplicate. The items of the 
+     * manager will be registered (and released from a previous map).
+     *
+     * @param {Mumsys_Generic_Manager_IdentityMap|null} map Identity map or 
+     * null to disable
+     * @param {String|null} type Item type; Optional, Default: the url
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If map is invalid or an item
+     * of the manager is a duplicate of a registered item
+     */
+    setIdentityMap( map, type = null )
+    {
+        if ( map !== null && !( map instanceof Mumsys_Generic_Manager_IdentityMap ) ) {
+            var message = 'Invalid identity map';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( map !== null ) {
+            type = ( type === null ) ? this.__url : type;
+
+            for ( var i = 0; i < this.__itemList.length; i++ ) {
+                map.add( type, this.__itemList[i], this );
+            }
+        }
+
+        if ( this.__identityMap !== map || this.__identityType !== type ) {
+            this._releaseIdentities( this.__itemList );
+        }
+
+        this.__identityMap = map;
+        this.__identityType = ( map === null ) ? null : type;
+    }
+
+
+    /**
+     * Returns the identity map.
+     *
+     * @returns {Mumsys_Generic_Manager_IdentityMap|null} Identity map or null
+     */
+    getIdentityMap()
+    {
+        return this.__identityMap;
+    }
+
+
+    /**
+     * Adds a middleware for the requests of the manager.
+     *
+     * Middlewares get the request object and next (see Mumsys_Middleware):
+     * <pre>
+     *  - action: {String} "load", "save", "delete" or "batch" (json rpc batch
+     *    of saveItems()/ deleteItems())
+     *  - manager: {Mumsys_Generic_Manager_Default} This manager
+     *  - method: {String|null} Json rpc method or null without a client
+     *  - data: {Object|Array} Request parameters/ data (batch: list of 
+     *    {"action": String, "params": Object})
+     *  - options: {Object} Request options of the transport (url, type, 
+     *    headers, ...)
+     * </pre>
+     * next( request ) resolves with the json rpc result (batch: list of
+     * entries {"result": Mixed, "error": Error|null}).
+     *
+     * Middlewares added by Mumsys.use() run first. Loads served by the cache
+     * (see setCache()) do not run the middlewares.
+     *
+     * @param {Function} middleware Callback function( request, next )
+     * @param {Number} priority Higher priorities run first; Optional,
+     * Default: 0
+     *
+     * @returns {void}
+     * @throws {Mumsys_Exception} If middleware is invalid
+     */
+    use( middleware, priority = 0 )
+    {
+        this.__middleware.use( middleware, priority );
+    }
+
+
+    /**
+     * Returns the middleware chain of the manager (e.g. to remove 
+     * middlewares).
+     *
+     * @returns {Mumsys_Middleware} Middleware chain
+     */
+    getMiddleware()
+    {
+        return this.__middleware;
+    }
+
+
+    /**
+     * Adds a has-many relation: The related items have the id of the item in
+     * their foreign key property (e.g. users.hasMany( 'memberships', 
+     * membershipManager, 'userId' )).
+     *
+     * An index of the foreign key will be added to the related manager if 
+     * not exists.
+     *
+     * @see Mumsys_Generic_Manager_Relation for the options
+     *
+     * @param {String} name Name of the relation
+     * @param {Mumsys_Generic_Manager_Default} manager Related manager
+     * @param {String} foreignKey Foreign key property of the related items
+     * @param {Object} options Relation options (cascade, params); Optional
+     *
+     * @returns {Mumsys_Generic_Manager_Relation} Relation object
+     * @throws {Mumsys_Generic_Manager_Exception} If a parameter is invalid or
+     * the relation already exists
+     */
+    hasMany( name, manager, foreignKey, options = {} )
+    {
+        var relation = this._addRelation(
+            name, Mumsys_Generic_Manager_Relation.TYPE_HASMANY, manager, foreignKey, options
+        );
+
+        if ( !manager.hasIndex( foreignKey ) ) {
+            manager.addIndex( foreignKey );
+        }
+
+        return relation;
+    }
+
+
+    /**
+     * Adds a belongs-to relation: The item has the id of the related item in
+     * its foreign key property (e.g. memberships.belongsTo( 'group', 
+     * groupManager, 'groupId' )).
+     *
+     * @see Mumsys_Generic_Manager_Relation for the options
+     *
+     * @param {String} name Name of the relation
+     * @param {Mumsys_Generic_Manager_Default} manager Related manager
+     * @param {String} foreignKey Foreign key property of the items
+     * @param {Object} options Relation options (params); Optional
+     *
+     * @returns {Mumsys_Generic_Manager_Relation} Relation object
+     * @throws {Mumsys_Generic_Manager_Exception} If a parameter is invalid or
+     * the relation already exists
+     */
+    belongsTo( name, manager, foreignKey, options = {} )
+    {
+        return this._addRelation(
+            name, Mumsys_Generic_Manager_Relation.TYPE_BELONGSTO, manager, foreignKey, options
+        );
+    }
+
+
+    /**
+     * Returns a relation.
+     *
+     * @param {String} name Name of the relation
+     *
+     * @returns {Mumsys_Generic_Manager_Relation} Relation object
+     * @throws {Mumsys_Generic_Manager_Exception} If the relation not exists
+     */
+    getRelation( name )
+    {
+        if ( !this.__relations.hasOwnProperty( name ) ) {
+            var message = 'Relation "' + name + '" not found';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        return this.__relations[name];
+    }
+
+
+    /**
+     * Returns the related items of the item (in memory, see loadRelated()).
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     * @param {String} name Name of the relation
+     *
+     * @returns {Array|Mumsys_Generic_Item_Default|null} List of related items
+     * (hasMany) or the related item or null (belongsTo)
+     * @throws {Mumsys_Generic_Manager_Exception} If the relation not exists
+     */
+    getRelated( item, name )
+    {
+        return this.getRelation( name ).find( item );
+    }
+
+
+    /**
+     * Loads the related items of the item by the related manager (lazy 
+     * loading) if not loaded yet.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     * @param {String} name Name of the relation
+     * @param {Object} requestParams Request parameters of the related 
+     * manager; Optional
+     * @param {Boolean} reload Flag to load again; Optional, Default: false
+     *
+     * @returns {Promise} Resolves with the related items (see getRelated()),
+     * rejects with a Mumsys_Generic_Manager_Exception if the relation not 
+     * exists or a Mumsys_Exception on transport or json rpc errors
+     */
+    loadRelated( item, name, requestParams = false, reload = false )
+    {
+        var relation;
+
+        try {
+            relation = this.getRelation( name );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        if ( !reload && relation.isLoaded( item ) ) {
+            return Promise.resolve( relation.find( item ) );
+        }
+
+        return relation.load( [ item ], requestParams ).then( function () {
+            return relation.find( item );
+        } );
+    }
+
+
+    /**
+     * Sets the transport to send requests.
+     *
+     * @param {Mumsys_Transport_Abstract} transport Transport object
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If transport is invalid
+     */
+    setTransport( transport )
+    {
+        if ( !( transport instanceof Mumsys_Transport_Abstract ) ) {
+            var message = 'Invalid transport';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__transport = transport;
+    }
+
+
+    /**
+     * Returns the transport to send requests.
+     *
+     * If not set the default transport will be created.
+     *
+     * @returns {Mumsys_Transport_Abstract} Transport object
+     */
+    getTransport()
+    {
+        if ( this.__transport === null ) {
+            this.__transport = Mumsys_Transport_Abstract.createDefault();
+        }
+
+        return this.__transport;
+    }
+
+
+    /**
+     * Sets a json rpc client to be used as protocol for all requests.
+     *
+     * Requests will be send as json rpc 2.0 request objects. The request 
+     * data (e.g. "data" of loadItems(), "params" of saveItem()) will be the 
+     * "params" of the mapped method. The results are the same as without the
+     * client (e.g. result.list for loadItems()).
+     *
+     * E.g:
+     * <pre>
+     *  myManager.setJsonRpcClient( client, {"load": "user.list", "save": "user.save"} );
+     * </pre>
+     *
+     * @param {Mumsys_JsonRpc_Client|null} client Json rpc client or null to 
+     * use the transport directly
+     * @param {Object} methods Map of actions and method names. Actions: load, 
+     * save, delete; Optional, Default: the action names
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If client is invalid
+     */
+    setJsonRpcClient( client, methods = {} )
+    {
+        if ( client !== null && !( client instanceof Mumsys_JsonRpc_Client ) ) {
+            var message = 'Invalid json rpc client';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__client = client;
+
+        for ( var action in methods ) {
+            if ( methods.hasOwnProperty( action ) ) {
+                this.__clientMethods[action] = methods[action];
+            }
+        }
+    }
+
+
+    /**
+     * Returns the json rpc client.
+     *
+     * @returns {Mumsys_JsonRpc_Client|null} Json rpc client or null if not set
+     */
+    getJsonRpcClient()
+    {
+        return this.__client;
+    }
+
+
+    /**
+     * Sets the default schema to validate items created by createItem().
+     *
+     * @param {Mumsys_Generic_Item_Schema|Object|null} schema Schema object, 
+     * schema definition or null to disable validation
+     *
+     * @returns {void}
+     */
+    setSchema( schema )
+    {
+        if ( schema !== null && !( schema instanceof Mumsys_Generic_Item_Schema ) ) {
+            schema = new Mumsys_Generic_Item_Schema( schema );
+        }
+
+        this.__schema = schema;
+    }
+
+
+    /**
+     * Returns the default schema for new items.
+     *
+     * @returns {Mumsys_Generic_Item_Schema|null} Schema or null if not set
+     */
+    getSchema()
+    {
+        return this.__schema;
+    }
+
+
+    /**
+     * Create a new generic item by given properties.
+     *
+     * With an identity map (see setIdentityMap()) the registered item of the
+     * id will be updated (see Mumsys_Generic_Item_Default.merge(), local 
+     * modifications are kept) and returned. New items will be registered by
+     * addItem().
+     *
+     * @param {Object} props Properties to initialize the item
+     * @param {Mumsys_Generic_Item_Schema|Object|null} schema Schema to 
+     * validate the item; Optional, Default: the schema set by setSchema()
+     *
+     * @returns {Mumsys_Generic_Item_Default} Generic item object
+     * @throws {Mumsys_Generic_Manager_Exception} If props not of type object
+     * @throws {Mumsys_Generic_Item_Schema_Exception} If props are invalid
+     */
+    createItem( props, schema = null )
+    {
+        if ( schema === null ) {
+            schema = this.__schema;
+        }
+
+        if ( !( props instanceof Object ) ) {
+            var message = 'Invalid properties';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        var item = this._getIdentity( props.id );
+
+        if ( item !== undefined ) {
+            item.merge( props );
+            return item;
+        }
+
+        return new Mumsys_Generic_Item_Default( props, schema );
+    }
+
+
+    /**
+     * Adds a generic item interface to the list of items to work with.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item to add
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the item is invalid or a 
+     * value of a unique index (e.g. "id") already exists (also in the 
+     * identity map)
+     */
+    addItem( item )
+    {
+        if ( !( item instanceof Mumsys_Generic_Item_Default ) ) {
+            throw new Mumsys_Generic_Manager_Exception( 'Invalid item' );
+        }
+
+        var key;
+
+        for ( key in this.__indexes ) {
+            if ( this.__indexes.hasOwnProperty( key ) ) {
+                this.__indexes[key].assertAddable( item.get( key ), null );
+            }
+        }
+
+        if ( this.__identityMap !== null ) {
+            this.__identityMap.add( this.__identityType, item, this );
+        }
+
+        for ( key in this.__indexes ) {
+            if ( this.__indexes.hasOwnProperty( key ) ) {
+                this.__indexes[key].add( item );
+            }
+        }
+
+        item.attach( this.__observer );
+        item.on( '*', this.__forward );
+        item._setManager( this );
+        this.__itemList.push( item );
+
+        if ( this.__transaction !== null ) {
+            this.__transaction.registerNew( item );
+        }
+
+        this.__events.emit( 'add', { "item": item } );
+    }
+
+
+    /**
+     * Remove an item by given id from memory/ current item list.
+     *
+     * During a transaction the item will be added again on rollback().
+     *
+     * @param {string|integer} id Unique ID of the item
+     */
+    removeItem( id )
+    {
+        var item = this.__indexes.id.findOne( id );
+        var items = [ item ];
+
+        // fallback, e.g. for null ids
+        if ( item === undefined ) {
+            items = this.__itemList.filter( function ( item ) {
+                return item.get( 'id' ) === id;
+            } );
+        }
+
+        this._removeItems( items );
+
+        if ( this.__transaction === null ) {
+            return;
+        }
+
+        for ( var i = 0; i < items.length; i++ ) {
+            this.__transaction.registerRemoved( items[i] );
+        }
+    }
+
+
+    /**
+     * Adds an index for the given property to speed up getItem() and 
+     * findBy() lookups.
+     *
+     * The index will be updated when items are added, removed or changed. 
+     * Undefined and null values will not be indexed. An index for "id" 
+     * (unique) always exists.
+     *
+     * @param {String} key Property name to index
+     * @param {Boolean} unique Flag for a unique index (one item per value); 
+     * Optional, Default: false
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the index already exists 
+     * or a value of a unique index exists several times
+     */
+    addIndex( key, unique = false )
+    {
+        if ( this.__indexes[key] !== undefined ) {
+            var message = 'Index "' + key + '" already exists';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        var index = new Mumsys_Generic_Manager_Index( key, unique );
+
+        for ( var i = 0; i < this.__itemList.length; i++ ) {
+            index.add( this.__itemList[i] );
+        }
+
+        this.__indexes[key] = index;
+    }
+
+
+    /**
+     * Removes the index of the given property.
+     *
+     * @param {String} key Property name of the index
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If key is "id"
+     */
+    removeIndex( key )
+    {
+        if ( key === 'id' ) {
+            var message = 'Index "id" can not be removed';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        delete this.__indexes[key];
+    }
+
+
+    /**
+     * Checks if an index for the given property exists.
+     *
+     * @param {String} key Property name
+     *
+     * @returns {Boolean}
+     */
+    hasIndex( key )
+    {
+        return ( this.__indexes[key] !== undefined );
+    }
+
+
+    /**
+     * Returns all items having the given value (type save).
+     *
+     * Uses the index of the property if exists, otherwise all items will be
+     * checked.
+     *
+     * @param {String} key Property name
+     * @param {Mixed} value Value to look for
+     *
+     * @returns {Array} List of generic items
+     */
+    findBy( key, value )
+    {
+        if ( this.__indexes[key] !== undefined && value !== undefined && value !== null ) {
+            return this.__indexes[key].find( value );
+        }
+
+        return this.__itemList.filter( function ( item ) {
+            return item.get( key ) === value;
+        } );
+    }
+
+
+    /**
+     * Returns the list of generic items.
+     *
+     * @returns {Array} List of Mumsys_Generic_Item_Default items
+     */
+    getItems()
+    {
+        return this.__itemList;
+    }
+
+
+    /**
+     * Returns a generic item by identifier and the expected value.
+     * 
+     * The first match will return.
+     * Alternativly you can also fetch an item by given array index as "idx" for 
+     * the key. 
+     * Warning: Be sure your data does not contain a idx key/property!
+     * Note: Checks are type save! Be sure checking for integer, string...
+     * Lookups of indexed properties (see addIndex()) take constant time.
+     *
+     * E.g:
+     * getItem('idx', 0); // returns the first element of the item list
+     * getItem('idx', -1);// returns the last  element of the item list
+     * getItem('idx', 1); // returns the item with the internal key = 1
+     * getItem('id', 3);  // returns the item with id=3 or undefined if not set
+     *
+     * @param {String|integer} key Item property to look for. E.g: 'id'
+     * @param {Mixed} value Value you are looking for
+     * @param {mixed|null} defreturn Default return value if item was not 
+     * found. Optional, otherwise undefined will return
+     * 
+     * @return {Mumsys_Generic_Item_Default|defreturn} Generic item or undefined 
+     * for not found
+     */
+    getItem( key, value, defreturn )
+    {
+        if ( key === 'idx' )
+        {
+            if ( value === -1 )
+            {
+                var k;
+                if ( ( this.__itemList.length - 1 ) < 0 ) {
+                    k = 0;
+                } else {
+                    k = this.__itemList.length - 1;
+                }
+
+                return this.__itemList[ k ];
+            } 
+            else {
+                return this.__itemList[ value ];
+            }
+
+            return this.__itemList[ value ];
+        }
+
+        if ( this.__indexes[key] !== undefined && value !== undefined && value !== null ) {
+            var item = this.__indexes[key].findOne( value );
+
+            return ( item === undefined ) ? defreturn : item;
+        }
+
+        for ( var i = 0; i < this.__itemList.length; i++ ) {
+            if ( this.__itemList[i].get( key ) === value ) {
+                return this.__itemList[i];
+            }
+        }
+
+        return defreturn;
+    }
+
+
+    /**
+     * Returns a query to filter, sort and paginate the items.
+     *
+     * E.g:
+     * <pre>
+     *  myManager.query().where( 'age', '>=', 18 ).orderBy( 'name' ).limit( 10 ).getItems();
+     * </pre>
+     *
+     * @returns {Mumsys_Generic_Query} Query object
+     */
+    query()
+    {
+        return new Mumsys_Generic_Query( this );
+    }
+
+
+    /**
+     * Returns all items matching the criteria.
+     *
+     * @see Mumsys_Generic_Query for the criteria format
+     *
+     * @param {Array|Object|Function} criteria Criteria to match
+     *
+     * @returns {Array} List of generic items
+     * @throws {Mumsys_Generic_Exception} If the criteria are invalid
+     */
+    findAll( criteria )
+    {
+        return this.query().where( criteria ).getItems();
+    }
+
+
+    /**
+     * Clears the item list buffer.
+     */
+    clear()
+    {
+        for ( var i = 0; i < this.__itemList.length; i++ ) {
+            this.__itemList[i].detach( this.__observer );
+            this.__itemList[i].off( '*', this.__forward );
+            this.__itemList[i]._unsetManager( this );
+        }
+
+        for ( var key in this.__indexes ) {
+            if ( this.__indexes.hasOwnProperty( key ) ) {
+                this.__indexes[key].clear();
+            }
+        }
+
+        this._releaseIdentities( this.__itemList );
+        this.__itemList = [];
+        this.__events.emit( 'clear' );
+    }
+
+
+    /**
+     * Adds an event listener.
+     *
+     * Events (listeners get the event object, target: the manager):
+     * <pre>
+     *  - add: {"item": Item} after an item was added
+     *  - remove: {"item": Item} after an item was removed
+     *  - clear: After all items were removed by clear()
+     *  - load:start: {"data": Object} loadItems() started
+     *  - load:progress: {"loaded": integer, "total": integer} after each 
+     *    chunk of a chunked loadItems() (see the "chunkSize" option)
+     *  - load:end: {"items": Array} loadItems() finished
+     *  - save: {"item": Item} after the server confirmed a save
+     *  - error: {"action": String, "item": Item|null, "error": Error} a 
+     *    request of loadItems(), saveItem(), deleteItem(), saveItems() or 
+     *    deleteItems() failed
+     *  - change, change:<key>: Events of the items (target: the item)
+     *  - *: All events
+     * </pre>
+     * The events of loadItems(), saveItems() and deleteItems() are delivered
+     * together after all items were processed (chunked loadItems(): after 
+     * each chunk).
+     *
+     * @param {String} type Event type
+     * @param {Function} listener Callback function( event )
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Exception} If listener is not a function
+     */
+    on( type, listener )
+    {
+        this.__events.on( type, listener );
+    }
+
+
+    /**
+     * Adds an event listener to be called once.
+     *
+     * @see on()
+     *
+     * @param {String} type Event type
+     * @param {Function} listener Callback function( event )
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Exception} If listener is not a function
+     */
+    once( type, listener )
+    {
+        this.__events.once( type, listener );
+    }
+
+
+    /**
+     * Removes event listeners.
+     *
+     * @param {String|null} type Event type or null for all types; Optional
+     * @param {Function|null} listener Listener to remove or null for all
+     * listeners of the type; Optional
+     *
+     * @returns {void}
+     */
+    off( type = null, listener = null )
+    {
+        this.__events.off( type, listener );
+    }
+
+
+    /**
+     * Returns the status flag if loading of data was successful.
+     *
+     * @returns {Boolean} true on success or false on failure or on not finished 
+     * yet
+     */
+    isLoaded()
+    {
+        return this.__flags.isLoaded;
+    }
+
+
+    /**
+     * Returns a json serializable snapshot of the manager state to create a 
+     * manager by fromSnapshot().
+     *
+     * The snapshot contains the items (properties, original values, modified 
+     * state), the indexes, the save mode, the version field and the loaded 
+     * flag. Schemas, transports, clients, caches and the undo/redo history of
+     * the items are not part of the snapshot.
+     *
+     * @returns {Object} Snapshot
+     */
+    serialize()
+    {
+        var indexes = [];
+
+        for ( var key in this.__indexes ) {
+            if ( this.__indexes.hasOwnProperty( key ) ) {
+                indexes.push( { "key": key, "unique": this.__indexes[key].isUnique() } );
+            }
+        }
+
+        return {
+            "version": Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION,
+            "url": this.__url,
+            "saveMode": this.__saveMode,
+            "versionField": this.__versionField,
+            "conflictCode": this.__conflictCode,
+            "loaded": this.__flags.isLoaded,
+            "indexes": indexes,
+            "items": this.__itemList.map( function ( item ) {
+                return item.snapshot();
+            } )
+        };
+    }
+
+
+    /**
+     * Loads a list of generic items using the transport.
+     *
+     * Warning: This methods load records and keeps existing data when loading 
+     * again. This can endup in very bad performance which huge lists of data!
+     * You may call clear() method befor load again. Also loading duplicate 
+     * items will fail if item ID also exists. Use the "merge" option to 
+     * refresh the items instead. With an identity map (see setIdentityMap())
+     * registered items are updated and returned, not duplicated.
+     *
+     * Parameters must be given like your backend to request the right address, 
+     * eg: {"program":"a","controller":"b","action":"c"} or other methodes
+     * Server reponse must be a jsonrpc 2.0 result containing the list of items 
+     * as follow:
+     * obj.result.list[ .._Generic_Item_.., .._Generic_Item_.., ... ]
+     *  |    |      |
+     *  |    |      + --- array containing objects to initialise generic item's
+     *  |    + ---------- json rpc api "result" property
+     *  + --------------- response object
+     *
+     * Request params to be set:
+     * <pre>
+     *  - url: {String} Url to request to, Default; 'jsonrpc.php'
+     *  - async: {Boolean} Use asyc request or not; Default: true
+     *  - type: {String} Request type. Default: 'GET'
+     *  - contentType: {String} Default: 'application/json'
+     *  - dataType: {String} Default: 'json'
+     *  - idempotent: {Boolean} Default: true (retries allowed)
+     * </pre>
+     * See Mumsys_Transport_Abstract for all options (e.g. timeout, signal, 
+     * retries). Using the jQuery 
+     * transport: Feel free also to overwrite jQuerys success, error callbacks
+     *
+     * Load options:
+     * <pre>
+     *  - merge: {Boolean} Update existing items (same ID) in place instead of
+     *    adding them again, new items will be added; Default: false
+     *  - remove: {Boolean} In merge mode: remove items with an ID missing in
+     *    the response (new items without an ID are kept); Default: false
+     *  - policy: {String|Function} In merge mode: how to handle locally 
+     *    modified properties. MERGEPOLICY_LOCAL (default) keeps the local 
+     *    values, MERGEPOLICY_SERVER takes the server values or a callback 
+     *    function( item, key, localVal, serverVal ) returning the value to use
+     *  - include: {Array} Names of relations (see hasMany(), belongsTo()) to 
+     *    load the related items of the loaded items for (eager loading, one 
+     *    request per relation)
+     *  - chunkSize: {integer} Number of rows to add at once. Between the 
+     *    chunks the event loop continues (e.g. to keep the page responsive 
+     *    with huge lists); Default: 0 (all rows at once)
+     *  - progress: {Function} Chunked loading: callback function( loaded, 
+     *    total ) after each chunk (also as "load:progress" event)
+     *  - worker: {Mumsys_Generic_Manager_Worker} Parses the response and 
+     *    normalises the rows in a Web Worker. Can not be used with a json rpc
+     *    client (the client parses the responses)
+     * </pre>
+     *
+     * abort() of the promise cancels the request or stops a chunked loading
+     * (the rows of the processed chunks stay in the list). The promise 
+     * rejects with code Mumsys_Exception.ERRCODE_ABORTED. The "signal" 
+     * request option works the same way.
+     *
+     * E.g:
+     * <pre>
+     *  myManager.loadItems( data ).then( function ( list ) { ... } );
+     *  // or
+     *  var list = await myManager.loadItems( data );
+     *  // refresh
+     *  myManager.loadItems( data, false, {"merge": true, "remove": true} );
+     * </pre>
+     *
+     * @param {Object} data Mixed request parameters/ data
+     * @param {Object} requestParams Parameters to overwrite the request 
+     * defaults or to extend for the transport.
+     * @param {Object} options Load options (see above); Optional
+     *
+     * @return {Promise} Resolves with the list of loaded items, rejects with 
+     * a Mumsys_Exception on transport or json rpc errors (including timeouts
+     * and aborted requests) or a Mumsys_Generic_Manager_Exception if the 
+     * merge policy, an included relation, the chunk size or the worker is 
+     * invalid (or a worker is used with a json rpc client) or loading was 
+     * aborted. Has an abort() method to cancel the 
+     * request/ loading
+     */
+    loadItems( data, requestParams = false, options = {} )
+    {
+        var _this = this;
+        var resolver;
+        var includes;
+        var chunkSize = ( options.chunkSize === undefined ) ? 0 : options.chunkSize;
+        var worker = ( options.worker === undefined ) ? null : options.worker;
+        var message;
+
+        try {
+            resolver = this._getMergeResolver( options.policy );
+            includes = ( options.include || [] ).map( function ( name ) {
+                return _this.getRelation( name );
+            } );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        if ( !Number.isInteger( chunkSize ) || chunkSize < 0 ) {
+            message = 'Invalid chunk size "' + chunkSize + '"';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        if ( worker !== null && !( worker instanceof Mumsys_Generic_Manager_Worker ) ) {
+            message = 'Invalid worker';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        if ( worker !== null && this.__client !== null ) {
+            message = 'Workers can not be used with a json rpc client';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        this.__flags.isLoaded = false;
+        this.__events.emit( 'load:start', { "data": data } );
+
+        var defaultParams = {
+            url: this.__url
+            , async: true
+            , type: 'GET'
+            , contentType: 'application/json'
+            , dataType: 'json'
+        };
+
+        // loading is idempotent and may be retried (see "retries" option)
+        var loadOptions = this._copyParams( requestParams || {} );
+        if ( loadOptions.idempotent === undefined ) {
+            loadOptions.idempotent = true;
+        }
+
+        var decode = ( worker === null ) ? null : function ( text ) {
+            return worker.parse( text );
+        };
+        var load = function () {
+            return _this._request( 'load', defaultParams, data, loadOptions, decode );
+        };
+        var aborted = false;
+        var sent;
+
+        if ( this.__cache !== null && loadOptions.cache !== false ) {
+            sent = this.__cache.fetch( this._getCacheKey( data, loadOptions ), load, [ this.__url ] );
+        } else {
+            sent = load();
+        }
+
+        var promise = sent.then( function ( result )
+        {
+            if ( !( result instanceof Object ) || !Array.isArray( result.list ) ) {
+                message = 'Invalid json rpc result: "list" expected';
+                throw new Mumsys_Exception( message );
+            }
+
+            var total = result.list.length;
+            var size = ( chunkSize === 0 ) ? Math.max( total, 1 ) : chunkSize;
+            var ids = new Set();
+            var list = [];
+
+            var ingest = function ( start )
+            {
+                var end = Math.min( start + size, total );
+
+                if ( aborted || ( loadOptions.signal && loadOptions.signal.aborted ) ) {
+                    message = 'Loading aborted';
+                    throw new Mumsys_Generic_Manager_Exception( message, Mumsys_Exception.ERRCODE_ABORTED );
+                }
+
+                // deliver the events of the items of a chunk together
+                _this.__events.batch( function ()
+                {
+                    var rows = result.list.slice( start, end );
+
+                    if ( options.merge === true ) {
+                        list = list.concat( _this._mergeRows( rows, resolver, ids ) );
+                    } else {
+                        list = list.concat( _this._addRows( rows ) );
+                    }
+
+                    if ( chunkSize > 0 ) {
+                        _this.__events.emit( 'load:progress', { "loaded": end, "total": total } );
+                    }
+
+                    if ( end === total ) {
+                        if ( options.merge === true && options.remove === true ) {
+                            _this._removeMissing( ids );
+                        }
+                        _this.__flags.isLoaded = true;
+                        _this.__events.emit( 'load:end', { "items": list } );
+                    }
+                } );
+
+                if ( chunkSize > 0 && typeof options.progress === 'function' ) {
+                    options.progress( end, total );
+                }
+
+                if ( end < total ) {
+                    return _this._yield().then( function () {
+                        return ingest( end );
+                    } );
+                }
+
+                return list;
+            };
+
+            return ingest( 0 );
+        } ).then( function ( list )
+        {
+            // eager loading: one request per relation
+            return Promise.all( includes.map( function ( relation ) {
+                return relation.load( list );
+            } ) ).then( function () {
+                return list;
+            } );
+        } ).catch( this._createErrorHandler( 'load', null ) );
+
+        promise.abort = function () {
+            aborted = true;
+            sent.abort();
+        };
+
+        return promise;
+    }
+
+
+    /**
+     * Save a generic item using the transport.
+     *
+     * Note: the backend must check the "item" parameter where the item 
+     * properties will be send to. ( Dont set params.item!)
+     * Depending on the save mode (see setSaveMode()) all or only the changed 
+     * properties will be send. In SAVEMODE_PATCH the "patch" parameter 
+     * contains the changes (Dont set params.patch!).
+     *
+     * The modification status of the item will be reset after the server 
+     * confirmed the save. If the server returns an item ID (result.item.id) 
+     * it will be set to the item.
+     *
+     * With optimistic locking (see setVersionField()) conflicts will be 
+     * resolved by the conflict strategy (see setConflictStrategy()) and the 
+     * item saved again once if required.
+     *
+     * With an offline queue (see setOfflineQueue()) the save will be queued
+     * while offline or on network errors.
+     *
+     * default request parameters:
+     * <pre>
+     *  - url: {String} Url to request to, Default; 'jsonrpc.php'
+     *  - type: {String} Request type. Default: 'POST'
+     * </pre>
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters to the server
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport.
+     *
+     * @returns {Promise} Resolves with the updated generic item. Rejects with
+     * a Mumsys_Generic_Manager_Exception if params.item or params.patch 
+     * already exists, a Mumsys_Generic_Manager_Conflict_Exception on 
+     * unresolved conflicts or a Mumsys_Exception on transport or json rpc 
+     * errors
+     */
+    saveItem( item, params, requestOptions = false )
+    {
+        if ( params.item !== undefined ) {
+            var message = 'params.item property already defined';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        if ( !item.isModified() ) {
+            return Promise.resolve( item );
+        }
+
+        var _this = this;
+        var baseParams = this._copyParams( params );
+        var state;
+
+        try {
+            state = this._setSaveData( item, params );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        if ( this._isQueued( item ) ) {
+            return this._enqueue( 'save', item, params );
+        }
+
+        var defaultParams = {
+            url: this.__url
+            , type: "POST"
+        };
+
+        var confirm = function ( result )
+        {
+            _this._confirmSave( item, result, state );
+
+            return item;
+        };
+
+        var sent = this._request( 'save', defaultParams, params, requestOptions ).then( confirm, function ( e )
+        {
+            if ( _this.__offline !== null && Mumsys_Generic_Manager_Offline.isNetworkError( e ) ) {
+                return _this._enqueue( 'save', item, params );
+            }
+
+            var error = _this._createConflict( item, e );
+
+            if ( !( error instanceof Mumsys_Generic_Manager_Conflict_Exception ) || _this.__conflict === null ) {
+                throw error;
+            }
+
+            return _this._resolveConflict( error, baseParams, requestOptions );
+        } );
+
+        return sent.catch( this._createErrorHandler( 'save', item ) );
+    }
+
+
+    /**
+     * Saves a list of items.
+     *
+     * With a json rpc client (see setJsonRpcClient()) all modified items will
+     * be send in one json rpc batch request (one "save" call per item), 
+     * otherwise one request per item will be send.
+     *
+     * Failures are reported per item: The promise resolves with a list of 
+     * {"item": Mumsys_Generic_Item_Default, "error": Error|null} entries in 
+     * the order of the given items. Items which are not modified will not be 
+     * send and have no error. Item ids returned by the server will be set to
+     * the items (see saveItem()). Conflicts will be resolved per item by the
+     * conflict strategy (see setConflictStrategy()) and the item saved again
+     * once if required.
+     *
+     * @param {Array} items List of generic item objects
+     * @param {Object} params Request parameters to the server (for each 
+     * item); Optional
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport; Optional
+     *
+     * @returns {Promise} Resolves with the list of entries. Rejects with a 
+     * Mumsys_Generic_Manager_Exception if params.item already exists or a 
+     * Mumsys_Exception if the batch request failed as a whole
+     */
+    saveItems( items, params = {}, requestOptions = false )
+    {
+        var _this = this;
+
+        if ( params.item !== undefined ) {
+            var message = 'params.item property already defined';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        var states = new Map();
+        var prepare = function ( item )
+        {
+            if ( !item.isModified() ) {
+                return null;
+            }
+
+            var itemParams = _this._copyParams( params );
+            states.set( item, _this._setSaveData( item, itemParams ) );
+
+            return itemParams;
+        };
+
+        var confirm = function ( item, result ) {
+            _this._confirmSave( item, result, states.get( item ) );
+        };
+
+        var recover = function ( item, e )
+        {
+            var error = _this._createConflict( item, e );
+
+            if ( !( error instanceof Mumsys_Generic_Manager_Conflict_Exception ) || _this.__conflict === null ) {
+                return Promise.resolve( error );
+            }
+
+            return _this._resolveConflict( error, params, requestOptions ).then(
+                function () {
+                    return null;
+                },
+                function ( failure ) {
+                    return failure;
+                }
+            );
+        };
+
+        return this._requestEach( 'save', items, prepare, confirm, requestOptions, recover );
+    }
+
+
+    /**
+     * Saves all modified items of the manager.
+     *
+     * @see saveItems()
+     *
+     * @param {Object} params Request parameters to the server (for each 
+     * item); Optional
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport; Optional
+     *
+     * @returns {Promise} Resolves with the list of entries of the modified 
+     * items (see saveItems())
+     */
+    saveModified( params = {}, requestOptions = false )
+    {
+        var items = this.getItems().filter( function ( item ) {
+            return item.isModified();
+        } );
+
+        return this.saveItems( items, params, requestOptions );
+    }
+
+
+    /**
+     * Deletes an item on the server.
+     *
+     * The item will be removed from the list of items and the indexes after
+     * the server confirmed the delete. If the request fails the item stays 
+     * unchanged in the list. Items without an id (not saved yet) will be 
+     * removed without a request.
+     *
+     * With an offline queue (see setOfflineQueue()) the delete will be queued
+     * while offline or on network errors and the item removed immediately.
+     *
+     * Cascades of has-many relations (see hasMany()) will be performed on the
+     * related items in memory after the server confirmed the delete of the 
+     * item. Restrictions will be checked before (the related items will be 
+     * loaded if not loaded yet).
+     *
+     * Note: the backend must check the "item" parameter where the item id 
+     * will be send to ({"id": ...}). ( Dont set params.item!)
+     *
+     * default request parameters:
+     * <pre>
+     *  - url: {String} Url to request to, Default; 'jsonrpc.php'
+     *  - type: {String} Request type. Default: 'POST'
+     * </pre>
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters to the server; Optional
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport; Optional
+     *
+     * @returns {Promise} Resolves with the deleted generic item. Rejects with
+     * a Mumsys_Generic_Manager_Exception if params.item already exists or a 
+     * Mumsys_Exception on transport or json rpc errors
+     */
+    deleteItem( item, params = {}, requestOptions = false )
+    {
+        var _this = this;
+
+        if ( params.item !== undefined ) {
+            var message = 'params.item property already defined';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        if ( this._getCascades().length === 0 ) {
+            return this._deleteItem( item, params, requestOptions );
+        }
+
+        var restricted = this._checkRestrict( [ item ] ).catch( this._createErrorHandler( 'delete', item ) );
+
+        return restricted.then( function () {
+            return _this._deleteItem( item, params, requestOptions );
+        } ).then( function () {
+            return _this._cascadeDelete( [ item ] ).then( function () {
+                return item;
+            }, _this._createErrorHandler( 'delete', item ) );
+        } );
+    }
+
+
+    /**
+     * Deletes an item on the server (without cascades).
+     *
+     * @see deleteItem()
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters to the server
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport
+     *
+     * @returns {Promise} Resolves with the deleted generic item
+     */
+    _deleteItem( item, params, requestOptions )
+    {
+        var _this = this;
+
+        if ( !this._setDeleteData( item, params ) )
+        {
+            if ( this.__offline === null ) {
+                this._removeItems( [ item ] );
+                return Promise.resolve( item );
+            }
+
+            // drop the queued mutations of the new item, delete it on the 
+            // server if its first save is being send
+            return this.__offline.discardItem( item ).then( function ()
+            {
+                if ( !_this.__offline.hasMutations( item ) ) {
+                    _this._removeItems( [ item ] );
+                    return item;
+                }
+
+                params.item = { "id": null };
+
+                return _this._enqueue( 'delete', item, params );
+            } );
+        }
+
+        if ( this._isQueued( item ) ) {
+            return this._enqueue( 'delete', item, params );
+        }
+
+        var defaultParams = {
+            url: this.__url
+            , type: "POST"
+        };
+
+        return this._request( 'delete', defaultParams, params, requestOptions ).then( function ()
+        {
+            _this._confirmDelete( [ item ] );
+
+            return item;
+        }, function ( e )
+        {
+            if ( _this.__offline !== null && Mumsys_Generic_Manager_Offline.isNetworkError( e ) ) {
+                return _this._enqueue( 'delete', item, params );
+            }
+
+            throw e;
+        } ).catch( this._createErrorHandler( 'delete', item ) );
+    }
+
+
+    /**
+     * Deletes all items matching the criteria on the server.
+     *
+     * With a json rpc client (see setJsonRpcClient()) all items will be send 
+     * in one json rpc batch request (one "delete" call per item), otherwise 
+     * one request per item will be send.
+     *
+     * Each item will be removed from the list after the server confirmed the
+     * delete of the item. Failures are reported per item: The promise 
+     * resolves with a list of {"item": Mumsys_Generic_Item_Default, "error": 
+     * Error|null} entries. Failed items stay unchanged in the list.
+     *
+     * Cascades (see deleteItem()) will be performed for the deleted items. If
+     * they failed the error of the (deleted) item is a 
+     * Mumsys_Generic_Manager_Relation_Exception.
+     *
+     * @see Mumsys_Generic_Query for the criteria format
+     *
+     * @param {Array|Object|Function} criteria Criteria of the items to delete
+     * @param {Object} params Request parameters to the server (for each 
+     * item); Optional
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport; Optional
+     *
+     * @returns {Promise} Resolves with the list of entries. Rejects with a 
+     * Mumsys_Generic_Manager_Exception if params.item already exists or the
+     * criteria are invalid or a Mumsys_Exception if the batch request failed
+     * as a whole
+     */
+    deleteItems( criteria, params = {}, requestOptions = false )
+    {
+        var _this = this;
+        var items;
+
+        if ( params.item !== undefined ) {
+            var message = 'params.item property already defined';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        try {
+            items = this.findAll( criteria );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        var prepare = function ( item )
+        {
+            var itemParams = _this._copyParams( params );
+
+            if ( !_this._setDeleteData( item, itemParams ) ) {
+                _this._removeItems( [ item ] );
+                return null;
+            }
+
+            return itemParams;
+        };
+
+        var confirm = function ( item ) {
+            _this._confirmDelete( [ item ] );
+        };
+
+        if ( this._getCascades().length === 0 ) {
+            return this._requestEach( 'delete', items, prepare, confirm, requestOptions );
+        }
+
+        var cascade = function ( entry )
+        {
+            if ( entry.error !== null ) {
+                return entry;
+            }
+
+            return _this._cascadeDelete( [ entry.item ] ).then( function () {
+                return entry;
+            }, function ( e ) {
+                entry.error = e;
+                return entry;
+            } );
+        };
+
+        var restricted = this._checkRestrict( items ).catch( this._createErrorHandler( 'delete', null ) );
+
+        return restricted.then( function () {
+            return _this._requestEach( 'delete', items, prepare, confirm, requestOptions );
+        } ).then( function ( entries ) {
+            return Promise.all( entries.map( cascade ) );
+        } );
+    }
+
+
+    /**
+     * Begins a transaction (unit of work).
+     *
+     * Items added during the transaction are new items. Register items to be
+     * deleted with getTransaction().registerDeleted( item ). commit() saves 
+     * and deletes all together, rollback() restores the state at the begin
+     * (including the items removed by removeItem()).
+     *
+     * E.g:
+     * <pre>
+     *  myManager.beginTransaction();
+     *  order.set( 'total', 30 );
+     *  myManager.addItem( myManager.createItem( {"id": null, "orderId": 1} ) );
+     *  myManager.getTransaction().registerDeleted( oldLine );
+     *  myManager.commit().then( ..., function ( e ) { myManager.rollback(); } );
+     * </pre>
+     *
+     * @see Mumsys_Generic_Manager_UnitOfWork
+     *
+     * @returns {Mumsys_Generic_Manager_UnitOfWork} Unit of work
+     * @throws {Mumsys_Generic_Manager_Exception} If a transaction is already
+     * active
+     */
+    beginTransaction()
+    {
+        if ( this.__transaction !== null ) {
+            var message = 'Transaction already started';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__transaction = new Mumsys_Generic_Manager_UnitOfWork( this );
+
+        return this.__transaction;
+    }
+
+
+    /**
+     * Returns the active transaction.
+     *
+     * @returns {Mumsys_Generic_Manager_UnitOfWork|null} Unit of work or null 
+     * if no transaction is active
+     */
+    getTransaction()
+    {
+        return this.__transaction;
+    }
+
+
+    /**
+     * Commits the active transaction.
+     *
+     * @see Mumsys_Generic_Manager_UnitOfWork.commit()
+     *
+     * @param {Object} params Request parameters to the server (for each 
+     * item); Optional
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport; Optional
+     *
+     * @returns {Promise} Resolves with {"saved": Array, "deleted": Array}, 
+     * rejects with a Mumsys_Generic_Manager_Exception if no transaction is 
+     * active or the commit failed
+     */
+    commit( params = {}, requestOptions = false )
+    {
+        if ( this.__transaction === null ) {
+            var message = 'Transaction not active';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        return this.__transaction.commit( params, requestOptions );
+    }
+
+
+    /**
+     * Rolls back the active transaction.
+     *
+     * @see Mumsys_Generic_Manager_UnitOfWork.rollback()
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If no transaction is active
+     */
+    rollback()
+    {
+        if ( this.__transaction === null ) {
+            var message = 'Transaction not active';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__transaction.rollback();
+    }
+
+
+    /**
+     * Performs a request to the server.
+     *
+     * Uses the json rpc client (the data as params of the mapped method) if 
+     * set, otherwise the transport. The request runs through the middlewares
+     * (see use()).
+     *
+     * @param {String} action Action of the request (key of the json rpc 
+     * methods map, e.g. 'load', 'save')
+     * @param {Object} defaultParams Default request options for the transport
+     * @param {Object} data Request parameters/ data
+     * @param {Object} requestOptions Request options to overwrite the defaults
+     * @param {Function|null} decode Callback function( text ) returning a 
+     * promise of the response object to request the response as text (not
+     * used with a json rpc client); Optional
+     *
+     * @returns {Promise} Resolves with the json rpc result, rejects with a 
+     * Mumsys_Exception on transport or json rpc errors. Has the abort() 
+     * method of the transport promise
+     */
+    _request( action, defaultParams, data, requestOptions, decode = null )
+    {
+        var _this = this;
+        var client = this.__client;
+        var request = {
+            "action": action,
+            "manager": this,
+            "method": ( client === null ) ? null : this.__clientMethods[action],
+            "data": data,
+            "options": null
+        };
+
+        if ( client === null ) {
+            request.options = this._buildParams( defaultParams, data, requestOptions );
+
+            if ( decode !== null ) {
+                request.options.dataType = 'text';
+            }
+        } else {
+            request.options = this._copyParams( requestOptions || {} );
+        }
+
+        return this._dispatch( request, function ( request )
+        {
+            if ( client !== null ) {
+                return client.call( request.method, request.data, request.options );
+            }
+
+            request.options.data = request.data;
+
+            var sent = _this.getTransport().request( request.options );
+            var response = ( decode === null ) ? sent : sent.then( decode );
+            var promise = response.then( function ( obj )
+            {
+                Mumsys.checkJsonRpcResponce( obj );
+
+                return obj.result;
+            } );
+            promise.abort = sent.abort;
+
+            return promise;
+        } );
+    }
+
+
+    /**
+     * Runs a request through the global and the manager middlewares.
+     *
+     * @param {Object} request Request object (see use())
+     * @param {Function} handler Callback function( request ) sending the 
+     * request and returning a promise (with an abort() method)
+     *
+     * @returns {Promise} Resolves with the result, rejects with the error of
+     * the request or a middleware. Has an abort() method to cancel the 
+     * request
+     */
+    _dispatch( request, handler )
+    {
+        var _this = this;
+        var abort = null;
+        var aborted = false;
+
+        var promise = Mumsys.getMiddleware().run( request, function ( request ) {
+            return _this.__middleware.run( request, function ( request )
+            {
+                if ( aborted ) {
+                    var message = 'Request aborted';
+                    throw new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_ABORTED );
+                }
+
+                var sent = handler( request );
+
+                // keep it: without middlewares "sent" is the returned promise
+                if ( sent instanceof Object && typeof sent.abort === 'function' ) {
+                    abort = sent.abort;
+                }
+
+                return sent;
+            } );
+        } );
+
+        promise.abort = function () {
+            aborted = true;
+
+            if ( abort !== null ) {
+                abort();
+            }
+        };
+
+        return promise;
+    }
+
+
+    /**
+     * Creates and adds a relation.
+     *
+     * @param {String} name Name of the relation
+     * @param {String} type Relation type
+     * @param {Mumsys_Generic_Manager_Default} manager Related manager
+     * @param {String} foreignKey Foreign key property
+     * @param {Object} options Relation options
+     *
+     * @returns {Mumsys_Generic_Manager_Relation} Relation object
+     * @throws {Mumsys_Generic_Manager_Exception} If a parameter is invalid or
+     * the relation already exists
+     */
+    _addRelation( name, type, manager, foreignKey, options )
+    {
+        if ( this.__relations.hasOwnProperty( name ) ) {
+            var message = 'Relation "' + name + '" already exists';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__relations[name] = new Mumsys_Generic_Manager_Relation( name, type, manager, foreignKey, options );
+
+        return this.__relations[name];
+    }
+
+
+    /**
+     * Returns the relations having a cascade on delete.
+     *
+     * @returns {Array} List of relations
+     */
+    _getCascades()
+    {
+        var list = [];
+
+        for ( var name in this.__relations ) {
+            if ( this.__relations.hasOwnProperty( name ) && this.__relations[name].getCascade() !== null ) {
+                list.push( this.__relations[name] );
+            }
+        }
+
+        return list;
+    }
+
+
+    /**
+     * Checks the restrictions (see CASCADE_RESTRICT) of the items to be 
+     * deleted. Related items not loaded yet will be loaded first.
+     *
+     * @param {Array} items List of generic items to be deleted
+     *
+     * @returns {Promise} Resolves if no related items exist, rejects with a
+     * Mumsys_Generic_Manager_Exception if restricted or a Mumsys_Exception on
+     * transport or json rpc errors
+     */
+    _checkRestrict( items )
+    {
+        var restricts = this._getCascades().filter( function ( relation ) {
+            return relation.getCascade() === Mumsys_Generic_Manager_Relation.CASCADE_RESTRICT;
+        } );
+
+        var load = function ( relation ) {
+            return relation.load( items.filter( function ( item ) {
+                return !relation.isLoaded( item );
+            } ) );
+        };
+
+        return Promise.all( restricts.map( load ) ).then( function ()
+        {
+            var message;
+
+            for ( var i = 0; i < restricts.length; i++ ) {
+                for ( var j = 0; j < items.length; j++ ) {
+                    if ( restricts[i].find( items[j] ).length > 0 ) {
+                        message = 'Item "' + items[j].get( 'id', null ) + '" has related "'
+                            + restricts[i].getName() + '" items';
+                        throw new Mumsys_Generic_Manager_Exception( message );
+                    }
+                }
+            }
+        } );
+    }
+
+
+    /**
+     * Performs the cascades of the deleted items.
+     *
+     * The related items will be deleted or their foreign keys set to null and
+     * saved. The requests of the related items are not atomic: all of them
+     * will be awaited and the successful ones stay done if others failed.
+     *
+     * @param {Array} items List of deleted generic items
+     *
+     * @returns {Promise} Resolves when done, rejects with a 
+     * Mumsys_Generic_Manager_Relation_Exception listing the failed related 
+     * items
+     */
+    _cascadeDelete( items )
+    {
+        var cascades = this._getCascades();
+        var relation;
+        var i, j;
+
+        var promises = [];
+        var errors = [];
+        var settle = function ( relation, related )
+        {
+            var promise;
+
+            try {
+                promise = this._cascadeItem( relation, related );
+            } catch ( e ) {
+                promise = Promise.reject( e );
+            }
+
+            return promise.catch( function ( error ) {
+                errors.push( { "item": related, "error": error } );
+            } );
+        };
+
+        for ( i = 0; i < cascades.length; i++ )
+        {
+            relation = cascades[i];
+
+            for ( j = 0; j < items.length; j++ ) {
+                promises = promises.concat( relation.find( items[j] ).slice().map( settle.bind( this, relation ) ) );
+            }
+        }
+
+        return Promise.all( promises ).then( function ()
+        {
+            if ( errors.length > 0 ) {
+                throw new Mumsys_Generic_Manager_Relation_Exception( errors );
+            }
+        } );
+    }
+
+
+    /**
+     * Deletes a related item or sets its foreign key to null and saves it.
+     *
+     * @param {Mumsys_Generic_Manager_Relation} relation Relation of the item
+     * @param {Mumsys_Generic_Item_Default} related Related generic item
+     *
+     * @returns {Promise} Resolves with the related item
+     */
+    _cascadeItem( relation, related )
+    {
+        switch ( relation.getCascade() )
+        {
+            case Mumsys_Generic_Manager_Relation.CASCADE_DELETE:
+                return relation.getManager().deleteItem( related );
+
+            case Mumsys_Generic_Manager_Relation.CASCADE_NULLIFY:
+                related.set( relation.getForeignKey(), null );
+                return relation.getManager().saveItem( related, {} );
+
+            default:
+                return Promise.resolve( related );
+        }
+    }
+
+
+    /**
+     * Returns a rejection handler emitting the "error" event.
+     *
+     * @param {String} action Action of the request (e.g. 'load', 'save')
+     * @param {Mumsys_Generic_Item_Default|null} item Item of the request
+     *
+     * @returns {Function} Callback function( error ) throwing the error
+     */
+    _createErrorHandler( action, item )
+    {
+        var _this = this;
+
+        return function ( error )
+        {
+            _this.__events.emit( 'error', { "action": action, "item": item, "error": error } );
+
+            throw error;
+        };
+    }
+
+
+    /**
+     * Sends a replayed mutation of the offline queue.
+     *
+     * @param {String} action Action of the mutation ('save' or 'delete')
+     * @param {Object} params Request parameters of the mutation
+     *
+     * @returns {Promise} Resolves with the json rpc result, rejects with a 
+     * Mumsys_Exception on transport or json rpc errors
+     */
+    _sendMutation( action, params )
+    {
+        var defaultParams = {
+            url: this.__url
+            , type: "POST"
+        };
+
+        return this._request( action, defaultParams, params, false );
+    }
+
+
+    /**
+     * Checks if a mutation of the item must be added to the offline queue 
+     * (offline or mutations of the item are queued).
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {Boolean}
+     */
+    _isQueued( item )
+    {
+        return this.__offline !== null
+            && ( !this.__offline.isOnline() || this.__offline.hasMutations( item ) );
+    }
+
+
+    /**
+     * Adds a mutation to the offline queue and applies it locally: saved 
+     * items are no longer modified, deleted items are removed.
+     *
+     * @param {String} action Action of the mutation ('save' or 'delete')
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters including the item data
+     *
+     * @returns {Promise} Resolves with the generic item when the mutation is
+     * stored, rejects with a Mumsys_Storage_Exception
+     */
+    _enqueue( action, item, params )
+    {
+        var promise = this.__offline.enqueue( action, item, params );
+
+        if ( action === 'delete' ) {
+            this._removeItems( [ item ] );
+        } else {
+            item.setModified( false );
+        }
+        this._invalidateCache();
+
+        return promise.then( function () {
+            return item;
+        } );
+    }
+
+
+    /**
+     * Performs one request per item, as json rpc batch if a json rpc client
+     * is set.
+     *
+     * @param {String} action Action of the requests (e.g. 'save', 'delete')
+     * @param {Array} items List of generic items
+     * @param {Function} prepare Callback getting the item and returning the 
+     * request parameters or null to skip the item. Exceptions will be 
+     * reported as error of the item
+     * @param {Function} confirm Callback getting the item and the result 
+     * after the server confirmed the request of the item
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport
+     * @param {Function|null} recover Callback getting the item and the error
+     * of a failed request and returning a promise of the error to report or
+     * null if the failure was resolved; Optional
+     *
+     * @returns {Promise} Resolves with the list of {"item": item, "error": 
+     * Error|null} entries. Rejects with a Mumsys_Exception if the batch 
+     * request failed as a whole
+     */
+    _requestEach( action, items, prepare, confirm, requestOptions, recover = null )
+    {
+        var _this = this;
+        var entries = [];
+        var requests = [];
+        var sent = [];
+        var itemParams;
+
+        for ( var i = 0; i < items.length; i++ ) {
+            entries.push( { "item": items[i], "error": null } );
+
+            try {
+                itemParams = prepare( items[i] );
+            } catch ( e ) {
+                entries[i].error = e;
+                continue;
+            }
+
+            if ( itemParams !== null ) {
+                requests.push( { "action": action, "params": itemParams } );
+                sent.push( entries[i] );
+            }
+        }
+
+        var failed = [];
+
+        var report = function ()
+        {
+            for ( var k = 0; k < entries.length; k++ ) {
+                if ( entries[k].error !== null ) {
+                    var event = { "action": action, "item": entries[k].item, "error": entries[k].error };
+                    _this.__events.emit( 'error', event );
+                }
+            }
+        };
+
+        return this._sendEach( requests, requestOptions ).then( function ( responses )
+        {
+            // deliver the events of all items together
+            _this.__events.batch( function ()
+            {
+                for ( var j = 0; j < sent.length; j++ ) {
+                    if ( responses[j].error !== null ) {
+                        sent[j].error = responses[j].error;
+                        failed.push( sent[j] );
+                        continue;
+                    }
+
+                    try {
+                        confirm( sent[j].item, responses[j].result );
+                    } catch ( e ) {
+                        sent[j].error = e;
+                    }
+                }
+
+                if ( recover === null || failed.length === 0 ) {
+                    report();
+                }
+            } );
+
+            if ( recover === null || failed.length === 0 ) {
+                return entries;
+            }
+
+            return Promise.all( failed.map( function ( entry ) {
+                return recover( entry.item, entry.error ).then( function ( error ) {
+                    entry.error = error;
+                } );
+            } ) ).then( function () {
+                _this.__events.batch( report );
+
+                return entries;
+            } );
+        }, this._createErrorHandler( action, null ) );
+    }
+
+
+    /**
+     * Sends a list of requests, as one json rpc batch if a json rpc client is
+     * set, otherwise one request each.
+     *
+     * @param {Array} requests List of {"action": String, "params": Object} 
+     * requests
+     * @param {Object} requestOptions Parameters to overwrite the request 
+     * defaults of the transport
+     *
+     * @returns {Promise} Resolves with the list of {"result": Mixed, "error": 
+     * Error|null} responses in the order of the requests. Rejects with a 
+     * Mumsys_Exception if the batch request failed as a whole
+     */
+    _sendEach( requests, requestOptions )
+    {
+        var _this = this;
+
+        if ( this.__client === null )
+        {
+            var defaultParams = {
+                url: this.__url
+                , type: "POST"
+            };
+
+            return Promise.all( requests.map( function ( request )
+            {
+                return _this._request( request.action, defaultParams, request.params, requestOptions ).then(
+                    function ( result ) { return { "result": result, "error": null }; },
+                    function ( e ) { return { "result": null, "error": e }; }
+                );
+            } ) );
+        }
+
+        var request = {
+            "action": "batch",
+            "manager": this,
+            "method": null,
+            "data": requests,
+            "options": this._copyParams( requestOptions || {} )
+        };
+
+        return this._dispatch( request, function ( request )
+        {
+            var batch = _this.__client.createBatch();
+            for ( var i = 0; i < request.data.length; i++ ) {
+                batch.add( _this.__clientMethods[request.data[i].action], request.data[i].params );
+            }
+
+            return batch.send( request.options );
+        } );
+    }
+
+
+    /**
+     * Sets the id of the item to be deleted to the request parameters.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters to add the item id to
+     *
+     * @returns {Boolean} False if the item has no id (nothing to delete on 
+     * the server)
+     */
+    _setDeleteData( item, params )
+    {
+        var id = item.get( 'id', null );
+
+        if ( id === null ) {
+            return false;
+        }
+
+        params.item = { "id": id };
+
+        return true;
+    }
+
+
+    /**
+     * Sets the item data to be saved to the request parameters depending on 
+     * the save mode.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters to add the item data to
+     *
+     * @returns {Object} Copy of the item properties sent (the state to 
+     * confirm by _confirmSave())
+     * @throws {Mumsys_Generic_Manager_Exception} If params.patch already exists
+     */
+    _setSaveData( item, params )
+    {
+        switch ( this.__saveMode )
+        {
+            case Mumsys_Generic_Manager_Default.SAVEMODE_PARTIAL:
+                params.item = item.getChanges();
+                params.item.id = item.get( 'id', null );
+                this._setVersionData( item, params );
+                break;
+
+            case Mumsys_Generic_Manager_Default.SAVEMODE_PATCH:
+                if ( params.patch !== undefined ) {
+                    var message = 'params.patch property already defined';
+                    throw new Mumsys_Generic_Manager_Exception( message );
+                }
+
+                params.item = { "id": item.get( 'id', null ) };
+                params.patch = item.getPatch();
+                this._setVersionData( item, params );
+                break;
+
+            default:
+                params.item = item.getProperties();
+        }
+
+        return JSON.parse( JSON.stringify( item.getProperties() ) );
+    }
+
+
+    /**
+     * Resets the active transaction if the given one ended.
+     *
+     * @param {Mumsys_Generic_Manager_UnitOfWork} transaction Ended unit of 
+     * work
+     *
+     * @returns {void}
+     */
+    _endTransaction( transaction )
+    {
+        if ( this.__transaction === transaction ) {
+            this.__transaction = null;
+        }
+    }
+
+
+    /**
+     * Removes the given items from the list of items and the indexes.
+     *
+     * @param {Array} items List of generic items to remove
+     *
+     * @returns {void}
+     */
+    _removeItems( items )
+    {
+        if ( items.length === 0 ) {
+            return;
+        }
+
+        var remove = new Set( items );
+        var keys = Object.keys( this.__indexes );
+
+        this.__events.begin();
+
+        try
+        {
+            for ( var i = 0; i < items.length; i++ ) {
+                for ( var j = 0; j < keys.length; j++ ) {
+                    this.__indexes[keys[j]].remove( items[i] );
+                }
+                items[i].detach( this.__observer );
+                items[i].off( '*', this.__forward );
+                items[i]._unsetManager( this );
+                this.__events.emit( 'remove', { "item": items[i] } );
+            }
+
+            this.__itemList = this.__itemList.filter( function ( item ) {
+                return !remove.has( item );
+            } );
+            this._releaseIdentities( items );
+        } finally {
+            this.__events.end();
+        }
+    }
+
+
+    /**
+     * Returns the id and the version of a save result.
+     *
+     * @param {Object} result Result of the save request
+     *
+     * @returns {Object} List of key/value pairs confirmed by the server
      */
-    constructor( url = false )
+    _getConfirmed( result )
     {
-        /**
-         * Location to send/get requests results.
-         * @private Private property
-         * @type {string}
-         */
-        this.__url = 'jsonrpc.php';
+        var props = {};
 
-        if ( url ) {
-            this.__url = url;
+        if ( !( result instanceof Object ) || !( result.item instanceof Object ) ) {
+            return props;
         }
 
-        /**
-         * List of items.
-         * @private Private property
-         * @type Array
-         */
-        this.__itemList = [];
+        if ( result.item.id !== undefined ) {
+            props.id = result.item.id;
+        }
 
-        /**
-         * Private flags to detect:
-         *  - if loading of data is finished.
-         * @private Private property: Use public methodes
-         * @type {Object}
-         */
-        this.__flags = { "isLoaded": false };
+        if ( this.__versionField !== null && result.item[this.__versionField] !== undefined ) {
+            props[this.__versionField] = result.item[this.__versionField];
+        }
 
-        /**
-         * Map as memory keeper to speed up item searches
-         * @type Object
-         */
-        this.__map = { };
+        return props;
     }
 
 
     /**
-     * Create a new generic item by given properties.
+     * Sets the item id of the save result and resets the modification status.
+     * The id and the version are not added to the undo history (see
+     * Mumsys_Generic_Item_Default.confirm()).
      *
-     * @param {Object} props Properties to initialize the item
+     * With the sent state only the sent values will be accepted: changes made
+     * while the request was pending stay modified and will be saved by the
+     * next save.
      *
-     * @returns {Mumsys_Generic_Item_Default} Generic item object
-     * @throws {Mumsys_Generic_Manager_Exception} If props not of type object
+     * @param {Mumsys_Generic_Item_Default} item Saved generic item object
+     * @param {Object} result Result of the save request
+     * @param {Object|null} state Item properties sent (see _setSaveData());
+     * Optional, Default: null (accept the current values)
+     *
+     * @returns {void}
      */
-    createItem( props )
+    _confirmSave( item, result, state = null )
     {
-        if ( props instanceof Object ) {
-            return new Mumsys_Generic_Item_Default( props );
+        item.confirm( this._getConfirmed( result ) );
+
+        if ( state === null ) {
+            item.setModified( false );
         } else {
-            var message = 'Invalid properties';
-            throw new Mumsys_Generic_Manager_Exception( message );
+            state.id = item.get( 'id', null );
+            if ( this.__versionField !== null ) {
+                state[this.__versionField] = item.get( this.__versionField );
+            }
+            item.commit( state );
         }
+        this._invalidateCache();
+        this.__events.emit( 'save', { "item": item } );
     }
 
 
     /**
-     * Adds a generic item interface to the list of items to work with.
+     * Removes the deleted items after the server confirmed the deletion.
      *
-     * @param {Mumsys_Generic_Item_Default} item Generic item to add
+     * @param {Array} items List of deleted items
+     *
+     * @returns {void}
      */
-    addItem( item )
+    _confirmDelete( items )
     {
-        if ( item instanceof Mumsys_Generic_Item_Default )
-        {
-            var id = item.get( 'id' );
-
-            if ( id !== undefined && this.__map[ id ] !== undefined ) {
-                var message = '"id" (' + id + ') is unique and already exists';
-                throw new Mumsys_Generic_Manager_Exception( message );
-            }
+        this._removeItems( items );
 
-            if ( id !== undefined ) {
-                this.__map[ id ] = this.__itemList.length;
+        if ( this.__identityMap !== null ) {
+            for ( var i = 0; i < items.length; i++ ) {
+                this.__identityMap.remove( this.__identityType, items[i] );
             }
-
-            this.__itemList.push( item );
-        } 
-        else {
-            throw new Mumsys_Generic_Manager_Exception( 'Invalid item' );
         }
+
+        this._invalidateCache();
     }
 
 
     /**
-     * Remove an item by given id from memory/ current item list.
+     * Releases the items from the identity map (see
+     * Mumsys_Generic_Manager_IdentityMap.release()).
      *
-     * @param {string|integer} id Unique ID of the item
+     * @param {Array} items List of items the manager dropped
+     *
+     * @returns {void}
      */
-    removeItem( id )
+    _releaseIdentities( items )
     {
-        var _tmp = [];
-        var _tmpmap = {};
-
-        if ( this.__map[ id ] !== undefined ) {
-            this.__itemList.splice( this.__map[ id ], 1);
-            delete this.__map[ id ];
-            
+        if ( this.__identityMap === null ) {
             return;
         }
-        
-        // fallback
-        for ( var i = 0; i < this.__itemList.length; i++ )
-        {
-            var itemID = this.__itemList[i].get( 'id' );
-            if ( itemID !== id ) {
-                _tmp.push( this.__itemList[i] );
-                _tmpmap[ itemID ] = i;
-            }
+
+        for ( var i = 0; i < items.length; i++ ) {
+            this.__identityMap.release( this.__identityType, items[i], this );
+        }
+    }
+
+
+    /**
+     * Returns the item of the id from the identity map.
+     *
+     * @param {Mixed} id Item id
+     *
+     * @returns {Mumsys_Generic_Item_Default|undefined} Registered item or
+     * undefined if not registered or no identity map is set
+     */
+    _getIdentity( id )
+    {
+        if ( this.__identityMap === null ) {
+            return undefined;
         }
 
-        this.__itemList = _tmp;
-        this.__map = _tmpmap;
+        return this.__identityMap.get( this.__identityType, id );
     }
 
 
     /**
-     * Returns the list of generic items.
+     * Removes the cache entries of the manager.
      *
-     * @returns {Array} List of Mumsys_Generic_Item_Default items
+     * @returns {void}
      */
-    getItems()
+    _invalidateCache()
     {
-        return this.__itemList;
+        if ( this.__cache !== null ) {
+            this.__cache.invalidate( this.__url );
+        }
     }
 
 
     /**
-     * Returns a generic item by identifier and the expected value.
-     * 
-     * The first match will return.
-     * Alternativly you can also fetch an item by given array index as "idx" for 
-     * the key. 
-     * Warning: Be sure your data does not contain a idx key/property!
-     * Note: Checks are type save! Be sure checking for integer, string...
+     * Returns the cache key of a load request.
      *
-     * E.g:
-     * getItem('idx', 0); // returns the first element of the item list
-     * getItem('idx', -1);// returns the last  element of the item list
-     * getItem('idx', 1); // returns the item with the internal key = 1
-     * getItem('id', 3);  // returns the item with id=3 or undefined if not set
+     * @param {Object} data Request parameters/ data
+     * @param {Object} requestOptions Request options
      *
-     * @param {String|integer} key Item property to look for. E.g: 'id'
-     * @param {Mixed} value Value you are looking for
-     * @param {mixed|null} defreturn Default return value if item was not 
-     * found. Optional, otherwise undefined will return
-     * 
-     * @return {Mumsys_Generic_Item_Default|defreturn} Generic item or undefined 
-     * for not found
+     * @returns {String} Cache key
      */
-    getItem( key, value, defreturn )
+    _getCacheKey( data, requestOptions )
     {
-        if ( key === 'idx' )
+        var request = {
+            "url": requestOptions.url || this.__url,
+            "method": ( this.__client === null ) ? null : this.__clientMethods.load,
+            "data": data
+        };
+
+        return Mumsys_Generic_Manager_Cache.createKey( request );
+    }
+
+
+    /**
+     * Merges loaded item properties into the existing items or adds new 
+     * items.
+     *
+     * @param {Array} rows List of item properties of the server
+     * @param {Function|null} resolver Resolver for Mumsys_Generic_Item_Default.merge()
+     * @param {Set} ids Set to add the IDs of the rows to
+     *
+     * @returns {Array} List of merged and new items in the order of the list
+     */
+    _mergeRows( rows, resolver, ids )
+    {
+        var list = [];
+        var item;
+        var id;
+        var itemResolver;
+
+        for ( var i = 0; i < rows.length; i++ )
         {
-            if ( value === -1 )
-            {
-                var k;
-                if ( ( this.__itemList.length - 1 ) < 0 ) {
-                    k = 0;
-                } else {
-                    k = this.__itemList.length - 1;
-                }
+            id = ( rows[i] instanceof Object ) ? rows[i].id : undefined;
+            item = ( id === undefined || id === null ) ? undefined : this.__indexes.id.findOne( id );
 
-                return this.__itemList[ k ];
-            } 
-            else {
-                return this.__itemList[ value ];
+            if ( item === undefined ) {
+                item = this._getIdentity( id );
             }
 
-            return this.__itemList[ value ];
-        }
+            if ( item === undefined ) {
+                item = this.createItem( rows[i] );
+                this.addItem( item );
+            } else {
+                itemResolver = null;
+                if ( resolver !== null ) {
+                    itemResolver = resolver.bind( null, item );
+                }
+                item.merge( rows[i], itemResolver );
 
-        if ( key === 'id' && this.__map[ key ] !== undefined ) {
-            return this.__itemList[ this.__map[ key ] ];
-        }
+                // shared item of the identity map
+                if ( this.__indexes.id.findOne( id ) !== item ) {
+                    this.addItem( item );
+                }
+            }
 
-        for ( var i = 0; i < this.__itemList.length; i++ ) {
-            if ( this.__itemList[i].get( key ) === value ) {
-                return this.__itemList[i];
+            if ( id !== undefined && id !== null ) {
+                ids.add( id );
             }
+            list.push( item );
         }
 
-        return defreturn;
+        return list;
     }
 
 
     /**
-     * Clears the item list buffer.
+     * Removes the items with an ID missing in the given IDs (new items 
+     * without an ID are kept).
+     *
+     * @param {Set} ids IDs of the items to keep
+     *
+     * @returns {void}
      */
-    clear()
+    _removeMissing( ids )
     {
-        this.__itemList = [];
-        this.__map = {};
+        this._removeItems( this.__itemList.filter( function ( item ) {
+            var id = item.get( 'id', null );
+            return ( id !== null && !ids.has( id ) );
+        } ) );
     }
 
 
     /**
-     * Returns the status flag if loading of data was successful.
+     * Creates and adds the items of loaded item properties.
      *
-     * @returns {Boolean} true on success or false on failure or on not finished 
-     * yet
+     * @param {Array} rows List of item properties of the server
+     *
+     * @returns {Array} List of the items
+     * @throws {Mumsys_Generic_Manager_Exception} If an item ID already exists
      */
-    isLoaded()
+    _addRows( rows )
     {
-        return this.__flags.isLoaded;
+        var list = [];
+        var item;
+
+        for ( var i = 0; i < rows.length; i++ ) {
+            item = this.createItem( rows[i] );
+
+            // shared item (identity map) may be listed already
+            if ( this.__indexes.id.findOne( item.get( 'id' ) ) !== item ) {
+                this.addItem( item );
+            }
+            list.push( item );
+        }
+
+        return list;
     }
 
 
     /**
-     * Loads a list of generic items. Wrapper method for jQuery.ajax()
+     * Returns a promise resolving in a new task of the event loop (to let the
+     * browser render and handle events between chunks).
      *
-     * Warning: This methods load records and keeps existing data when loading 
-     * again. This can endup in very bad performance which huge lists of data!
-     * You may call clear() method befor load again. Also loading duplicate 
-     * items will fail if item ID also exists.
+     * @returns {Promise} Resolves after the current task
+     */
+    _yield()
+    {
+        return new Promise( function ( resolve ) {
+            setTimeout( resolve, 0 );
+        } );
+    }
+
+
+    /**
+     * Returns the resolver of the merge policy.
      *
-     * Parameters must be given like your backend to request the right address, 
-     * eg: {"program":"a","controller":"b","action":"c"} or other methodes
-     * Server reponse must be a jsonrpc 2.0 result containing the list of items 
-     * as follow:
-     * obj.result.list[ .._Generic_Item_.., .._Generic_Item_.., ... ]
-     *  |    |      |
-     *  |    |      + --- array containing objects to initialise generic item's
-     *  |    + ---------- json rpc api "result" property
-     *  + --------------- response object
+     * @param {String|Function|undefined} policy One of the MERGEPOLICY_* 
+     * constants, a callback or undefined for the default
      *
-     * Request params to be set:
-     * <pre>
-     *  - url: {String} Url to request to, Default; 'jsonrpc.php'
-     *  - async: {Boolean} Use asyc request or not; Default: true
-     *  - type: {String} Request type. Default: 'GET'
-     *  - contentType: {String} Default: 'application/json'
-     *  - dataType: {String} Default: 'json'
-     * </pre>
-     * Feel free also to overwrite jQuerys success, error callbacks
+     * @returns {Function|null} Callback function( item, key, localVal, 
+     * serverVal ) or null to keep local values
+     * @throws {Mumsys_Generic_Manager_Exception} If policy is invalid
+     */
+    _getMergeResolver( policy )
+    {
+        if ( policy === undefined || policy === Mumsys_Generic_Manager_Default.MERGEPOLICY_LOCAL ) {
+            return null;
+        }
+
+        if ( policy === Mumsys_Generic_Manager_Default.MERGEPOLICY_SERVER ) {
+            return function ( item, key, localVal, serverVal ) {
+                return serverVal;
+            };
+        }
+
+        if ( typeof policy !== 'function' ) {
+            var message = 'Invalid merge policy "' + policy + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        return policy;
+    }
+
+
+    /**
+     * Resolves a conflict of a save by the conflict strategy and saves the
+     * item again once if required.
      *
-     * @param {Object} data Mixed request parameters/ data
-     * @param {Object} requestParams Parameters to overwrite the ajax request 
-     * defaults or to extend for jQuery.ajax().
+     * @param {Mumsys_Generic_Manager_Conflict_Exception} conflict Conflict
+     * @param {Object} params Request parameters to the server (without the
+     * item)
+     * @param {Object} requestOptions Parameters to overwrite the request
+     * defaults of the transport
      *
-     * @return {void}
-     * @throws {Mumsys_Exception} On errors in response
+     * @returns {Promise} Resolves with the item. Rejects with the conflict if
+     * the strategy rejects it or a new conflict of the second save
      */
-     loadItems( data, requestParams = false )
+    _resolveConflict( conflict, params, requestOptions )
     {
-        /**
-         * Request parameters. (finals for the server request)
-         * @type {Object} Mixed key/value pairs
-         */
-        var _reParams;
         var _this = this;
-        this.__flags.isLoaded = false;
+        var item = conflict.getItem();
 
-        var defaultParams = {
-            url: this.__url
-            , async: true
-            , type: 'GET'
-            , contentType: 'application/json'
-            , dataType: 'json'
-            , success: function ( obj )
+        return this.__conflict.resolve( conflict, this.__versionField ).then( function ( props )
+        {
+            if ( props === null ) {
+                return item;
+            }
+
+            var version = {};
+
+            for ( var key in props )
             {
-                Mumsys.checkJsonRpcResponce( obj );
+                if ( !props.hasOwnProperty( key ) ) {
+                    continue;
+                }
 
-                for ( var i = 0; i < obj.result.list.length; i++ ) {
-                    _this.addItem( _this.createItem( obj.result.list[i] ) );
+                // the server version is no local change
+                if ( key === _this.__versionField ) {
+                    version[key] = props[key];
+                } else {
+                    item.set( key, props[key] );
                 }
-                _this.__flags.isLoaded = true;
             }
-            , error: function ( obj/*, textStatus, errorThrown */ )
-            {
-                Mumsys.checkJsonRpcResponce( obj );
-            }
-        };
+            item.confirm( version );
+
+            // save again once, a new conflict rejects
+            var retryParams = _this._copyParams( params );
+            var state = _this._setSaveData( item, retryParams );
+            var defaultParams = {
+                url: _this.__url
+                , type: "POST"
+            };
 
-        _reParams = this._buildParams( defaultParams, data, requestParams );
+            return _this._request( 'save', defaultParams, retryParams, requestOptions ).then(
+                function ( result ) {
+                    _this._confirmSave( item, result, state );
 
-        jQuery.ajax( _reParams ).done( function ( obj ) {
-            Mumsys.checkJsonRpcResponce( obj );
+                    return item;
+                },
+                function ( e ) {
+                    throw _this._createConflict( item, e );
+                }
+            );
         } );
     }
 
 
     /**
-     * Save a generic item. Wrapper method for jQuery.ajax()
-     *
-     * Note: the backend must check the "item" parameter where the item 
-     * properties will be send to. ( Dont set params.item!)
-     *
-     * default request parameters:
-     * <pre>
-     *  - url: {String} Url to request to, Default; 'jsonrpc.php'
-     *  - type: {String} Request type. Default: 'POST'
-     *  - error: {function} Callback for errors
-     * </pre>
-     *
-     * @param {Mumsys_Generic_Item_Default} item Generic item object
-     * @param {Object} params Request parameters to the server
-     * @param {Object} requestOptions Parameters to overwrite the ajax request 
-     * defaults of jQuery.
+     * Returns the conflict exception if optimistic locking is enabled and the
+     * error reports a conflict, otherwise the error.
      *
-     * @returns {Object} Returns the updated generic item
+     * @param {Mumsys_Generic_Item_Default} item Saved item
+     * @param {Error} error Error of the save request
      *
-     * @throws {Mumsys_Generic_Manager_Exception} If params.item already exists
-     * @throws {Mumsys_Exception} If json response is in error
+     * @returns {Error} Conflict exception or the given error
      */
-    saveItem( item, params, requestOptions = false )
+    _createConflict( item, error )
     {
-        if ( params.item !== undefined ) {
-            var message = 'params.item property already defined';
-            throw new Mumsys_Generic_Manager_Exception( message );
+        if ( this.__versionField === null ) {
+            return error;
         }
 
-        if ( item.isModified() )
-        {
-            params.item = item.getProperties();
+        var conflict = Mumsys_Generic_Manager_Conflict.createException( item, error, this.__conflictCode );
 
-            var defaultParams = {
-                url: this.__url
-                , type: "POST"
-                , fail: function ( obj, textStatus, errorThrown ) 
-                    {
-                        console.log("fail textStatus", textStatus);
-                        console.log("fail errorThrown", errorThrown);
-
-                        Mumsys.checkJsonRpcResponce(
-                            jQuery.parseJSON(obj.responseText)
-                        );
-                    }
-            };
+        return ( conflict === null ) ? error : conflict;
+    }
 
-            var reqParams = this._buildParams(
-                defaultParams, params, requestOptions
-            );
-            
-            jQuery.ajax( reqParams ).done( function ( obj )
-                {
-                    Mumsys.checkJsonRpcResponce( obj );
-                    if (obj.result.item.id !== undefined) {
-                        item.set('id', obj.result.item.id);
-                    }
-                }
-            );
 
-            item.setModified( false );
+    /**
+     * Returns a shallow copy of the request parameters.
+     *
+     * @param {Object} params Request parameters
+     *
+     * @returns {Object} Copy of the parameters
+     */
+    _copyParams( params )
+    {
+        var copy = {};
+
+        for ( var key in params ) {
+            if ( params.hasOwnProperty( key ) ) {
+                copy[key] = params[key];
+            }
         }
 
-        return item;
+        return copy;
+    }
+
+
+    /**
+     * Adds the version of the item to params.item if optimistic locking is 
+     * enabled.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters containing params.item
+     *
+     * @returns {void}
+     */
+    _setVersionData( item, params )
+    {
+        if ( this.__versionField !== null ) {
+            params.item[this.__versionField] = item.get( this.__versionField, null );
+        }
     }
 
 
     /**
-     * Returns a build parameter object for the jquery ajax request.
+     * Returns a build parameter object for the transport request.
      *
-     * @param {object} defaultParams Parameters for the jquery ajax request 
-     * ($.ajax( params )...)
+     * @param {object} defaultParams Request options for the transport (see 
+     * Mumsys_Transport_Abstract)
      * @param {object} dataParams Your data to request or send
      * @param {object} requestParams Parameters to overwrite or reset keys of 
-     * the default parameters or to add additionals jquery ajax() request can 
-     * handle.
+     * the default parameters or to add additionals the transport can handle.
      *
-     * @returns {object} Parameters to be set to the jquery ajax request.
+     * @returns {object} Parameters to be set to the transport request.
      */
     _buildParams( defaultParams, dataParams, requestParams )
     {
@@ -0,0 +1,724 @@
+/**
+ * Mumsys_Generic_Manager_Exchange
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * CSV (RFC 4180) and NDJSON (one json object per line) export and import of
+ * the items of a manager.
+ *
+ * Export options:
+ * <pre>
+ *  - items: {Array} Items to export; Default: manager.getItems()
+ *  - columns: {Array} Property names to export in this order; Default: all
+ *    properties in the order of their first occurrence
+ *  - headers: {Object} Header names (CSV) or json keys (NDJSON) by property
+ *    name; Default: the property names
+ *  - header: {Boolean} CSV: Add the header line; Default: true
+ *  - delimiter: {String} CSV: Field delimiter; Default: ","
+ *  - escapeFormulas: {Boolean} CSV: Prefix string values starting with "=",
+ *    "+", "-", "@", tab or carriage return with a "'" so spreadsheet
+ *    applications do not run them as formulas; Default: false
+ * </pre>
+ *
+ * Import options:
+ * <pre>
+ *  - header: {Boolean} CSV: The first line contains the column names;
+ *    Default: true
+ *  - columns: {Array} CSV: Property names of the columns (required without
+ *    header line, overwrites the header line)
+ *  - headers: {Object} Header names/ json keys by property name (same as for
+ *    the export)
+ *  - delimiter: {String} CSV: Field delimiter; Default: ","
+ *  - quote: {String} CSV: Quote character; Default: '"'
+ *  - types: {Object} Types (see Mumsys_Generic_Item_Schema.TYPES), lists of
+ *    types or callbacks function( value, key ) by property name to convert
+ *    string values. Lists try each type in order; Default: the types of
+ *    the manager schema
+ * </pre>
+ *
+ * Imports build the items by createItem() and addItem() of the manager. Bad
+ * rows do not abort the import: the result reports them per line.
+ *
+ * E.g:
+ * <pre>
+ *  var exchange = new Mumsys_Generic_Manager_Exchange( manager );
+ *  var csv = exchange.toCsv( {"columns": ["id", "name"], "headers": {"name": "Name"}} );
+ *  var result = exchange.fromCsv( text, {"delimiter": ";", "types": {"id": "integer"}} );
+ *  // result: {"items": [...], "errors": [{"line": 3, "error": Error, "data": [...]}]}
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Exchange
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Parses CSV records.
+     *
+     * Quoted fields may contain delimiters, line breaks and doubled quotes.
+     * Lines may end with CRLF or LF, empty lines will be skipped. Malformed
+     * records (quotes inside unquoted fields, characters after a closing
+     * quote, unterminated quotes) get an error message.
+     *
+     * @param {String} text CSV text
+     * @param {String} delimiter Field delimiter; Optional, Default: ","
+     * @param {String} quote Quote character; Optional, Default: '"'
+     *
+     * @returns {Array} List of records {"line": integer, "fields": Array,
+     * "error": String|null} (line: first line of the record, starting at 1)
+     * @throws {Mumsys_Generic_Manager_Exception} If delimiter or quote are
+     * invalid
+     */
+    static parseCsv( text, delimiter = ',', quote = '"' )
+    {
+        Mumsys_Generic_Manager_Exchange._assertCharacters( delimiter, quote );
+
+        var records = [];
+        var fields = [];
+        var field = '';
+        var line = 1;
+        var start = 1;
+        var quoted = false;
+        var closed = false;
+        var error = null;
+        var c;
+
+        var endRecord = function ()
+        {
+            fields.push( field );
+
+            // skip empty lines
+            if ( fields.length > 1 || fields[0] !== '' || closed || error !== null ) {
+                records.push( { "line": start, "fields": fields, "error": error } );
+            }
+
+            fields = [];
+            field = '';
+            closed = false;
+            error = null;
+        };
+
+        for ( var i = 0; i < text.length; i++ )
+        {
+            c = text[i];
+
+            if ( quoted ) {
+                if ( c === quote && text[i + 1] === quote ) {
+                    field += quote;
+                    i++;
+                } else if ( c === quote ) {
+                    quoted = false;
+                    closed = true;
+                } else {
+                    line += ( c === '\n' ) ? 1 : 0;
+                    field += c;
+                }
+                continue;
+            }
+
+            if ( c === delimiter ) {
+                fields.push( field );
+                field = '';
+                closed = false;
+            } else if ( c === '\r' || c === '\n' ) {
+                if ( c === '\r' && text[i + 1] === '\n' ) {
+                    i++;
+                }
+                endRecord();
+                start = ++line;
+            } else if ( c === quote && field === '' && !closed ) {
+                quoted = true;
+            } else {
+                if ( error === null && ( c === quote || closed ) ) {
+                    error = ( c === quote ) ? 'Unexpected quote' : 'Unexpected character after quote';
+                }
+                field += c;
+            }
+        }
+
+        if ( quoted ) {
+            error = 'Unterminated quoted field';
+        }
+
+        if ( field !== '' || fields.length > 0 || closed || error !== null ) {
+            endRecord();
+        }
+
+        return records;
+    }
+
+
+    /**
+     * Initialize the exchange.
+     *
+     * @param {Mumsys_Generic_Manager_Default} manager Manager of the items
+     *
+     * @returns {Mumsys_Generic_Manager_Exchange}
+     * @throws {Mumsys_Generic_Manager_Exception} If manager is invalid
+     */
+    constructor( manager )
+    {
+        if ( !( manager instanceof Mumsys_Generic_Manager_Default ) ) {
+            var message = 'Invalid manager';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        /**
+         * Manager of the items.
+         * @private
+         * @type Mumsys_Generic_Manager_Default
+         */
+        this.__manager = manager;
+    }
+
+
+    /**
+     * Returns the items as CSV text (RFC 4180, CRLF line breaks).
+     *
+     * Fields containing the delimiter, quotes or line breaks will be quoted.
+     * undefined and null values are empty fields, arrays and objects json
+     * strings.
+     *
+     * @param {Object} options Export options (see above); Optional
+     *
+     * @returns {String} CSV text
+     * @throws {Mumsys_Generic_Manager_Exception} If the delimiter is invalid
+     */
+    toCsv( options = {} )
+    {
+        var delimiter = ( options.delimiter === undefined ) ? ',' : options.delimiter;
+
+        Mumsys_Generic_Manager_Exchange._assertCharacters( delimiter, '"' );
+
+        var items = options.items || this.__manager.getItems();
+        var columns = this._getColumns( items, options.columns );
+        var headers = options.headers || {};
+        var lines = [];
+        var _this = this;
+
+        var toLine = function ( values ) {
+            return values.map( function ( value ) {
+                return _this._formatField( value, delimiter, options.escapeFormulas === true );
+            } ).join( delimiter );
+        };
+
+        if ( options.header !== false ) {
+            lines.push( toLine( columns.map( function ( key ) {
+                return ( headers[key] === undefined ) ? key : headers[key];
+            } ) ) );
+        }
+
+        items.forEach( function ( item ) {
+            lines.push( toLine( columns.map( function ( key ) {
+                return item.get( key );
+            } ) ) );
+        } );
+
+        return lines.map( function ( line ) {
+            return line + '\r\n';
+        } ).join( '' );
+    }
+
+
+    /**
+     * Returns the items as NDJSON text (one json object per line).
+     *
+     * undefined values will be omitted.
+     *
+     * @param {Object} options Export options (see above); Optional
+     *
+     * @returns {String} NDJSON text
+     */
+    toNdjson( options = {} )
+    {
+        var items = options.items || this.__manager.getItems();
+        var columns = this._getColumns( items, options.columns );
+        var headers = options.headers || {};
+
+        return items.map( function ( item ) {
+            var row = {};
+
+            columns.forEach( function ( key ) {
+                row[( headers[key] === undefined ) ? key : headers[key]] = item.get( key );
+            } );
+
+            return JSON.stringify( row ) + '\n';
+        } ).join( '' );
+    }
+
+
+    /**
+     * Imports the records of a CSV text.
+     *
+     * Values will be converted by the types of the columns (see the "types"
+     * option): Empty fields of non-string types are null. Values of columns
+     * without a type stay strings.
+     *
+     * @param {String} text CSV text
+     * @param {Object} options Import options (see above); Optional
+     *
+     * @returns {Object} Result {"items": Array, "errors": Array} with the
+     * added items and the errors {"line": integer, "error": Error, "data":
+     * Array} of the rejected records
+     * @throws {Mumsys_Generic_Manager_Exception} If the options are invalid
+     * or no column names exist
+     */
+    fromCsv( text, options = {} )
+    {
+        var delimiter = ( options.delimiter === undefined ) ? ',' : options.delimiter;
+        var quote = ( options.quote === undefined ) ? '"' : options.quote;
+        var records = Mumsys_Generic_Manager_Exchange.parseCsv( text, delimiter, quote );
+        var columns = options.columns || null;
+        var message;
+
+        if ( options.header !== false && records.length > 0 ) {
+            var header = records.shift();
+
+            if ( header.error !== null ) {
+                throw new Mumsys_Generic_Manager_Exception( header.error );
+            }
+
+            if ( columns === null ) {
+                columns = this._mapKeys( header.fields, options.headers );
+            }
+        }
+
+        if ( columns === null ) {
+            if ( records.length === 0 ) {
+                return { "items": [], "errors": [] };
+            }
+
+            message = 'Missing column names of the CSV import';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        var _this = this;
+        var types = this._getTypes( options.types );
+
+        return this._import( records, function ( record )
+        {
+            if ( record.error !== null ) {
+                throw new Mumsys_Generic_Manager_Exception( record.error );
+            }
+
+            if ( record.fields.length !== columns.length ) {
+                message = 'Invalid number of fields: ' + record.fields.length + ', expected: ' + columns.length;
+                throw new Mumsys_Generic_Manager_Exception( message );
+            }
+
+            var props = {};
+
+            for ( var i = 0; i < columns.length; i++ ) {
+                props[columns[i]] = _this._convert( record.fields[i], columns[i], types[columns[i]] );
+            }
+
+            return props;
+        } );
+    }
+
+
+    /**
+     * Imports the lines of a NDJSON text.
+     *
+     * The types (see the "types" option) convert string values only, other
+     * json values stay unchanged.
+     *
+     * @param {String} text NDJSON text
+     * @param {Object} options Import options (see above); Optional
+     *
+     * @returns {Object} Result {"items": Array, "errors": Array} with the
+     * added items and the errors {"line": integer, "error": Error, "data":
+     * String} of the rejected lines
+     */
+    fromNdjson( text, options = {} )
+    {
+        var _this = this;
+        var types = this._getTypes( options.types );
+        var records = [];
+
+        text.split( /\r?\n/ ).forEach( function ( data, idx ) {
+            if ( data.trim() !== '' ) {
+                records.push( { "line": idx + 1, "data": data } );
+            }
+        } );
+
+        return this._import( records, function ( record )
+        {
+            var row = JSON.parse( record.data );
+            var props = {};
+            var key;
+            var value;
+
+            if ( !( row instanceof Object ) || Array.isArray( row ) ) {
+                var message = 'Invalid json object';
+                throw new Mumsys_Generic_Manager_Exception( message );
+            }
+
+            for ( var name in row )
+            {
+                if ( !row.hasOwnProperty( name ) ) {
+                    continue;
+                }
+
+                key = _this._mapKeys( [ name ], options.headers )[0];
+                value = row[name];
+                props[key] = ( typeof value === 'string' ) ? _this._convert( value, key, types[key] ) : value;
+            }
+
+            return props;
+        } );
+    }
+
+
+    /**
+     * Creates and adds the items of the records.
+     *
+     * With an identity map createItem() merges the properties into the
+     * registered item. If the record is rejected (e.g. by a unique index of
+     * addItem()) the registered item will be restored.
+     *
+     * @param {Array} records List of records ({"line": integer, ...})
+     * @param {Function} toProps Callback getting a record and returning the
+     * item properties (may throw an exception)
+     *
+     * @returns {Object} Result {"items": Array, "errors": Array}
+     */
+    _import( records, toProps )
+    {
+        var manager = this.__manager;
+        var result = { "items": [], "errors": [] };
+        var item;
+        var props;
+        var shared;
+        var snapshot;
+
+        records.forEach( function ( record )
+        {
+            snapshot = null;
+
+            try {
+                props = toProps( record );
+                shared = manager._getIdentity( props.id );
+
+                if ( shared !== undefined ) {
+                    snapshot = shared.snapshot();
+                }
+
+                item = manager.createItem( props );
+
+                // shared item (identity map) may be listed already
+                if ( manager.getItem( 'id', item.get( 'id' ) ) !== item ) {
+                    manager.addItem( item );
+                }
+
+                result.items.push( item );
+            } catch ( e ) {
+                if ( snapshot !== null ) {
+                    shared.restore( snapshot );
+                }
+
+                result.errors.push( {
+                    "line": record.line,
+                    "error": e,
+                    "data": ( record.fields === undefined ) ? record.data : record.fields
+                } );
+            }
+        } );
+
+        return result;
+    }
+
+
+    /**
+     * Returns the columns to export.
+     *
+     * @param {Array} items List of generic items
+     * @param {Array|undefined} columns Selected columns or undefined for all
+     *
+     * @returns {Array} List of property names
+     */
+    _getColumns( items, columns )
+    {
+        if ( columns !== undefined ) {
+            return columns;
+        }
+
+        var keys = new Set();
+
+        items.forEach( function ( item ) {
+            Object.keys( item.getProperties() ).forEach( function ( key ) {
+                keys.add( key );
+            } );
+        } );
+
+        return Array.from( keys );
+    }
+
+
+    /**
+     * Maps header names/ json keys to property names.
+     *
+     * @param {Array} names List of header names
+     * @param {Object|undefined} headers Header names by property name
+     *
+     * @returns {Array} List of property names
+     */
+    _mapKeys( names, headers )
+    {
+        var map = {};
+
+        headers = headers || {};
+
+        for ( var key in headers ) {
+            if ( headers.hasOwnProperty( key ) ) {
+                map[headers[key]] = key;
+            }
+        }
+
+        return names.map( function ( name ) {
+            return ( map[name] === undefined ) ? name : map[name];
+        } );
+    }
+
+
+    /**
+     * Returns the types by property name.
+     *
+     * @param {Object|undefined} types Types of the options or undefined to
+     * use the types of the manager schema
+     *
+     * @returns {Object} Types by property name
+     * @throws {Mumsys_Generic_Manager_Exception} If a type is invalid
+     */
+    _getTypes( types )
+    {
+        var schema = this.__manager.getSchema();
+        var result = {};
+        var key;
+
+        if ( types === undefined && schema !== null ) {
+            types = {};
+            var fields = schema.getFields();
+
+            for ( key in fields ) {
+                if ( fields.hasOwnProperty( key ) ) {
+                    types[key] = fields[key].type;
+                }
+            }
+        }
+
+        types = types || {};
+
+        for ( key in types ) {
+            if ( types.hasOwnProperty( key ) ) {
+                this._assertType( types[key], key );
+                result[key] = types[key];
+            }
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Checks an import type.
+     *
+     * @param {String|Array|Function|undefined} type Type, list of types or
+     * callback
+     * @param {String} key Property name
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the type is invalid
+     */
+    _assertType( type, key )
+    {
+        if ( type === undefined || typeof type === 'function' ) {
+            return;
+        }
+
+        var list = [].concat( type );
+
+        for ( var i = 0; i < list.length; i++ ) {
+            if ( Mumsys_Generic_Item_Schema.TYPES.indexOf( list[i] ) === -1 ) {
+                var message = 'Invalid import type "' + list[i] + '" of "' + key + '"';
+                throw new Mumsys_Generic_Manager_Exception( message );
+            }
+        }
+    }
+
+
+    /**
+     * Converts a string value to the type.
+     *
+     * @param {String} value Value to convert
+     * @param {String} key Property name
+     * @param {String|Array|Function|undefined} type Type, list of types,
+     * callback or undefined
+     *
+     * @returns {Mixed} Converted value
+     * @throws {Mumsys_Generic_Manager_Exception} If the value is invalid for
+     * the type
+     */
+    _convert( value, key, type )
+    {
+        var result;
+
+        if ( typeof type === 'function' ) {
+            return type( value, key );
+        }
+
+        if ( Array.isArray( type ) ) {
+            return this._convertUnion( value, key, type );
+        }
+
+        if ( type === undefined || type === 'string' || type === 'any' ) {
+            return value;
+        }
+
+        if ( value.trim() === '' ) {
+            return null;
+        }
+
+        switch ( type )
+        {
+            case 'number':
+            case 'integer':
+                result = Number( value );
+
+                if ( isFinite( result ) && ( type === 'number' || Number.isInteger( result ) ) ) {
+                    return result;
+                }
+                break;
+
+            case 'boolean':
+                result = value.trim().toLowerCase();
+
+                if ( [ 'true', '1', 'yes' ].indexOf( result ) !== -1 ) {
+                    return true;
+                }
+                if ( [ 'false', '0', 'no' ].indexOf( result ) !== -1 ) {
+                    return false;
+                }
+                break;
+
+            default:
+                try {
+                    result = JSON.parse( value );
+                } catch ( e ) {
+                    result = null;
+                }
+
+                if ( Array.isArray( result ) === ( type === 'array' ) && result instanceof Object ) {
+                    return result;
+                }
+        }
+
+        var message = 'Invalid ' + type + ' value "' + value + '" of "' + key + '"';
+        throw new Mumsys_Generic_Manager_Exception( message );
+    }
+
+
+    /**
+     * Converts a string value to the first type of the list it is valid for.
+     *
+     * @param {String} value Value to convert
+     * @param {String} key Property name
+     * @param {Array} types List of types
+     *
+     * @returns {Mixed} Converted value
+     * @throws {Mumsys_Generic_Manager_Exception} If the value is invalid for
+     * all types
+     */
+    _convertUnion( value, key, types )
+    {
+        for ( var i = 0; i < types.length; i++ )
+        {
+            try {
+                return this._convert( value, key, types[i] );
+            } catch ( e ) {
+                // try the next type
+            }
+        }
+
+        var message = 'Invalid ' + types.join( '|' ) + ' value "' + value + '" of "' + key + '"';
+        throw new Mumsys_Generic_Manager_Exception( message );
+    }
+
+
+    /**
+     * Returns the CSV field of a value.
+     *
+     * @param {Mixed} value Value to format
+     * @param {String} delimiter Field delimiter
+     * @param {Boolean} escapeFormulas Flag to neutralize string values which
+     * spreadsheet applications would run as formulas
+     *
+     * @returns {String} Field, quoted if required
+     */
+    _formatField( value, delimiter, escapeFormulas = false )
+    {
+        if ( value === undefined || value === null ) {
+            return '';
+        }
+
+        var field = ( value instanceof Object ) ? JSON.stringify( value ) : String( value );
+
+        if ( escapeFormulas && typeof value === 'string' && /^[=+\-@\t\r]/.test( field ) ) {
+            field = "'" + field;
+        }
+
+        if ( field.indexOf( delimiter ) !== -1 || /["\r\n]/.test( field ) ) {
+            return '"' + field.replace( /"/g, '""' ) + '"';
+        }
+
+        return field;
+    }
+
+
+    /**
+     * Checks the delimiter and quote characters.
+     *
+     * @param {String} delimiter Field delimiter
+     * @param {String} quote Quote character
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If a character is invalid
+     */
+    static _assertCharacters( delimiter, quote )
+    {
+        var message;
+
+        if ( typeof delimiter !== 'string' || delimiter.length !== 1 || /[\r\n]/.test( delimiter ) ) {
+            message = 'Invalid delimiter "' + delimiter + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( typeof quote !== 'string' || quote.length !== 1 || /[\r\n]/.test( quote ) || quote === delimiter ) {
+            message = 'Invalid quote "' + quote + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+    }
+
+}
@@ -0,0 +1,229 @@
+/**
+ * Mumsys_Generic_Manager_IdentityMap
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Identity map of generic items by item type and id, shared by several
+ * managers (see Mumsys_Generic_Manager_Default.setIdentityMap()).
+ *
+ * Managers sharing a map create one item object per type and id: loading an
+ * existing record again updates and returns the registered item. Items
+ * without an id are registered when they get an id (e.g. by a save).
+ *
+ * Managers register the items they list (addItem()) as owner and release
+ * them when they drop the items (e.g. removeItem(), clear()). Items stay
+ * registered until the last owner released them, they were deleted by a
+ * manager or removed by remove() or clear().
+ *
+ * E.g:
+ * <pre>
+ *  var identities = new Mumsys_Generic_Manager_IdentityMap();
+ *  myTasks.setIdentityMap( identities, 'task' );
+ *  openTasks.setIdentityMap( identities, 'task' );
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_IdentityMap
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the identity map.
+     *
+     * @returns {Mumsys_Generic_Manager_IdentityMap}
+     */
+    constructor()
+    {
+        /**
+         * Unique "id" indexes by item type.
+         * @private
+         * @type Object
+         */
+        this.__indexes = {};
+
+        /**
+         * Registered items by item type.
+         * @private
+         * @type Object
+         */
+        this.__items = {};
+
+        /**
+         * Observers of the items (to follow id changes) by item type.
+         * @private
+         * @type Object
+         */
+        this.__observers = {};
+
+        /**
+         * Owners (e.g. managers) of the registered items by item type.
+         * @private
+         * @type Object
+         */
+        this.__owners = {};
+    }
+
+
+    /**
+     * Returns the registered item of the type and id.
+     *
+     * @param {String} type Item type
+     * @param {Mixed} id Item id
+     *
+     * @returns {Mumsys_Generic_Item_Default|undefined} Generic item or
+     * undefined if not registered
+     */
+    get( type, id )
+    {
+        if ( this.__indexes[type] === undefined || id === undefined || id === null ) {
+            return undefined;
+        }
+
+        return this.__indexes[type].findOne( id );
+    }
+
+
+    /**
+     * Checks if an item of the type and id is registered.
+     *
+     * @param {String} type Item type
+     * @param {Mixed} id Item id
+     *
+     * @returns {Boolean}
+     */
+    has( type, id )
+    {
+        return ( this.get( type, id ) !== undefined );
+    }
+
+
+    /**
+     * Registers an item (if not registered yet) and adds the owner.
+     *
+     * @param {String} type Item type
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     * @param {Object|null} owner Owner of the item (e.g. the manager listing
+     * it) or null; Optional
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If another item of the type
+     * and id is registered
+     */
+    add( type, item, owner = null )
+    {
+        var _this = this;
+
+        if ( this.__indexes[type] === undefined ) {
+            this.__indexes[type] = new Mumsys_Generic_Manager_Index( 'id', true );
+            this.__items[type] = new Set();
+            this.__owners[type] = new Map();
+            this.__observers[type] = function ( item, key, newVal, oldVal ) {
+                if ( key === 'id' ) {
+                    _this.__indexes[type].update( item, newVal, oldVal );
+                }
+            };
+        }
+
+        if ( !this.__items[type].has( item ) ) {
+            this.__indexes[type].add( item );
+            this.__items[type].add( item );
+            this.__owners[type].set( item, new Set() );
+            item.attach( this.__observers[type] );
+        }
+
+        if ( owner !== null ) {
+            this.__owners[type].get( item ).add( owner );
+        }
+    }
+
+
+    /**
+     * Removes the owner of an item and unregisters the item if it has no
+     * owner anymore.
+     *
+     * @param {String} type Item type
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     * @param {Object} owner Owner of the item
+     *
+     * @returns {void}
+     */
+    release( type, item, owner )
+    {
+        if ( this.__items[type] === undefined || !this.__items[type].has( item ) ) {
+            return;
+        }
+
+        var owners = this.__owners[type].get( item );
+        owners.delete( owner );
+
+        if ( owners.size === 0 ) {
+            this.remove( type, item );
+        }
+    }
+
+
+    /**
+     * Unregisters an item.
+     *
+     * @param {String} type Item type
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     *
+     * @returns {void}
+     */
+    remove( type, item )
+    {
+        if ( this.__items[type] === undefined || !this.__items[type].has( item ) ) {
+            return;
+        }
+
+        this.__indexes[type].remove( item );
+        this.__items[type].delete( item );
+        this.__owners[type].delete( item );
+        item.detach( this.__observers[type] );
+    }
+
+
+    /**
+     * Unregisters all items.
+     *
+     * @param {String|null} type Item type or null for all types; Optional
+     *
+     * @returns {void}
+     */
+    clear( type = null )
+    {
+        var types = ( type === null ) ? Object.keys( this.__items ) : [ type ];
+        var _this = this;
+
+        types.forEach( function ( type ) {
+            if ( _this.__items[type] !== undefined ) {
+                _this.__items[type].forEach( function ( item ) {
+                    _this.remove( type, item );
+                } );
+            }
+        } );
+    }
+
+}
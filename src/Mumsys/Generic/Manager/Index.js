@@ -0,0 +1,293 @@
+/**
+ * Mumsys_Generic_Manager_Index
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Index of items by the value of a property for constant time lookups.
+ *
+ * Unique indexes allow one item per value, multi-value indexes any number of
+ * items. Values are compared type save (1 and "1" are different values).
+ * Undefined and null values will not be indexed (e.g. new items without an
+ * id).
+ *
+ * @see Mumsys_Generic_Manager_Default.addIndex()
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Index
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the index.
+     *
+     * @param {String} key Property name to index
+     * @param {Boolean} unique Flag for a unique index; Optional, Default: false
+     *
+     * @returns {Mumsys_Generic_Manager_Index}
+     */
+    constructor( key, unique = false )
+    {
+        /**
+         * Property name to index.
+         * @private
+         * @type String
+         */
+        this.__key = key;
+
+        /**
+         * Flag for a unique index.
+         * @private
+         * @type Boolean
+         */
+        this.__unique = Boolean( unique );
+
+        /**
+         * Map of values and items (unique) or sets of items.
+         * @private
+         * @type Map
+         */
+        this.__map = new Map();
+    }
+
+
+    /**
+     * Returns the indexed property name.
+     *
+     * @returns {String} Property name
+     */
+    getKey()
+    {
+        return this.__key;
+    }
+
+
+    /**
+     * Checks if the index is unique.
+     *
+     * @returns {Boolean}
+     */
+    isUnique()
+    {
+        return this.__unique;
+    }
+
+
+    /**
+     * Returns the items of the given value.
+     *
+     * @param {Mixed} value Value to look for
+     *
+     * @returns {Array} List of generic items
+     */
+    find( value )
+    {
+        var entry = this.__map.get( value );
+
+        if ( entry === undefined ) {
+            return [];
+        }
+
+        if ( this.__unique ) {
+            return [ entry ];
+        }
+
+        return Array.from( entry );
+    }
+
+
+    /**
+     * Returns the first item of the given value.
+     *
+     * @param {Mixed} value Value to look for
+     *
+     * @returns {Mumsys_Generic_Item_Default|undefined} Generic item or
+     * undefined if not found
+     */
+    findOne( value )
+    {
+        var entry = this.__map.get( value );
+
+        if ( entry === undefined || this.__unique ) {
+            return entry;
+        }
+
+        return entry.values().next().value;
+    }
+
+
+    /**
+     * Checks if the value can be added (for unique indexes).
+     *
+     * @param {Mixed} value Value to check
+     * @param {Mumsys_Generic_Item_Default|null} item Item to add the value 
+     * for (the value may already exist for this item) or null
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the value already exists
+     * for another item in a unique index
+     */
+    assertAddable( value, item )
+    {
+        if ( this.__unique && !this._isEmpty( value ) && this.__map.has( value )
+            && this.__map.get( value ) !== item
+        ) {
+            var message = '"' + this.__key + '" (' + value + ') is unique and already exists';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+    }
+
+
+    /**
+     * Adds an item by its current value.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the value already exists
+     * in a unique index
+     */
+    add( item )
+    {
+        this._add( item.get( this.__key ), item );
+    }
+
+
+    /**
+     * Removes an item by its current value.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     */
+    remove( item )
+    {
+        this._remove( item.get( this.__key ), item );
+    }
+
+
+    /**
+     * Moves an item from the old to the new value.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Mixed} newVal New value
+     * @param {Mixed} oldVal Old value
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the new value already
+     * exists in a unique index (nothing will be changed)
+     */
+    update( item, newVal, oldVal )
+    {
+        this.assertAddable( newVal, item );
+        this._remove( oldVal, item );
+        this._add( newVal, item );
+    }
+
+
+    /**
+     * Removes all items.
+     *
+     * @returns {void}
+     */
+    clear()
+    {
+        this.__map.clear();
+    }
+
+
+    /**
+     * Adds an item by the given value.
+     *
+     * @param {Mixed} value Value of the item
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the value already exists
+     * in a unique index
+     */
+    _add( value, item )
+    {
+        if ( this._isEmpty( value ) ) {
+            return;
+        }
+
+        if ( this.__unique ) {
+            this.assertAddable( value, item );
+            this.__map.set( value, item );
+            return;
+        }
+
+        if ( !this.__map.has( value ) ) {
+            this.__map.set( value, new Set() );
+        }
+
+        this.__map.get( value ).add( item );
+    }
+
+
+    /**
+     * Removes an item by the given value.
+     *
+     * @param {Mixed} value Value of the item
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     */
+    _remove( value, item )
+    {
+        var entry = this.__map.get( value );
+
+        if ( entry === undefined ) {
+            return;
+        }
+
+        if ( this.__unique ) {
+            if ( entry === item ) {
+                this.__map.delete( value );
+            }
+            return;
+        }
+
+        entry.delete( item );
+
+        if ( entry.size === 0 ) {
+            this.__map.delete( value );
+        }
+    }
+
+
+    /**
+     * Checks if the value will not be indexed.
+     *
+     * @param {Mixed} value Value to check
+     *
+     * @returns {Boolean} True for undefined and null
+     */
+    _isEmpty( value )
+    {
+        return ( value === undefined || value === null );
+    }
+
+}
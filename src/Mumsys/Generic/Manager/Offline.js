@@ -0,0 +1,907 @@
+/**
+ * Mumsys_Generic_Manager_Offline
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Offline mutation queue of a generic manager.
+ *
+ * Saves and deletes made while offline (or failing with a network error) are
+ * stored in a persistent queue and replayed in order when the connection
+ * returns (see start()) or by calling replay().
+ *
+ * New items get a temporary client id (see getTempId()) until the server
+ * confirmed the first save. The server id will be set to the item and used
+ * for the following mutations of the item (see getServerId()).
+ *
+ * Mutations (see getMutations()):
+ * <pre>
+ *  - id: {String} Mutation id
+ *  - action: {String} 'save' or 'delete'
+ *  - itemId: {String|integer} Item id or temporary client id
+ *  - status: {String} STATUS_PENDING, STATUS_SENDING or STATUS_FAILED
+ *    (rejected by the server, see retry(), discard())
+ *  - error: {String|null} Error message of the last failure
+ *  - attempts: {integer} Number of send attempts
+ * </pre>
+ * Replayed mutations will be removed from the queue. Observers (see attach())
+ * are notified about each change of a mutation.
+ *
+ * E.g:
+ * <pre>
+ *  var queue = new Mumsys_Generic_Manager_Offline( myManager );
+ *  myManager.setOfflineQueue( queue );
+ *  queue.attach( function ( queue, mutation ) { renderStatus( mutation ); } );
+ *  queue.start(); // replays when the browser goes online
+ * </pre>
+ *
+ * @see Mumsys_Generic_Manager_Default.setOfflineQueue()
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Offline
+{
+    /**
+     * Mutation status: waiting to be send.
+     * @var constant
+     */
+    static get STATUS_PENDING() { return 'pending'; }
+
+    /**
+     * Mutation status: being send.
+     * @var constant
+     */
+    static get STATUS_SENDING() { return 'sending'; }
+
+    /**
+     * Mutation status: rejected by the server.
+     * @var constant
+     */
+    static get STATUS_FAILED() { return 'failed'; }
+
+
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Checks if the error is a network error (no connection, timeout).
+     *
+     * @param {Error} error Error of a request
+     *
+     * @returns {Boolean}
+     */
+    static isNetworkError( error )
+    {
+        if ( !( error instanceof Mumsys_Transport_Exception ) ) {
+            return false;
+        }
+
+        return error.code === Mumsys_Exception.ERRCODE_TIMEOUT
+            || ( error.status === 0 && (
+                error.code === Mumsys_Exception.ERRCODE_TRANSPORT || error.code === Mumsys_Exception.ERRCODE_RETRIES
+            ) );
+    }
+
+
+    /**
+     * Initialize the queue and loads the stored mutations.
+     *
+     * Options:
+     * <pre>
+     *  - key: {String} Storage key of the queue. Default:
+     *    'mumsys.offline.' + url of the manager
+     *  - online: {Function} Callback returning true if online. Default:
+     *    navigator.onLine
+     * </pre>
+     *
+     * @param {Mumsys_Generic_Manager_Default} manager Generic manager
+     * @param {Mumsys_Storage_Abstract|null} storage Persistent storage;
+     * Optional, Default: Mumsys_Storage_Abstract.createDefault()
+     * @param {Object} options Queue options; Optional
+     *
+     * @returns {Mumsys_Generic_Manager_Offline}
+     */
+    constructor( manager, storage = null, options = {} )
+    {
+        var _this = this;
+
+        /**
+         * Generic manager.
+         * @private
+         * @type Mumsys_Generic_Manager_Default
+         */
+        this.__manager = manager;
+
+        /**
+         * Persistent storage.
+         * @private
+         * @type Mumsys_Storage_Abstract
+         */
+        this.__storage = ( storage === null ) ? Mumsys_Storage_Abstract.createDefault() : storage;
+
+        /**
+         * Storage key of the queue.
+         * @private
+         * @type String
+         */
+        this.__key = options.key || 'mumsys.offline.' + manager.getUrl();
+
+        /**
+         * Callback returning the online status or null for navigator.onLine.
+         * @private
+         * @type {Function|null}
+         */
+        this.__online = options.online || null;
+
+        /**
+         * List of mutations in the order to replay.
+         * @private
+         * @type Array
+         */
+        this.__mutations = [];
+
+        /**
+         * Server ids by temporary client id.
+         * @private
+         * @type Object
+         */
+        this.__ids = {};
+
+        /**
+         * Versions returned by the server by item id or temporary client id.
+         * @private
+         * @type Object
+         */
+        this.__versions = {};
+
+        /**
+         * Temporary client ids of new items.
+         * @private
+         * @type Map
+         */
+        this.__tempIds = new Map();
+
+        /**
+         * New items by temporary client id.
+         * @private
+         * @type Map
+         */
+        this.__items = new Map();
+
+        /**
+         * Counter for unique ids.
+         * @private
+         * @type integer
+         */
+        this.__counter = 0;
+
+        /**
+         * List of observers.
+         * @private
+         * @type Array
+         */
+        this.__observers = [];
+
+        /**
+         * Promise of the running replay or null.
+         * @private
+         * @type {Promise|null}
+         */
+        this.__replaying = null;
+
+        /**
+         * Promise of the last storage write.
+         * @private
+         * @type Promise
+         */
+        this.__saving = Promise.resolve();
+
+        /**
+         * Listener of the "online" event.
+         * @private
+         * @type Function
+         */
+        this.__onOnline = function () {
+            _this.replay();
+        };
+
+        /**
+         * Promise of the loaded queue.
+         * @private
+         * @type Promise
+         */
+        this.__ready = this._load();
+    }
+
+
+    /**
+     * Returns the promise of the loaded queue.
+     *
+     * @returns {Promise} Resolves when the stored mutations are loaded,
+     * rejects with a Mumsys_Storage_Exception
+     */
+    ready()
+    {
+        return this.__ready;
+    }
+
+
+    /**
+     * Checks if the browser is online.
+     *
+     * @returns {Boolean}
+     */
+    isOnline()
+    {
+        if ( this.__online !== null ) {
+            return this.__online() === true;
+        }
+
+        if ( typeof navigator !== 'undefined' && navigator.onLine !== undefined ) {
+            return navigator.onLine === true;
+        }
+
+        return true;
+    }
+
+
+    /**
+     * Starts to replay the queue when the browser goes online (and replays
+     * it now if online).
+     *
+     * @returns {void}
+     */
+    start()
+    {
+        if ( typeof window !== 'undefined' && typeof window.addEventListener === 'function' ) {
+            window.addEventListener( 'online', this.__onOnline );
+        }
+
+        if ( this.isOnline() ) {
+            this.replay();
+        }
+    }
+
+
+    /**
+     * Stops to replay the queue automatically.
+     *
+     * @returns {void}
+     */
+    stop()
+    {
+        if ( typeof window !== 'undefined' && typeof window.removeEventListener === 'function' ) {
+            window.removeEventListener( 'online', this.__onOnline );
+        }
+    }
+
+
+    /**
+     * Attaches an observer to be notified about changes of mutations.
+     *
+     * @param {Function} observer Callback function( queue, mutation ). The
+     * mutation has the status null if it was removed from the queue
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If observer is not a function
+     */
+    attach( observer )
+    {
+        if ( typeof observer !== 'function' ) {
+            var message = 'Invalid observer';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( this.__observers.indexOf( observer ) === -1 ) {
+            this.__observers.push( observer );
+        }
+    }
+
+
+    /**
+     * Detaches an observer.
+     *
+     * @param {Function} observer Callback attached by attach()
+     *
+     * @returns {void}
+     */
+    detach( observer )
+    {
+        var idx = this.__observers.indexOf( observer );
+
+        if ( idx !== -1 ) {
+            this.__observers.splice( idx, 1 );
+        }
+    }
+
+
+    /**
+     * Returns the mutations in the order to replay.
+     *
+     * @returns {Array} List of mutations (copies, without request parameters)
+     */
+    getMutations()
+    {
+        var _this = this;
+
+        return this.__mutations.map( function ( mutation ) {
+            return _this._export( mutation );
+        } );
+    }
+
+
+    /**
+     * Returns the temporary client id of a new item.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {String|null} Temporary id or null if the item has none
+     */
+    getTempId( item )
+    {
+        var tempId = this.__tempIds.get( item );
+
+        return ( tempId === undefined ) ? null : tempId;
+    }
+
+
+    /**
+     * Returns the server id of a temporary client id.
+     *
+     * @param {String} tempId Temporary client id
+     *
+     * @returns {String|integer|null} Server id or null if not saved yet
+     */
+    getServerId( tempId )
+    {
+        return this.__ids.hasOwnProperty( tempId ) ? this.__ids[tempId] : null;
+    }
+
+
+    /**
+     * Checks if mutations of the item are queued (new mutations of the item
+     * must be queued to keep the order).
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {Boolean}
+     */
+    hasMutations( item )
+    {
+        var ids = [ this.getTempId( item ), item.get( 'id', null ) ];
+
+        return this.__mutations.some( function ( mutation ) {
+            return mutation.itemId !== null && ids.indexOf( mutation.itemId ) !== -1;
+        } );
+    }
+
+
+    /**
+     * Adds a mutation to the queue.
+     *
+     * @param {String} action Action 'save' or 'delete'
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Object} params Request parameters (including params.item)
+     *
+     * @returns {Promise} Resolves with the mutation when stored, rejects with
+     * a Mumsys_Storage_Exception
+     */
+    enqueue( action, item, params )
+    {
+        var itemId = item.get( 'id', null );
+
+        if ( itemId === null )
+        {
+            itemId = this.getTempId( item );
+
+            if ( itemId === null ) {
+                itemId = this._createId( 'tmp' );
+                this.__tempIds.set( item, itemId );
+                this.__items.set( itemId, item );
+            }
+        }
+
+        var mutation = {
+            "id": this._createId( 'm' ),
+            "action": action,
+            "itemId": itemId,
+            "params": JSON.parse( JSON.stringify( params ) ),
+            "status": Mumsys_Generic_Manager_Offline.STATUS_PENDING,
+            "error": null,
+            "attempts": 0
+        };
+
+        this.__mutations.push( mutation );
+        this._notify( mutation );
+
+        return this._persist().then( function () {
+            return mutation;
+        } );
+    }
+
+
+    /**
+     * Removes the pending mutations of a new item which was never send (e.g.
+     * the item was deleted while offline).
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {Promise} Resolves when stored, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    discardItem( item )
+    {
+        var _this = this;
+        var tempId = this.getTempId( item );
+
+        if ( tempId === null ) {
+            return Promise.resolve();
+        }
+
+        this.__mutations.filter( function ( mutation ) {
+            return mutation.itemId === tempId && mutation.status !== Mumsys_Generic_Manager_Offline.STATUS_SENDING;
+        } ).forEach( function ( mutation ) {
+            _this._remove( mutation );
+        } );
+
+        return this._persist();
+    }
+
+
+    /**
+     * Sets a failed mutation back to pending.
+     *
+     * @param {String} id Mutation id
+     *
+     * @returns {Promise} Resolves when stored, rejects with a
+     * Mumsys_Generic_Manager_Exception if the mutation does not exist
+     */
+    retry( id )
+    {
+        var mutation;
+
+        try {
+            mutation = this._getMutation( id );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        if ( mutation.status === Mumsys_Generic_Manager_Offline.STATUS_FAILED ) {
+            mutation.status = Mumsys_Generic_Manager_Offline.STATUS_PENDING;
+            this._notify( mutation );
+        }
+
+        return this._persist();
+    }
+
+
+    /**
+     * Removes a mutation which is not being send.
+     *
+     * @param {String} id Mutation id
+     *
+     * @returns {Promise} Resolves when stored, rejects with a
+     * Mumsys_Generic_Manager_Exception if the mutation does not exist or is
+     * being send
+     */
+    discard( id )
+    {
+        var mutation;
+        var message;
+
+        try {
+            mutation = this._getMutation( id );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        if ( mutation.status === Mumsys_Generic_Manager_Offline.STATUS_SENDING ) {
+            message = 'Mutation "' + id + '" is being send';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        this._remove( mutation );
+
+        return this._persist();
+    }
+
+
+    /**
+     * Sends the pending mutations in order.
+     *
+     * Mutations rejected by the server will be marked as failed, the replay
+     * continues with the mutations of other items: later mutations of the
+     * item stay pending until the failed mutation was retried (see retry())
+     * or discarded (see discard()). A network error stops the replay (the
+     * mutation stays pending). Calls while replaying return the running
+     * replay.
+     *
+     * @returns {Promise} Resolves with {"sent": integer, "failed": integer,
+     * "pending": integer} counts, rejects with a Mumsys_Storage_Exception
+     */
+    replay()
+    {
+        var _this = this;
+
+        if ( this.__replaying !== null ) {
+            return this.__replaying;
+        }
+
+        var counts = { "sent": 0, "failed": 0, "pending": 0 };
+
+        var next = function ()
+        {
+            var mutation = _this.__mutations.find( function ( mutation ) {
+                return mutation.status === Mumsys_Generic_Manager_Offline.STATUS_PENDING
+                    && !_this._isBlocked( mutation );
+            } );
+
+            if ( mutation === undefined ) {
+                return counts;
+            }
+
+            return _this._send( mutation ).then( function ( status )
+            {
+                if ( status === Mumsys_Generic_Manager_Offline.STATUS_PENDING ) {
+                    return counts;
+                }
+
+                counts[( status === null ) ? 'sent' : 'failed']++;
+
+                return next();
+            } );
+        };
+
+        var end = function () {
+            _this.__replaying = null;
+        };
+
+        this.__replaying = this.__ready.then( next ).then( function ( result )
+        {
+            result.pending = _this.__mutations.filter( function ( mutation ) {
+                return mutation.status === Mumsys_Generic_Manager_Offline.STATUS_PENDING;
+            } ).length;
+
+            return _this._persist().then( function () {
+                end();
+                return result;
+            } );
+        } ).catch( function ( e ) {
+            end();
+            throw e;
+        } );
+
+        return this.__replaying;
+    }
+
+
+    /**
+     * Checks if an earlier mutation of the same item failed (the mutation
+     * must not be send before, to keep the order).
+     *
+     * @param {Object} mutation Pending mutation
+     *
+     * @returns {Boolean}
+     */
+    _isBlocked( mutation )
+    {
+        var itemId = this._resolveId( mutation.itemId );
+        var previous;
+
+        for ( var i = 0; i < this.__mutations.length && this.__mutations[i] !== mutation; i++ )
+        {
+            previous = this.__mutations[i];
+
+            if ( previous.status === Mumsys_Generic_Manager_Offline.STATUS_FAILED
+                && this._resolveId( previous.itemId ) === itemId
+            ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+
+    /**
+     * Returns the server id of a temporary client id if known.
+     *
+     * @param {String|integer} id Item id or temporary client id
+     *
+     * @returns {String|integer} Server id or the given id
+     */
+    _resolveId( id )
+    {
+        var serverId = this._isTempId( id ) ? this.getServerId( id ) : null;
+
+        return ( serverId === null ) ? id : serverId;
+    }
+
+
+    /**
+     * Sends a mutation.
+     *
+     * @param {Object} mutation Mutation to send
+     *
+     * @returns {Promise} Resolves with the new status: null if sent (removed),
+     * STATUS_FAILED or STATUS_PENDING on network errors
+     */
+    _send( mutation )
+    {
+        var _this = this;
+        var manager = this.__manager;
+        var params = JSON.parse( JSON.stringify( mutation.params ) );
+        var versionField = manager.getVersionField();
+        var id = mutation.itemId;
+
+        if ( this._isTempId( id ) ) {
+            id = this.getServerId( id );
+        }
+
+        if ( params.item instanceof Object ) {
+            params.item.id = id;
+
+            // version of the previous save of the item
+            if ( versionField !== null && this.__versions.hasOwnProperty( mutation.itemId )
+                && params.item[versionField] !== undefined
+            ) {
+                params.item[versionField] = this.__versions[mutation.itemId];
+            }
+        }
+
+        mutation.status = Mumsys_Generic_Manager_Offline.STATUS_SENDING;
+        mutation.attempts++;
+        this._notify( mutation );
+
+        return manager._sendMutation( mutation.action, params ).then( function ( result )
+        {
+            var item = _this.__items.get( mutation.itemId );
+            var saved = ( mutation.action === 'save' && result instanceof Object && result.item instanceof Object );
+
+            if ( saved && _this._isTempId( mutation.itemId ) && result.item.id !== undefined ) {
+                _this.__ids[mutation.itemId] = result.item.id;
+            }
+
+            if ( saved && versionField !== null && result.item[versionField] !== undefined ) {
+                _this.__versions[mutation.itemId] = result.item[versionField];
+            }
+
+            if ( item !== undefined && mutation.action === 'save' ) {
+                _this._confirmItem( item, result );
+            } else {
+                manager._invalidateCache();
+            }
+
+            _this._remove( mutation );
+
+            return null;
+        }, function ( e )
+        {
+            mutation.error = e.message;
+
+            if ( Mumsys_Generic_Manager_Offline.isNetworkError( e ) ) {
+                mutation.status = Mumsys_Generic_Manager_Offline.STATUS_PENDING;
+            } else {
+                mutation.status = Mumsys_Generic_Manager_Offline.STATUS_FAILED;
+            }
+            _this._notify( mutation );
+
+            return mutation.status;
+        } );
+    }
+
+
+    /**
+     * Sets the server id and version of a replayed save to the item. Changes
+     * made after the item was queued stay modified (the id and version are
+     * applied by Mumsys_Generic_Item_Default.confirm(), not by set() which
+     * would commit the item).
+     *
+     * @param {Mumsys_Generic_Item_Default} item Saved generic item object
+     * @param {Object} result Result of the save request
+     *
+     * @returns {void}
+     */
+    _confirmItem( item, result )
+    {
+        var manager = this.__manager;
+
+        if ( !item.isModified() ) {
+            manager._confirmSave( item, result );
+            return;
+        }
+
+        item.confirm( manager._getConfirmed( result ) );
+        manager._invalidateCache();
+    }
+
+
+    /**
+     * Loads the stored mutations (added before the mutations of this page).
+     *
+     * @returns {Promise} Resolves when loaded, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    _load()
+    {
+        var _this = this;
+
+        return this.__storage.get( this.__key ).then( function ( data )
+        {
+            if ( !( data instanceof Object ) || !Array.isArray( data.mutations ) ) {
+                return;
+            }
+
+            data.mutations.forEach( function ( mutation ) {
+                // the page was closed while sending
+                if ( mutation.status === Mumsys_Generic_Manager_Offline.STATUS_SENDING ) {
+                    mutation.status = Mumsys_Generic_Manager_Offline.STATUS_PENDING;
+                }
+            } );
+
+            _this.__mutations = data.mutations.concat( _this.__mutations );
+
+            for ( var tempId in data.ids ) {
+                if ( data.ids.hasOwnProperty( tempId ) ) {
+                    _this.__ids[tempId] = data.ids[tempId];
+                }
+            }
+
+            // versions confirmed by this page are newer
+            for ( var itemId in data.versions ) {
+                if ( data.versions.hasOwnProperty( itemId ) && !_this.__versions.hasOwnProperty( itemId ) ) {
+                    _this.__versions[itemId] = data.versions[itemId];
+                }
+            }
+        } );
+    }
+
+
+    /**
+     * Stores the queue (writes in order of the calls).
+     *
+     * @returns {Promise} Resolves when stored, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    _persist()
+    {
+        var _this = this;
+        var previous = this.__saving.catch( function () {} );
+
+        var write = function () {
+            var data = { "mutations": _this.__mutations, "ids": _this.__ids, "versions": _this.__versions };
+
+            return _this.__storage.set( _this.__key, data );
+        };
+
+        this.__saving = Promise.all( [ this.__ready, previous ] ).then( write );
+
+        return this.__saving;
+    }
+
+
+    /**
+     * Removes a mutation from the queue and notifies the observers.
+     *
+     * @param {Object} mutation Mutation to remove
+     *
+     * @returns {void}
+     */
+    _remove( mutation )
+    {
+        var idx = this.__mutations.indexOf( mutation );
+
+        if ( idx !== -1 ) {
+            this.__mutations.splice( idx, 1 );
+        }
+
+        mutation.status = null;
+        this._notify( mutation );
+    }
+
+
+    /**
+     * Returns the mutation of the id.
+     *
+     * @param {String} id Mutation id
+     *
+     * @returns {Object} Mutation
+     * @throws {Mumsys_Generic_Manager_Exception} If the mutation does not exist
+     */
+    _getMutation( id )
+    {
+        var mutation = this.__mutations.find( function ( mutation ) {
+            return mutation.id === id;
+        } );
+
+        if ( mutation === undefined ) {
+            var message = 'Mutation "' + id + '" not found';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        return mutation;
+    }
+
+
+    /**
+     * Notifies the observers about a change of the mutation.
+     *
+     * @param {Object} mutation Changed mutation
+     *
+     * @returns {void}
+     */
+    _notify( mutation )
+    {
+        var copy = this._export( mutation );
+
+        for ( var i = 0; i < this.__observers.length; i++ ) {
+            this.__observers[i]( this, copy );
+        }
+    }
+
+
+    /**
+     * Returns the public copy of a mutation.
+     *
+     * @param {Object} mutation Mutation
+     *
+     * @returns {Object} Copy without the request parameters
+     */
+    _export( mutation )
+    {
+        return {
+            "id": mutation.id,
+            "action": mutation.action,
+            "itemId": mutation.itemId,
+            "status": mutation.status,
+            "error": mutation.error,
+            "attempts": mutation.attempts
+        };
+    }
+
+
+    /**
+     * Checks if the id is a temporary client id.
+     *
+     * @param {Mixed} id Item id
+     *
+     * @returns {Boolean}
+     */
+    _isTempId( id )
+    {
+        return typeof id === 'string' && id.indexOf( 'tmp-' ) === 0;
+    }
+
+
+    /**
+     * Returns a new unique id.
+     *
+     * @param {String} prefix Prefix of the id
+     *
+     * @returns {String} Unique id
+     */
+    _createId( prefix )
+    {
+        return prefix + '-' + Date.now().toString( 36 ) + '-' + ( ++this.__counter );
+    }
+
+}
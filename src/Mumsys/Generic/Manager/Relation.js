@@ -0,0 +1,359 @@
+/**
+ * Mumsys_Generic_Manager_Relation
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Relationship of the items of a manager to the items of a related manager.
+ *
+ * <pre>
+ *  - TYPE_HASMANY: The related items have the id of the item in their
+ *    foreign key property (e.g. a user has many memberships, foreign key
+ *    "userId" of the memberships)
+ *  - TYPE_BELONGSTO: The item has the id of the related item in its foreign
+ *    key property (e.g. a membership belongs to a group, foreign key
+ *    "groupId" of the membership)
+ * </pre>
+ *
+ * Related items are resolved by the indexes of the related manager ("id" or
+ * the foreign key). Relations are created by
+ * Mumsys_Generic_Manager_Default.hasMany() and belongsTo().
+ *
+ * Options:
+ * <pre>
+ *  - cascade: {String|null} TYPE_HASMANY only: What to do with the related
+ *    items when an item will be deleted: CASCADE_DELETE, CASCADE_NULLIFY (set
+ *    the foreign key to null and save), CASCADE_RESTRICT (reject the delete
+ *    if related items exist, not loaded related items will be loaded to
+ *    check) or null (nothing, default)
+ *  - params: {Function} Callback getting the list of key values and
+ *    returning the request data to load the related items. Default:
+ *    {"<foreignKey>": [values]} (TYPE_HASMANY) or {"id": [values]}
+ *    (TYPE_BELONGSTO)
+ * </pre>
+ *
+ * Cascades are not atomic: the related items (in memory) will be deleted/
+ * saved by their own requests after the server confirmed the delete of the
+ * item. If one of them fails the delete rejects with a
+ * Mumsys_Generic_Manager_Relation_Exception, the item and the other related
+ * items stay deleted/ saved.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Relation
+{
+    /**
+     * Relation type: The related items have the foreign key.
+     * @var constant
+     */
+    static get TYPE_HASMANY() { return 'hasMany'; }
+
+    /**
+     * Relation type: The item has the foreign key.
+     * @var constant
+     */
+    static get TYPE_BELONGSTO() { return 'belongsTo'; }
+
+    /**
+     * Cascade: Delete the related items.
+     * @var constant
+     */
+    static get CASCADE_DELETE() { return 'delete'; }
+
+    /**
+     * Cascade: Set the foreign key of the related items to null.
+     * @var constant
+     */
+    static get CASCADE_NULLIFY() { return 'nullify'; }
+
+    /**
+     * Cascade: Reject the delete if related items exist.
+     * @var constant
+     */
+    static get CASCADE_RESTRICT() { return 'restrict'; }
+
+
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the relation.
+     *
+     * @param {String} name Name of the relation
+     * @param {String} type One of the TYPE_* constants
+     * @param {Mumsys_Generic_Manager_Default} manager Related manager
+     * @param {String} foreignKey Name of the foreign key property
+     * @param {Object} options Relation options; Optional
+     *
+     * @returns {Mumsys_Generic_Manager_Relation}
+     * @throws {Mumsys_Generic_Manager_Exception} If a parameter is invalid
+     */
+    constructor( name, type, manager, foreignKey, options = {} )
+    {
+        var cascade = ( options.cascade === undefined ) ? null : options.cascade;
+        var cascades = [
+            null,
+            Mumsys_Generic_Manager_Relation.CASCADE_DELETE,
+            Mumsys_Generic_Manager_Relation.CASCADE_NULLIFY,
+            Mumsys_Generic_Manager_Relation.CASCADE_RESTRICT
+        ];
+        var message;
+
+        if ( typeof name !== 'string' || name === '' ) {
+            message = 'Invalid relation name "' + name + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( type !== Mumsys_Generic_Manager_Relation.TYPE_HASMANY
+            && type !== Mumsys_Generic_Manager_Relation.TYPE_BELONGSTO
+        ) {
+            message = 'Invalid relation type "' + type + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( !( manager instanceof Mumsys_Generic_Manager_Default ) ) {
+            message = 'Invalid related manager of "' + name + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( typeof foreignKey !== 'string' || foreignKey === '' ) {
+            message = 'Invalid foreign key of "' + name + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( cascades.indexOf( cascade ) === -1
+            || ( cascade !== null && type !== Mumsys_Generic_Manager_Relation.TYPE_HASMANY )
+        ) {
+            message = 'Invalid cascade "' + cascade + '" of "' + name + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        /**
+         * Name of the relation.
+         * @private
+         * @type String
+         */
+        this.__name = name;
+
+        /**
+         * Relation type.
+         * @private
+         * @type String
+         */
+        this.__type = type;
+
+        /**
+         * Related manager.
+         * @private
+         * @type Mumsys_Generic_Manager_Default
+         */
+        this.__manager = manager;
+
+        /**
+         * Name of the foreign key property.
+         * @private
+         * @type String
+         */
+        this.__foreignKey = foreignKey;
+
+        /**
+         * Cascade on delete or null.
+         * @private
+         * @type {String|null}
+         */
+        this.__cascade = cascade;
+
+        /**
+         * Callback returning the request data or null for the default.
+         * @private
+         * @type {Function|null}
+         */
+        this.__params = options.params || null;
+
+        /**
+         * Key values of the loaded related items.
+         * @private
+         * @type Set
+         */
+        this.__loaded = new Set();
+    }
+
+
+    /**
+     * Returns the name of the relation.
+     *
+     * @returns {String} Name
+     */
+    getName()
+    {
+        return this.__name;
+    }
+
+
+    /**
+     * Returns the relation type.
+     *
+     * @returns {String} One of the TYPE_* constants
+     */
+    getType()
+    {
+        return this.__type;
+    }
+
+
+    /**
+     * Returns the related manager.
+     *
+     * @returns {Mumsys_Generic_Manager_Default} Related manager
+     */
+    getManager()
+    {
+        return this.__manager;
+    }
+
+
+    /**
+     * Returns the name of the foreign key property.
+     *
+     * @returns {String} Foreign key
+     */
+    getForeignKey()
+    {
+        return this.__foreignKey;
+    }
+
+
+    /**
+     * Returns the cascade on delete.
+     *
+     * @returns {String|null} One of the CASCADE_* constants or null
+     */
+    getCascade()
+    {
+        return this.__cascade;
+    }
+
+
+    /**
+     * Returns the key value of the item to find the related items by (the id
+     * or the foreign key).
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     *
+     * @returns {Mixed} Key value or null
+     */
+    getKey( item )
+    {
+        if ( this.__type === Mumsys_Generic_Manager_Relation.TYPE_HASMANY ) {
+            return item.get( 'id', null );
+        }
+
+        return item.get( this.__foreignKey, null );
+    }
+
+
+    /**
+     * Returns the related items of the item from the related manager.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     *
+     * @returns {Array|Mumsys_Generic_Item_Default|null} List of related items
+     * (TYPE_HASMANY) or the related item or null (TYPE_BELONGSTO)
+     */
+    find( item )
+    {
+        var key = this.getKey( item );
+
+        if ( this.__type === Mumsys_Generic_Manager_Relation.TYPE_HASMANY ) {
+            return ( key === null ) ? [] : this.__manager.findBy( this.__foreignKey, key );
+        }
+
+        if ( key === null ) {
+            return null;
+        }
+
+        return this.__manager.getItem( 'id', key, null );
+    }
+
+
+    /**
+     * Checks if the related items of the item were loaded by load().
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     *
+     * @returns {Boolean}
+     */
+    isLoaded( item )
+    {
+        return this.__loaded.has( this.getKey( item ) );
+    }
+
+
+    /**
+     * Loads the related items of the given items in one request (merged into
+     * the related manager).
+     *
+     * @param {Array} items List of generic items
+     * @param {Object} requestParams Request parameters of the related
+     * manager (see Mumsys_Generic_Manager_Default.loadItems()); Optional
+     *
+     * @returns {Promise} Resolves when loaded, rejects with a Mumsys_Exception
+     * on transport or json rpc errors
+     */
+    load( items, requestParams = false )
+    {
+        var _this = this;
+        var keys = [];
+        var key;
+
+        for ( var i = 0; i < items.length; i++ ) {
+            key = this.getKey( items[i] );
+
+            if ( key !== null && keys.indexOf( key ) === -1 ) {
+                keys.push( key );
+            }
+        }
+
+        if ( keys.length === 0 ) {
+            return Promise.resolve();
+        }
+
+        var data;
+
+        if ( this.__params !== null ) {
+            data = this.__params( keys );
+        } else if ( this.__type === Mumsys_Generic_Manager_Relation.TYPE_HASMANY ) {
+            data = {};
+            data[this.__foreignKey] = keys;
+        } else {
+            data = { "id": keys };
+        }
+
+        return this.__manager.loadItems( data, requestParams, { "merge": true } ).then( function ()
+        {
+            keys.forEach( function ( key ) {
+                _this.__loaded.add( key );
+            } );
+        } );
+    }
+
+}
@@ -0,0 +1,78 @@
+/**
+ * Mumsys_Generic_Manager_Relation_Exception
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Mumsys generic relation exception.
+ *
+ * Thrown if cascades of a delete failed (the item itself was deleted). The
+ * message lists the errors, getErrors() returns the failed related items and
+ * its errors.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Relation_Exception
+    extends Mumsys_Generic_Manager_Exception
+{
+    /**
+     * Returns the version ID.
+     *
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the relation exception.
+     *
+     * @param {Array} errors List of {item, error} objects of the failed 
+     * related items
+     * @param {String|integer} code Exception code; Optional, Default: 0
+     *
+     * @returns {Mumsys_Generic_Manager_Relation_Exception}
+     */
+    constructor( errors, code = 0 )
+    {
+        var list = [];
+
+        for ( var i = 0; i < errors.length; i++ ) {
+            list.push( '"' + errors[i].item.get( 'id', null ) + '": ' + errors[i].error.message );
+        }
+
+        super( 'Cascading delete failed: ' + list.join( '; ' ), code );
+
+        /**
+         * List of failed related items and its errors.
+         * @type Array
+         */
+        this.errors = errors;
+    }
+
+
+    /**
+     * Returns the list of failed related items and its errors.
+     *
+     * @returns {Array} List of {item, error} objects
+     */
+    getErrors()
+    {
+        return this.errors;
+    }
+
+};
@@ -0,0 +1,226 @@
+/**
+ * Mumsys_Generic_Manager_Snapshot
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Stores manager snapshots (see Mumsys_Generic_Manager_Default.serialize())
+ * in the web storage (localStorage, sessionStorage).
+ *
+ * Snapshots are stored by name under versioned keys (prefix + name + '.v' +
+ * snapshot version). Snapshots of older versions will be migrated by the
+ * registered migrations (see addMigration()) or ignored (but kept in the
+ * storage) if a migration is missing.
+ *
+ * E.g:
+ * <pre>
+ *  var snapshots = new Mumsys_Generic_Manager_Snapshot( new Mumsys_Storage_Web( sessionStorage ) );
+ *  var manager = snapshots.load( 'users' ) || new Mumsys_Generic_Manager_Default( 'users.php' );
+ *  window.addEventListener( 'pagehide', function () {
+ *      snapshots.save( 'users', manager );
+ *  } );
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Snapshot
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the snapshot storage.
+     *
+     * @param {Mumsys_Storage_Web|null} storage Web storage; Optional, Default:
+     * localStorage
+     * @param {String} prefix Prefix of the storage keys; Optional
+     *
+     * @returns {Mumsys_Generic_Manager_Snapshot}
+     * @throws {Mumsys_Storage_Exception} If no web storage is available
+     */
+    constructor( storage = null, prefix = 'mumsys.snapshot.' )
+    {
+        /**
+         * Web storage.
+         * @private
+         * @type Mumsys_Storage_Web
+         */
+        this.__storage = ( storage === null ) ? new Mumsys_Storage_Web() : storage;
+
+        /**
+         * Prefix of the storage keys.
+         * @private
+         * @type String
+         */
+        this.__prefix = prefix;
+
+        /**
+         * Migrations by snapshot version.
+         * @private
+         * @type Object
+         */
+        this.__migrations = {};
+    }
+
+
+    /**
+     * Returns the storage key of a snapshot.
+     *
+     * @param {String} name Name of the snapshot
+     * @param {integer} version Snapshot version; Optional, Default: current
+     * version
+     *
+     * @returns {String} Storage key
+     */
+    getKey( name, version = Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION )
+    {
+        return this.__prefix + name + '.v' + version;
+    }
+
+
+    /**
+     * Adds the migration of snapshots of the given version to the next
+     * version.
+     *
+     * @param {integer} version Snapshot version to migrate from
+     * @param {Function} callback Callback getting the snapshot and returning
+     * the migrated snapshot
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If callback is not a function
+     */
+    addMigration( version, callback )
+    {
+        if ( typeof callback !== 'function' ) {
+            var message = 'Invalid migration of version "' + version + '"';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        this.__migrations[version] = callback;
+    }
+
+
+    /**
+     * Stores the snapshot of the manager.
+     *
+     * @param {String} name Name of the snapshot
+     * @param {Mumsys_Generic_Manager_Default} manager Manager to store
+     *
+     * @returns {void}
+     * @throws {Mumsys_Storage_Exception} If storing failed (e.g. quota
+     * exceeded)
+     */
+    save( name, manager )
+    {
+        this.__storage.setSync( this.getKey( name ), manager.serialize() );
+    }
+
+
+    /**
+     * Creates the manager of a stored snapshot.
+     *
+     * Snapshots of older versions will be migrated and stored again under the
+     * current key, then the old key will be removed. Without a migration path
+     * or if a migration throws, the old snapshot stays in the storage (e.g.
+     * to be migrated by a later release).
+     *
+     * @param {String} name Name of the snapshot
+     * @param {Mumsys_Generic_Item_Schema|Object|null} schema Default schema
+     * of the items; Optional
+     * @param {Mumsys_Transport_Abstract|null} transport Transport to send
+     * requests; Optional
+     *
+     * @returns {Mumsys_Generic_Manager_Default|null} Manager or null if no
+     * (usable) snapshot exists
+     * @throws {Mumsys_Storage_Exception} If the stored value is invalid
+     * @throws {Mumsys_Generic_Manager_Exception} If the snapshot is invalid
+     * @throws {Error} Exceptions of the migrations
+     */
+    load( name, schema = null, transport = null )
+    {
+        var current = Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION;
+        var snapshot = this.__storage.getSync( this.getKey( name ) );
+
+        for ( var version = current - 1; snapshot === null && version > 0; version-- )
+        {
+            snapshot = this.__storage.getSync( this.getKey( name, version ) );
+
+            if ( snapshot !== null ) {
+                snapshot = this._migrate( snapshot, version );
+
+                if ( snapshot !== null ) {
+                    this.__storage.setSync( this.getKey( name ), snapshot );
+                    this.__storage.removeSync( this.getKey( name, version ) );
+                }
+
+                break;
+            }
+        }
+
+        if ( snapshot === null ) {
+            return null;
+        }
+
+        return Mumsys_Generic_Manager_Default.fromSnapshot( snapshot, schema, transport );
+    }
+
+
+    /**
+     * Removes the snapshots (of all versions) of the name.
+     *
+     * @param {String} name Name of the snapshot
+     *
+     * @returns {void}
+     */
+    remove( name )
+    {
+        for ( var version = Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION; version > 0; version-- ) {
+            this.__storage.removeSync( this.getKey( name, version ) );
+        }
+    }
+
+
+    /**
+     * Migrates a snapshot to the current version.
+     *
+     * @param {Object} snapshot Snapshot to migrate
+     * @param {integer} version Version of the snapshot
+     *
+     * @returns {Object|null} Migrated snapshot or null if a migration is
+     * missing
+     */
+    _migrate( snapshot, version )
+    {
+        for ( ; version < Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION; version++ )
+        {
+            if ( this.__migrations[version] === undefined ) {
+                return null;
+            }
+
+            snapshot = this.__migrations[version]( snapshot );
+            snapshot.version = version + 1;
+        }
+
+        return snapshot;
+    }
+
+}
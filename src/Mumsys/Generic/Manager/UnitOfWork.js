@@ -0,0 +1,430 @@
+/**
+ * Mumsys_Generic_Manager_UnitOfWork
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Unit of work (transaction) of a generic manager.
+ *
+ * Collects new (added to the manager during the transaction), modified and
+ * deleted (see registerDeleted()) items and commits them together: one "save"
+ * request per modified item and one "delete" request per deleted item, send
+ * as one json rpc batch if the manager has a json rpc client.
+ *
+ * Changes of the items will only be confirmed (ids set, modification status
+ * reset, deleted items removed) if all requests succeed. Otherwise the items
+ * keep their pre-commit state and the transaction stays active to commit
+ * again or to rollback().
+ * Note: Requests the server already processed will not be undone by the
+ * client. Use a server handling the batch in one transaction.
+ * The conflict strategy of the manager is not used: conflicts are reported
+ * as errors of the items. Resolve them (e.g. by merge()) and commit again.
+ *
+ * rollback() restores the state of all items at the begin of the transaction,
+ * adds the items removed by removeItem() of the manager again and removes the
+ * new items from the manager. Items deleted on the server (e.g. by
+ * deleteItem()) will not be restored.
+ *
+ * @see Mumsys_Generic_Manager_Default.beginTransaction()
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_UnitOfWork
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the unit of work and starts to track the items of the
+     * manager.
+     *
+     * @param {Mumsys_Generic_Manager_Default} manager Generic manager
+     *
+     * @returns {Mumsys_Generic_Manager_UnitOfWork}
+     */
+    constructor( manager )
+    {
+        var _this = this;
+
+        /**
+         * Generic manager.
+         * @private
+         * @type Mumsys_Generic_Manager_Default
+         */
+        this.__manager = manager;
+
+        /**
+         * Snapshots of the items before its first change in the transaction.
+         * @private
+         * @type Map
+         */
+        this.__snapshots = new Map();
+
+        /**
+         * Items added during the transaction.
+         * @private
+         * @type Set
+         */
+        this.__new = new Set();
+
+        /**
+         * Items to be deleted on commit.
+         * @private
+         * @type Set
+         */
+        this.__deleted = new Set();
+
+        /**
+         * Items removed from the manager during the transaction.
+         * @private
+         * @type Set
+         */
+        this.__removed = new Set();
+
+        /**
+         * Tracked items.
+         * @private
+         * @type Set
+         */
+        this.__tracked = new Set();
+
+        /**
+         * Flag if the transaction is active.
+         * @private
+         * @type Boolean
+         */
+        this.__active = true;
+
+        /**
+         * Observer of the items to snapshot an item before its first change.
+         * @private
+         * @type Function
+         */
+        this.__observer = function ( item ) {
+            if ( !_this.__snapshots.has( item ) ) {
+                _this.__snapshots.set( item, item.snapshot() );
+            }
+        };
+
+        var items = manager.getItems();
+        for ( var i = 0; i < items.length; i++ ) {
+            this._track( items[i] );
+        }
+    }
+
+
+    /**
+     * Checks if the transaction is active (not committed or rolled back).
+     *
+     * @returns {Boolean}
+     */
+    isActive()
+    {
+        return this.__active;
+    }
+
+
+    /**
+     * Registers a new item (added to the manager during the transaction).
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     */
+    registerNew( item )
+    {
+        this.__new.add( item );
+        this._track( item );
+    }
+
+
+    /**
+     * Registers an item to be deleted on commit.
+     *
+     * The item stays in the manager until the commit succeeded.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the transaction is not
+     * active
+     */
+    registerDeleted( item )
+    {
+        this._assertActive();
+        this.__deleted.add( item );
+    }
+
+
+    /**
+     * Registers an item removed from the manager (to be added again on
+     * rollback()). New items will be forgotten.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     */
+    registerRemoved( item )
+    {
+        if ( this.__new.has( item ) ) {
+            this.__new.delete( item );
+        } else {
+            this.__removed.add( item );
+        }
+        this.__deleted.delete( item );
+    }
+
+
+    /**
+     * Checks if the item was added during the transaction.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {Boolean}
+     */
+    isNew( item )
+    {
+        return this.__new.has( item );
+    }
+
+
+    /**
+     * Checks if the item is registered to be deleted.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {Boolean}
+     */
+    isDeleted( item )
+    {
+        return this.__deleted.has( item );
+    }
+
+
+    /**
+     * Commits the new, modified and deleted items.
+     *
+     * @param {Object} params Request parameters to the server (for each
+     * item); Optional
+     * @param {Object} requestOptions Parameters to overwrite the request
+     * defaults of the transport; Optional
+     *
+     * @returns {Promise} Resolves with {"saved": Array, "deleted": Array}
+     * lists of items. Rejects with a Mumsys_Generic_Manager_UnitOfWork_Exception
+     * if requests failed, a Mumsys_Generic_Manager_Exception if the
+     * transaction is not active or params.item already exists or a
+     * Mumsys_Exception if the batch request failed as a whole
+     */
+    commit( params = {}, requestOptions = false )
+    {
+        var _this = this;
+        var manager = this.__manager;
+        var message;
+
+        if ( !this.__active ) {
+            message = 'Transaction not active';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        if ( params.item !== undefined ) {
+            message = 'params.item property already defined';
+            return Promise.reject( new Mumsys_Generic_Manager_Exception( message ) );
+        }
+
+        var saved = [];
+        var states = [];
+        var deleted = [];
+        var requests = [];
+        var items = [];
+        var itemParams;
+        var list = manager.getItems();
+
+        try
+        {
+            for ( var i = 0; i < list.length; i++ ) {
+                if ( list[i].isModified() && !this.__deleted.has( list[i] ) ) {
+                    itemParams = manager._copyParams( params );
+                    states.push( manager._setSaveData( list[i], itemParams ) );
+                    requests.push( { "action": "save", "params": itemParams } );
+                    items.push( list[i] );
+                    saved.push( list[i] );
+                }
+            }
+
+            this.__deleted.forEach( function ( item )
+            {
+                itemParams = manager._copyParams( params );
+                if ( manager._setDeleteData( item, itemParams ) ) {
+                    requests.push( { "action": "delete", "params": itemParams } );
+                    items.push( item );
+                }
+                deleted.push( item );
+            } );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        return manager._sendEach( requests, requestOptions ).then( function ( responses )
+        {
+            var errors = [];
+
+            for ( var j = 0; j < responses.length; j++ ) {
+                if ( responses[j].error !== null ) {
+                    var error = manager._createConflict( items[j], responses[j].error );
+                    errors.push( { "item": items[j], "error": error } );
+                }
+            }
+
+            if ( errors.length > 0 ) {
+                throw new Mumsys_Generic_Manager_UnitOfWork_Exception( errors );
+            }
+
+            _this._confirm( saved, states, deleted, responses );
+
+            return { "saved": saved, "deleted": deleted };
+        } );
+    }
+
+
+    /**
+     * Restores the state of all items at the begin of the transaction, adds
+     * the removed items again, removes the new items from the manager and
+     * ends the transaction.
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the transaction is not
+     * active
+     */
+    rollback()
+    {
+        var _this = this;
+        var manager = this.__manager;
+        var removed = Array.from( this.__removed );
+
+        this._assertActive();
+
+        this.__snapshots.forEach( function ( snapshot, item ) {
+            if ( !_this.__new.has( item ) ) {
+                item.restore( snapshot );
+            }
+        } );
+
+        manager._removeItems( Array.from( this.__new ) );
+        this._end();
+
+        // added after the end, not to be registered as new items
+        removed.forEach( function ( item ) {
+            manager.addItem( item );
+        } );
+    }
+
+
+    /**
+     * Confirms the saved and deleted items and ends the transaction.
+     *
+     * If confirming a saved item fails (e.g. the returned id already exists)
+     * the saved items will be restored to the pre-commit state.
+     *
+     * @param {Array} saved List of saved items (first responses)
+     * @param {Array} states List of the sent states of the saved items
+     * @param {Array} deleted List of deleted items
+     * @param {Array} responses List of responses
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If confirming failed
+     */
+    _confirm( saved, states, deleted, responses )
+    {
+        var snapshots = saved.map( function ( item ) {
+            return item.snapshot();
+        } );
+
+        try {
+            for ( var i = 0; i < saved.length; i++ ) {
+                this.__manager._confirmSave( saved[i], responses[i].result, states[i] );
+            }
+        } catch ( e ) {
+            for ( var j = 0; j < saved.length; j++ ) {
+                saved[j].restore( snapshots[j] );
+            }
+
+            throw e;
+        }
+
+        this.__manager._confirmDelete( deleted );
+        this._end();
+    }
+
+
+    /**
+     * Starts to track the changes of the item.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     *
+     * @returns {void}
+     */
+    _track( item )
+    {
+        item.attach( this.__observer );
+        this.__tracked.add( item );
+    }
+
+
+    /**
+     * Ends the transaction and stops tracking.
+     *
+     * @returns {void}
+     */
+    _end()
+    {
+        var _this = this;
+
+        this.__tracked.forEach( function ( item ) {
+            item.detach( _this.__observer );
+        } );
+
+        this.__tracked.clear();
+        this.__snapshots.clear();
+        this.__new.clear();
+        this.__deleted.clear();
+        this.__removed.clear();
+        this.__active = false;
+        this.__manager._endTransaction( this );
+    }
+
+
+    /**
+     * Checks if the transaction is active.
+     *
+     * @returns {void}
+     * @throws {Mumsys_Generic_Manager_Exception} If the transaction is not
+     * active
+     */
+    _assertActive()
+    {
+        if ( !this.__active ) {
+            var message = 'Transaction not active';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+    }
+
+}
@@ -0,0 +1,326 @@
+/**
+ * Mumsys_Generic_Manager_Worker
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Parses json rpc responses and normalises the rows of "result.list" in a Web
+ * Worker, off the main thread (see the "worker" option of
+ * Mumsys_Generic_Manager_Default.loadItems()).
+ *
+ * The normalize callback function( row ) returns the item properties of a
+ * row. It runs in the worker: it must not use variables of its scope (the
+ * source code of the function will be send to the worker).
+ *
+ * Without Web Worker support (see isSupported()) responses will be parsed on
+ * the main thread.
+ *
+ * E.g:
+ * <pre>
+ *  var worker = new Mumsys_Generic_Manager_Worker( function ( row ) {
+ *      return {"id": row.ID, "name": row.NAME.trim()};
+ *  } );
+ *  manager.loadItems( data, false, {"worker": worker, "chunkSize": 1000} );
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Manager_Worker
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Checks if Web Workers can be created from a script source.
+     *
+     * @returns {Boolean}
+     */
+    static isSupported()
+    {
+        return typeof Worker === 'function' && typeof Blob === 'function'
+            && typeof URL === 'function' && typeof URL.createObjectURL === 'function';
+    }
+
+
+    /**
+     * Initialize the worker (the Web Worker will be created by the first
+     * parse() call).
+     *
+     * @param {Function|null} normalize Callback function( row ) returning the
+     * item properties of a row or null to keep the rows; Optional
+     * @param {Function|null} factory Callback function( source ) returning a
+     * Worker (postMessage(), onmessage, terminate()) for the script source;
+     * Optional, Default: a Web Worker of a Blob url or null without Web
+     * Worker support
+     *
+     * @returns {Mumsys_Generic_Manager_Worker}
+     * @throws {Mumsys_Generic_Manager_Exception} If normalize or factory are
+     * not functions
+     */
+    constructor( normalize = null, factory = null )
+    {
+        var message;
+
+        if ( normalize !== null && typeof normalize !== 'function' ) {
+            message = 'Invalid normalize callback';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( factory !== null && typeof factory !== 'function' ) {
+            message = 'Invalid worker factory';
+            throw new Mumsys_Generic_Manager_Exception( message );
+        }
+
+        if ( factory === null && Mumsys_Generic_Manager_Worker.isSupported() ) {
+            factory = function ( source ) {
+                var url = URL.createObjectURL( new Blob( [ source ], { "type": "application/javascript" } ) );
+                var worker = new Worker( url );
+
+                URL.revokeObjectURL( url );
+
+                return worker;
+            };
+        }
+
+        /**
+         * Normalize callback or null.
+         * @private
+         * @type {Function|null}
+         */
+        this.__normalize = normalize;
+
+        /**
+         * Factory of the worker or null to parse on the main thread.
+         * @private
+         * @type {Function|null}
+         */
+        this.__factory = factory;
+
+        /**
+         * Running worker or null.
+         * @private
+         * @type {Object|null}
+         */
+        this.__worker = null;
+
+        /**
+         * Callbacks {"resolve": Function, "reject": Function} of the pending
+         * parse() calls by message id.
+         * @private
+         * @type Map
+         */
+        this.__pending = new Map();
+
+        /**
+         * Last message id.
+         * @private
+         * @type integer
+         */
+        this.__lastId = 0;
+    }
+
+
+    /**
+     * Returns the script source of the worker.
+     *
+     * @returns {String} Script source
+     */
+    getSource()
+    {
+        var normalize = ( this.__normalize === null ) ? 'null' : '(' + this.__normalize.toString() + ')';
+        var parse = Mumsys_Generic_Manager_Worker._parse.toString().replace( /^(static\s+)?_parse/, 'function' );
+
+        return '"use strict";\n'
+            + 'var normalize = ' + normalize + ';\n'
+            + 'var parse = ' + parse + ';\n'
+            + 'self.onmessage = function ( event ) {\n'
+            + '    try {\n'
+            + '        self.postMessage( {"id": event.data.id, "response": parse( event.data.text, normalize )} );\n'
+            + '    } catch ( e ) {\n'
+            + '        self.postMessage( {"id": event.data.id, "error": String( e.message )} );\n'
+            + '    }\n'
+            + '};\n';
+    }
+
+
+    /**
+     * Parses a json rpc response and normalises the rows of "result.list".
+     *
+     * @param {String} text Response body
+     *
+     * @returns {Promise} Resolves with the response object, rejects with a
+     * Mumsys_Transport_Exception if the json is invalid, the normalize
+     * callback or the worker failed
+     */
+    parse( text )
+    {
+        var _this = this;
+
+        if ( this.__factory === null )
+        {
+            try {
+                return Promise.resolve( Mumsys_Generic_Manager_Worker._parse( text, this.__normalize ) );
+            } catch ( e ) {
+                return Promise.reject( new Mumsys_Transport_Exception( e.message ) );
+            }
+        }
+
+        if ( this.__worker === null ) {
+            this.__worker = this.__factory( this.getSource() );
+            this.__worker.onmessage = function ( event ) {
+                _this._receive( event.data );
+            };
+            this.__worker.onerror = function ( event ) {
+                _this._fail( event );
+            };
+            this.__worker.onmessageerror = function ( event ) {
+                _this._fail( event );
+            };
+        }
+
+        var id = ++this.__lastId;
+
+        return new Promise( function ( resolve, reject ) {
+            _this.__pending.set( id, { "resolve": resolve, "reject": reject } );
+            _this.__worker.postMessage( { "id": id, "text": text } );
+        } );
+    }
+
+
+    /**
+     * Terminates the worker. Pending parse() calls will be rejected (code
+     * Mumsys_Exception.ERRCODE_ABORTED), the next parse() call creates a new
+     * worker.
+     *
+     * @returns {void}
+     */
+    terminate()
+    {
+        var message = 'Worker terminated';
+
+        if ( this.__worker !== null ) {
+            this.__worker.terminate();
+            this.__worker = null;
+        }
+
+        this.__pending.forEach( function ( entry ) {
+            entry.reject( new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_ABORTED ) );
+        } );
+        this.__pending.clear();
+    }
+
+
+    /**
+     * Settles the parse() call of a worker message.
+     *
+     * @param {Object} message Message {"id": integer, "response": Object} or
+     * {"id": integer, "error": String}
+     *
+     * @returns {void}
+     */
+    _receive( message )
+    {
+        var entry = this.__pending.get( message.id );
+
+        if ( entry === undefined ) {
+            return;
+        }
+
+        this.__pending.delete( message.id );
+
+        if ( message.error !== undefined ) {
+            entry.reject( new Mumsys_Transport_Exception( message.error ) );
+        } else {
+            entry.resolve( message.response );
+        }
+    }
+
+
+    /**
+     * Rejects all pending parse() calls and drops the worker (e.g. if the
+     * worker could not be loaded or failed outside of a parse), the next
+     * parse() call creates a new worker.
+     *
+     * @param {Event|Object} event Error event of the worker
+     *
+     * @returns {void}
+     */
+    _fail( event )
+    {
+        var message = 'Worker failed';
+
+        if ( event instanceof Object && event.message ) {
+            message += ': ' + event.message;
+        }
+
+        if ( event instanceof Object && typeof event.preventDefault === 'function' ) {
+            event.preventDefault();
+        }
+
+        if ( this.__worker !== null ) {
+            this.__worker.terminate();
+            this.__worker = null;
+        }
+
+        this.__pending.forEach( function ( entry ) {
+            entry.reject( new Mumsys_Transport_Exception( message ) );
+        } );
+        this.__pending.clear();
+    }
+
+
+    /**
+     * Parses the response and normalises the rows (runs in the worker: no
+     * references to other code).
+     *
+     * @param {String} text Response body
+     * @param {Function|null} normalize Normalize callback or null
+     *
+     * @returns {Object} Response object
+     * @throws {Error} If the json is invalid or the normalize callback failed
+     */
+    static _parse( text, normalize )
+    {
+        var response;
+
+        try {
+            response = JSON.parse( text );
+        } catch ( e ) {
+            throw new Error( 'Invalid json response: ' + e.message );
+        }
+
+        if ( normalize !== null && response instanceof Object && response.result instanceof Object
+            && Array.isArray( response.result.list )
+        ) {
+            try {
+                response.result.list = response.result.list.map( function ( row ) {
+                    return normalize( row );
+                } );
+            } catch ( e ) {
+                throw new Error( 'Normalizing the rows failed: ' + ( ( e instanceof Object ) ? e.message : e ) );
+            }
+        }
+
+        return response;
+    }
+
+}
@@ -0,0 +1,679 @@
+/**
+ * Mumsys_Generic_Query
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+/**
+ * Query builder to filter, sort and paginate the items of a manager.
+ *
+ * Works with every source having a getItems() method (e.g.
+ * Mumsys_Generic_Manager_Default, Mumsys_Generic_Manager) and items having a
+ * get() method.
+ *
+ * Criteria:
+ * <pre>
+ *  - [key, operator, value] Condition. Operators:
+ *      ==, !=, <, <=, >, >= (strict/ type save), in (value is a list of
+ *      values), contains (substring of a string or value of an array),
+ *      regex (RegExp or pattern string)
+ *  - {"and": [criteria, ...]} All criteria must match
+ *  - {"or": [criteria, ...]} One of the criteria must match
+ *  - {"not": criteria} The criteria must not match
+ *  - {Function} Callback getting the item and returning true to match
+ * </pre>
+ *
+ * The query is a live view of the source: the items will be selected when
+ * calling getItems(), first(), count() or an aggregation, so the result
+ * reflects the current items of the source.
+ *
+ * Aggregations (groupBy(), countBy(), sum(), min(), max(), distinct()) use
+ * all matching items in sort order (limit and offset are ignored, like
+ * count()). They take a property name or an accessor function( item )
+ * returning the value. Undefined and null values are missing values: they
+ * are skipped by sum(), min(), max() and distinct() and grouped under null by
+ * groupBy() and countBy(). Values are compared type save (1 and "1" are
+ * different groups).
+ *
+ * E.g:
+ * <pre>
+ *  var query = manager.query()
+ *      .where( 'status', 'in', ['new', 'open'] )
+ *      .where( {"or": [['age', '>=', 18], ['name', 'regex', /^admin/]]} )
+ *      .orderBy( 'name' ).orderBy( 'age', 'desc' )
+ *      .limit( 10, 20 );
+ *  var list = query.getItems();
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+class Mumsys_Generic_Query
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Returns the list of supported operators.
+     *
+     * @returns {Array} List of operators
+     */
+    static getOperators()
+    {
+        return [ '==', '!=', '<', '<=', '>', '>=', 'in', 'contains', 'regex' ];
+    }
+
+
+    /**
+     * Checks if the item matches the criteria.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item object
+     * @param {Array|Object|Function} criteria Criteria to check
+     *
+     * @returns {Boolean} True if the item matches
+     * @throws {Mumsys_Generic_Exception} If the criteria are invalid
+     */
+    static match( item, criteria )
+    {
+        var i;
+
+        if ( typeof criteria === 'function' ) {
+            return criteria( item ) === true;
+        }
+
+        if ( Array.isArray( criteria ) && criteria.length === 3 ) {
+            return Mumsys_Generic_Query.compare( item.get( criteria[0] ), criteria[1], criteria[2] );
+        }
+
+        if ( criteria instanceof Object && Array.isArray( criteria.and ) )
+        {
+            for ( i = 0; i < criteria.and.length; i++ ) {
+                if ( !Mumsys_Generic_Query.match( item, criteria.and[i] ) ) {
+                    return false;
+                }
+            }
+
+            return true;
+        }
+
+        if ( criteria instanceof Object && Array.isArray( criteria.or ) )
+        {
+            for ( i = 0; i < criteria.or.length; i++ ) {
+                if ( Mumsys_Generic_Query.match( item, criteria.or[i] ) ) {
+                    return true;
+                }
+            }
+
+            return false;
+        }
+
+        if ( criteria instanceof Object && criteria.not !== undefined ) {
+            return !Mumsys_Generic_Query.match( item, criteria.not );
+        }
+
+        var message = 'Invalid query criteria: ' + JSON.stringify( criteria );
+        throw new Mumsys_Generic_Exception( message );
+    }
+
+
+    /**
+     * Compares a value using the operator.
+     *
+     * @param {Mixed} value Value of the item property
+     * @param {String} operator Operator (see getOperators())
+     * @param {Mixed} expected Value to compare with
+     *
+     * @returns {Boolean} Result of the comparison
+     * @throws {Mumsys_Generic_Exception} If the operator is invalid
+     */
+    static compare( value, operator, expected )
+    {
+        switch ( operator )
+        {
+            case '==':
+                return value === expected;
+
+            case '!=':
+                return value !== expected;
+
+            case '<':
+                return Mumsys_Generic_Query._isComparable( value ) && value < expected;
+
+            case '<=':
+                return Mumsys_Generic_Query._isComparable( value ) && value <= expected;
+
+            case '>':
+                return Mumsys_Generic_Query._isComparable( value ) && value > expected;
+
+            case '>=':
+                return Mumsys_Generic_Query._isComparable( value ) && value >= expected;
+
+            case 'in':
+                return Array.isArray( expected ) && expected.indexOf( value ) !== -1;
+
+            case 'contains':
+                if ( typeof value === 'string' || Array.isArray( value ) ) {
+                    return value.indexOf( expected ) !== -1;
+                }
+
+                return false;
+
+            case 'regex':
+                if ( value === undefined || value === null ) {
+                    return false;
+                }
+
+                if ( !( expected instanceof RegExp ) ) {
+                    return new RegExp( expected ).test( String( value ) );
+                }
+
+                // global/ sticky expressions continue at lastIndex otherwise
+                expected.lastIndex = 0;
+
+                return expected.test( String( value ) );
+        }
+
+        var message = 'Invalid query operator "' + operator + '"';
+        throw new Mumsys_Generic_Exception( message );
+    }
+
+
+    /**
+     * Initialize the query.
+     *
+     * @param {Object} source Source of the items (having a getItems() method)
+     *
+     * @returns {Mumsys_Generic_Query}
+     * @throws {Mumsys_Generic_Exception} If the source is invalid
+     */
+    constructor( source )
+    {
+        if ( !( source instanceof Object ) || typeof source.getItems !== 'function' ) {
+            var message = 'Invalid query source';
+            throw new Mumsys_Generic_Exception( message );
+        }
+
+        /**
+         * Source of the items.
+         * @private
+         * @type Object
+         */
+        this.__source = source;
+
+        /**
+         * List of criteria (all must match).
+         * @private
+         * @type Array
+         */
+        this.__criteria = [];
+
+        /**
+         * List of sort orders ({"key": String, "desc": Boolean}).
+         * @private
+         * @type Array
+         */
+        this.__orders = [];
+
+        /**
+         * Maximum number of items or null for all.
+         * @private
+         * @type {integer|null}
+         */
+        this.__limit = null;
+
+        /**
+         * Number of items to skip.
+         * @private
+         * @type integer
+         */
+        this.__offset = 0;
+    }
+
+
+    /**
+     * Adds criteria. All criteria added must match.
+     *
+     * E.g:
+     * <pre>
+     *  query.where( 'id', '>', 3 );
+     *  query.where( 'status', 'open' ); // same as: where( 'status', '==', 'open' )
+     *  query.where( {"not": ['name', 'contains', 'test']} );
+     * </pre>
+     *
+     * @param {String|Array|Object|Function} key Property name or criteria
+     * @param {String|Mixed} operator Operator or the value for '=='; Optional
+     * @param {Mixed} value Value to compare with; Optional
+     *
+     * @returns {Mumsys_Generic_Query} Query object (fluent interface)
+     * @throws {Mumsys_Generic_Exception} If the operator is invalid
+     */
+    where( key, operator, value )
+    {
+        var criteria = key;
+
+        if ( arguments.length === 2 ) {
+            criteria = [ key, '==', operator ];
+        } else if ( arguments.length === 3 ) {
+            criteria = [ key, operator, value ];
+        }
+
+        if ( Array.isArray( criteria ) && Mumsys_Generic_Query.getOperators().indexOf( criteria[1] ) === -1 ) {
+            var message = 'Invalid query operator "' + criteria[1] + '"';
+            throw new Mumsys_Generic_Exception( message );
+        }
+
+        this.__criteria.push( criteria );
+
+        return this;
+    }
+
+
+    /**
+     * Adds a sort order. Several calls sort by several keys in the order of
+     * the calls.
+     *
+     * Undefined and null values will be sorted at the end.
+     *
+     * @param {String} key Property name to sort by
+     * @param {String} direction Sort direction 'asc' or 'desc'; Optional,
+     * Default: 'asc'
+     *
+     * @returns {Mumsys_Generic_Query} Query object (fluent interface)
+     * @throws {Mumsys_Generic_Exception} If the direction is invalid
+     */
+    orderBy( key, direction = 'asc' )
+    {
+        if ( direction !== 'asc' && direction !== 'desc' ) {
+            var message = 'Invalid sort direction "' + direction + '"';
+            throw new Mumsys_Generic_Exception( message );
+        }
+
+        this.__orders.push( { "key": key, "desc": ( direction === 'desc' ) } );
+
+        return this;
+    }
+
+
+    /**
+     * Sets the maximum number of items and the number of items to skip.
+     *
+     * @param {integer|null} limit Maximum number of items or null for all
+     * @param {integer} offset Number of items to skip; Optional, Default: 0
+     *
+     * @returns {Mumsys_Generic_Query} Query object (fluent interface)
+     * @throws {Mumsys_Generic_Exception} If limit or offset are invalid
+     */
+    limit( limit, offset = 0 )
+    {
+        var message;
+
+        if ( limit !== null && !( Number.isInteger( limit ) && limit >= 0 ) ) {
+            message = 'Invalid limit "' + limit + '"';
+            throw new Mumsys_Generic_Exception( message );
+        }
+
+        if ( !( Number.isInteger( offset ) && offset >= 0 ) ) {
+            message = 'Invalid offset "' + offset + '"';
+            throw new Mumsys_Generic_Exception( message );
+        }
+
+        this.__limit = limit;
+        this.__offset = offset;
+
+        return this;
+    }
+
+
+    /**
+     * Returns the matching, sorted and paginated items of the source.
+     *
+     * @returns {Array} List of generic items
+     */
+    getItems()
+    {
+        var list = this._select();
+        var end = ( this.__limit === null ) ? list.length : this.__offset + this.__limit;
+
+        return list.slice( this.__offset, end );
+    }
+
+
+    /**
+     * Returns the first matching item (after sorting and offset).
+     *
+     * @returns {Mumsys_Generic_Item_Default|undefined} Generic item or
+     * undefined if not found
+     */
+    first()
+    {
+        return this._select()[this.__offset];
+    }
+
+
+    /**
+     * Returns the number of all matching items (without limit and offset,
+     * e.g. for pagination).
+     *
+     * @returns {integer} Number of matching items
+     */
+    count()
+    {
+        return this._filter().length;
+    }
+
+
+    /**
+     * Groups the matching items by the value of a property.
+     *
+     * E.g:
+     * <pre>
+     *  query.groupBy( 'status' );
+     *  // [{"key": "open", "items": [item, ...]}, {"key": "done", "items": [...]}]
+     * </pre>
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Array} List of groups {"key": Mixed, "items": Array} in the
+     * order of the first item of each group
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    groupBy( key )
+    {
+        var groups = new Map();
+        var list = this._select();
+        var value;
+
+        for ( var i = 0; i < list.length; i++ ) {
+            value = Mumsys_Generic_Query._getValue( list[i], key );
+            value = ( value === undefined ) ? null : value;
+
+            if ( !groups.has( value ) ) {
+                groups.set( value, { "key": value, "items": [] } );
+            }
+
+            groups.get( value ).items.push( list[i] );
+        }
+
+        return Array.from( groups.values() );
+    }
+
+
+    /**
+     * Counts the matching items by the value of a property.
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Array} List of {"key": Mixed, "count": integer} in the order
+     * of groupBy()
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    countBy( key )
+    {
+        return this.groupBy( key ).map( function ( group ) {
+            return { "key": group.key, "count": group.items.length };
+        } );
+    }
+
+
+    /**
+     * Returns the sum of the number values of the matching items.
+     *
+     * Values which are not finite numbers (e.g. numeric strings, NaN) will be
+     * skipped.
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Number} Sum or 0 if no numbers exist
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    sum( key )
+    {
+        return this._getValues( key ).reduce( function ( sum, value ) {
+            return ( typeof value === 'number' && isFinite( value ) ) ? sum + value : sum;
+        }, 0 );
+    }
+
+
+    /**
+     * Returns the smallest value of the matching items.
+     *
+     * Only numbers and strings will be compared: If numbers exist only the
+     * numbers will be compared (like sum() numeric strings are skipped),
+     * otherwise the strings. Other values will be skipped.
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Number|String|null} Smallest value or null if no comparable
+     * values exist
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    min( key )
+    {
+        return this._getExtreme( key, false );
+    }
+
+
+    /**
+     * Returns the largest value of the matching items.
+     *
+     * @see min() for the comparison of mixed types
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Number|String|null} Largest value or null if no comparable
+     * values exist
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    max( key )
+    {
+        return this._getExtreme( key, true );
+    }
+
+
+    /**
+     * Returns the unique values of the matching items.
+     *
+     * Values are compared by identity (===): arrays and objects are only
+     * the same value if they are the same instance.
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Array} List of values in the order of the first occurrence
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    distinct( key )
+    {
+        return Array.from( new Set( this._getValues( key ) ) );
+    }
+
+
+    /**
+     * Returns the values (without missing values) of the matching and sorted
+     * items.
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Array} List of values
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    _getValues( key )
+    {
+        return this._select().map( function ( item ) {
+            return Mumsys_Generic_Query._getValue( item, key );
+        } ).filter( function ( value ) {
+            return ( value !== undefined && value !== null );
+        } );
+    }
+
+
+    /**
+     * Returns the smallest or largest comparable value.
+     *
+     * @param {String|Function} key Property name or accessor function( item )
+     * @param {Boolean} largest Flag to return the largest value
+     *
+     * @returns {Number|String|null} Value or null if no comparable values 
+     * exist
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    _getExtreme( key, largest )
+    {
+        var values = this._getValues( key ).filter( function ( value ) {
+            return Mumsys_Generic_Query._isComparable( value ) && !Number.isNaN( value );
+        } );
+        var numbers = values.filter( function ( value ) {
+            return typeof value === 'number';
+        } );
+        var result = null;
+
+        if ( numbers.length > 0 ) {
+            values = numbers;
+        }
+
+        for ( var i = 0; i < values.length; i++ ) {
+            if ( result === null || ( values[i] !== result && ( values[i] > result ) === largest ) ) {
+                result = values[i];
+            }
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Returns the matching and sorted items.
+     *
+     * @returns {Array} List of generic items
+     */
+    _select()
+    {
+        var orders = this.__orders;
+        var list = this._filter();
+
+        if ( orders.length === 0 ) {
+            return list;
+        }
+
+        // keep the position for a stable sort
+        var entries = list.map( function ( item, idx ) {
+            return { "item": item, "idx": idx };
+        } );
+
+        entries.sort( function ( a, b )
+        {
+            var result;
+
+            for ( var i = 0; i < orders.length; i++ ) {
+                result = Mumsys_Generic_Query._compareValues(
+                    a.item.get( orders[i].key ), b.item.get( orders[i].key ), orders[i].desc
+                );
+
+                if ( result !== 0 ) {
+                    return result;
+                }
+            }
+
+            return a.idx - b.idx;
+        } );
+
+        return entries.map( function ( entry ) {
+            return entry.item;
+        } );
+    }
+
+
+    /**
+     * Returns the items of the source matching all criteria.
+     *
+     * @returns {Array} List of generic items
+     */
+    _filter()
+    {
+        var criteria = { "and": this.__criteria };
+
+        return this.__source.getItems().filter( function ( item ) {
+            return Mumsys_Generic_Query.match( item, criteria );
+        } );
+    }
+
+
+    /**
+     * Returns the sort order of two values.
+     *
+     * @param {Mixed} a First value
+     * @param {Mixed} b Second value
+     * @param {Boolean} desc Flag for descending order
+     *
+     * @returns {integer} -1, 0 or 1
+     */
+    static _compareValues( a, b, desc )
+    {
+        var emptyA = ( a === undefined || a === null );
+        var emptyB = ( b === undefined || b === null );
+
+        if ( emptyA || emptyB ) {
+            return ( emptyA === emptyB ) ? 0 : ( emptyA ? 1 : -1 );
+        }
+
+        if ( a === b ) {
+            return 0;
+        }
+
+        return ( ( a < b ) !== desc ) ? -1 : 1;
+    }
+
+
+    /**
+     * Returns the value of an item by property name or accessor function.
+     *
+     * @param {Mumsys_Generic_Item_Default} item Generic item
+     * @param {String|Function} key Property name or accessor function( item )
+     *
+     * @returns {Mixed} Value
+     * @throws {Mumsys_Generic_Exception} If key is invalid
+     */
+    static _getValue( item, key )
+    {
+        if ( typeof key === 'function' ) {
+            return key( item );
+        }
+
+        if ( typeof key !== 'string' ) {
+            var message = 'Invalid aggregation key "' + key + '"';
+            throw new Mumsys_Generic_Exception( message );
+        }
+
+        return item.get( key );
+    }
+
+
+    /**
+     * Checks if a value can be compared using <, <=, >, >=.
+     *
+     * @param {Mixed} value Value to check
+     *
+     * @returns {Boolean} True for numbers and strings
+     */
+    static _isComparable( value )
+    {
+        return typeof value === 'number' || typeof value === 'string';
+    }
+
+}
@@ -0,0 +1,230 @@
+/**
+ * Mumsys_JsonRpc_Batch
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+
+"use strict";
+
+/**
+ * Json rpc 2.0 batch.
+ *
+ * Queues calls and notifications and sends them as one batch array. Each call
+ * gets its own result or error: send() resolves with a list of
+ * {"result": Mixed, "error": Mumsys_JsonRpc_Exception|null} entries in the
+ * order of the add() calls (add() returns the index of the entry).
+ * Notifications have no entry.
+ *
+ * E.g:
+ * <pre>
+ *  var batch = client.createBatch();
+ *  var idxA = batch.add( 'user.get', {"id": 5} );
+ *  var idxB = batch.add( 'user.get', {"id": 6} );
+ *  batch.send().then( function ( responses ) {
+ *      if ( responses[idxB].error !== null ) { ... }
+ *  } );
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+class Mumsys_JsonRpc_Batch
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the batch.
+     *
+     * @param {Mumsys_JsonRpc_Client} client Json rpc client to create and
+     * send the requests
+     *
+     * @returns {Mumsys_JsonRpc_Batch}
+     */
+    constructor( client )
+    {
+        /**
+         * Json rpc client.
+         * @private
+         * @type Mumsys_JsonRpc_Client
+         */
+        this.__client = client;
+
+        /**
+         * List of queued request objects.
+         * @private
+         * @type Array
+         */
+        this.__requests = [];
+
+        /**
+         * Number of queued calls (requests with an id).
+         * @private
+         * @type integer
+         */
+        this.__calls = 0;
+    }
+
+
+    /**
+     * Adds a call to the batch.
+     *
+     * @param {String} method Name of the method to be invoked
+     * @param {Object|Array} params Parameters of the method; Optional
+     *
+     * @returns {integer} Index of the response entry of send()
+     * @throws {Mumsys_JsonRpc_Exception} If method or params are invalid
+     */
+    add( method, params )
+    {
+        this.__requests.push( this.__client.createRequest( method, params ) );
+
+        return this.__calls++;
+    }
+
+
+    /**
+     * Adds a notification (no response expected) to the batch.
+     *
+     * @param {String} method Name of the method to be invoked
+     * @param {Object|Array} params Parameters of the method; Optional
+     *
+     * @returns {void}
+     * @throws {Mumsys_JsonRpc_Exception} If method or params are invalid
+     */
+    notify( method, params )
+    {
+        this.__requests.push( this.__client.createRequest( method, params, true ) );
+    }
+
+
+    /**
+     * Returns the number of queued requests (calls and notifications).
+     *
+     * @returns {integer} Number of requests
+     */
+    count()
+    {
+        return this.__requests.length;
+    }
+
+
+    /**
+     * Sends all queued requests as one batch and clears the queue.
+     *
+     * An empty batch will not be send.
+     *
+     * @param {Object} requestOptions Options to overwrite the request options
+     * of the transport; Optional
+     *
+     * @returns {Promise} Resolves with the list of response entries of the
+     * calls ({"result": Mixed, "error": Mumsys_JsonRpc_Exception|null}).
+     * Rejects with a Mumsys_Exception on transport errors or if the server
+     * rejected the batch as a whole (e.g. parse error)
+     */
+    send( requestOptions = false )
+    {
+        var _this = this;
+        var requests = this.__requests;
+        var calls = this.__calls;
+
+        this.__requests = [];
+        this.__calls = 0;
+
+        if ( requests.length === 0 ) {
+            return Promise.resolve( [] );
+        }
+
+        var options = requestOptions;
+        if ( calls === 0 ) {
+            // notifications only: the server returns nothing
+            options = { "dataType": "text" };
+            for ( var key in requestOptions ) {
+                if ( requestOptions.hasOwnProperty( key ) ) {
+                    options[key] = requestOptions[key];
+                }
+            }
+        }
+
+        return this.__client.send( requests, options ).then( function ( response ) {
+            if ( calls === 0 ) {
+                return [];
+            }
+
+            return _this._getResponses( response, requests );
+        } );
+    }
+
+
+    /**
+     * Returns the response entries of the calls matched by the request id.
+     *
+     * @param {Array|Object} response Json rpc batch response
+     * @param {Array} requests List of sent request objects
+     *
+     * @returns {Array} List of response entries
+     * @throws {Mumsys_JsonRpc_Exception} If the response is not a list
+     */
+    _getResponses( response, requests )
+    {
+        var message;
+        var map = {};
+        var list = [];
+        var entry;
+
+        if ( !Array.isArray( response ) ) {
+            // a single error object if the batch itself is invalid
+            if ( response instanceof Object && response.error instanceof Object ) {
+                throw Mumsys_JsonRpc_Exception.createFromError( response.error );
+            }
+
+            message = 'Invalid json rpc batch response';
+            throw new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+        }
+
+        for ( var i = 0; i < response.length; i++ ) {
+            if ( response[i] instanceof Object && response[i].id !== undefined && response[i].id !== null ) {
+                map[response[i].id] = response[i];
+            }
+        }
+
+        for ( var j = 0; j < requests.length; j++ ) {
+            if ( requests[j].id === undefined ) {
+                continue;
+            }
+
+            entry = { "result": null, "error": null };
+
+            if ( map[requests[j].id] === undefined ) {
+                message = 'Json rpc response missing for request id "' + requests[j].id + '"';
+                entry.error = new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+            } else {
+                try {
+                    entry.result = this.__client.getResult( map[requests[j].id], requests[j] );
+                } catch ( e ) {
+                    entry.error = e;
+                }
+            }
+
+            list.push( entry );
+        }
+
+        return list;
+    }
+
+}
@@ -0,0 +1,295 @@
+/**
+ * Mumsys_JsonRpc_Client
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+
+"use strict";
+
+/**
+ * Json rpc 2.0 client.
+ *
+ * Creates spec compliant request objects with auto incrementing ids, sends
+ * them as json POST request using the transport and matches the response by
+ * the id. Error objects of the response will be thrown as typed exceptions
+ * (see Mumsys_JsonRpc_Exception.createFromError()).
+ *
+ * E.g:
+ * <pre>
+ *  var client = new Mumsys_JsonRpc_Client( new Mumsys_Transport_Fetch(), '/jsonrpc' );
+ *  client.call( 'user.get', {"id": 5} ).then( function ( result ) { ... } );
+ *  client.notify( 'log.write', ["message"] );
+ * </pre>
+ *
+ * Several calls can be send in one request using a batch (see createBatch()).
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+class Mumsys_JsonRpc_Client
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the client.
+     *
+     * @param {Mumsys_Transport_Abstract} transport Transport to send requests
+     * @param {String} url Location of the json rpc server; Optional, Default:
+     * 'jsonrpc.php'
+     *
+     * @returns {Mumsys_JsonRpc_Client}
+     * @throws {Mumsys_JsonRpc_Exception} If transport is invalid
+     */
+    constructor( transport, url = 'jsonrpc.php' )
+    {
+        if ( !( transport instanceof Mumsys_Transport_Abstract ) ) {
+            var message = 'Invalid transport';
+            throw new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+        }
+
+        /**
+         * Transport to send requests.
+         * @private
+         * @type Mumsys_Transport_Abstract
+         */
+        this.__transport = transport;
+
+        /**
+         * Location of the json rpc server.
+         * @private
+         * @type String
+         */
+        this.__url = url;
+
+        /**
+         * Last used request id.
+         * @private
+         * @type integer
+         */
+        this.__id = 0;
+    }
+
+
+    /**
+     * Returns the transport.
+     *
+     * @returns {Mumsys_Transport_Abstract} Transport object
+     */
+    getTransport()
+    {
+        return this.__transport;
+    }
+
+
+    /**
+     * Returns a json rpc 2.0 request object.
+     *
+     * @param {String} method Name of the method to be invoked
+     * @param {Object|Array|undefined} params Parameters of the method; Optional
+     * @param {Boolean} notification Flag to create a notification (without
+     * id); Optional, Default: false
+     *
+     * @returns {Object} Request object
+     * @throws {Mumsys_JsonRpc_Exception} If method or params are invalid
+     */
+    createRequest( method, params, notification = false )
+    {
+        var message;
+
+        if ( typeof method !== 'string' || method === '' ) {
+            message = 'Invalid method name';
+            throw new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+        }
+
+        var request = { "jsonrpc": "2.0", "method": method };
+
+        if ( params !== undefined && params !== null ) {
+            if ( !( params instanceof Object ) ) {
+                message = 'Invalid params, object or array expected';
+                throw new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+            }
+
+            request.params = params;
+        }
+
+        if ( !notification ) {
+            request.id = ++this.__id;
+        }
+
+        return request;
+    }
+
+
+    /**
+     * Calls a remote method.
+     *
+     * @param {String} method Name of the method to be invoked
+     * @param {Object|Array} params Parameters of the method; Optional
+     * @param {Object} requestOptions Options to overwrite the request options
+     * of the transport (e.g. url, headers); Optional
+     *
+     * @returns {Promise} Resolves with the result, rejects with a
+     * Mumsys_JsonRpc_Exception on json rpc errors or a Mumsys_Exception on
+     * transport errors. Has the abort() method of the transport promise
+     */
+    call( method, params, requestOptions = false )
+    {
+        var _this = this;
+        var request;
+
+        try {
+            request = this.createRequest( method, params );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        var sent = this.send( request, requestOptions );
+        var promise = sent.then( function ( response ) {
+            return _this.getResult( response, request );
+        } );
+        promise.abort = sent.abort;
+
+        return promise;
+    }
+
+
+    /**
+     * Sends a notification (no response expected).
+     *
+     * @param {String} method Name of the method to be invoked
+     * @param {Object|Array} params Parameters of the method; Optional
+     * @param {Object} requestOptions Options to overwrite the request options
+     * of the transport; Optional
+     *
+     * @returns {Promise} Resolves without a value when sent, rejects with a
+     * Mumsys_Exception on transport errors
+     */
+    notify( method, params, requestOptions = false )
+    {
+        var request;
+
+        try {
+            request = this.createRequest( method, params, true );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        var options = { "dataType": "text" };
+        for ( var key in requestOptions ) {
+            if ( requestOptions.hasOwnProperty( key ) ) {
+                options[key] = requestOptions[key];
+            }
+        }
+
+        return this.send( request, options ).then( function () {
+            return undefined;
+        } );
+    }
+
+
+    /**
+     * Returns a new batch to send several calls in one request.
+     *
+     * @returns {Mumsys_JsonRpc_Batch} Batch object
+     */
+    createBatch()
+    {
+        return new Mumsys_JsonRpc_Batch( this );
+    }
+
+
+    /**
+     * Sends a request object (or a list of request objects) using the
+     * transport.
+     *
+     * @param {Object|Array} payload Request object(s) to send
+     * @param {Object} requestOptions Options to overwrite the request options
+     * of the transport. Keys with null values will be removed; Optional
+     *
+     * @returns {Promise} Promise of the transport
+     */
+    send( payload, requestOptions = false )
+    {
+        var options = {
+            "url": this.__url,
+            "type": "POST",
+            "contentType": "application/json",
+            "dataType": "json"
+        };
+
+        if ( requestOptions ) {
+            for ( var key in requestOptions ) {
+                if ( requestOptions.hasOwnProperty( key ) ) {
+                    options[key] = requestOptions[key];
+                }
+            }
+        }
+
+        for ( var name in options ) {
+            if ( options.hasOwnProperty( name ) && options[name] === null ) {
+                delete options[name];
+            }
+        }
+
+        options.data = payload;
+
+        return this.__transport.request( options );
+    }
+
+
+    /**
+     * Checks the response object and returns the result.
+     *
+     * @param {Object} response Json rpc response object
+     * @param {Object} request Json rpc request object of the response
+     *
+     * @returns {Mixed} Result of the response
+     * @throws {Mumsys_JsonRpc_Exception} If the response is invalid, does not
+     * match the request or contains an error object (typed exception)
+     */
+    getResult( response, request )
+    {
+        var message;
+
+        if ( !( response instanceof Object ) || response.jsonrpc !== '2.0' ) {
+            message = 'Invalid json rpc response';
+            throw new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+        }
+
+        // errors of unknown requests (e.g. parse errors) come with a null id
+        var isError = ( response.error instanceof Object );
+        if ( response.id !== request.id && !( isError && response.id === null ) ) {
+            message = 'Json rpc response id "' + response.id + '" does not match request id "'
+                + request.id + '"';
+            throw new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+        }
+
+        if ( isError ) {
+            throw Mumsys_JsonRpc_Exception.createFromError( response.error );
+        }
+
+        if ( !response.hasOwnProperty( 'result' ) ) {
+            message = 'Invalid json rpc response, result missing';
+            throw new Mumsys_JsonRpc_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+        }
+
+        return response.result;
+    }
+
+}
@@ -0,0 +1,153 @@
+/**
+ * Mumsys_JsonRpc_Exception
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+
+"use strict";
+
+/**
+ * Mumsys json rpc exception.
+ *
+ * Base exception for json rpc 2.0 errors. The code and data of the json rpc
+ * error object are available as "code" and "data" properties. Use
+ * createFromError() to get the typed exception of a json rpc error object.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+class Mumsys_JsonRpc_Exception
+    extends Mumsys_Exception
+{
+    /**
+     * Json rpc error code: Invalid JSON was received by the server.
+     * @var constant
+     */
+    static get ERRCODE_PARSE() { return -32700; }
+
+    /**
+     * Json rpc error code: The JSON sent is not a valid Request object.
+     * @var constant
+     */
+    static get ERRCODE_INVALID_REQUEST() { return -32600; }
+
+    /**
+     * Json rpc error code: The method does not exist / is not available.
+     * @var constant
+     */
+    static get ERRCODE_METHOD_NOT_FOUND() { return -32601; }
+
+    /**
+     * Json rpc error code: Invalid method parameter(s).
+     * @var constant
+     */
+    static get ERRCODE_INVALID_PARAMS() { return -32602; }
+
+    /**
+     * Json rpc error code: Internal JSON-RPC error.
+     * @var constant
+     */
+    static get ERRCODE_INTERNAL() { return -32603; }
+
+
+    /**
+     * Returns the version ID.
+     *
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Returns the typed exception of a json rpc error object.
+     *
+     * <pre>
+     *  - -32700: Mumsys_JsonRpc_Exception_Parse
+     *  - -32600: Mumsys_JsonRpc_Exception_InvalidRequest
+     *  - -32601: Mumsys_JsonRpc_Exception_MethodNotFound
+     *  - -32602: Mumsys_JsonRpc_Exception_InvalidParams
+     *  - -32603: Mumsys_JsonRpc_Exception_Internal
+     *  - -32000 to -32099: Mumsys_JsonRpc_Exception_Server
+     *  - other (application) codes: Mumsys_JsonRpc_Exception
+     * </pre>
+     *
+     * @param {Object} error Json rpc error object (code, message, data)
+     *
+     * @returns {Mumsys_JsonRpc_Exception} Exception object
+     */
+    static createFromError( error )
+    {
+        var code = error.code;
+        var message = String( error.message );
+        var data = ( error.data === undefined ) ? null : error.data;
+
+        switch ( code )
+        {
+            case Mumsys_JsonRpc_Exception.ERRCODE_PARSE:
+                return new Mumsys_JsonRpc_Exception_Parse( message, code, data );
+
+            case Mumsys_JsonRpc_Exception.ERRCODE_INVALID_REQUEST:
+                return new Mumsys_JsonRpc_Exception_InvalidRequest( message, code, data );
+
+            case Mumsys_JsonRpc_Exception.ERRCODE_METHOD_NOT_FOUND:
+                return new Mumsys_JsonRpc_Exception_MethodNotFound( message, code, data );
+
+            case Mumsys_JsonRpc_Exception.ERRCODE_INVALID_PARAMS:
+                return new Mumsys_JsonRpc_Exception_InvalidParams( message, code, data );
+
+            case Mumsys_JsonRpc_Exception.ERRCODE_INTERNAL:
+                return new Mumsys_JsonRpc_Exception_Internal( message, code, data );
+        }
+
+        if ( code <= -32000 && code >= -32099 ) {
+            return new Mumsys_JsonRpc_Exception_Server( message, code, data );
+        }
+
+        return new Mumsys_JsonRpc_Exception( message, code, data );
+    }
+
+
+    /**
+     * Initialize the json rpc exception.
+     *
+     * @param {String} message Exception message
+     * @param {integer} code Json rpc error code; Optional, Default: 0
+     * @param {Mixed} data Additional error information of the server;
+     * Optional, Default: null
+     *
+     * @returns {Mumsys_JsonRpc_Exception}
+     */
+    constructor( message, code = 0, data = null )
+    {
+        super( message, code );
+
+        /**
+         * Additional error information of the server.
+         * @type Mixed
+         */
+        this.data = data;
+    }
+
+
+    /**
+     * Returns the additional error information of the server.
+     *
+     * @returns {Mixed} Error data or null
+     */
+    getData()
+    {
+        return this.data;
+    }
+
+};
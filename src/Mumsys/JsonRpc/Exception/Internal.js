@@ -0,0 +1,36 @@
+/**
+ * Mumsys_JsonRpc_Exception_Internal
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+
+"use strict";
+
+/**
+ * Mumsys json rpc exception: Internal json rpc error (-32603).
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+class Mumsys_JsonRpc_Exception_Internal
+    extends Mumsys_JsonRpc_Exception
+{
+    /**
+     * Returns the version ID.
+     *
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+};
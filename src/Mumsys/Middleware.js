@@ -0,0 +1,198 @@
+/**
+ * Mumsys_Middleware
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ */
+
+"use strict";
+
+/**
+ * Ordered chain of request middlewares (see Mumsys.use() for all managers and
+ * Mumsys_Generic_Manager_Default.use()).
+ *
+ * A middleware is a function( request, next ). It may change the request,
+ * calls next( request ) to continue with the next middleware (the last one
+ * sends the request) and returns the (changed) promise of the result.
+ * Returning a result without calling next() short-circuits the chain (e.g.
+ * for mocked or cached responses). Errors reject the promise returned by
+ * next().
+ *
+ * Middlewares with a higher priority run first, middlewares of the same
+ * priority in the order they were added.
+ *
+ * E.g:
+ * <pre>
+ *  Mumsys.use( function ( request, next ) {
+ *      request.options.headers = Object.assign( {}, request.options.headers, {"X-CSRF-Token": token} );
+ *
+ *      return next( request ).catch( function ( error ) {
+ *          report( request, error );
+ *          throw error;
+ *      } );
+ *  } );
+ * </pre>
+ *
+ * @category Mumsys
+ * @package  Js
+ */
+class Mumsys_Middleware
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the middleware chain.
+     *
+     * @returns {Mumsys_Middleware}
+     */
+    constructor()
+    {
+        /**
+         * Entries {"middleware": Function, "priority": Number, "order":
+         * integer} sorted by priority and order.
+         * @private
+         * @type Array
+         */
+        this.__entries = [];
+
+        /**
+         * Counter to keep the order of entries with the same priority.
+         * @private
+         * @type integer
+         */
+        this.__order = 0;
+    }
+
+
+    /**
+     * Adds a middleware.
+     *
+     * @param {Function} middleware Callback function( request, next )
+     * @param {Number} priority Higher priorities run first; Optional,
+     * Default: 0
+     *
+     * @returns {void}
+     * @throws {Mumsys_Exception} If middleware is not a function or priority
+     * not a number
+     */
+    use( middleware, priority = 0 )
+    {
+        var message;
+
+        if ( typeof middleware !== 'function' ) {
+            message = 'Invalid middleware';
+            throw new Mumsys_Exception( message );
+        }
+
+        if ( typeof priority !== 'number' || Number.isNaN( priority ) ) {
+            message = 'Invalid middleware priority "' + priority + '"';
+            throw new Mumsys_Exception( message );
+        }
+
+        this.__entries.push( { "middleware": middleware, "priority": priority, "order": this.__order++ } );
+        this.__entries.sort( function ( a, b ) {
+            return ( b.priority - a.priority ) || ( a.order - b.order );
+        } );
+    }
+
+
+    /**
+     * Removes a middleware.
+     *
+     * @param {Function} middleware Middleware added by use()
+     *
+     * @returns {void}
+     */
+    remove( middleware )
+    {
+        this.__entries = this.__entries.filter( function ( entry ) {
+            return entry.middleware !== middleware;
+        } );
+    }
+
+
+    /**
+     * Removes all middlewares.
+     *
+     * @returns {void}
+     */
+    clear()
+    {
+        this.__entries = [];
+    }
+
+
+    /**
+     * Returns the middlewares in the order they run.
+     *
+     * @returns {Array} List of middleware functions
+     */
+    getMiddlewares()
+    {
+        return this.__entries.map( function ( entry ) {
+            return entry.middleware;
+        } );
+    }
+
+
+    /**
+     * Runs the request through the middlewares and the handler.
+     *
+     * Middlewares are called synchronously until one of them waits for
+     * something.
+     *
+     * @param {Object} request Request object
+     * @param {Function} handler Callback function( request ) sending the
+     * request, returning the result or a promise of the result
+     *
+     * @returns {Promise} Resolves with the result, rejects with the error of
+     * the handler or a middleware (a Mumsys_Exception if a middleware calls
+     * next() several times)
+     */
+    run( request, handler )
+    {
+        var list = this.getMiddlewares();
+
+        var dispatch = function ( idx, request )
+        {
+            var called = false;
+            var next = function ( changed )
+            {
+                if ( called ) {
+                    var message = 'next() called multiple times';
+                    return Promise.reject( new Mumsys_Exception( message ) );
+                }
+
+                called = true;
+
+                return dispatch( idx + 1, ( changed === undefined ) ? request : changed );
+            };
+
+            try {
+                if ( idx === list.length ) {
+                    return Promise.resolve( handler( request ) );
+                }
+
+                return Promise.resolve( list[idx]( request, next ) );
+            } catch ( e ) {
+                return Promise.reject( e );
+            }
+        };
+
+        return dispatch( 0, request );
+    }
+
+}
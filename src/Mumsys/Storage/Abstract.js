@@ -0,0 +1,124 @@
+/**
+ * Mumsys_Storage_Abstract
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+/**
+ * Abstract key/value storage (storage interface) for json serializable values.
+ *
+ * All methods return promises to support asynchronous storages (IndexedDB).
+ *
+ * Implementations: Mumsys_Storage_IndexedDb, Mumsys_Storage_Web
+ * (localStorage, sessionStorage) and Mumsys_Storage_Memory (fallback, tests).
+ * Implementations must implement get(), set() and remove().
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+class Mumsys_Storage_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Returns the default persistent storage of the current environment.
+     *
+     * Uses IndexedDB if available, otherwise localStorage or the in-memory
+     * storage (not persistent).
+     *
+     * @returns {Mumsys_Storage_Abstract} Storage object
+     */
+    static createDefault()
+    {
+        if ( typeof indexedDB !== 'undefined' && indexedDB !== null ) {
+            return new Mumsys_Storage_IndexedDb();
+        }
+
+        try {
+            if ( typeof localStorage !== 'undefined' && localStorage !== null ) {
+                return new Mumsys_Storage_Web( localStorage );
+            }
+        } catch ( e ) {
+            // access denied (e.g. privacy settings), use the fallback
+        }
+
+        return new Mumsys_Storage_Memory();
+    }
+
+
+    /**
+     * Returns the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves with the value or null if not found,
+     * rejects with a Mumsys_Storage_Exception
+     */
+    get( key )
+    {
+        return Promise.reject( this._createNotImplemented( 'get' ) );
+    }
+
+
+    /**
+     * Stores the value of the key.
+     *
+     * @param {String} key Key of the value
+     * @param {Mixed} value Json serializable value
+     *
+     * @returns {Promise} Resolves when stored, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    set( key, value )
+    {
+        return Promise.reject( this._createNotImplemented( 'set' ) );
+    }
+
+
+    /**
+     * Removes the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves when removed, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    remove( key )
+    {
+        return Promise.reject( this._createNotImplemented( 'remove' ) );
+    }
+
+
+    /**
+     * Returns the exception of a not implemented method.
+     *
+     * @param {String} method Name of the method
+     *
+     * @returns {Mumsys_Storage_Exception}
+     */
+    _createNotImplemented( method )
+    {
+        var message = 'Storage must implement ' + method + '()';
+
+        return new Mumsys_Storage_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+    }
+
+}
@@ -0,0 +1,36 @@
+/**
+ * Mumsys_Storage_Exception
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+/**
+ * Mumsys storage exception.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+class Mumsys_Storage_Exception
+    extends Mumsys_Exception
+{
+    /**
+     * Returns the version ID.
+     *
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+};
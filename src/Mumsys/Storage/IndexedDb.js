@@ -0,0 +1,205 @@
+/**
+ * Mumsys_Storage_IndexedDb
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+/**
+ * Storage using an IndexedDB object store.
+ *
+ * The database will be opened (and the object store created) on first use.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+class Mumsys_Storage_IndexedDb
+    extends Mumsys_Storage_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the storage.
+     *
+     * @param {String} dbName Name of the database; Optional, Default: 'mumsys'
+     * @param {String} storeName Name of the object store; Optional, Default:
+     * 'storage'
+     * @param {IDBFactory} factory IndexedDB factory; Optional, Default: the
+     * global indexedDB
+     *
+     * @returns {Mumsys_Storage_IndexedDb}
+     */
+    constructor( dbName = 'mumsys', storeName = 'storage', factory = null )
+    {
+        super();
+
+        /**
+         * Name of the database.
+         * @private
+         * @type String
+         */
+        this.__dbName = dbName;
+
+        /**
+         * Name of the object store.
+         * @private
+         * @type String
+         */
+        this.__storeName = storeName;
+
+        /**
+         * IndexedDB factory.
+         * @private
+         * @type IDBFactory
+         */
+        this.__factory = factory;
+
+        /**
+         * Promise of the opened database or null.
+         * @private
+         * @type {Promise|null}
+         */
+        this.__db = null;
+    }
+
+
+    /**
+     * Returns the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves with the value or null if not found,
+     * rejects with a Mumsys_Storage_Exception
+     */
+    get( key )
+    {
+        return this._execute( 'readonly', function ( store ) {
+            return store.get( key );
+        } ).then( function ( json ) {
+            return ( json === undefined || json === null ) ? null : JSON.parse( json );
+        } );
+    }
+
+
+    /**
+     * Stores the value of the key.
+     *
+     * @param {String} key Key of the value
+     * @param {Mixed} value Json serializable value
+     *
+     * @returns {Promise} Resolves when stored, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    set( key, value )
+    {
+        var json = JSON.stringify( value );
+
+        return this._execute( 'readwrite', function ( store ) {
+            return store.put( json, key );
+        } ).then( function () {} );
+    }
+
+
+    /**
+     * Removes the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves when removed, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    remove( key )
+    {
+        return this._execute( 'readwrite', function ( store ) {
+            return store.delete( key );
+        } ).then( function () {} );
+    }
+
+
+    /**
+     * Executes a request in a transaction of the object store.
+     *
+     * @param {String} mode Transaction mode 'readonly' or 'readwrite'
+     * @param {Function} callback Callback getting the object store and
+     * returning the request
+     *
+     * @returns {Promise} Resolves with the result of the request, rejects
+     * with a Mumsys_Storage_Exception
+     */
+    _execute( mode, callback )
+    {
+        var storeName = this.__storeName;
+
+        return this._open().then( function ( db )
+        {
+            return new Promise( function ( resolve, reject )
+            {
+                var request = callback( db.transaction( storeName, mode ).objectStore( storeName ) );
+
+                request.onsuccess = function () {
+                    resolve( request.result );
+                };
+                request.onerror = function () {
+                    var message = 'Storage request failed: ' + ( request.error ? request.error.message : '' );
+                    reject( new Mumsys_Storage_Exception( message ) );
+                };
+            } );
+        } );
+    }
+
+
+    /**
+     * Opens the database once.
+     *
+     * @returns {Promise} Resolves with the database, rejects with a
+     * Mumsys_Storage_Exception
+     */
+    _open()
+    {
+        var _this = this;
+
+        if ( this.__db !== null ) {
+            return this.__db;
+        }
+
+        this.__db = new Promise( function ( resolve, reject )
+        {
+            var factory = _this.__factory || indexedDB;
+            var request = factory.open( _this.__dbName, 1 );
+
+            request.onupgradeneeded = function () {
+                if ( !request.result.objectStoreNames.contains( _this.__storeName ) ) {
+                    request.result.createObjectStore( _this.__storeName );
+                }
+            };
+            request.onsuccess = function () {
+                resolve( request.result );
+            };
+            request.onerror = function () {
+                _this.__db = null;
+                var message = 'Opening the database failed: ' + ( request.error ? request.error.message : '' );
+                reject( new Mumsys_Storage_Exception( message ) );
+            };
+        } );
+
+        return this.__db;
+    }
+
+}
@@ -0,0 +1,103 @@
+/**
+ * Mumsys_Storage_Memory
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+/**
+ * In-memory storage e.g. as fallback or for tests. Not persistent.
+ *
+ * Values are stored as json strings like the persistent storages do.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+class Mumsys_Storage_Memory
+    extends Mumsys_Storage_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the storage.
+     *
+     * @returns {Mumsys_Storage_Memory}
+     */
+    constructor()
+    {
+        super();
+
+        /**
+         * Stored json strings by key.
+         * @private
+         * @type Map
+         */
+        this.__data = new Map();
+    }
+
+
+    /**
+     * Returns the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves with the value or null if not found
+     */
+    get( key )
+    {
+        if ( !this.__data.has( key ) ) {
+            return Promise.resolve( null );
+        }
+
+        return Promise.resolve( JSON.parse( this.__data.get( key ) ) );
+    }
+
+
+    /**
+     * Stores the value of the key.
+     *
+     * @param {String} key Key of the value
+     * @param {Mixed} value Json serializable value
+     *
+     * @returns {Promise} Resolves when stored
+     */
+    set( key, value )
+    {
+        this.__data.set( key, JSON.stringify( value ) );
+
+        return Promise.resolve();
+    }
+
+
+    /**
+     * Removes the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves when removed
+     */
+    remove( key )
+    {
+        this.__data.delete( key );
+
+        return Promise.resolve();
+    }
+
+}
@@ -0,0 +1,187 @@
+/**
+ * Mumsys_Storage_Web
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+/**
+ * Storage using the Web Storage api (localStorage or sessionStorage).
+ *
+ * Values are stored as json strings. Besides the promise based interface the
+ * synchronous methods getSync(), setSync() and removeSync() are available.
+ *
+ * E.g:
+ * <pre>
+ *  var storage = new Mumsys_Storage_Web( sessionStorage );
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+class Mumsys_Storage_Web
+    extends Mumsys_Storage_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the storage.
+     *
+     * @param {Storage} storage Web storage object (having getItem(),
+     * setItem() and removeItem()); Optional, Default: the global localStorage
+     *
+     * @returns {Mumsys_Storage_Web}
+     * @throws {Mumsys_Storage_Exception} If no web storage is available
+     */
+    constructor( storage = null )
+    {
+        super();
+
+        if ( storage === null && typeof localStorage !== 'undefined' ) {
+            storage = localStorage;
+        }
+
+        if ( !( storage instanceof Object ) || typeof storage.getItem !== 'function' ) {
+            var message = 'Web storage not available';
+            throw new Mumsys_Storage_Exception( message );
+        }
+
+        /**
+         * Web storage object.
+         * @private
+         * @type Storage
+         */
+        this.__storage = storage;
+    }
+
+
+    /**
+     * Returns the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves with the value or null if not found,
+     * rejects with a Mumsys_Storage_Exception
+     */
+    get( key )
+    {
+        try {
+            return Promise.resolve( this.getSync( key ) );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+    }
+
+
+    /**
+     * Stores the value of the key.
+     *
+     * @param {String} key Key of the value
+     * @param {Mixed} value Json serializable value
+     *
+     * @returns {Promise} Resolves when stored, rejects with a
+     * Mumsys_Storage_Exception (e.g. quota exceeded)
+     */
+    set( key, value )
+    {
+        try {
+            this.setSync( key, value );
+        } catch ( e ) {
+            return Promise.reject( e );
+        }
+
+        return Promise.resolve();
+    }
+
+
+    /**
+     * Removes the value of the key.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Promise} Resolves when removed
+     */
+    remove( key )
+    {
+        this.removeSync( key );
+
+        return Promise.resolve();
+    }
+
+
+    /**
+     * Returns the value of the key synchronously.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {Mixed} Value or null if not found
+     * @throws {Mumsys_Storage_Exception} If the stored value is invalid
+     */
+    getSync( key )
+    {
+        var json = this.__storage.getItem( key );
+
+        if ( json === null || json === undefined ) {
+            return null;
+        }
+
+        try {
+            return JSON.parse( json );
+        } catch ( e ) {
+            var message = 'Invalid stored value of "' + key + '": ' + e.message;
+            throw new Mumsys_Storage_Exception( message );
+        }
+    }
+
+
+    /**
+     * Stores the value of the key synchronously.
+     *
+     * @param {String} key Key of the value
+     * @param {Mixed} value Json serializable value
+     *
+     * @returns {void}
+     * @throws {Mumsys_Storage_Exception} If storing failed (e.g. quota
+     * exceeded)
+     */
+    setSync( key, value )
+    {
+        try {
+            this.__storage.setItem( key, JSON.stringify( value ) );
+        } catch ( e ) {
+            var message = 'Storing "' + key + '" failed: ' + e.message;
+            throw new Mumsys_Storage_Exception( message );
+        }
+    }
+
+
+    /**
+     * Removes the value of the key synchronously.
+     *
+     * @param {String} key Key of the value
+     *
+     * @returns {void}
+     */
+    removeSync( key )
+    {
+        this.__storage.removeItem( key );
+    }
+
+}
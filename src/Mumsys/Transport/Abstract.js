@@ -0,0 +1,667 @@
+/**
+ * Mumsys_Transport_Abstract
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+/**
+ * Abstract transport (transport interface) to send requests to the server.
+ *
+ * Transports get request options (compatible to the options of
+ * jQuery.ajax()) and return a promise:
+ * <pre>
+ *  - url: {String} Url to request to
+ *  - type: {String} Request method. Default: 'GET'
+ *  - data: {Object} Request parameters/ data. Send as query string for GET
+ *    requests, otherwise as request body
+ *  - contentType: {String} Content type of the request body.
+ *    'application/json' sends the data as json string, otherwise form
+ *    encoded. Default: 'application/x-www-form-urlencoded; charset=UTF-8'
+ *  - dataType: {String} Expected response: 'json' or 'text'. Default: 'json'
+ *  - headers: {Object} Additional request headers
+ *  - success: {Function} Callback on success, gets the response; Optional
+ *  - error: {Function} Callback on errors, gets the exception; Optional
+ *  - timeout: {integer} Timeout of each attempt in milliseconds, 0 for no
+ *    timeout. Default: 0
+ *  - signal: {AbortSignal} Signal to abort the request; Optional
+ *  - retries: {integer} Max. number of retries of idempotent requests on
+ *    network errors, timeouts, http 429 and 5xx responses. Default: 0
+ *  - retryDelay: {integer} Delay before the first retry in milliseconds,
+ *    doubled for each retry (exponential backoff with jitter). Default: 100
+ *  - retryMaxDelay: {integer} Max. delay between retries in milliseconds.
+ *    Default: 10000
+ *  - idempotent: {Boolean} Flag if the request can be retried. Default:
+ *    true for GET, HEAD, OPTIONS, PUT and DELETE requests
+ * </pre>
+ *
+ * Default options for all requests can be set by setDefaultOptions(). The
+ * promise of request() has an abort() method to cancel the request.
+ *
+ * Failures reject with a Mumsys_Exception. Timeouts, aborted requests and
+ * requests failed after all retries reject with a Mumsys_Transport_Exception
+ * using the codes Mumsys_Exception.ERRCODE_TIMEOUT, ERRCODE_ABORTED and
+ * ERRCODE_RETRIES.
+ *
+ * Implementations: Mumsys_Transport_Fetch, Mumsys_Transport_Xhr,
+ * Mumsys_Transport_Jquery and Mumsys_Transport_Memory (for tests).
+ * Implementations must implement _send().
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+class Mumsys_Transport_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Returns the default transport of the current environment.
+     *
+     * Uses jQuery if available (backwards compatibility), otherwise fetch()
+     * or XMLHttpRequest.
+     *
+     * @returns {Mumsys_Transport_Abstract} Transport object
+     * @throws {Mumsys_Transport_Exception} If no transport is available
+     */
+    static createDefault()
+    {
+        if ( typeof jQuery !== 'undefined' ) {
+            return new Mumsys_Transport_Jquery( jQuery );
+        }
+
+        if ( typeof fetch === 'function' ) {
+            return new Mumsys_Transport_Fetch();
+        }
+
+        if ( typeof XMLHttpRequest !== 'undefined' ) {
+            return new Mumsys_Transport_Xhr();
+        }
+
+        var message = 'No transport available';
+        throw new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+    }
+
+
+    /**
+     * Initialize the transport.
+     *
+     * @returns {Mumsys_Transport_Abstract}
+     */
+    constructor()
+    {
+        /**
+         * Default request options.
+         * @private
+         * @type Object
+         */
+        this.__defaults = {};
+    }
+
+
+    /**
+     * Sets the default options of all requests (e.g. timeout, retries).
+     * Options of a request overwrite the defaults.
+     *
+     * @param {Object} options Default request options
+     *
+     * @returns {void}
+     */
+    setDefaultOptions( options )
+    {
+        this.__defaults = options;
+    }
+
+
+    /**
+     * Returns the default request options.
+     *
+     * @returns {Object} Default request options
+     */
+    getDefaultOptions()
+    {
+        return this.__defaults;
+    }
+
+
+    /**
+     * Sends a request.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception. Has an abort() method to cancel the request
+     */
+    request( options )
+    {
+        options = this._getOptions( options );
+
+        var dispatched = this._dispatch( options );
+        var promise = dispatched.then(
+            function ( response )
+            {
+                if ( typeof options.success === 'function' ) {
+                    options.success( response );
+                }
+
+                return response;
+            },
+            function ( error )
+            {
+                if ( typeof options.error === 'function' ) {
+                    options.error( error );
+                }
+
+                throw error;
+            }
+        );
+
+        promise.abort = dispatched.abort;
+
+        return promise;
+    }
+
+
+    /**
+     * Sends the request handling timeout, abort and retries.
+     *
+     * Each attempt gets its own abort signal (if AbortController is
+     * available) which will be aborted on timeouts, abort() and if the
+     * signal of the request aborts. So the transports cancel the running
+     * request.
+     *
+     * @param {Object} options Request options (including the defaults)
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception. Has an abort() method to cancel the request
+     * @throws {Mumsys_Transport_Exception} If _send() is not implemented
+     */
+    _dispatch( options )
+    {
+        var _this = this;
+        var signal = options.signal || null;
+        var message = 'Request aborted';
+        var controller = null;
+        var promise;
+
+        if ( signal !== null && signal.aborted ) {
+            promise = Promise.reject( new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_ABORTED ) );
+            promise.abort = function () {};
+
+            return promise;
+        }
+
+        var attempt = function ()
+        {
+            controller = ( typeof AbortController === 'function' ) ? new AbortController() : null;
+
+            return _this._attempt( options, controller );
+        };
+        var first = attempt();
+        var abort;
+
+        promise = new Promise( function ( resolve, reject )
+        {
+            var retry = 0;
+            var timer = null;
+            var done = false;
+
+            var finish = function ( fn, value )
+            {
+                if ( done ) {
+                    return;
+                }
+
+                done = true;
+                clearTimeout( timer );
+                if ( signal !== null ) {
+                    signal.removeEventListener( 'abort', abort );
+                }
+                fn( value );
+            };
+
+            abort = function () {
+                if ( done ) {
+                    return;
+                }
+
+                finish( reject, new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_ABORTED ) );
+
+                if ( controller !== null ) {
+                    controller.abort();
+                }
+            };
+
+            var handle = function ( sent )
+            {
+                sent.then( function ( response ) {
+                    finish( resolve, response );
+                }, function ( error )
+                {
+                    if ( done ) {
+                        return;
+                    }
+
+                    if ( !_this._isRetryable( error, options ) ) {
+                        finish( reject, error );
+                        return;
+                    }
+
+                    if ( retry >= ( options.retries || 0 ) ) {
+                        finish( reject, _this._createRetryException( error, retry ) );
+                        return;
+                    }
+
+                    timer = setTimeout( function ()
+                    {
+                        try {
+                            handle( attempt() );
+                        } catch ( e ) {
+                            finish( reject, e );
+                        }
+                    }, _this._getRetryDelay( retry++, options ) );
+                } );
+            };
+
+            if ( signal !== null ) {
+                signal.addEventListener( 'abort', abort );
+            }
+
+            handle( first );
+        } );
+
+        promise.abort = function () {
+            abort();
+        };
+
+        return promise;
+    }
+
+
+    /**
+     * Sends the request once, rejecting after the timeout.
+     *
+     * The signal of the controller will be passed to _send() (as "signal"
+     * option) and aborted on timeout.
+     *
+     * @param {Object} options Request options
+     * @param {AbortController|null} controller Controller of the attempt;
+     * Optional
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception
+     * @throws {Mumsys_Transport_Exception} If _send() is not implemented
+     */
+    _attempt( options, controller = null )
+    {
+        var sendOptions = options;
+
+        if ( controller !== null ) {
+            sendOptions = {};
+            for ( var key in options ) {
+                if ( options.hasOwnProperty( key ) ) {
+                    sendOptions[key] = options[key];
+                }
+            }
+            sendOptions.signal = controller.signal;
+        }
+
+        var sent = this._send( sendOptions );
+
+        if ( !( options.timeout > 0 ) ) {
+            return sent;
+        }
+
+        return new Promise( function ( resolve, reject )
+        {
+            var timer = setTimeout( function () {
+                var message = 'Request timeout after ' + options.timeout + 'ms';
+                reject( new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_TIMEOUT ) );
+
+                if ( controller !== null ) {
+                    controller.abort();
+                }
+            }, options.timeout );
+
+            sent.then( function ( response ) {
+                clearTimeout( timer );
+                resolve( response );
+            }, function ( error ) {
+                clearTimeout( timer );
+                reject( error );
+            } );
+        } );
+    }
+
+
+    /**
+     * Checks if a failed request can be retried.
+     *
+     * Idempotent requests will be retried on timeouts, network errors, http
+     * 429 and 5xx responses.
+     *
+     * @param {Error} error Error of the request
+     * @param {Object} options Request options
+     *
+     * @returns {Boolean}
+     */
+    _isRetryable( error, options )
+    {
+        var idempotent = options.idempotent;
+
+        if ( idempotent === undefined ) {
+            idempotent = [ 'GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE' ].indexOf( this._getMethod( options ) ) !== -1;
+        }
+
+        if ( idempotent !== true || !( error instanceof Mumsys_Transport_Exception ) ) {
+            return false;
+        }
+
+        if ( error.code === Mumsys_Exception.ERRCODE_TIMEOUT ) {
+            return true;
+        }
+
+        return error.code === Mumsys_Exception.ERRCODE_TRANSPORT
+            && ( error.status === 0 || error.status === 429 || error.status >= 500 );
+    }
+
+
+    /**
+     * Returns the delay before a retry: exponential backoff with jitter
+     * (between the half and the full delay).
+     *
+     * @param {integer} retry Number of the retry, starting at 0
+     * @param {Object} options Request options
+     *
+     * @returns {integer} Delay in milliseconds
+     */
+    _getRetryDelay( retry, options )
+    {
+        var base = ( options.retryDelay === undefined ) ? 100 : options.retryDelay;
+        var max = ( options.retryMaxDelay === undefined ) ? 10000 : options.retryMaxDelay;
+        var delay = Math.min( max, base * Math.pow( 2, retry ) );
+
+        return Math.round( delay / 2 + Math.random() * delay / 2 );
+    }
+
+
+    /**
+     * Returns the exception of a retryable request that failed.
+     *
+     * @param {Mumsys_Transport_Exception} error Last error
+     * @param {integer} retries Number of retries done
+     *
+     * @returns {Mumsys_Transport_Exception} The error if no retry was
+     * configured, otherwise a retries exhausted exception
+     */
+    _createRetryException( error, retries )
+    {
+        if ( retries === 0 ) {
+            return error;
+        }
+
+        var message = 'Request failed after ' + retries + ' retries: ' + error.message;
+
+        return new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_RETRIES, error.status );
+    }
+
+
+    /**
+     * Returns the request options including the default options.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Object} Request options
+     */
+    _getOptions( options )
+    {
+        var result = {};
+        var key;
+
+        for ( key in this.__defaults ) {
+            if ( this.__defaults.hasOwnProperty( key ) ) {
+                result[key] = this.__defaults[key];
+            }
+        }
+
+        for ( key in options ) {
+            if ( options.hasOwnProperty( key ) ) {
+                result[key] = options[key];
+            }
+        }
+
+        return result;
+    }
+
+
+    /**
+     * Sends the request. To be implemented by the transport.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception
+     * @throws {Mumsys_Transport_Exception} If not implemented
+     */
+    _send( options )
+    {
+        var message = 'Transport must implement _send()';
+        throw new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_DEFAULT );
+    }
+
+
+    /**
+     * Returns the url encoded query string of the given data.
+     *
+     * Nested objects and arrays will be encoded like jQuery.param() does.
+     * E.g: {"a": {"b": 1}, "c": [1, 2]} => a%5Bb%5D=1&c%5B%5D=1&c%5B%5D=2
+     *
+     * @param {Object|String|undefined} data Data to encode
+     *
+     * @returns {String} Query string (without "?")
+     */
+    buildQuery( data )
+    {
+        var parts = [];
+
+        if ( data === undefined || data === null ) {
+            return '';
+        }
+
+        if ( typeof data === 'string' ) {
+            return data;
+        }
+
+        this._encodeQuery( '', data, parts );
+
+        return parts.join( '&' );
+    }
+
+
+    /**
+     * Returns the url of the request including the query string for GET
+     * requests.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {String} Url to request
+     */
+    _getUrl( options )
+    {
+        var query = '';
+
+        if ( this._getMethod( options ) === 'GET' ) {
+            query = this.buildQuery( options.data );
+        }
+
+        if ( query === '' ) {
+            return options.url;
+        }
+
+        return options.url + ( options.url.indexOf( '?' ) === -1 ? '?' : '&' ) + query;
+    }
+
+
+    /**
+     * Returns the request method in upper case.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {String} Request method. Default: 'GET'
+     */
+    _getMethod( options )
+    {
+        return String( options.type || options.method || 'GET' ).toUpperCase();
+    }
+
+
+    /**
+     * Returns the content type of the request body.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {String} Content type
+     */
+    _getContentType( options )
+    {
+        return options.contentType || 'application/x-www-form-urlencoded; charset=UTF-8';
+    }
+
+
+    /**
+     * Returns the encoded request body or null for GET requests.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {String|null} Request body
+     */
+    _getBody( options )
+    {
+        if ( this._getMethod( options ) === 'GET' || options.data === undefined ) {
+            return null;
+        }
+
+        if ( typeof options.data === 'string' ) {
+            return options.data;
+        }
+
+        if ( this._getContentType( options ).indexOf( 'json' ) !== -1 ) {
+            return JSON.stringify( options.data );
+        }
+
+        return this.buildQuery( options.data );
+    }
+
+
+    /**
+     * Returns the decoded response body.
+     *
+     * @param {String} text Response body
+     * @param {Object} options Request options
+     *
+     * @returns {Object|String} Decoded response
+     * @throws {Mumsys_Transport_Exception} If the json response is invalid
+     */
+    _decode( text, options )
+    {
+        if ( options.dataType === 'text' ) {
+            return text;
+        }
+
+        try {
+            return JSON.parse( text );
+        } catch ( e ) {
+            var message = 'Invalid json response: ' + e.message;
+            throw new Mumsys_Transport_Exception( message );
+        }
+    }
+
+
+    /**
+     * Returns the exception for a failed request.
+     *
+     * If the response contains a json rpc error object the typed json rpc
+     * exception will return (see Mumsys_JsonRpc_Exception.createFromError()).
+     *
+     * @param {integer} status Http status code, 0 if no response
+     * @param {String} statusText Status text
+     * @param {String} responseText Response body; Optional
+     *
+     * @returns {Mumsys_Exception} Exception to reject with
+     */
+    _createException( status, statusText, responseText )
+    {
+        var response = null;
+
+        try {
+            response = JSON.parse( responseText );
+        } catch ( e ) {
+            response = null;
+        }
+
+        if ( response instanceof Object && response.error instanceof Object ) {
+            return Mumsys_JsonRpc_Exception.createFromError( response.error );
+        }
+
+        var message = 'Request failed: ' + status + ' ' + statusText;
+
+        return new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_TRANSPORT, status );
+    }
+
+
+    /**
+     * Adds the url encoded key/value pairs of the given value to the list of
+     * parts.
+     *
+     * @param {String} prefix Key of the value
+     * @param {Mixed} value Value to encode
+     * @param {Array} parts List of encoded key/value pairs
+     *
+     * @returns {void}
+     */
+    _encodeQuery( prefix, value, parts )
+    {
+        var key;
+
+        if ( Array.isArray( value ) )
+        {
+            for ( var i = 0; i < value.length; i++ ) {
+                key = ( value[i] instanceof Object ) ? i : '';
+                this._encodeQuery( prefix + '[' + key + ']', value[i], parts );
+            }
+        }
+        else if ( value instanceof Object )
+        {
+            for ( key in value ) {
+                if ( value.hasOwnProperty( key ) ) {
+                    this._encodeQuery( ( prefix ? prefix + '[' + key + ']' : key ), value[key], parts );
+                }
+            }
+        }
+        else if ( value !== undefined )
+        {
+            parts.push(
+                encodeURIComponent( prefix ).replace( /%20/g, '+' )
+                + '='
+                + encodeURIComponent( ( value === null ) ? '' : value ).replace( /%20/g, '+' )
+            );
+        }
+    }
+
+}
@@ -0,0 +1,58 @@
+/**
+ * Mumsys_Transport_Exception
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+/**
+ * Mumsys transport exception.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+class Mumsys_Transport_Exception
+    extends Mumsys_Exception
+{
+    /**
+     * Returns the version ID.
+     *
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the transport exception.
+     *
+     * @param {String} message Exception message
+     * @param {String|integer} code Exception code; Optional, Default: 
+     * Mumsys_Exception.ERRCODE_TRANSPORT
+     * @param {integer} status Http status code or 0 if no response; Optional
+     *
+     * @returns {Mumsys_Transport_Exception}
+     */
+    constructor( message, code = Mumsys_Exception.ERRCODE_TRANSPORT, status = 0 )
+    {
+        super( message, code );
+
+        /**
+         * Http status code or 0 if no response.
+         * @type integer
+         */
+        this.status = status;
+    }
+
+};
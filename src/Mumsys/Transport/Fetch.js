@@ -0,0 +1,126 @@
+/**
+ * Mumsys_Transport_Fetch
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+/**
+ * Transport using the fetch() api.
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+class Mumsys_Transport_Fetch
+    extends Mumsys_Transport_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the transport.
+     *
+     * @param {Function} fetchFn fetch() function to use; Optional, Default:
+     * the global fetch()
+     * @param {Object} init Default options for fetch() e.g.
+     * {"credentials": "same-origin"}; Optional
+     *
+     * @returns {Mumsys_Transport_Fetch}
+     */
+    constructor( fetchFn = null, init = {} )
+    {
+        super();
+
+        /**
+         * fetch() function to use.
+         * @private
+         * @type Function
+         */
+        this.__fetch = fetchFn;
+
+        /**
+         * Default options for fetch().
+         * @private
+         * @type Object
+         */
+        this.__init = init;
+    }
+
+
+    /**
+     * Sends the request using fetch().
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception
+     */
+    _send( options )
+    {
+        var _this = this;
+        var fetchFn = this.__fetch || fetch;
+        var init = {};
+        var key;
+
+        for ( key in this.__init ) {
+            if ( this.__init.hasOwnProperty( key ) ) {
+                init[key] = this.__init[key];
+            }
+        }
+
+        init.method = this._getMethod( options );
+        init.headers = {};
+
+        for ( key in ( options.headers || {} ) ) {
+            if ( options.headers.hasOwnProperty( key ) ) {
+                init.headers[key] = options.headers[key];
+            }
+        }
+
+        var body = this._getBody( options );
+        if ( body !== null ) {
+            init.body = body;
+            init.headers['Content-Type'] = this._getContentType( options );
+        }
+
+        if ( options.signal ) {
+            init.signal = options.signal;
+        }
+
+        return fetchFn( this._getUrl( options ), init ).then(
+            function ( response )
+            {
+                return response.text().then( function ( text )
+                {
+                    if ( !response.ok ) {
+                        throw _this._createException( response.status, response.statusText, text );
+                    }
+
+                    return _this._decode( text, options );
+                } );
+            },
+            function ( error )
+            {
+                var message = 'Request failed: ' + error.message;
+                throw new Mumsys_Transport_Exception( message );
+            }
+        );
+    }
+
+}
@@ -0,0 +1,158 @@
+/**
+ * Mumsys_Transport_Jquery
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+/**
+ * Transport using jQuery.ajax() (backwards compatibility).
+ *
+ * All request options will be passed to jQuery.ajax(). So all options
+ * jQuery.ajax() can handle (e.g. async, beforeSend, success, error
+ * callbacks) can be used. The data of non GET requests will be encoded by
+ * the transport (see contentType option of Mumsys_Transport_Abstract).
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+class Mumsys_Transport_Jquery
+    extends Mumsys_Transport_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the transport.
+     *
+     * @param {jQuery} jq jQuery object to use; Optional, Default: the global
+     * jQuery
+     *
+     * @returns {Mumsys_Transport_Jquery}
+     */
+    constructor( jq = null )
+    {
+        super();
+
+        /**
+         * jQuery object to use.
+         * @private
+         * @type jQuery
+         */
+        this.__jq = jq;
+    }
+
+
+    /**
+     * Sends a request using jQuery.ajax().
+     *
+     * Note: success, error callbacks will be called by jQuery.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception. Has an abort() method to cancel the request
+     */
+    request( options )
+    {
+        return this._dispatch( this._getOptions( options ) );
+    }
+
+
+    /**
+     * Sends the request using jQuery.ajax(). The request will be aborted
+     * by the "signal" option.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception
+     */
+    _send( options )
+    {
+        var _this = this;
+        var jq = this.__jq || jQuery;
+        var ajaxOptions = this._getAjaxOptions( options );
+
+        var signal = options.signal || null;
+
+        return new Promise( function ( resolve, reject )
+        {
+            var sent = jq.ajax( ajaxOptions );
+            var abort = function () {
+                sent.abort();
+            };
+
+            if ( signal !== null && typeof sent.abort === 'function' ) {
+                signal.addEventListener( 'abort', abort );
+                sent.always( function () {
+                    signal.removeEventListener( 'abort', abort );
+                } );
+            }
+
+            sent
+                .done( function ( response ) {
+                    resolve( response );
+                } )
+                .fail( function ( jqXHR, textStatus, errorThrown )
+                {
+                    if ( textStatus === 'timeout' ) {
+                        var message = 'Request timeout after ' + options.timeout + 'ms';
+                        reject( new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_TIMEOUT ) );
+                        return;
+                    }
+
+                    var statusText = textStatus + ( errorThrown ? ' (' + errorThrown + ')' : '' );
+                    reject( _this._createException( jqXHR.status, statusText, jqXHR.responseText ) );
+                } );
+        } );
+    }
+
+
+    /**
+     * Returns the options for jQuery.ajax() with the request body encoded
+     * like the other transports do (e.g. json for 'application/json'
+     * content types). jQuery would form encode the data otherwise.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Object} Options for jQuery.ajax()
+     */
+    _getAjaxOptions( options )
+    {
+        var body = this._getBody( options );
+
+        if ( body === null ) {
+            return options;
+        }
+
+        var result = {};
+        for ( var key in options ) {
+            if ( options.hasOwnProperty( key ) ) {
+                result[key] = options[key];
+            }
+        }
+
+        result.data = body;
+        result.processData = false;
+
+        return result;
+    }
+
+}
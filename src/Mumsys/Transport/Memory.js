@@ -0,0 +1,162 @@
+/**
+ * Mumsys_Transport_Memory
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+/**
+ * In-memory transport e.g. for tests.
+ *
+ * Responses are registered by url. A response can be:
+ * <pre>
+ *  - {Object} Response to resolve with (a copy will be returned)
+ *  - {Error} Exception to reject with
+ *  - {Function} Callback getting the request options and returning the
+ *    response, a promise or throwing an exception
+ * </pre>
+ *
+ * E.g:
+ * <pre>
+ *  var transport = new Mumsys_Transport_Memory( {
+ *      "jsonrpc.php": {"jsonrpc": "2.0", "result": {"list": []}, "id": null}
+ *  } );
+ *  var manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+ * </pre>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+class Mumsys_Transport_Memory
+    extends Mumsys_Transport_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Initialize the transport.
+     *
+     * @param {Object} responses List of url/response pairs; Optional
+     *
+     * @returns {Mumsys_Transport_Memory}
+     */
+    constructor( responses = {} )
+    {
+        super();
+
+        /**
+         * List of url/response pairs.
+         * @private
+         * @type Object
+         */
+        this.__responses = {};
+
+        /**
+         * List of sent requests (request options).
+         * @private
+         * @type Array
+         */
+        this.__requests = [];
+
+        for ( var url in responses ) {
+            if ( responses.hasOwnProperty( url ) ) {
+                this.setResponse( url, responses[url] );
+            }
+        }
+    }
+
+
+    /**
+     * Sets the response for the given url.
+     *
+     * @param {String} url Url of the request
+     * @param {Object|Error|Function} response Response, exception or callback
+     *
+     * @returns {void}
+     */
+    setResponse( url, response )
+    {
+        this.__responses[url] = response;
+    }
+
+
+    /**
+     * Returns the list of sent requests.
+     *
+     * @returns {Array} List of request options
+     */
+    getRequests()
+    {
+        return this.__requests;
+    }
+
+
+    /**
+     * Clears the list of sent requests.
+     *
+     * @returns {void}
+     */
+    clearRequests()
+    {
+        this.__requests = [];
+    }
+
+
+    /**
+     * Returns the registered response of the request.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception
+     */
+    _send( options )
+    {
+        var response = this.__responses[options.url];
+
+        this.__requests.push( options );
+
+        if ( response === undefined ) {
+            return Promise.reject( this._createException( 404, 'Not Found' ) );
+        }
+
+        if ( response instanceof Error ) {
+            return Promise.reject( response );
+        }
+
+        if ( typeof response === 'function' )
+        {
+            try {
+                response = response( options );
+            } catch ( e ) {
+                return Promise.reject( e );
+            }
+        }
+
+        return Promise.resolve( response ).then( function ( result )
+        {
+            if ( result instanceof Object ) {
+                return JSON.parse( JSON.stringify( result ) );
+            }
+
+            return result;
+        } );
+    }
+
+}
@@ -0,0 +1,115 @@
+/**
+ * Mumsys_Transport_Xhr
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+/**
+ * Transport using a plain XMLHttpRequest.
+ *
+ * Supports the "async" request option (Default: true).
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+class Mumsys_Transport_Xhr
+    extends Mumsys_Transport_Abstract
+{
+    /**
+     * Returns the version ID.
+     * @returns {String} Version ID
+     */
+    static getVersion()
+    {
+        return '1.0.0';
+    }
+
+
+    /**
+     * Sends the request using XMLHttpRequest.
+     *
+     * @param {Object} options Request options
+     *
+     * @returns {Promise} Resolves with the response, rejects with a
+     * Mumsys_Exception
+     */
+    _send( options )
+    {
+        var _this = this;
+
+        return new Promise( function ( resolve, reject )
+        {
+            var xhr = new XMLHttpRequest();
+            var body = _this._getBody( options );
+            var headers = options.headers || {};
+
+            var signal = options.signal || null;
+            var abort = function () {
+                xhr.abort();
+            };
+            var release = function () {
+                if ( signal !== null ) {
+                    signal.removeEventListener( 'abort', abort );
+                }
+            };
+
+            xhr.open( _this._getMethod( options ), _this._getUrl( options ), ( options.async !== false ) );
+
+            for ( var key in headers ) {
+                if ( headers.hasOwnProperty( key ) ) {
+                    xhr.setRequestHeader( key, headers[key] );
+                }
+            }
+
+            if ( body !== null ) {
+                xhr.setRequestHeader( 'Content-Type', _this._getContentType( options ) );
+            }
+
+            xhr.onload = function ()
+            {
+                release();
+
+                if ( xhr.status < 200 || xhr.status > 299 ) {
+                    reject( _this._createException( xhr.status, xhr.statusText, xhr.responseText ) );
+                    return;
+                }
+
+                try {
+                    resolve( _this._decode( xhr.responseText, options ) );
+                } catch ( e ) {
+                    reject( e );
+                }
+            };
+
+            xhr.onerror = function ()
+            {
+                release();
+                reject( _this._createException( 0, 'Network error' ) );
+            };
+
+            xhr.onabort = function ()
+            {
+                var message = 'Request aborted';
+                release();
+                reject( new Mumsys_Transport_Exception( message, Mumsys_Exception.ERRCODE_ABORTED ) );
+            };
+
+            if ( signal !== null ) {
+                signal.addEventListener( 'abort', abort );
+            }
+
+            xhr.send( body );
+        } );
+    }
+
+}
@@ -0,0 +1,116 @@
+/**
+ * Mumsys_Generic_Emitter tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Emitter.js tests", function ( assert )
+{
+    var target = {};
+    var _obj = new Mumsys_Generic_Emitter( target );
+    var events = [];
+    var listener = function ( event ) {
+        events.push( event.type + ':' + event.value );
+    };
+    var all = function ( event ) {
+        events.push( '*' + event.type );
+    };
+
+    assert.equal( Mumsys_Generic_Emitter.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.throws(
+        function () { _obj.on( 'a', null ); },
+        function ( e ) {
+            return e instanceof Mumsys_Generic_Exception && e.message === 'Invalid listener for "a"';
+        },
+        "on() exception: Passed!"
+    );
+    assert.equal( _obj.hasListeners(), false, "hasListeners() none: Passed!" );
+
+    //
+    // on(), emit(), off()
+    _obj.on( 'a', listener );
+    _obj.on( 'a', function ( event ) {
+        assert.equal( event.target, target, "emit() event target: Passed!" );
+    } );
+    _obj.emit( 'a', { "value": 1 } );
+    _obj.emit( 'b', { "value": 2 } );
+    assert.deepEqual( events, [ 'a:1' ], "on(), emit(): Passed!" );
+    assert.ok( _obj.hasListeners( 'a' ), "hasListeners(): Passed!" );
+
+    events = [];
+    _obj.off( 'a', listener );
+    _obj.emit( 'a', { "value": 1 } );
+    assert.deepEqual( events, [], "off() listener: Passed!" );
+    _obj.off( 'a' );
+    assert.equal( _obj.hasListeners( 'a' ), false, "off() type: Passed!" );
+
+    //
+    // once(), "*"
+    _obj.once( 'a', listener );
+    _obj.on( '*', all );
+    _obj.emit( 'a', { "value": 1 } );
+    _obj.emit( 'a', { "value": 2 } );
+    assert.deepEqual( events, [ 'a:1', '*a', '*a' ], "once(), *: Passed!" );
+
+    //
+    // begin(), end(), batch(), dispatch()
+    events = [];
+    _obj.begin();
+    _obj.dispatch( { "type": 'x' } );
+    _obj.batch( function () {
+        _obj.emit( 'y' );
+    } );
+    assert.deepEqual( events, [], "begin() collects: Passed!" );
+    _obj.end();
+    assert.deepEqual( events, [ '*x', '*y' ], "end() delivers in order: Passed!" );
+
+    events = [];
+    assert.throws(
+        function () {
+            _obj.batch( function () {
+                _obj.emit( 'z' );
+                throw new Error( 'failed' );
+            } );
+        },
+        function ( e ) { return e.message === 'failed'; },
+        "batch() exception: Passed!"
+    );
+    assert.deepEqual( events, [ '*z' ], "batch() delivers on exceptions: Passed!" );
+    assert.equal( _obj.batch( function () { return 1; } ), 1, "batch() return value: Passed!" );
+
+    events = [];
+    var failing = function ( event ) {
+        if ( event.type === 'f' ) {
+            throw new Error( 'listener failed' );
+        }
+    };
+    _obj.on( 'f', failing );
+    assert.throws(
+        function () {
+            _obj.batch( function () {
+                _obj.emit( 'f' );
+                _obj.emit( 'g' );
+            } );
+        },
+        function ( e ) { return e.message === 'listener failed'; },
+        "end() listener exception: Passed!"
+    );
+    assert.deepEqual( events, [ '*g' ], "end() delivers the other events: Passed!" );
+    _obj.off( 'f', failing );
+    events = [];
+    _obj.emit( 'h' );
+    assert.deepEqual( events, [ '*h' ], "end() queue empty after exception: Passed!" );
+
+    _obj.off();
+    assert.equal( _obj.hasListeners(), false, "off() all: Passed!" );
+
+} );
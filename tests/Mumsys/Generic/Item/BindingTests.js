@@ -0,0 +1,148 @@
+/**
+ * Mumsys_Generic_Item_Binding tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Item_Binding.js tests", function ( assert )
+{
+    var form = document.createElement( 'form' );
+    form.innerHTML = ''
+        + '<input type="text" data-mumsys-bind="name">'
+        + '<span data-mumsys-bind="name"></span>'
+        + '<input type="number" data-mumsys-bind="age">'
+        + '<input type="checkbox" data-mumsys-bind="active">'
+        + '<input type="checkbox" value="a" data-mumsys-bind="tags">'
+        + '<input type="checkbox" value="b" data-mumsys-bind="tags">'
+        + '<input type="radio" name="r" value="m" data-mumsys-bind="gender">'
+        + '<input type="radio" name="r" value="f" data-mumsys-bind="gender">'
+        + '<select multiple data-mumsys-bind="groups"><option value="1">1</option><option value="2">2</option></select>'
+        + '<textarea data-mumsys-bind="note"></textarea>'
+        + '<input type="text" data-mumsys-bind="price">';
+    document.getElementById( 'qunit-fixture' ).appendChild( form );
+
+    var item = new Mumsys_Generic_Item_Default(
+        { "id": 1, "name": "anna", "age": 30, "active": true, "tags": [ "b" ], "gender": "f", "groups": [ 2 ], "note": "n", "price": 5 },
+        new Mumsys_Generic_Item_Schema( { "name": { "type": "string", "min": 1 } }, false )
+    );
+    var errors = [];
+    var _obj = new Mumsys_Generic_Item_Binding( item, form, {
+        "formatters": {
+            "price": function ( value ) { return value.toFixed( 2 ); }
+        },
+        "parsers": {
+            "price": function ( value ) {
+                if ( isNaN( parseFloat( value ) ) ) {
+                    throw new Error( 'Invalid price' );
+                }
+                return parseFloat( value );
+            }
+        },
+        "error": function ( e, element ) { errors.push( element.getAttribute( 'data-mumsys-bind' ) ); }
+    } );
+    var field = function ( key, idx ) {
+        return _obj.getElements( key )[idx || 0];
+    };
+    var fire = function ( element, type ) {
+        element.dispatchEvent( new Event( type, { "bubbles": true } ) );
+    };
+
+    assert.equal( Mumsys_Generic_Item_Binding.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.throws(
+        function () { new Mumsys_Generic_Item_Binding( {}, form ); },
+        function ( e ) { return e.message === 'Invalid item'; },
+        "construction item exception: Passed!"
+    );
+    assert.throws(
+        function () { new Mumsys_Generic_Item_Binding( item, null ); },
+        function ( e ) { return e.message === 'Invalid root element'; },
+        "construction root exception: Passed!"
+    );
+    assert.equal( _obj.getElements().length, 11, "getElements(): Passed!" );
+
+    //
+    // item to elements
+    _obj.bind();
+    assert.equal( _obj.isBound(), true, "bind(): Passed!" );
+    assert.equal( field( 'name' ).value, 'anna', "text: Passed!" );
+    assert.equal( field( 'name', 1 ).textContent, 'anna', "text content: Passed!" );
+    assert.equal( field( 'age' ).value, '30', "number: Passed!" );
+    assert.equal( field( 'active' ).checked, true, "checkbox: Passed!" );
+    assert.deepEqual( [ field( 'tags' ).checked, field( 'tags', 1 ).checked ], [ false, true ], "checkbox group: Passed!" );
+    assert.deepEqual( [ field( 'gender' ).checked, field( 'gender', 1 ).checked ], [ false, true ], "radio: Passed!" );
+    assert.deepEqual( [ field( 'groups' ).options[0].selected, field( 'groups' ).options[1].selected ], [ false, true ], "select-multiple: Passed!" );
+    assert.equal( field( 'note' ).value, 'n', "textarea: Passed!" );
+    assert.equal( field( 'price' ).value, '5.00', "formatter: Passed!" );
+
+    item.set( 'name', 'bob' );
+    assert.equal( field( 'name' ).value, 'bob', "item change updates: Passed!" );
+    assert.equal( field( 'name', 1 ).textContent, 'bob', "item change updates text content: Passed!" );
+
+    //
+    // elements to item
+    field( 'name' ).value = 'carl';
+    fire( field( 'name' ), 'input' );
+    assert.equal( item.get( 'name' ), 'carl', "text input: Passed!" );
+    assert.equal( field( 'name', 1 ).textContent, 'carl', "text input updates others: Passed!" );
+
+    field( 'age' ).value = '';
+    fire( field( 'age' ), 'input' );
+    assert.equal( item.get( 'age' ), null, "number empty: Passed!" );
+    field( 'age' ).value = '31';
+    fire( field( 'age' ), 'input' );
+    assert.strictEqual( item.get( 'age' ), 31, "number: Passed!" );
+
+    field( 'active' ).checked = false;
+    fire( field( 'active' ), 'change' );
+    assert.equal( item.get( 'active' ), false, "checkbox: Passed!" );
+
+    field( 'tags' ).checked = true;
+    fire( field( 'tags' ), 'change' );
+    assert.deepEqual( item.get( 'tags' ), [ 'a', 'b' ], "checkbox group: Passed!" );
+
+    field( 'gender' ).checked = true;
+    fire( field( 'gender' ), 'change' );
+    assert.equal( item.get( 'gender' ), 'm', "radio: Passed!" );
+
+    field( 'groups' ).options[0].selected = true;
+    fire( field( 'groups' ), 'change' );
+    assert.deepEqual( item.get( 'groups' ), [ '1', '2' ], "select-multiple: Passed!" );
+
+    field( 'note' ).value = 'text';
+    fire( field( 'note' ), 'input' );
+    assert.equal( item.get( 'note' ), 'text', "textarea: Passed!" );
+
+    field( 'price' ).value = '7.5';
+    fire( field( 'price' ), 'change' );
+    assert.strictEqual( item.get( 'price' ), 7.5, "parser: Passed!" );
+
+    field( 'name' ).value = '';
+    fire( field( 'name' ), 'input' );
+    assert.equal( item.get( 'name' ), 'carl', "invalid value not set: Passed!" );
+    assert.deepEqual( errors, [ 'name' ], "error callback: Passed!" );
+
+    field( 'price' ).value = 'abc';
+    fire( field( 'price' ), 'change' );
+    assert.strictEqual( item.get( 'price' ), 7.5, "failed parser, value not set: Passed!" );
+    assert.deepEqual( errors, [ 'name', 'price' ], "failed parser, error callback: Passed!" );
+
+    //
+    // unbind()
+    _obj.unbind();
+    field( 'note' ).value = 'x';
+    fire( field( 'note' ), 'input' );
+    item.set( 'name', 'dave' );
+    assert.equal( item.get( 'note' ), 'text', "unbind() elements: Passed!" );
+    assert.equal( field( 'name' ).value, '', "unbind() item: Passed!" );
+    assert.equal( _obj.isBound(), false, "isBound(): Passed!" );
+
+} );
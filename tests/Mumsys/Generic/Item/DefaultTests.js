@@ -80,5 +80,262 @@ QUnit.test("Mumsys_Generic_Item_Default.js tests", function (assert)
     assert.equal( _obj._checkId( null, 1 ), 1, "_checkId(): Passed!" );
     assert.equal( _obj._checkId( null, null ), null, "_checkId(): Passed!" );
     assert.equal( _obj._checkId( 1, null ), null, "_checkId(): Passed!" );
-    
+
+    //
+    // schema, validate()
+    var schema = { "id": { "type": "integer" }, "name": { "type": "string", "required": true } };
+    assert.equal( _obj.getSchema(), null, "getSchema() not set: Passed!" );
+    assert.deepEqual( _obj.validate(), [], "validate() without schema: Passed!" );
+
+    var _objB = new Mumsys_Generic_Item_Default( { "id": 1, "name": "a" }, schema );
+    assert.ok( ( _objB.getSchema() instanceof Mumsys_Generic_Item_Schema ), "getSchema(): Passed!" );
+    assert.deepEqual( _objB.validate(), [], "validate(): Passed!" );
+    try {
+        new Mumsys_Generic_Item_Default( { "id": "1" }, schema );
+        assert.ok( false, "construct() schema exception expected" );
+    } catch ( e ) {
+        assert.equal( e.name, "Mumsys_Generic_Item_Schema_Exception", "construct() schema exception: Passed!" );
+        assert.equal( e.getErrors().length, 2, "construct() schema exception errors: Passed!" );
+    }
+    try {
+        _objB.set( 'nmae', 'b' );
+        assert.ok( false, "set() schema exception expected" );
+    } catch ( e ) {
+        _expected = 'Schema validation failed: "nmae": Property not defined in schema';
+        assert.equal( e.message, _expected, "set() schema exception: Passed!" );
+    }
+    assert.equal( _objB.get( 'nmae' ), undefined, "set() invalid value not set: Passed!" );
+    assert.equal( _objB.isModified(), false, "set() invalid value not modified: Passed!" );
+    _objB.set( 'name', 'b' );
+    assert.equal( _objB.get( 'name' ), 'b', "set() valid value: Passed!" );
+    _objB.getProperties().name = 123;
+    assert.equal( _objB.validate().length, 1, "validate() reports errors: Passed!" );
+
+    //
+    // per property changes: isModified(key), getChanges(), getOriginal(), 
+    // getPatch(), commit()
+    var _objC = new Mumsys_Generic_Item_Default( { "id": 5, "name": "a", "a/b": 1, "old": true } );
+    assert.equal( _objC.isModified(), false, "isModified() initial: Passed!" );
+    assert.deepEqual( _objC.getChanges(), {}, "getChanges() initial: Passed!" );
+    _objC.set( 'name', 'b' );
+    _objC.set( 'desc', 'new' );
+    _objC.set( 'a/b', 2 );
+    _objC.set( 'old', undefined );
+    assert.equal( _objC.isModified(), true, "isModified(): Passed!" );
+    assert.equal( _objC.isModified( 'name' ), true, "isModified(name): Passed!" );
+    assert.equal( _objC.isModified( 'id' ), false, "isModified(id): Passed!" );
+    _expected = { "name": "b", "desc": "new", "a/b": 2, "old": undefined };
+    assert.deepEqual( _objC.getChanges(), _expected, "getChanges(): Passed!" );
+    assert.equal( _objC.getOriginal( 'name' ), 'a', "getOriginal(): Passed!" );
+    assert.equal( _objC.getOriginal( 'desc', 'none' ), 'none', "getOriginal() new key: Passed!" );
+    assert.equal( _objC.getOriginal( 'id' ), 5, "getOriginal() not changed: Passed!" );
+    _expected = [
+        { "op": "replace", "path": "/name", "value": "b" },
+        { "op": "add", "path": "/desc", "value": "new" },
+        { "op": "replace", "path": "/a~1b", "value": 2 },
+        { "op": "remove", "path": "/old" }
+    ];
+    assert.deepEqual( _objC.getPatch(), _expected, "getPatch(): Passed!" );
+    _objC.set( 'name', 'a' );
+    assert.equal( _objC.isModified( 'name' ), false, "isModified(name) original value again: Passed!" );
+    _objC.commit();
+    assert.equal( _objC.isModified(), false, "commit() isModified(): Passed!" );
+    assert.deepEqual( _objC.getChanges(), {}, "commit() getChanges(): Passed!" );
+    assert.equal( _objC.getOriginal( 'desc' ), 'new', "commit() getOriginal(): Passed!" );
+    _objC.set( 'name', 'c' );
+    _objC.set( 'desc', 'newer' );
+    _objC.commit( { "id": 5, "name": "c", "a/b": 2, "desc": "new" } );
+    assert.deepEqual( _objC.getChanges(), { "desc": "newer" }, "commit(values) other values stay modified: Passed!" );
+    assert.equal( _objC.getOriginal( 'desc' ), 'new', "commit(values) getOriginal(): Passed!" );
+    _objC.commit();
+    _objC.setModified( true );
+    assert.equal( _objC.isModified(), true, "setModified(true) without changes: Passed!" );
+    _objC.set( 'name', 'c' );
+    _objC.setModified( false );
+    assert.deepEqual( _objC.getChanges(), {}, "setModified(false) commits changes: Passed!" );
+
+    //
+    // undo(), redo(), canUndo(), canRedo(), clearHistory(), setHistoryLimit()
+    var _objD = new Mumsys_Generic_Item_Default( { "id": 6, "name": "a" } );
+    assert.equal( _objD.canUndo(), false, "canUndo() initial: Passed!" );
+    assert.equal( _objD.undo(), false, "undo() empty history: Passed!" );
+    _objD.set( 'name', 'b' );
+    _objD.set( 'name', 'c' );
+    _objD.set( 'desc', 'd' );
+    assert.equal( _objD.undo(), true, "undo(): Passed!" );
+    assert.equal( _objD.get( 'desc' ), undefined, "undo() new key: Passed!" );
+    assert.equal( _objD.isModified( 'desc' ), false, "undo() isModified(desc): Passed!" );
+    assert.equal( _objD.canRedo(), true, "canRedo(): Passed!" );
+    _objD.undo();
+    assert.equal( _objD.get( 'name' ), 'b', "undo() name: Passed!" );
+    _objD.undo();
+    assert.equal( _objD.get( 'name' ), 'a', "undo() name original: Passed!" );
+    assert.equal( _objD.isModified(), false, "undo() to original isModified(): Passed!" );
+    assert.equal( _objD.redo(), true, "redo(): Passed!" );
+    assert.equal( _objD.get( 'name' ), 'b', "redo() name: Passed!" );
+    assert.equal( _objD.isModified( 'name' ), true, "redo() isModified(name): Passed!" );
+    _objD.set( 'name', 'x' );
+    assert.equal( _objD.canRedo(), false, "set() clears redo history: Passed!" );
+    _objD.commit();
+    _objD.undo();
+    assert.equal( _objD.get( 'name' ), 'b', "undo() after commit(): Passed!" );
+    assert.equal( _objD.getOriginal( 'name' ), 'x', "undo() after commit() getOriginal(): Passed!" );
+    assert.equal( _objD.isModified(), true, "undo() after commit() isModified(): Passed!" );
+    _objD.redo();
+    assert.equal( _objD.isModified(), false, "redo() after commit() isModified(): Passed!" );
+    _objD.clearHistory();
+    assert.equal( _objD.canUndo(), false, "clearHistory(): Passed!" );
+    _objD.setHistoryLimit( 2 );
+    _objD.set( 'name', '1' );
+    _objD.set( 'name', '2' );
+    _objD.set( 'name', '3' );
+    _objD.undo();
+    _objD.undo();
+    assert.equal( _objD.undo(), false, "setHistoryLimit() bounded history: Passed!" );
+    assert.equal( _objD.get( 'name' ), '1', "setHistoryLimit() oldest entry dropped: Passed!" );
+    assert.throws(
+        function () { _objD.setHistoryLimit( -1 ); },
+        function ( e ) { return e.message === 'Invalid history limit "-1"'; },
+        "setHistoryLimit() exception: Passed!"
+    );
+
+    //
+    // confirm()
+    var _objS = new Mumsys_Generic_Item_Default( { "id": null, "name": "a", "version": 1 } );
+    _objS.set( 'name', 'b' );
+    _objS.set( 'version', 0 );
+    _objS.confirm( { "id": 3, "version": 2 } );
+    assert.deepEqual( _objS.getProperties(), { "id": 3, "name": "b", "version": 2 }, "confirm() properties: Passed!" );
+    assert.deepEqual( _objS.getChanges(), { "name": "b" }, "confirm() other changes stay modified: Passed!" );
+    assert.equal( _objS.undo(), true, "confirm() undo(): Passed!" );
+    assert.equal( _objS.get( 'name' ), 'a', "confirm() undo() local change: Passed!" );
+    assert.equal( _objS.undo(), false, "confirm() values not in the history: Passed!" );
+    assert.equal( _objS.get( 'version' ), 2, "confirm() undo() keeps confirmed values: Passed!" );
+    assert.throws(
+        function () { _objS.confirm( { "id": 4 } ); },
+        function ( e ) { return e.message === 'New item ID "4" differs from old ID "3"'; },
+        "confirm() id exception: Passed!"
+    );
+
+    //
+    // snapshot(), restore(), revert()
+    var _objE = new Mumsys_Generic_Item_Default( { "id": 8, "name": "a" } );
+    _objE.set( 'name', 'b' );
+    var snapshot = _objE.snapshot();
+    _objE.set( 'name', 'c' );
+    _objE.set( 'desc', 'd' );
+    _objE.restore( snapshot );
+    assert.deepEqual( _objE.getProperties(), { "id": 8, "name": "b" }, "restore() properties: Passed!" );
+    assert.equal( _objE.getOriginal( 'name' ), 'a', "restore() getOriginal(): Passed!" );
+    assert.equal( _objE.isModified(), true, "restore() isModified(): Passed!" );
+    assert.equal( _objE.canUndo(), false, "restore() clears history: Passed!" );
+    assert.throws(
+        function () { _objE.restore( {} ); },
+        function ( e ) { return e.message === 'Invalid snapshot'; },
+        "restore() exception: Passed!"
+    );
+    _objE.set( 'desc', 'd' );
+    _objE.revert();
+    assert.deepEqual( _objE.getProperties(), { "id": 8, "name": "a" }, "revert() properties: Passed!" );
+    assert.equal( _objE.isModified(), false, "revert() isModified(): Passed!" );
+    assert.equal( _objE.canUndo(), false, "revert() clears history: Passed!" );
+
+    //
+    // attach(), detach()
+    var _objF = new Mumsys_Generic_Item_Default( { "id": 9, "name": "a" } );
+    var notified = [];
+    var observer = function ( item, key, newVal, oldVal ) {
+        if ( newVal === 'invalid' ) {
+            throw new Mumsys_Generic_Item_Exception( 'Prevented' );
+        }
+        notified.push( [ item, key, newVal, oldVal ] );
+    };
+    _objF.attach( observer );
+    _objF.set( 'name', 'b' );
+    assert.deepEqual( notified, [ [ _objF, 'name', 'b', 'a' ] ], "attach() set(): Passed!" );
+    _objF.undo();
+    _objF.revert();
+    assert.deepEqual( notified[1], [ _objF, 'name', 'a', 'b' ], "attach() undo(): Passed!" );
+    assert.equal( notified.length, 2, "attach() no notification without change: Passed!" );
+    assert.throws(
+        function () { _objF.set( 'name', 'invalid' ); },
+        function ( e ) { return e.message === 'Prevented'; },
+        "attach() observer exception: Passed!"
+    );
+    assert.equal( _objF.get( 'name' ), 'a', "attach() observer prevents the change: Passed!" );
+    assert.equal( _objF.canUndo(), false, "attach() prevented change not in history: Passed!" );
+    _objF.detach( observer );
+    _objF.set( 'name', 'c' );
+    assert.equal( notified.length, 2, "detach(): Passed!" );
+    assert.throws(
+        function () { _objF.attach( 'wrong' ); },
+        function ( e ) { return e.message === 'Invalid observer'; },
+        "attach() exception: Passed!"
+    );
+
+    //
+    // merge()
+    var _objG = new Mumsys_Generic_Item_Default( { "id": 10, "name": "a", "desc": "x", "tags": [ 1 ] } );
+    _objG.set( 'name', 'local' );
+    _objG.merge( { "id": 10, "name": "server", "desc": "y", "tags": [ 1 ], "new": 1 } );
+    assert.deepEqual(
+        _objG.getProperties(),
+        { "id": 10, "name": "local", "desc": "y", "tags": [ 1 ], "new": 1 },
+        "merge() keeps local changes: Passed!"
+    );
+    assert.deepEqual( _objG.getChanges(), { "name": "local" }, "merge() unmodified properties merged: Passed!" );
+    assert.equal( _objG.getOriginal( 'name' ), 'server', "merge() server value is the original: Passed!" );
+    _objG.merge( { "name": "local" } );
+    assert.equal( _objG.isModified(), false, "merge() same value, change dropped: Passed!" );
+    _objG.set( 'desc', 'local' );
+    _objG.merge( { "desc": "z" }, function ( key, localVal, serverVal ) {
+        return localVal + '+' + serverVal;
+    } );
+    assert.equal( _objG.get( 'desc' ), 'local+z', "merge() resolver: Passed!" );
+    assert.equal( _objG.getOriginal( 'desc' ), 'z', "merge() resolver original: Passed!" );
+    _objG.merge( { "desc": "w" }, function ( key, localVal, serverVal ) {
+        return serverVal;
+    } );
+    assert.equal( _objG.isModified(), false, "merge() resolver server value: Passed!" );
+    assert.equal( _objG.canUndo(), true, "merge() keeps the history: Passed!" );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Item_Default.js event tests", function ( assert )
+{
+    var _item = new Mumsys_Generic_Item_Default( { "id": 1, "name": "a", "age": 1 } );
+    var events = [];
+
+    _item.on( 'change', function ( event ) {
+        events.push( [ event.key, event.old, event.value, _item.get( event.key ) ] );
+        assert.equal( event.target, _item, "change event target: Passed!" );
+    } );
+    _item.once( 'change:name', function ( event ) {
+        events.push( 'name' );
+    } );
+
+    _item.set( 'name', 'b' );
+    _item.set( 'name', 'b' );
+    assert.deepEqual( events, [ [ 'name', 'a', 'b', 'b' ], 'name' ], "set() events after the change: Passed!" );
+
+    events = [];
+    _item.undo();
+    _item.set( 'age', 2 );
+    _item.revert();
+    assert.deepEqual(
+        events,
+        [ [ 'name', 'b', 'a', 'a' ], [ 'age', 1, 2, 2 ], [ 'age', 2, 1, 1 ] ],
+        "undo(), revert() events, once(): Passed!"
+    );
+
+    events = [];
+    _item.merge( { "name": "c", "age": 3 } );
+    assert.deepEqual( events, [ [ 'name', 'a', 'c', 'c' ], [ 'age', 1, 3, 3 ] ], "merge() events: Passed!" );
+
+    events = [];
+    _item.off( 'change' );
+    _item.set( 'name', 'd' );
+    assert.deepEqual( events, [], "off(): Passed!" );
+
 } );
@@ -0,0 +1,109 @@
+/**
+ * Mumsys_Generic_Item_Schema tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Item_Schema.js tests", function ( assert )
+{
+    var _expected, _mesgOut = '';
+
+    var _obj = new Mumsys_Generic_Item_Schema( {
+        "id": { "type": "integer", "nullable": true },
+        "name": { "type": "string", "required": true, "min": 1, "max": 10 },
+        "email": { "type": "string", "pattern": /^[^@]+@[^@]+$/ },
+        "age": { "type": "number", "min": 0, "max": 150 },
+        "status": { "enum": [ "new", "open" ] },
+        "tags": { "type": [ "array", "string" ], "max": 2 }
+    } );
+
+    //
+    // construction
+    assert.ok( ( _obj instanceof Mumsys_Generic_Item_Schema ), "Construction: Passed!" );
+    assert.equal( Mumsys_Generic_Item_Schema.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _obj.isStrict(), true, "isStrict(): Passed!" );
+    assert.equal( _obj.getFields().name.type, 'string', "getFields(): Passed!" );
+
+    assert.throws(
+        function () { new Mumsys_Generic_Item_Schema( 'wrong' ); },
+        function ( e ) {
+            return e.name === 'Mumsys_Generic_Item_Exception' && e.message === 'Invalid schema definition';
+        },
+        "construct() invalid definition exception: Passed!"
+    );
+    assert.throws(
+        function () { new Mumsys_Generic_Item_Schema( { "a": { "type": "float" } } ); },
+        function ( e ) {
+            return e.message === 'Invalid schema type "float" for "a"';
+        },
+        "construct() invalid type exception: Passed!"
+    );
+
+    //
+    // validateValue()
+    assert.deepEqual( _obj.validateValue( 'id', null ), [], "validateValue() nullable: Passed!" );
+    assert.deepEqual( _obj.validateValue( 'id', 3 ), [], "validateValue() integer: Passed!" );
+    _expected = [ { "key": "id", "message": 'Value must be of type "integer"' } ];
+    assert.deepEqual( _obj.validateValue( 'id', 1.5 ), _expected, "validateValue() type: Passed!" );
+    _expected = [ { "key": "name", "message": 'Value must not be null' } ];
+    assert.deepEqual( _obj.validateValue( 'name', null ), _expected, "validateValue() not nullable: Passed!" );
+    _expected = [ { "key": "name", "message": 'Value must be at most 10' } ];
+    assert.deepEqual( _obj.validateValue( 'name', 'to long name' ), _expected, "validateValue() max: Passed!" );
+    _expected = [ { "key": "age", "message": 'Value must be at least 0' } ];
+    assert.deepEqual( _obj.validateValue( 'age', -1 ), _expected, "validateValue() min: Passed!" );
+    assert.equal( _obj.validateValue( 'email', 'no-mail' ).length, 1, "validateValue() pattern: Passed!" );
+    assert.deepEqual( _obj.validateValue( 'email', 'a@b' ), [], "validateValue() pattern match: Passed!" );
+    _expected = [ { "key": "status", "message": 'Value must be one of: ["new","open"]' } ];
+    assert.deepEqual( _obj.validateValue( 'status', 'closed' ), _expected, "validateValue() enum: Passed!" );
+    assert.deepEqual( _obj.validateValue( 'tags', 'a' ), [], "validateValue() type list: Passed!" );
+    assert.equal( _obj.validateValue( 'tags', [ 1, 2, 3 ] ).length, 1, "validateValue() array max: Passed!" );
+    _expected = [ { "key": "nmae", "message": 'Property not defined in schema' } ];
+    assert.deepEqual( _obj.validateValue( 'nmae', 'x' ), _expected, "validateValue() unknown key: Passed!" );
+    assert.deepEqual(
+        ( new Mumsys_Generic_Item_Schema( {}, false ) ).validateValue( 'nmae', 'x' ), [],
+        "validateValue() unknown key, not strict: Passed!"
+    );
+
+    //
+    // validate()
+    assert.deepEqual( _obj.validate( { "id": 1, "name": "a" } ), [], "validate(): Passed!" );
+    _mesgOut = "validate() lists all errors: Passed!";
+    _expected = [
+        { "key": "id", "message": 'Value must be of type "integer"' },
+        { "key": "name", "message": 'Value is required' },
+        { "key": "nmae", "message": 'Property not defined in schema' }
+    ];
+    assert.deepEqual( _obj.validate( { "id": "1", "nmae": "a" } ), _expected, _mesgOut );
+
+    //
+    // assertValid(), assertValue()
+    try {
+        _obj.assertValid( { "id": "1", "nmae": "a" } );
+        assert.ok( false, "assertValid() exception expected" );
+    } catch ( e ) {
+        assert.equal( e.name, 'Mumsys_Generic_Item_Schema_Exception', "assertValid() exception: Passed!" );
+        assert.ok( ( e instanceof Mumsys_Generic_Item_Exception ), "assertValid() exception parent: Passed!" );
+        _expected = 'Schema validation failed: "id": Value must be of type "integer"; '
+            + '"name": Value is required; "nmae": Property not defined in schema';
+        assert.equal( e.message, _expected, "assertValid() exception message: Passed!" );
+        assert.equal( e.getErrors().length, 3, "assertValid() exception getErrors(): Passed!" );
+    }
+    assert.equal( _obj.assertValue( 'age', 3 ), undefined, "assertValue(): Passed!" );
+    assert.throws(
+        function () { _obj.assertValue( 'age', '3' ); },
+        function ( e ) {
+            return e.name === 'Mumsys_Generic_Item_Schema_Exception';
+        },
+        "assertValue() exception: Passed!"
+    );
+
+} );
@@ -0,0 +1,236 @@
+/**
+ * Mumsys_Generic_Manager_Cache tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Cache.js tests", function ( assert )
+{
+    var done = assert.async();
+    var _obj = new Mumsys_Generic_Manager_Cache( { "maxSize": 2 } );
+    var value = { "list": [ 1 ] };
+    var loads = 0;
+    var loader = function () {
+        loads++;
+        return Promise.resolve( { "list": [ loads ] } );
+    };
+
+    assert.equal( Mumsys_Generic_Manager_Cache.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal(
+        Mumsys_Generic_Manager_Cache.createKey( { "b": 1, "a": { "d": [ 1 ], "c": 2 }, "e": undefined } ),
+        '{"a":{"c":2,"d":[1]},"b":1}',
+        "createKey() normalised: Passed!"
+    );
+    assert.throws(
+        function () { new Mumsys_Generic_Manager_Cache( { "ttl": -1 } ); },
+        function ( e ) { return e.message === 'Invalid cache ttl "-1"'; },
+        "construction ttl exception: Passed!"
+    );
+    assert.throws(
+        function () { new Mumsys_Generic_Manager_Cache( { "maxSize": 'x' } ); },
+        function ( e ) { return e.message === 'Invalid cache size "x"'; },
+        "construction size exception: Passed!"
+    );
+
+    //
+    // set(), get(), has(), delete(), size()
+    _obj.set( 'a', value, [ 'x' ] );
+    value.list.push( 2 );
+    assert.deepEqual( _obj.get( 'a' ), { "list": [ 1 ] }, "set() stores a copy: Passed!" );
+    _obj.get( 'a' ).list.push( 3 );
+    assert.deepEqual( _obj.get( 'a' ), { "list": [ 1 ] }, "get() returns a copy: Passed!" );
+    assert.equal( _obj.has( 'b' ), false, "has() not found: Passed!" );
+    assert.equal( _obj.get( 'b' ), undefined, "get() not found: Passed!" );
+    _obj.set( 'b', 2 );
+    _obj.get( 'a' );
+    _obj.set( 'c', 3 );
+    assert.equal( _obj.size(), 2, "set() size limit: Passed!" );
+    assert.equal( _obj.has( 'b' ), false, "set() drops the least recently used: Passed!" );
+    assert.equal( _obj.has( 'a' ), true, "set() keeps recently used: Passed!" );
+    _obj.delete( 'c' );
+    assert.equal( _obj.has( 'c' ), false, "delete(): Passed!" );
+
+    //
+    // invalidate(), clear()
+    _obj.set( 'c', 3, [ 'y' ] );
+    _obj.invalidate( 'x' );
+    assert.equal( _obj.has( 'a' ), false, "invalidate(): Passed!" );
+    assert.equal( _obj.has( 'c' ), true, "invalidate() other tags: Passed!" );
+    _obj.clear();
+    assert.equal( _obj.size(), 0, "clear(): Passed!" );
+
+    //
+    // ttl
+    var _objTtl = new Mumsys_Generic_Manager_Cache( { "ttl": 1 } );
+    _objTtl.set( 'a', 1 );
+
+    //
+    // fetch()
+    var first = _obj.fetch( 'k', loader );
+    var second = _obj.fetch( 'k', loader );
+
+    Promise.all( [ first, second ] ).then( function ( results )
+    {
+        assert.equal( loads, 1, "fetch() in-flight requests merged: Passed!" );
+        assert.deepEqual( results[0], results[1], "fetch() same result: Passed!" );
+        assert.notEqual( results[0], results[1], "fetch() copies: Passed!" );
+
+        return new Promise( function ( resolve ) {
+            setTimeout( resolve, 5 );
+        } );
+    } ).then( function () {
+        assert.equal( _objTtl.has( 'a' ), false, "ttl expired: Passed!" );
+
+        return _obj.fetch( 'k', loader );
+    } ).then( function ( result ) {
+        assert.deepEqual( result, { "list": [ 1 ] }, "fetch() cached: Passed!" );
+        assert.equal( loads, 1, "fetch() cached, no load: Passed!" );
+
+        return _obj.fetch( 'err', function () {
+            return Promise.reject( new Error( 'failed' ) );
+        } );
+    } ).then( function () {
+        assert.ok( false, "fetch() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'failed', "fetch() rejects: Passed!" );
+        assert.equal( _obj.has( 'err' ), false, "fetch() errors not cached: Passed!" );
+
+        // invalidated while in flight: not cached
+        var pending = _obj.fetch( 'tagged', loader, [ 'z' ] );
+        _obj.invalidate( 'z' );
+
+        return pending;
+    } ).then( function () {
+        assert.equal( _obj.has( 'tagged' ), false, "fetch() invalidated in flight: Passed!" );
+
+        // abort(): the loader will be aborted when the last caller aborted
+        var aborts = 0;
+        var starts = 0;
+        var slowLoader = function () {
+            starts++;
+            var promise = new Promise( function ( resolve ) {
+                setTimeout( function () { resolve( { "list": [ 2 ] } ); }, 5 );
+            } );
+            promise.abort = function () { aborts++; };
+
+            return promise;
+        };
+        var a = _obj.fetch( 'slow', slowLoader );
+        var b = _obj.fetch( 'slow', slowLoader );
+        a.abort();
+
+        return a.then( function () {
+            assert.ok( false, "fetch() abort rejection expected" );
+        }, function ( e ) {
+            assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "fetch() abort(): Passed!" );
+
+            return b;
+        } ).then( function ( result ) {
+            assert.deepEqual( result, { "list": [ 2 ] }, "fetch() abort() other callers continue: Passed!" );
+            assert.equal( aborts, 0, "fetch() abort() loader not aborted: Passed!" );
+
+            var c = _obj.fetch( 'slower', slowLoader );
+            c.abort();
+            c.abort();
+
+            return c;
+        } ).then( function () {
+            assert.ok( false, "fetch() abort rejection expected" );
+        }, function ( e ) {
+            assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "fetch() abort() last caller: Passed!" );
+            assert.equal( starts, 1, "fetch() abort() before the loader started: Passed!" );
+            assert.equal( _obj.has( 'slower' ), false, "fetch() aborted, not cached: Passed!" );
+
+            var d = _obj.fetch( 'slowest', slowLoader );
+
+            return new Promise( function ( resolve ) {
+                setTimeout( resolve, 0 );
+            } ).then( function () {
+                d.abort();
+                assert.equal( aborts, 1, "fetch() abort() aborts the loader: Passed!" );
+
+                return d.catch( function () {} );
+            } );
+        } );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Cache.js manager tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            if ( options.type === 'POST' ) {
+                return { "jsonrpc": "2.0", "result": { "item": { "id": 1 } }, "id": null };
+            }
+
+            return { "jsonrpc": "2.0", "result": { "list": [ { "id": 1, "name": "a" } ] }, "id": null };
+        }
+    } );
+    var cache = new Mumsys_Generic_Manager_Cache();
+    var _managerA = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var _managerB = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+
+    assert.equal( _managerA.getCache(), null, "getCache() default: Passed!" );
+    assert.throws(
+        function () { _managerA.setCache( {} ); },
+        function ( e ) { return e.message === 'Invalid cache'; },
+        "setCache() exception: Passed!"
+    );
+    _managerA.setCache( cache );
+    _managerB.setCache( cache );
+    assert.equal( _managerA.getCache(), cache, "setCache(): Passed!" );
+
+    Promise.all( [
+        _managerA.loadItems( { "a": 1, "b": 2 } ),
+        _managerB.loadItems( { "b": 2, "a": 1 } )
+    ] ).then( function ( lists )
+    {
+        assert.equal( transport.getRequests().length, 1, "loadItems() identical requests merged: Passed!" );
+        assert.notEqual( lists[0][0], lists[1][0], "loadItems() own items: Passed!" );
+        lists[0][0].set( 'name', 'changed' );
+
+        return _managerB.loadItems( { "a": 1, "b": 2 }, false, { "merge": true } );
+    } ).then( function ( list ) {
+        assert.equal( transport.getRequests().length, 1, "loadItems() cached: Passed!" );
+        assert.equal( list[0].get( 'name' ), 'a', "loadItems() cached copy: Passed!" );
+
+        return _managerB.loadItems( { "a": 1, "b": 2 }, { "cache": false }, { "merge": true } );
+    } ).then( function () {
+        assert.equal( transport.getRequests().length, 2, "loadItems() bypass cache: Passed!" );
+
+        return _managerA.saveItem( _managerA.getItem( 'id', 1 ), {} );
+    } ).then( function () {
+        assert.equal( cache.size(), 0, "saveItem() invalidates: Passed!" );
+
+        return _managerA.loadItems( { "a": 1 }, false, { "merge": true } );
+    } ).then( function () {
+        assert.equal( cache.size(), 1, "loadItems() cache entry: Passed!" );
+
+        return _managerA.deleteItem( _managerA.getItem( 'id', 1 ) );
+    } ).then( function () {
+        assert.equal( cache.size(), 0, "deleteItem() invalidates: Passed!" );
+
+        var promise = _managerA.loadItems( { "a": 2 } );
+        promise.abort();
+
+        return promise;
+    } ).then( function () {
+        assert.ok( false, "loadItems() abort rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "loadItems() cached abort(): Passed!" );
+        assert.equal( cache.size(), 0, "loadItems() aborted, not cached: Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,210 @@
+/**
+ * Mumsys_Generic_Manager_Conflict tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Conflict.js tests", function ( assert )
+{
+    var done = assert.async();
+
+    // server record, changed by someone else (version 2)
+    var record = { "id": 1, "name": "server", "status": "open", "note": "a", "version": 2 };
+    var handle = function ( req ) {
+        var item = req.params.item;
+
+        if ( item.version !== record.version ) {
+            return {
+                "jsonrpc": "2.0",
+                "error": { "code": 409, "message": "Conflict", "data": { "item": Object.assign( {}, record ) } },
+                "id": req.id
+            };
+        }
+
+        for ( var key in item ) {
+            if ( item.hasOwnProperty( key ) && key !== 'version' ) {
+                record[key] = item[key];
+            }
+        }
+        record.version++;
+
+        return { "jsonrpc": "2.0", "result": { "item": { "id": 1, "version": record.version } }, "id": req.id };
+    };
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            return Array.isArray( options.data ) ? options.data.map( handle ) : handle( options.data );
+        }
+    } );
+    var _manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var errors = [];
+    _manager.setJsonRpcClient( new Mumsys_JsonRpc_Client( transport ) );
+    _manager.setSaveMode( Mumsys_Generic_Manager_Default.SAVEMODE_PARTIAL );
+
+    var reset = function ( name ) {
+        var item = _manager.createItem( { "id": 1, "name": "local", "status": "open", "note": "a", "version": 1 } );
+        item.set( 'name', name );
+        transport.clearRequests();
+
+        return item;
+    };
+
+    assert.equal( Mumsys_Generic_Manager_Conflict.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( Mumsys_Generic_Manager_Conflict_Exception.getVersion(), '1.0.0', "Exception::getVersion(): Passed!" );
+    assert.equal( _manager.getVersionField(), null, "getVersionField() default: Passed!" );
+    assert.equal( _manager.getConflictStrategy(), null, "getConflictStrategy() default: Passed!" );
+    assert.throws(
+        function () { _manager.setConflictStrategy( 'unknown' ); },
+        function ( e ) { return e.message === 'Invalid conflict strategy "unknown"'; },
+        "setConflictStrategy() exception: Passed!"
+    );
+
+    // createException()
+    var item = reset( 'mine' );
+    var error = new Mumsys_JsonRpc_Exception( 'Conflict', 409, { "item": { "id": 1, "name": "theirs", "version": 2 } } );
+    var conflict = Mumsys_Generic_Manager_Conflict.createException( item, error, 409 );
+    assert.equal( conflict.message, 'Conflict: item "1" was changed by someone else (name)', "createException() message: Passed!" );
+    assert.deepEqual( conflict.getFields(), [ 'name' ], "createException() getFields(): Passed!" );
+    assert.equal( conflict.getItem(), item, "createException() getItem(): Passed!" );
+    assert.equal( conflict.getServerProperties().version, 2, "createException() getServerProperties(): Passed!" );
+    conflict = Mumsys_Generic_Manager_Conflict.createException( item, new Mumsys_Transport_Exception( 'Http 409', 0, 409 ), 409 );
+    assert.equal( conflict.getServerProperties(), null, "createException() http 409: Passed!" );
+    assert.equal(
+        Mumsys_Generic_Manager_Conflict.createException( item, new Mumsys_JsonRpc_Exception( 'Other', 1 ), 409 ),
+        null,
+        "createException() no conflict: Passed!"
+    );
+
+    _manager.setVersionField( 'version' );
+    assert.equal( _manager.getVersionField(), 'version', "setVersionField(): Passed!" );
+
+    // without a strategy a conflict rejects
+    item = reset( 'mine' );
+    _manager.saveItem( item, {} ).then( function () {
+        assert.ok( false, "saveItem() conflict rejection expected" );
+    }, function ( e ) {
+        assert.ok( e instanceof Mumsys_Generic_Manager_Conflict_Exception, "saveItem() conflict: Passed!" );
+        assert.equal( transport.getRequests()[0].data.params.item.version, 1, "saveItem() sends the version: Passed!" );
+        assert.equal( item.isModified(), true, "saveItem() conflict, item still modified: Passed!" );
+
+        // client wins
+        _manager.setConflictStrategy( Mumsys_Generic_Manager_Conflict.STRATEGY_CLIENT );
+        assert.equal( _manager.getConflictStrategy(), 'client', "getConflictStrategy(): Passed!" );
+        item = reset( 'client' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        assert.equal( transport.getRequests().length, 2, "client strategy, saved again: Passed!" );
+        assert.equal( record.name, 'client', "client strategy, server updated: Passed!" );
+        assert.equal( item.get( 'version' ), 3, "client strategy, version updated: Passed!" );
+        assert.equal( item.isModified(), false, "client strategy, item saved: Passed!" );
+        item.undo();
+        assert.equal( item.get( 'version' ), 3, "client strategy, version not in the undo history: Passed!" );
+        assert.equal( item.get( 'name' ), 'local', "client strategy, undo() local change: Passed!" );
+        assert.equal( item.canUndo(), false, "client strategy, undo history: Passed!" );
+
+        // server wins
+        _manager.setConflictStrategy( Mumsys_Generic_Manager_Conflict.STRATEGY_SERVER );
+        item = reset( 'dropped' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function ( result ) {
+        assert.equal( result, item, "server strategy, resolves with the item: Passed!" );
+        assert.equal( transport.getRequests().length, 1, "server strategy, not saved again: Passed!" );
+        assert.equal( item.get( 'name' ), 'client', "server strategy, server properties set: Passed!" );
+        assert.equal( item.get( 'version' ), 3, "server strategy, server version set: Passed!" );
+        assert.equal( item.isModified(), false, "server strategy, item not modified: Passed!" );
+        assert.equal( item.canUndo(), false, "server strategy, server values not in the undo history: Passed!" );
+
+        // merge: only local changes are saved, server changes are taken
+        _manager.setConflictStrategy( Mumsys_Generic_Manager_Conflict.STRATEGY_MERGE );
+        record.note = 'b';
+        record.version = 4;
+        item = _manager.createItem( { "id": 1, "name": "client", "status": "open", "note": "a", "version": 3 } );
+        item.set( 'status', 'closed' );
+        transport.clearRequests();
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        assert.equal( transport.getRequests().length, 2, "merge strategy, saved again: Passed!" );
+        assert.equal( item.get( 'note' ), 'b', "merge strategy, server change taken: Passed!" );
+        assert.equal( record.status, 'closed', "merge strategy, local change saved: Passed!" );
+        assert.equal( item.get( 'version' ), 5, "merge strategy, version updated: Passed!" );
+
+        // merge: same field changed on both sides
+        item = reset( 'mine' );
+
+        return _manager.saveItem( item, {} ).then( function () {
+            assert.ok( false, "merge strategy rejection expected" );
+        }, function ( e ) {
+            assert.deepEqual( e.getFields(), [ 'name' ], "merge strategy, conflicting fields: Passed!" );
+            assert.equal( transport.getRequests().length, 1, "merge strategy, not saved again: Passed!" );
+        } );
+    } ).then( function () {
+        // callback returning the properties to save
+        _manager.setConflictStrategy( function ( item, serverProps, conflict ) {
+            assert.ok( conflict instanceof Mumsys_Generic_Manager_Conflict_Exception, "callback arguments: Passed!" );
+
+            return { "name": serverProps.name + '+' + item.get( 'name' ) };
+        } );
+        item = reset( 'mine' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        assert.equal( record.name, 'client+mine', "callback strategy, properties saved: Passed!" );
+        assert.equal( item.get( 'version' ), 6, "callback strategy, version updated: Passed!" );
+
+        // callback returning false rejects
+        _manager.setConflictStrategy( function () {
+            return false;
+        } );
+        item = reset( 'mine' );
+
+        return _manager.saveItem( item, {} ).then( function () {
+            assert.ok( false, "callback strategy rejection expected" );
+        }, function ( e ) {
+            assert.ok( e instanceof Mumsys_Generic_Manager_Conflict_Exception, "callback strategy, rejected: Passed!" );
+        } );
+    } ).then( function () {
+        // saveItems() reports conflicts per item
+        _manager.setConflictStrategy( null );
+        item = reset( 'mine' );
+
+        return _manager.saveItems( [ item ] );
+    } ).then( function ( entries ) {
+        assert.ok( entries[0].error instanceof Mumsys_Generic_Manager_Conflict_Exception, "saveItems() conflict: Passed!" );
+
+        // saveItems() resolves conflicts per item by the strategy
+        _manager.setConflictStrategy( Mumsys_Generic_Manager_Conflict.STRATEGY_CLIENT );
+        _manager.on( 'error', function ( event ) {
+            errors.push( event.error );
+        } );
+        item = reset( 'batch' );
+
+        return _manager.saveItems( [ item ] );
+    } ).then( function ( entries ) {
+        assert.ok( entries[0].error === null, "saveItems() conflict resolved: Passed!" );
+        assert.equal( record.name, 'batch', "saveItems() client strategy, server updated: Passed!" );
+        assert.equal( item.isModified(), false, "saveItems() client strategy, item saved: Passed!" );
+        assert.equal( errors.length, 0, "saveItems() resolved conflict, no error event: Passed!" );
+
+        // rejected by the strategy
+        _manager.setConflictStrategy( function () {
+            return false;
+        } );
+        item = reset( 'mine' );
+
+        return _manager.saveItems( [ item ] );
+    } ).then( function ( entries ) {
+        assert.ok( entries[0].error instanceof Mumsys_Generic_Manager_Conflict_Exception, "saveItems() strategy rejected: Passed!" );
+        assert.ok( errors[0] === entries[0].error, "saveItems() conflict error event: Passed!" );
+    } ).then( done, done );
+} );
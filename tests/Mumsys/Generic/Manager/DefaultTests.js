@@ -61,6 +61,40 @@ QUnit.test( "Mumsys_Generic_Manager_Default.js tests", function ( assert )
         assert.equal( e.name, "Mumsys_Generic_Manager_Exception", "createItem() Expected exception: Passed!" );
     }
 
+    //
+    // setTransport(), getTransport()
+    assert.ok( ( _obj.getTransport() instanceof Mumsys_Transport_Jquery ), "getTransport() default: Passed!" );
+    var transport = new Mumsys_Transport_Memory();
+    _obj.setTransport( transport );
+    assert.equal( _obj.getTransport(), transport, "setTransport(): Passed!" );
+    assert.equal(
+        ( new Mumsys_Generic_Manager_Default( false, transport ) ).getTransport(), transport,
+        "construct() with transport: Passed!"
+    );
+    try {
+        _obj.setTransport( jQuery );
+        assert.ok( false, "setTransport() exception expected" );
+    } catch ( e ) {
+        assert.equal( e.message, 'Invalid transport', "setTransport() exception: Passed!" );
+    }
+
+    //
+    // setSchema(), getSchema(), createItem() with schema
+    assert.equal( _obj.getSchema(), null, "getSchema() not set: Passed!" );
+    var schema = { "id": { "type": "integer" }, "name": { "type": "string" } };
+    var schemaItem = _obj.createItem( { "id": 9, "name": "name 9" }, schema );
+    assert.ok( ( schemaItem.getSchema() instanceof Mumsys_Generic_Item_Schema ), "createItem() schema: Passed!" );
+    _obj.setSchema( schema );
+    assert.ok( ( _obj.getSchema() instanceof Mumsys_Generic_Item_Schema ), "setSchema(): Passed!" );
+    assert.equal( _obj.createItem( { "id": 9 } ).getSchema(), _obj.getSchema(), "createItem() default schema: Passed!" );
+    try {
+        _obj.createItem( { "id": "9" } );
+        assert.ok( false, "createItem() schema exception expected" );
+    } catch ( e ) {
+        assert.equal( e.name, "Mumsys_Generic_Item_Schema_Exception", "createItem() schema exception: Passed!" );
+    }
+    _obj.setSchema( null );
+
     //
     // addItem()
     assert.ok( ( _obj.addItem( newItem ) === undefined ), "addItem(item): Passed!" );
@@ -87,6 +121,13 @@ QUnit.test( "Mumsys_Generic_Manager_Default.js tests", function ( assert )
     // removeItem()
     _obj.removeItem( 5 );
     assert.equal( _obj.getItems().length, 4, "removeItem(): Passed!" );
+    assert.equal( _obj.getItem( "id", 5 ), undefined, "removeItem() index: Passed!" );
+    newItem.set( "name", "detached" );
+    _obj.addItem( _obj.createItem( { "id": null } ) );
+    _obj.addItem( _obj.createItem( { "id": null } ) );
+    assert.equal( _obj.getItems().length, 6, "addItem() several null ids: Passed!" );
+    _obj.removeItem( null );
+    assert.equal( _obj.getItems().length, 4, "removeItem() null ids: Passed!" );
 
     //
     // getItems()
@@ -107,43 +148,945 @@ QUnit.test( "Mumsys_Generic_Manager_Default.js tests", function ( assert )
 
     assert.equal( _obj.getItem( "none", 123, false ), false, "getItem() default return: Passed!" );
 
+    //
+    // indexes: addIndex(), findBy(), getItem()
+    _obj.addIndex( "name" );
+    assert.equal( _obj.hasIndex( "name" ), true, "addIndex(), hasIndex(): Passed!" );
+    assert.equal( _obj.getItem( "id", 2 ), items[1], "getItem() id index: Passed!" );
+    assert.equal( _obj.getItem( "id", "2", false ), false, "getItem() id index type save: Passed!" );
+    assert.deepEqual( _obj.findBy( "name", "name 3" ), [ items[2] ], "findBy() index: Passed!" );
+    assert.deepEqual( _obj.findBy( "nonIndexed", undefined ).length, 4, "findBy() without index: Passed!" );
+    items[2].set( "name", "renamed" );
+    assert.deepEqual( _obj.findBy( "name", "name 3" ), [ ], "set() updates index, old value: Passed!" );
+    assert.equal( _obj.getItem( "name", "renamed" ), items[2], "set() updates index, new value: Passed!" );
+    items[2].undo();
+    assert.equal( _obj.getItem( "name", "name 3" ), items[2], "undo() updates index: Passed!" );
+    items[0].set( "id", null );
+    assert.equal( _obj.getItem( "id", 1 ), undefined, "set() id updates index: Passed!" );
+    items[0].set( "id", 1 );
+    assert.equal( _obj.getItem( "id", 1 ), items[0], "set() id updates index: Passed!" );
+    _obj.addIndex( "unique", true );
+    items[0].set( "unique", "u" );
+    try {
+        items[1].set( "unique", "u" );
+        assert.ok( false, "set() unique index exception expected" );
+    } catch ( e ) {
+        assert.equal( e.message, '"unique" (u) is unique and already exists', "set() unique index exception: Passed!" );
+        assert.equal( items[1].get( "unique" ), undefined, "set() unique index prevents the change: Passed!" );
+    }
+    _obj.removeIndex( "unique" );
+    assert.equal( _obj.hasIndex( "unique" ), false, "removeIndex(): Passed!" );
+    assert.throws(
+        function () { _obj.removeIndex( "id" ); },
+        function ( e ) { return e.message === 'Index "id" can not be removed'; },
+        "removeIndex() id exception: Passed!"
+    );
+    assert.throws(
+        function () { _obj.addIndex( "name" ); },
+        function ( e ) { return e.message === 'Index "name" already exists'; },
+        "addIndex() exists exception: Passed!"
+    );
+    _obj.removeIndex( "name" );
+
+    //
+    // query(), findAll()
+    assert.ok( ( _obj.query() instanceof Mumsys_Generic_Query ), "query(): Passed!" );
+    _expected = [ _obj.getItem( "id", 4 ), _obj.getItem( "id", 3 ) ];
+    assert.deepEqual( _obj.query().where( "id", ">", 2 ).orderBy( "id", "desc" ).getItems(), _expected, "query() items: Passed!" );
+    assert.deepEqual( _obj.findAll( [ "name", "contains", "2" ] ), [ _obj.getItem( "id", 2 ) ], "findAll(): Passed!" );
+
     //
     // clear()
     _obj.clear();
     assert.equal( _obj.getItems().length, 0, "clear(): Passed!" );
+    assert.equal( _obj.getItem( "id", 1 ), undefined, "clear() index: Passed!" );
+    _obj.addItem( items[0] );
+    assert.equal( _obj.getItem( "id", 1 ), items[0], "clear(), addItem() again: Passed!" );
+    _obj.clear();
 
     //
     // isLoaded()
     assert.equal( _obj.isLoaded(), false, "isLoaded()::false Passed!" );
 
     //
-    // loadItems()
-    _obj.loadItems( { }, { "url": "testfiles/genericItemList.200.json", "async": false } );
-    assert.equal( _obj.getItems().length, 8, "loadItems(): Passed!" );
-    assert.equal( _obj.isLoaded(), true, "loadItems(), isLoaded()::true: Passed!" );
-    /** @todo loadItems() error  to be implemented */
-    // _obj.loadItems({}, {"url":"testfiles/notExists.js","async":false});
+    // setSaveMode(), getSaveMode(), _setSaveData()
+    assert.equal( _obj.getSaveMode(), Mumsys_Generic_Manager_Default.SAVEMODE_FULL, "getSaveMode(): Passed!" );
+    try {
+        _obj.setSaveMode( 'unknown' );
+        assert.ok( false, "setSaveMode() exception expected" );
+    } catch ( e ) {
+        assert.equal( e.message, 'Invalid save mode "unknown"', "setSaveMode() exception: Passed!" );
+    }
+    var saveItem = _obj.createItem( { "id": 7, "name": "name 7", "desc": "d" } );
+    saveItem.set( "name", "new name" );
 
-    //
-    // saveItem()
-    var expected = _obj.getItem( "id", 3 );
+    var saveParams = { };
+    _obj._setSaveData( saveItem, saveParams );
+    assert.equal( saveParams.item, saveItem.getProperties(), "_setSaveData() full: Passed!" );
+
+    _obj.setSaveMode( Mumsys_Generic_Manager_Default.SAVEMODE_PARTIAL );
+    saveParams = { };
+    _obj._setSaveData( saveItem, saveParams );
+    assert.deepEqual( saveParams.item, { "id": 7, "name": "new name" }, "_setSaveData() partial: Passed!" );
+
+    _obj.setSaveMode( Mumsys_Generic_Manager_Default.SAVEMODE_PATCH );
+    saveParams = { };
+    _obj._setSaveData( saveItem, saveParams );
+    assert.deepEqual( saveParams.item, { "id": 7 }, "_setSaveData() patch item: Passed!" );
+    _expected = [ { "op": "replace", "path": "/name", "value": "new name" } ];
+    assert.deepEqual( saveParams.patch, _expected, "_setSaveData() patch: Passed!" );
+    try {
+        _obj._setSaveData( saveItem, { "patch": [] } );
+        assert.ok( false, "_setSaveData() exception expected" );
+    } catch ( e ) {
+        assert.equal( e.message, 'params.patch property already defined', "_setSaveData() exception: Passed!" );
+    }
+    _obj.setSaveMode( Mumsys_Generic_Manager_Default.SAVEMODE_FULL );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js loadItems(), saveItem() tests", function ( assert )
+{
+    var done = assert.async();
+    var _obj = new Mumsys_Generic_Manager_Default();
     var jqParams = {
         "url": "testfiles/genericSaveItemResponse.200.json",
-        "async": false,
         "type": "GET",
         "dataType": 'json'
     };
-    
-    var rquestParams = { };
-    var actual = _obj.saveItem( expected, rquestParams, jqParams );
-    assert.equal( actual, expected, "saveItem() not changed: Passed!" );
-    assert.equal( expected.isModified(), false, "saveItem() item.isModified()::false: Passed!" );
-    // real request
-    expected.set( "id", null );
-    assert.equal( expected.isModified(), true, "saveItem() item.isModified(): Passed!" );
-    var actual = _obj.saveItem( expected, rquestParams, jqParams );
-    assert.equal( actual, expected, "saveItem() real request: Passed!" );
+    var item;
+
+    //
+    // loadItems()
+    var promise = _obj.loadItems( { }, { "url": "testfiles/genericItemList.200.json" } );
+    assert.ok( ( promise instanceof Promise ), "loadItems() returns promise: Passed!" );
+    assert.equal( _obj.isLoaded(), false, "loadItems(), isLoaded()::false while loading: Passed!" );
+
+    promise.then( function ( list )
+    {
+        assert.equal( list.length, 8, "loadItems() resolved list: Passed!" );
+        assert.equal( _obj.getItems().length, 8, "loadItems(): Passed!" );
+        assert.equal( _obj.isLoaded(), true, "loadItems(), isLoaded()::true: Passed!" );
+
+        return _obj.loadItems( { }, { "url": "testfiles/notExists.json" } );
+    } ).then( function () {
+        assert.ok( false, "loadItems() rejection expected" );
+    }, function ( e ) {
+        assert.ok( ( e instanceof Mumsys_Exception ), "loadItems() transport error rejects: Passed!" );
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_TRANSPORT, "loadItems() transport error code: Passed!" );
+        assert.equal( _obj.isLoaded(), false, "loadItems() transport error isLoaded()::false: Passed!" );
+
+        return _obj.loadItems( { }, { "url": "testfiles/jsonRpcError.200.json" } );
+    } ).then( function () {
+        assert.ok( false, "loadItems() rejection expected" );
+    }, function ( e ) {
+        assert.ok( ( e instanceof Mumsys_JsonRpc_Exception_MethodNotFound ), "loadItems() json rpc error exception: Passed!" );
+        assert.equal( e.message, "Method not found", "loadItems() json rpc error: Passed!" );
+        assert.equal( e.code, -32601, "loadItems() json rpc error code: Passed!" );
+
+        //
+        // saveItem()
+        item = _obj.getItem( "id", 3 );
+
+        return _obj.saveItem( item, { }, jqParams );
+    } ).then( function ( actual ) {
+        assert.equal( actual, item, "saveItem() not changed: Passed!" );
+        assert.equal( item.isModified(), false, "saveItem() item.isModified()::false: Passed!" );
+
+        // real request
+        item.set( "id", null );
+        var savePromise = _obj.saveItem( item, { }, jqParams );
+        assert.equal( item.isModified(), true, "saveItem() isModified() until confirmed: Passed!" );
+
+        return savePromise;
+    } ).then( function ( actual ) {
+        assert.equal( actual, item, "saveItem() real request: Passed!" );
+        assert.equal( item.get( "id" ), 3, "saveItem() id of the response: Passed!" );
+        assert.equal( item.isModified(), false, "saveItem() confirmed, isModified()::false: Passed!" );
+
+        return _obj.saveItem( item, { "item": {} } );
+    } ).then( function () {
+        assert.ok( false, "saveItem() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'params.item property already defined', "saveItem() params.item rejects: Passed!" );
+
+        item.set( "name", "changed" );
+        jqParams.url = "testfiles/jsonRpcError.200.json";
+
+        return _obj.saveItem( item, { }, jqParams );
+    } ).then( function () {
+        assert.ok( false, "saveItem() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, -32601, "saveItem() json rpc error rejects: Passed!" );
+        assert.equal( item.isModified(), true, "saveItem() failed, isModified(): Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js transport tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "list.php": { "jsonrpc": "2.0", "result": { "list": [ { "id": 1, "name": "a" } ] }, "id": null },
+        "save.php": { "jsonrpc": "2.0", "result": { "item": { "id": 1 } }, "id": null }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'list.php', transport );
+
+    _obj.loadItems( { "action": "list" } ).then( function ( list )
+    {
+        assert.equal( list[0].get( 'name' ), 'a', "loadItems() memory transport: Passed!" );
+        assert.equal( transport.getRequests()[0].type, 'GET', "loadItems() request type: Passed!" );
+        assert.deepEqual( transport.getRequests()[0].data, { "action": "list" }, "loadItems() request data: Passed!" );
+
+        list[0].set( 'name', 'b' );
+
+        return _obj.saveItem( list[0], { "action": "save" }, { "url": "save.php" } );
+    } ).then( function ( item ) {
+        var request = transport.getRequests()[1];
+        assert.equal( request.type, 'POST', "saveItem() request type: Passed!" );
+        assert.equal( request.data.item.name, 'b', "saveItem() request data: Passed!" );
+        assert.equal( item.isModified(), false, "saveItem() memory transport: Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js json rpc client tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            var result = { "item": { "id": 2 } };
+            if ( options.data.method === 'user.list' ) {
+                result = { "list": [ { "id": 1, "name": "a" } ] };
+            }
+
+            return { "jsonrpc": "2.0", "result": result, "id": options.data.id };
+        }
+    } );
+    var client = new Mumsys_JsonRpc_Client( transport );
+    var _obj = new Mumsys_Generic_Manager_Default();
+
+    assert.equal( _obj.getJsonRpcClient(), null, "getJsonRpcClient() default: Passed!" );
+    assert.throws(
+        function () { _obj.setJsonRpcClient( transport ); },
+        function ( e ) {
+            return e.name === 'Mumsys_Generic_Manager_Exception' && e.message === 'Invalid json rpc client';
+        },
+        "setJsonRpcClient() invalid client exception: Passed!"
+    );
+    _obj.setJsonRpcClient( client, { "load": "user.list" } );
+    assert.equal( _obj.getJsonRpcClient(), client, "setJsonRpcClient(): Passed!" );
+
+    _obj.loadItems( { "limit": 10 } ).then( function ( list )
+    {
+        var request = transport.getRequests()[0].data;
+        assert.equal( list[0].get( 'name' ), 'a', "loadItems() json rpc client: Passed!" );
+        assert.equal( request.method, 'user.list', "loadItems() mapped method: Passed!" );
+        assert.deepEqual( request.params, { "limit": 10 }, "loadItems() params: Passed!" );
+
+        var item = _obj.createItem( { "id": null, "name": "b" } );
+        item.setModified( true );
+
+        return _obj.saveItem( item, { } );
+    } ).then( function ( item ) {
+        var request = transport.getRequests()[1].data;
+        assert.equal( request.method, 'save', "saveItem() default method: Passed!" );
+        assert.equal( request.params.item.name, 'b', "saveItem() params: Passed!" );
+        assert.equal( item.get( 'id' ), 2, "saveItem() json rpc client: Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js saveItems() tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            return options.data.map( function ( req ) {
+                if ( req.params.item.name === 'invalid' ) {
+                    return { "jsonrpc": "2.0", "error": { "code": 1, "message": "Invalid name" }, "id": req.id };
+                }
+
+                return { "jsonrpc": "2.0", "result": { "item": { "id": req.params.item.name.length } }, "id": req.id };
+            } );
+        },
+        "save.php": { "jsonrpc": "2.0", "result": true, "id": null }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var items = [
+        _obj.createItem( { "id": 1, "name": "x" } ),
+        _obj.createItem( { "id": 2, "name": "y" } ),
+        _obj.createItem( { "id": 5, "name": "unchanged" } )
+    ];
+    var newItems = [
+        _obj.createItem( { "id": null, "name": "abc" } ),
+        _obj.createItem( { "id": null, "name": "ab" } )
+    ];
+
+    for ( var i = 0; i < items.length; i++ ) {
+        _obj.addItem( items[i] );
+    }
+    items[0].set( 'name', 'a' );
+    items[1].set( 'name', 'invalid' );
+    newItems[0].setModified( true );
+    newItems[1].setModified( true );
+    _obj.setJsonRpcClient( new Mumsys_JsonRpc_Client( transport ) );
+
+    _obj.saveModified( { "action": "save" } ).then( function ( entries )
+    {
+        var request = transport.getRequests()[0];
+        assert.equal( request.data.length, 2, "saveModified() modified items only: Passed!" );
+        assert.equal( request.data[0].params.action, 'save', "saveModified() params: Passed!" );
+        assert.equal( entries.length, 2, "saveModified() entries: Passed!" );
+        assert.equal( entries[0].item, items[0], "saveModified() entry item: Passed!" );
+        assert.equal( entries[0].error, null, "saveModified() no error: Passed!" );
+        assert.equal( items[0].isModified(), false, "saveModified() confirmed: Passed!" );
+        assert.equal( entries[1].error.message, 'Invalid name', "saveModified() error per item: Passed!" );
+        assert.equal( items[1].isModified(), true, "saveModified() failed item still modified: Passed!" );
+
+        return _obj.saveItems( [ newItems[0], items[2], newItems[1] ] );
+    } ).then( function ( entries ) {
+        assert.equal( transport.getRequests().length, 2, "saveItems() one batch request: Passed!" );
+        assert.equal( transport.getRequests()[1].data.length, 2, "saveItems() modified items only: Passed!" );
+        assert.equal( entries.length, 3, "saveItems() entry per item: Passed!" );
+        assert.deepEqual( entries[1], { "item": items[2], "error": null }, "saveItems() not modified: Passed!" );
+        assert.equal( newItems[0].get( 'id' ), 3, "saveItems() id of the first item: Passed!" );
+        assert.equal( newItems[1].get( 'id' ), 2, "saveItems() id of the second item: Passed!" );
+        assert.equal( newItems[1].isModified(), false, "saveItems() confirmed: Passed!" );
+
+        return _obj.saveItems( [ items[1] ], { "item": {} } );
+    } ).then( function () {
+        assert.ok( false, "saveItems() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'params.item property already defined', "saveItems() params.item rejects: Passed!" );
+
+        // without client: saveItem() for each item
+        _obj.setJsonRpcClient( null );
+        items[1].set( 'name', 'b' );
+
+        return _obj.saveItems( [ items[1], items[2] ], {}, { "url": "save.php" } );
+    } ).then( function ( entries ) {
+        assert.equal( entries[0].error, null, "saveItems() without client: Passed!" );
+        assert.equal( items[1].isModified(), false, "saveItems() without client confirmed: Passed!" );
+        assert.equal( transport.getRequests().length, 3, "saveItems() without client requests: Passed!" );
+
+        items[0].set( 'name', 'c' );
+
+        return _obj.saveItems( [ items[0] ], {}, { "url": "unknown.php" } );
+    } ).then( function ( entries ) {
+        assert.equal( entries[0].error.status, 404, "saveItems() without client error per item: Passed!" );
+    } ).then( done, done );
+
+} );
+QUnit.test( "Mumsys_Generic_Manager_Default.js deleteItem(), deleteItems() tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "delete.php": { "jsonrpc": "2.0", "result": true, "id": null },
+        "jsonrpc.php": function ( options ) {
+            return options.data.map( function ( req ) {
+                if ( req.params.item.id === 3 ) {
+                    return { "jsonrpc": "2.0", "error": { "code": 1, "message": "Locked" }, "id": req.id };
+                }
+
+                return { "jsonrpc": "2.0", "result": true, "id": req.id };
+            } );
+        }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'delete.php', transport );
+    [ 1, 2, 3, 4, 5, null ].forEach( function ( id ) {
+        _obj.addItem( _obj.createItem( { "id": id, "group": ( id === null || id > 2 ) ? "b" : "a" } ) );
+    } );
+
+    var item = _obj.getItem( "id", 1 );
+    var promise = _obj.deleteItem( item, { "action": "delete" } );
+    assert.equal( _obj.getItem( "id", 1 ), item, "deleteItem() removed after confirmation only: Passed!" );
+
+    promise.then( function ( actual )
+    {
+        var request = transport.getRequests()[0];
+        assert.equal( actual, item, "deleteItem(): Passed!" );
+        assert.deepEqual( request.data, { "action": "delete", "item": { "id": 1 } }, "deleteItem() request data: Passed!" );
+        assert.equal( request.type, 'POST', "deleteItem() request type: Passed!" );
+        assert.equal( _obj.getItem( "id", 1 ), undefined, "deleteItem() index: Passed!" );
+        assert.equal( _obj.getItems().length, 5, "deleteItem() list: Passed!" );
+
+        return _obj.deleteItem( _obj.getItem( "id", 2 ), {}, { "url": "unknown.php" } );
+    } ).then( function () {
+        assert.ok( false, "deleteItem() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.status, 404, "deleteItem() request error rejects: Passed!" );
+        assert.ok( ( _obj.getItem( "id", 2 ) !== undefined ), "deleteItem() failed, item kept: Passed!" );
+
+        return _obj.deleteItem( _obj.getItem( "id", 2 ), { "item": {} } );
+    } ).then( function () {
+        assert.ok( false, "deleteItem() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'params.item property already defined', "deleteItem() params.item rejects: Passed!" );
+
+        _obj.setJsonRpcClient( new Mumsys_JsonRpc_Client( transport ) );
+        transport.clearRequests();
+
+        return _obj.deleteItems( [ "group", "==", "b" ] );
+    } ).then( function ( entries ) {
+        var request = transport.getRequests()[0];
+        assert.equal( transport.getRequests().length, 1, "deleteItems() one batch request: Passed!" );
+        assert.equal( request.data.length, 3, "deleteItems() items with id only: Passed!" );
+        assert.equal( request.data[0].method, 'delete', "deleteItems() method: Passed!" );
+        assert.equal( entries.length, 4, "deleteItems() entry per item: Passed!" );
+        assert.equal( entries[0].error.message, 'Locked', "deleteItems() error per item: Passed!" );
+        assert.equal( entries[0].item, _obj.getItem( "id", 3 ), "deleteItems() failed item kept: Passed!" );
+        assert.deepEqual(
+            _obj.getItems().map( function ( item ) { return item.get( "id" ); } ), [ 2, 3 ],
+            "deleteItems() confirmed items removed: Passed!"
+        );
+
+        return _obj.deleteItems( [ "id", "like", 1 ] );
+    } ).then( function () {
+        assert.ok( false, "deleteItems() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Invalid query operator "like"', "deleteItems() invalid criteria rejects: Passed!" );
+    } ).then( done, done );
 
 } );
 //
 //});
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js loadItems() merge tests", function ( assert )
+{
+    var done = assert.async();
+    var rows = [ { "id": 1, "name": "a", "status": "open" }, { "id": 2, "name": "b", "status": "open" } ];
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function () {
+            return { "jsonrpc": "2.0", "result": { "list": rows }, "id": null };
+        }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var itemA;
+    var itemB;
+    var itemNew;
+
+    assert.equal( Mumsys_Generic_Manager_Default.MERGEPOLICY_LOCAL, 'local', "MERGEPOLICY_LOCAL: Passed!" );
+    assert.equal( Mumsys_Generic_Manager_Default.MERGEPOLICY_SERVER, 'server', "MERGEPOLICY_SERVER: Passed!" );
+
+    _obj.loadItems( {} ).then( function ( list )
+    {
+        itemA = list[0];
+        itemB = list[1];
+        itemA.set( 'name', 'local' );
+        itemNew = _obj.createItem( { "id": null, "name": "new" } );
+        _obj.addItem( itemNew );
+
+        rows = [
+            { "id": 1, "name": "a2", "status": "closed" },
+            { "id": 3, "name": "c", "status": "open" }
+        ];
+
+        return _obj.loadItems( {}, false, { "merge": true, "remove": true } );
+    } ).then( function ( list ) {
+        assert.equal( list[0], itemA, "loadItems() merge keeps the item object: Passed!" );
+        assert.equal( itemA.get( 'status' ), 'closed', "loadItems() merge updates: Passed!" );
+        assert.equal( itemA.get( 'name' ), 'local', "loadItems() merge keeps local changes: Passed!" );
+        assert.equal( itemA.getOriginal( 'name' ), 'a2', "loadItems() merge original value: Passed!" );
+        assert.equal( _obj.getItem( 'id', 3 ), list[1], "loadItems() merge adds new items: Passed!" );
+        assert.equal( _obj.getItem( "id", 2 ), undefined, "loadItems() merge removes missing items: Passed!" );
+        assert.equal( _obj.getItems().length, 3, "loadItems() merge keeps items without id: Passed!" );
+        assert.notEqual( _obj.getItems().indexOf( itemNew ), -1, "loadItems() merge item without id: Passed!" );
+        assert.equal( _obj.isLoaded(), true, "loadItems() merge isLoaded(): Passed!" );
+
+        rows = [ { "id": 1, "name": "a3", "status": "closed" } ];
+
+        return _obj.loadItems( {}, false, { "merge": true, "policy": Mumsys_Generic_Manager_Default.MERGEPOLICY_SERVER } );
+    } ).then( function () {
+        assert.equal( itemA.get( 'name' ), 'a3', "loadItems() merge server policy: Passed!" );
+        assert.equal( itemA.isModified(), false, "loadItems() merge server policy, not modified: Passed!" );
+        assert.equal( _obj.getItems().length, 3, "loadItems() merge without remove: Passed!" );
+
+        itemA.set( 'name', 'local' );
+        rows = [ { "id": 1, "name": "a4" } ];
+
+        return _obj.loadItems( {}, false, {
+            "merge": true,
+            "policy": function ( item, key, localVal, serverVal ) {
+                return ( item === itemA ) ? localVal + '/' + serverVal : localVal;
+            }
+        } );
+    } ).then( function () {
+        assert.equal( itemA.get( 'name' ), 'local/a4', "loadItems() merge policy callback: Passed!" );
+
+        return _obj.loadItems( {}, false, { "merge": true, "policy": "unknown" } );
+    } ).then( function () {
+        assert.ok( false, "loadItems() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Invalid merge policy "unknown"', "loadItems() invalid merge policy: Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js loadItems() timeout, abort tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function () {
+            return new Promise( function () {} );
+        }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+
+    _obj.loadItems( {}, { "timeout": 5 } ).then( function () {
+        assert.ok( false, "loadItems() timeout rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_TIMEOUT, "loadItems() timeout: Passed!" );
+        assert.equal( _obj.isLoaded(), false, "loadItems() timeout, isLoaded(): Passed!" );
+        assert.equal( transport.getRequests()[0].idempotent, true, "loadItems() idempotent: Passed!" );
+
+        _obj.setJsonRpcClient( new Mumsys_JsonRpc_Client( transport ) );
+        var promise = _obj.loadItems( {} );
+        promise.abort();
+
+        return promise;
+    } ).then( function () {
+        assert.ok( false, "loadItems() abort rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "loadItems() abort(): Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js loadItems() chunk tests", function ( assert )
+{
+    var done = assert.async();
+    var rows = [];
+    for ( var i = 1; i <= 10; i++ ) {
+        rows.push( { "id": i, "name": "n" + i } );
+    }
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            var response = { "jsonrpc": "2.0", "result": { "list": rows }, "id": null };
+
+            return ( options.dataType === 'text' ) ? JSON.stringify( response ) : response;
+        }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var events = [];
+    var progress = [];
+    var counts = [];
+
+    _obj.on( '*', function ( event ) {
+        if ( event.type !== 'add' ) {
+            events.push( event.type + ( event.type === 'load:progress' ? ' ' + event.loaded + '/' + event.total : '' ) );
+        }
+    } );
+
+    var promise = _obj.loadItems( {}, false, { "chunkSize": 4, "progress": function ( loaded, total ) {
+        progress.push( loaded + '/' + total );
+        counts.push( _obj.getItems().length );
+    } } );
+
+    promise.then( function ( list )
+    {
+        assert.equal( list.length, 10, "loadItems() chunked list: Passed!" );
+        assert.deepEqual( progress, [ '4/10', '8/10', '10/10' ], "loadItems() progress callback: Passed!" );
+        assert.deepEqual( counts, [ 4, 8, 10 ], "loadItems() items per chunk: Passed!" );
+        assert.deepEqual(
+            events,
+            [ 'load:start', 'load:progress 4/10', 'load:progress 8/10', 'load:progress 10/10', 'load:end' ],
+            "loadItems() progress events: Passed!"
+        );
+        assert.ok( _obj.isLoaded(), "loadItems() chunked isLoaded(): Passed!" );
+
+        // merge and remove after the last chunk
+        rows = rows.slice( 0, 5 );
+        rows[0] = { "id": 1, "name": "changed" };
+
+        return _obj.loadItems( {}, false, { "chunkSize": 2, "merge": true, "remove": true } );
+    } ).then( function ( list ) {
+        assert.equal( list[0], _obj.getItem( 'id', 1 ), "loadItems() chunked merge: Passed!" );
+        assert.equal( list[0].get( 'name' ), 'changed', "loadItems() chunked merge value: Passed!" );
+        assert.equal( _obj.getItems().length, 5, "loadItems() chunked remove: Passed!" );
+
+        // abort between the chunks
+        _obj.clear();
+        var aborting = _obj.loadItems( {}, false, { "chunkSize": 2, "progress": function ( loaded ) {
+            if ( loaded === 2 ) {
+                aborting.abort();
+            }
+        } } );
+
+        return aborting;
+    } ).then( function () {
+        assert.ok( false, "loadItems() abort rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "loadItems() chunked abort(): Passed!" );
+        assert.equal( e.message, 'Loading aborted', "loadItems() chunked abort message: Passed!" );
+        assert.equal( _obj.getItems().length, 2, "loadItems() chunked abort keeps processed chunks: Passed!" );
+        assert.equal( _obj.isLoaded(), false, "loadItems() chunked abort, isLoaded(): Passed!" );
+
+        return _obj.loadItems( {}, false, { "chunkSize": 1.5 } );
+    } ).then( function () {
+        assert.ok( false, "loadItems() chunk size rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Invalid chunk size "1.5"', "loadItems() chunk size exception: Passed!" );
+
+        return _obj.loadItems( {}, false, { "worker": {} } );
+    } ).then( function () {
+        assert.ok( false, "loadItems() worker rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Invalid worker', "loadItems() worker exception: Passed!" );
+
+        // default factory: Web Worker or the main thread without support
+        _obj.clear();
+        var worker = new Mumsys_Generic_Manager_Worker( function ( row ) {
+            return { "id": row.id, "name": row.name.toUpperCase() };
+        }, null );
+
+        return _obj.loadItems( {}, false, { "worker": worker } );
+    } ).then( function ( list ) {
+        assert.equal( transport.getRequests().pop().dataType, 'text', "loadItems() worker requests text: Passed!" );
+        assert.equal( list[0].get( 'name' ), 'CHANGED', "loadItems() worker normalize: Passed!" );
+
+        var client = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+        client.setJsonRpcClient( new Mumsys_JsonRpc_Client( transport, 'jsonrpc.php' ) );
+
+        return client.loadItems( {}, false, { "worker": new Mumsys_Generic_Manager_Worker() } );
+    } ).then( function () {
+        assert.ok( false, "loadItems() worker with client rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Workers can not be used with a json rpc client', "loadItems() worker with client: Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js serialize(), fromSnapshot() tests", function ( assert )
+{
+    var _manager = new Mumsys_Generic_Manager_Default( 'users.php' );
+    var schema = { "id": { "type": "integer" }, "name": { "type": "string" }, "group": { "type": "string" } };
+    var snapshot;
+    var _restored;
+    var item;
+
+    _manager.addIndex( 'group' );
+    _manager.setSaveMode( Mumsys_Generic_Manager_Default.SAVEMODE_PARTIAL );
+    _manager.setVersionField( 'version', 412 );
+    _manager.addItem( _manager.createItem( { "id": 1, "name": "a", "group": "x" } ) );
+    _manager.addItem( _manager.createItem( { "id": 2, "name": "b", "group": "x" } ) );
+    _manager.getItem( 'id', 2 ).set( 'name', 'changed' );
+
+    snapshot = JSON.parse( JSON.stringify( _manager.serialize() ) );
+
+    assert.equal( Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION, 1, "SNAPSHOT_VERSION: Passed!" );
+    assert.equal( snapshot.version, 1, "serialize() version: Passed!" );
+    assert.equal( snapshot.items.length, 2, "serialize() items: Passed!" );
+
+    _restored = Mumsys_Generic_Manager_Default.fromSnapshot( snapshot, schema );
+    item = _restored.getItem( 'id', 2 );
+
+    assert.equal( _restored.getUrl(), 'users.php', "fromSnapshot() url: Passed!" );
+    assert.equal( _restored.getSaveMode(), Mumsys_Generic_Manager_Default.SAVEMODE_PARTIAL, "fromSnapshot() save mode: Passed!" );
+    assert.equal( _restored.getVersionField(), 'version', "fromSnapshot() version field: Passed!" );
+    assert.equal( _restored.isLoaded(), false, "fromSnapshot() loaded flag: Passed!" );
+    assert.ok( _restored.hasIndex( 'group' ), "fromSnapshot() indexes: Passed!" );
+    assert.equal( _restored.findBy( 'group', 'x' ).length, 2, "fromSnapshot() index values: Passed!" );
+    assert.equal( item.get( 'name' ), 'changed', "fromSnapshot() properties: Passed!" );
+    assert.equal( item.isModified(), true, "fromSnapshot() modified state: Passed!" );
+    assert.equal( item.getOriginal( 'name' ), 'b', "fromSnapshot() original values: Passed!" );
+    assert.equal( _restored.getItem( 'id', 1 ).isModified(), false, "fromSnapshot() not modified: Passed!" );
+    assert.equal( item.getSchema().getFields(), _restored.getSchema().getFields(), "fromSnapshot() schema: Passed!" );
+    assert.deepEqual( _restored.serialize(), _manager.serialize(), "serialize() restored: Passed!" );
+
+    assert.throws(
+        function () { Mumsys_Generic_Manager_Default.fromSnapshot( {} ); },
+        function ( e ) { return e.message === 'Invalid snapshot'; },
+        "fromSnapshot() invalid exception: Passed!"
+    );
+    snapshot.version = 0;
+    assert.throws(
+        function () { Mumsys_Generic_Manager_Default.fromSnapshot( snapshot ); },
+        function ( e ) { return e.message === 'Unsupported snapshot version "0"'; },
+        "fromSnapshot() version exception: Passed!"
+    );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js event tests", function ( assert )
+{
+    var done = assert.async();
+    var failLoad = false;
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            if ( options.type === 'POST' ) {
+                if ( options.data.item.id === 2 ) {
+                    throw new Mumsys_Transport_Exception( 'Save failed', Mumsys_Exception.ERRCODE_TRANSPORT, 500 );
+                }
+
+                return { "jsonrpc": "2.0", "result": { "item": { "id": options.data.item.id } }, "id": null };
+            }
+
+            if ( failLoad ) {
+                throw new Mumsys_Transport_Exception( 'Load failed', Mumsys_Exception.ERRCODE_TRANSPORT, 500 );
+            }
+
+            return { "jsonrpc": "2.0", "result": { "list": [ { "id": 1, "name": "a" }, { "id": 2, "name": "b" } ] }, "id": null };
+        }
+    } );
+    var _manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var events = [];
+    var log = function ( event ) {
+        var id = ( event.item instanceof Object ) ? event.item.get( 'id' ) : null;
+
+        if ( event.type === 'change' ) {
+            id = event.target.get( 'id' );
+        }
+        events.push( event.type + ( id === null ? '' : ':' + id ) );
+    };
+
+    [ 'add', 'remove', 'clear', 'load:start', 'load:end', 'save', 'error', 'change' ].forEach( function ( type ) {
+        _manager.on( type, log );
+    } );
+
+    var promise = _manager.loadItems( {} );
+    assert.deepEqual( events, [ 'load:start' ], "load:start: Passed!" );
+
+    promise.then( function ()
+    {
+        assert.deepEqual( events, [ 'load:start', 'add:1', 'add:2', 'load:end' ], "loadItems() events: Passed!" );
+
+        events = [];
+        _manager.getItem( 'id', 1 ).set( 'name', 'x' );
+        assert.deepEqual( events, [ 'change:1' ], "item events bubble up: Passed!" );
+
+        events = [];
+        _manager.getItem( 'id', 2 ).set( 'name', 'y' );
+        _manager.getItem( 'id', 1 ).set( 'name', 'z' );
+
+        var pending = _manager.saveModified();
+        events = [];
+
+        return pending;
+    } ).then( function () {
+        assert.deepEqual( events, [ 'save:1', 'error:2' ], "saveItems() events: Passed!" );
+
+        events = [];
+
+        return _manager.saveItem( _manager.getItem( 'id', 2 ), {} );
+    } ).then( function () {
+        assert.ok( false, "saveItem() rejection expected" );
+    }, function () {
+        assert.deepEqual( events, [ 'error:2' ], "saveItem() error event: Passed!" );
+
+        events = [];
+        _manager.removeItem( 2 );
+        _manager.getItem( 'id', 1 ).set( 'name', 'w' );
+        assert.deepEqual( events, [ 'remove:2', 'change:1' ], "remove event: Passed!" );
+
+        events = [];
+        var item = _manager.getItem( 'id', 1 );
+        _manager.clear();
+        item.set( 'name', 'v' );
+        assert.deepEqual( events, [ 'clear' ], "clear event, items detached: Passed!" );
+
+        events = [];
+        failLoad = true;
+
+        return _manager.loadItems( {} );
+    } ).then( function () {
+        assert.ok( false, "loadItems() rejection expected" );
+    }, function ( e ) {
+        assert.deepEqual( events, [ 'load:start', 'error' ], "loadItems() error event: Passed!" );
+
+        _manager.off();
+        events = [];
+        _manager.addItem( _manager.createItem( { "id": 3 } ) );
+        assert.deepEqual( events, [], "off(): Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js middleware tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            if ( options.type === 'POST' ) {
+                return Promise.reject( new Mumsys_Transport_Exception( 'Server error', Mumsys_Exception.ERRCODE_TRANSPORT ) );
+            }
+            return { "jsonrpc": "2.0", "result": { "list": [ { "id": 1, "name": "a" } ] }, "id": null };
+        },
+        "rpc.php": function ( options ) {
+            return options.data.map( function ( call ) {
+                return { "jsonrpc": "2.0", "result": { "item": { "id": call.params.item.id } }, "id": call.id };
+            } );
+        }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var calls = [];
+    var errors = [];
+    var global = function ( request, next ) {
+        calls.push( 'global:' + request.action );
+        return next( request );
+    };
+    var csrf = function ( request, next ) {
+        calls.push( 'csrf:' + request.action );
+        request.options.headers = { "X-CSRF-Token": "abc" };
+        return next( request );
+    };
+    var report = function ( request, next ) {
+        return next( request ).then( function ( result ) {
+            if ( request.action === 'load' ) {
+                result.list.push( { "id": 2, "name": "added" } );
+            }
+            return result;
+        }, function ( e ) {
+            errors.push( request.action + ': ' + e.message );
+            throw e;
+        } );
+    };
+
+    Mumsys.use( global );
+    _obj.use( report );
+    _obj.use( csrf, 1 );
+    assert.deepEqual( _obj.getMiddleware().getMiddlewares(), [ csrf, report ], "use(), getMiddleware(): Passed!" );
+
+    _obj.loadItems( {} ).then( function ( list )
+    {
+        assert.deepEqual( calls, [ 'global:load', 'csrf:load' ], "loadItems() middleware order: Passed!" );
+        assert.deepEqual( transport.getRequests()[0].headers, { "X-CSRF-Token": "abc" }, "loadItems() request changed: Passed!" );
+        assert.equal( list.length, 2, "loadItems() response changed: Passed!" );
+
+        var item = _obj.getItem( 'id', 1 );
+        item.set( 'name', 'b' );
+
+        return _obj.saveItem( item, {} );
+    } ).then( function () {
+        assert.ok( false, "saveItem() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Server error', "saveItem() error: Passed!" );
+        assert.deepEqual( errors, [ 'save: Server error' ], "saveItem() error middleware: Passed!" );
+
+        // short-circuit (e.g. mocked responses)
+        _obj.use( function ( request ) {
+            return { "list": [ { "id": 3, "name": "mock" } ] };
+        }, 2 );
+        var count = transport.getRequests().length;
+
+        return _obj.loadItems( {} ).then( function ( list ) {
+            assert.equal( list[0].get( 'name' ), 'mock', "short-circuit result: Passed!" );
+            assert.equal( transport.getRequests().length, count, "short-circuit without request: Passed!" );
+        } );
+    } ).then( function () {
+        // abort while a middleware waits
+        var other = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+        other.use( function ( request, next ) {
+            return new Promise( function ( resolve ) {
+                setTimeout( resolve, 5 );
+            } ).then( function () {
+                return next( request );
+            } );
+        } );
+        var promise = other.loadItems( {} );
+        promise.abort();
+
+        return promise;
+    } ).then( function () {
+        assert.ok( false, "loadItems() abort rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "abort() with middleware: Passed!" );
+
+        // json rpc batch
+        var batched = new Mumsys_Generic_Manager_Default( 'rpc.php', transport );
+        var actions = [];
+        batched.setJsonRpcClient( new Mumsys_JsonRpc_Client( transport, 'rpc.php' ) );
+        batched.use( function ( request, next ) {
+            actions.push( request.action + ':' + request.data.length );
+            return next( request );
+        } );
+        batched.addItem( batched.createItem( { "id": 5, "name": "x" } ) );
+        batched.getItem( 'id', 5 ).set( 'name', 'y' );
+
+        return batched.saveModified().then( function ( entries ) {
+            assert.equal( entries[0].error, null, "batch saved: Passed!" );
+            assert.deepEqual( actions, [ 'batch:1' ], "batch middleware: Passed!" );
+        } );
+    } ).then( function () {
+        Mumsys.getMiddleware().remove( global );
+    }, function ( e ) {
+        Mumsys.getMiddleware().remove( global );
+        throw e;
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Default.js saveItem() pending changes tests", function ( assert )
+{
+    var done = assert.async();
+    var release = [];
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            return new Promise( function ( resolve ) {
+                release.push( function () {
+                    resolve( { "jsonrpc": "2.0", "result": { "item": { "id": options.data.item.id || 7 } }, "id": null } );
+                } );
+            } );
+        }
+    } );
+    var _obj = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var item = _obj.createItem( { "id": null, "name": "a", "title": "x" } );
+    _obj.addItem( item );
+    item.set( 'name', 'b' );
+
+    var saving = _obj.saveItem( item, {} );
+    // changed while the request is pending
+    item.set( 'name', 'c' );
+    item.set( 'note', 'new' );
+    release.shift()();
+
+    saving.then( function ()
+    {
+        assert.equal( item.get( 'id' ), 7, "saveItem() pending, id set: Passed!" );
+        assert.equal( item.isModified(), true, "saveItem() pending changes stay modified: Passed!" );
+        assert.equal( item.isModified( 'title' ), false, "saveItem() sent values confirmed: Passed!" );
+        assert.equal( item.getOriginal( 'name' ), 'b', "saveItem() sent value is the original: Passed!" );
+        assert.deepEqual( item.getChanges(), { "name": "c", "note": "new" }, "saveItem() pending changes: Passed!" );
+        item.undo();
+        item.undo();
+        item.undo();
+        assert.equal( item.get( 'id' ), 7, "saveItem() id not in the undo history: Passed!" );
+        assert.equal( item.get( 'name' ), 'a', "saveItem() undo() local changes: Passed!" );
+        item.redo();
+        item.redo();
+        item.redo();
+
+        var saved = _obj.saveItem( item, {} );
+        release.shift()();
+
+        return saved;
+    } ).then( function () {
+        var requests = transport.getRequests();
+        assert.equal( requests[1].data.item.name, 'c', "saveItem() pending changes saved: Passed!" );
+        assert.equal( item.isModified(), false, "saveItem() all saved: Passed!" );
+
+        // partial save mode
+        _obj.setSaveMode( Mumsys_Generic_Manager_Default.SAVEMODE_PARTIAL );
+        item.set( 'title', 'y' );
+        var partial = _obj.saveItem( item, {} );
+        item.set( 'title', 'z' );
+        release.shift()();
+
+        return partial;
+    } ).then( function () {
+        assert.deepEqual( transport.getRequests()[2].data.item, { "title": "y", "id": 7 }, "saveItem() partial sent: Passed!" );
+        assert.deepEqual( item.getChanges(), { "title": "z" }, "saveItem() partial pending change: Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,187 @@
+/**
+ * Mumsys_Generic_Manager_Exchange tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Exchange.js parseCsv() tests", function ( assert )
+{
+    var fields = function ( records ) {
+        return records.map( function ( record ) { return record.fields; } );
+    };
+    var records = Mumsys_Generic_Manager_Exchange.parseCsv( 'a,"b ""x"", c"\r\n\r\n"multi\nline",\n"",x' );
+
+    assert.equal( Mumsys_Generic_Manager_Exchange.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.deepEqual( fields( records ), [ [ 'a', 'b "x", c' ], [ 'multi\nline', '' ], [ '', 'x' ] ], "parseCsv() fields: Passed!" );
+    assert.deepEqual( records.map( function ( record ) { return record.line; } ), [ 1, 3, 5 ], "parseCsv() lines: Passed!" );
+    assert.deepEqual( fields( Mumsys_Generic_Manager_Exchange.parseCsv( "a;'b;c'\n", ';', "'" ) ), [ [ 'a', 'b;c' ] ], "parseCsv() delimiter, quote: Passed!" );
+
+    records = Mumsys_Generic_Manager_Exchange.parseCsv( 'a"b,c\n"a"b,c\nok\n"open' );
+    assert.deepEqual(
+        records.map( function ( record ) { return record.error; } ),
+        [ 'Unexpected quote', 'Unexpected character after quote', null, 'Unterminated quoted field' ],
+        "parseCsv() errors: Passed!"
+    );
+    assert.throws(
+        function () { Mumsys_Generic_Manager_Exchange.parseCsv( '', '\n' ); },
+        function ( e ) { return e.message === 'Invalid delimiter "\n"'; },
+        "parseCsv() delimiter exception: Passed!"
+    );
+    assert.throws(
+        function () { Mumsys_Generic_Manager_Exchange.parseCsv( '', ';', ';' ); },
+        function ( e ) { return e.message === 'Invalid quote ";"'; },
+        "parseCsv() quote exception: Passed!"
+    );
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Exchange.js export tests", function ( assert )
+{
+    var manager = new Mumsys_Generic_Manager_Default();
+    manager.addItem( manager.createItem( { "id": 1, "name": "Smith, \"Jo\"", "tags": [ "a" ] } ) );
+    manager.addItem( manager.createItem( { "id": 2, "name": "line\nbreak", "active": false } ) );
+
+    var _obj = new Mumsys_Generic_Manager_Exchange( manager );
+
+    assert.throws(
+        function () { new Mumsys_Generic_Manager_Exchange( {} ); },
+        function ( e ) { return e.message === 'Invalid manager'; },
+        "construction exception: Passed!"
+    );
+    assert.equal(
+        _obj.toCsv(),
+        'id,name,tags,active\r\n1,"Smith, ""Jo""","[""a""]",\r\n2,"line\nbreak",,false\r\n',
+        "toCsv() all columns: Passed!"
+    );
+    assert.equal(
+        _obj.toCsv( { "columns": [ "active", "id" ], "headers": { "active": "Active;" }, "delimiter": ";" } ),
+        '"Active;";id\r\n;1\r\nfalse;2\r\n',
+        "toCsv() columns, headers, delimiter: Passed!"
+    );
+    assert.equal(
+        _obj.toCsv( { "items": manager.query().where( 'id', 2 ).getItems(), "columns": [ "id" ], "header": false } ),
+        '2\r\n',
+        "toCsv() items, no header: Passed!"
+    );
+    assert.equal(
+        _obj.toNdjson( { "columns": [ "id", "active" ], "headers": { "id": "ID" } } ),
+        '{"ID":1}\n{"ID":2,"active":false}\n',
+        "toNdjson(): Passed!"
+    );
+
+    var formulas = new Mumsys_Generic_Manager_Default();
+    formulas.addItem( formulas.createItem( { "id": -1, "a": "=1+2", "b": "+1", "c": "-1", "d": "@SUM(A1)", "e": "a=b" } ) );
+    _obj = new Mumsys_Generic_Manager_Exchange( formulas );
+    assert.equal( _obj.toCsv( { "header": false } ), '-1,=1+2,+1,-1,@SUM(A1),a=b\r\n', "toCsv() formulas unchanged: Passed!" );
+    assert.equal(
+        _obj.toCsv( { "header": false, "escapeFormulas": true } ),
+        "-1,'=1+2,'+1,'-1,'@SUM(A1),a=b\r\n",
+        "toCsv() escapeFormulas: Passed!"
+    );
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Exchange.js import tests", function ( assert )
+{
+    var manager = new Mumsys_Generic_Manager_Default();
+    var _obj = new Mumsys_Generic_Manager_Exchange( manager );
+    var csv = 'ID;name;age;active;tags\n'
+        + '1;anna;30;yes;"[""a""]"\n'
+        + '2;bob;x;no;[]\n'
+        + '3;"carl\n";;0;\n'
+        + '1;dup;1;1;[]\n'
+        + '4;short\n'
+        + '5;ev"e;1;1;[]\n';
+    var result = _obj.fromCsv( csv, {
+        "delimiter": ";",
+        "headers": { "id": "ID" },
+        "types": { "id": "integer", "age": "integer", "active": "boolean", "tags": "array" }
+    } );
+
+    assert.deepEqual( result.items.map( function ( item ) { return item.getProperties(); } ), [
+        { "id": 1, "name": "anna", "age": 30, "active": true, "tags": [ "a" ] },
+        { "id": 3, "name": "carl\n", "age": null, "active": false, "tags": null }
+    ], "fromCsv() items: Passed!" );
+    assert.equal( manager.getItems().length, 2, "fromCsv() addItem(): Passed!" );
+    assert.deepEqual( result.errors.map( function ( entry ) { return [ entry.line, entry.error.message ]; } ), [
+        [ 3, 'Invalid integer value "x" of "age"' ],
+        [ 6, '"id" (1) is unique and already exists' ],
+        [ 7, 'Invalid number of fields: 2, expected: 5' ],
+        [ 8, 'Unexpected quote' ]
+    ], "fromCsv() errors per row: Passed!" );
+    assert.deepEqual( result.errors[2].data, [ '4', 'short' ], "fromCsv() error data: Passed!" );
+
+    result = _obj.fromCsv( '7,x\n', { "header": false, "columns": [ "id", "name" ], "types": { "id": "number" } } );
+    assert.equal( manager.getItem( 'id', 7 ).get( 'name' ), 'x', "fromCsv() columns without header: Passed!" );
+    assert.throws(
+        function () { _obj.fromCsv( '7,x\n', { "header": false } ); },
+        function ( e ) { return e.message === 'Missing column names of the CSV import'; },
+        "fromCsv() missing columns exception: Passed!"
+    );
+    assert.throws(
+        function () { _obj.fromCsv( 'a\n', { "types": { "a": "date" } } ); },
+        function ( e ) { return e.message === 'Invalid import type "date" of "a"'; },
+        "fromCsv() type exception: Passed!"
+    );
+
+    // schema types
+    var typed = new Mumsys_Generic_Manager_Default();
+    typed.setSchema( { "id": { "type": "integer" }, "price": { "type": [ "number", "string" ] } } );
+    result = new Mumsys_Generic_Manager_Exchange( typed ).fromCsv( 'id,price\n1,2.5\n2,n/a\n' );
+    assert.strictEqual( typed.getItem( 'id', 1 ).get( 'price' ), 2.5, "fromCsv() schema types: Passed!" );
+    assert.strictEqual( typed.getItem( 'id', 2 ).get( 'price' ), 'n/a', "fromCsv() schema union types: Passed!" );
+
+    result = _obj.fromCsv( 'id,flag\n20,2\n21,no\n22,x\n', { "types": { "id": "integer", "flag": [ "integer", "boolean" ] } } );
+    assert.deepEqual( result.items.map( function ( item ) { return item.get( 'flag' ); } ), [ 2, false ], "fromCsv() list of types: Passed!" );
+    assert.equal( result.errors[0].error.message, 'Invalid integer|boolean value "x" of "flag"', "fromCsv() list of types error: Passed!" );
+    assert.throws(
+        function () { _obj.fromCsv( 'a\n', { "types": { "a": [ "integer", "date" ] } } ); },
+        function ( e ) { return e.message === 'Invalid import type "date" of "a"'; },
+        "fromCsv() list of types exception: Passed!"
+    );
+
+    // NDJSON
+    result = _obj.fromNdjson(
+        '{"ID":10,"age":"12","active":true}\r\n\n[1]\n{"ID":11,"active":"maybe"}\n{bad\n',
+        { "headers": { "id": "ID" }, "types": { "age": "integer", "active": "boolean" } }
+    );
+    assert.deepEqual( result.items.map( function ( item ) { return item.getProperties(); } ), [
+        { "id": 10, "age": 12, "active": true }
+    ], "fromNdjson() items: Passed!" );
+    assert.deepEqual( result.errors.map( function ( entry ) { return entry.line; } ), [ 3, 4, 5 ], "fromNdjson() error lines: Passed!" );
+    assert.equal( result.errors[0].error.message, 'Invalid json object', "fromNdjson() error: Passed!" );
+    assert.equal( result.errors[2].data, '{bad', "fromNdjson() error data: Passed!" );
+
+    // round trip
+    var copy = new Mumsys_Generic_Manager_Default();
+    new Mumsys_Generic_Manager_Exchange( copy ).fromNdjson( _obj.toNdjson() );
+    assert.deepEqual(
+        copy.getItems().map( function ( item ) { return item.getProperties(); } ),
+        manager.getItems().map( function ( item ) { return item.getProperties(); } ),
+        "toNdjson(), fromNdjson() round trip: Passed!"
+    );
+
+    // rejected rows do not change the shared items of the identity map
+    var map = new Mumsys_Generic_Manager_IdentityMap();
+    var other = new Mumsys_Generic_Manager_Default();
+    var unique = new Mumsys_Generic_Manager_Default();
+    other.setIdentityMap( map, 'users' );
+    unique.setIdentityMap( map, 'users' );
+    unique.addIndex( 'email', true );
+    other.addItem( other.createItem( { "id": 1, "email": "a@example.com" } ) );
+    unique.addItem( unique.createItem( { "id": 2, "email": "b@example.com" } ) );
+
+    result = new Mumsys_Generic_Manager_Exchange( unique ).fromNdjson( '{"id": 1, "email": "b@example.com"}' );
+    assert.equal( result.errors.length, 1, "fromNdjson() shared item unique error: Passed!" );
+    assert.equal( other.getItem( 'id', 1 ).get( 'email' ), 'a@example.com', "fromNdjson() shared item restored: Passed!" );
+    assert.strictEqual( other.getItem( 'id', 1 ).isModified(), false, "fromNdjson() shared item not modified: Passed!" );
+} );
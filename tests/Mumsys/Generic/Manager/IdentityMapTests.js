@@ -0,0 +1,145 @@
+/**
+ * Mumsys_Generic_Manager_IdentityMap tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_IdentityMap.js tests", function ( assert )
+{
+    var _map = new Mumsys_Generic_Manager_IdentityMap();
+    var itemA = new Mumsys_Generic_Item_Default( { "id": 1 } );
+    var itemB = new Mumsys_Generic_Item_Default( { "id": null, "name": "new" } );
+
+    assert.equal( Mumsys_Generic_Manager_IdentityMap.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _map.get( 'task', 1 ), undefined, "get() unknown type: Passed!" );
+
+    _map.add( 'task', itemA );
+    _map.add( 'task', itemA );
+    _map.add( 'task', itemB );
+
+    assert.equal( _map.get( 'task', 1 ), itemA, "add(), get(): Passed!" );
+    assert.ok( _map.has( 'task', 1 ), "has(): Passed!" );
+    assert.notOk( _map.has( 'user', 1 ), "has() other type: Passed!" );
+    assert.throws(
+        function () { _map.add( 'task', new Mumsys_Generic_Item_Default( { "id": 1 } ) ); },
+        function ( e ) { return e.message === '"id" (1) is unique and already exists'; },
+        "add() duplicate exception: Passed!"
+    );
+
+    itemB.set( 'id', 2 );
+    assert.equal( _map.get( 'task', 2 ), itemB, "id set later: Passed!" );
+
+    _map.remove( 'task', itemA );
+    assert.notOk( _map.has( 'task', 1 ), "remove(): Passed!" );
+
+    _map.add( 'task', itemA, 'ownerA' );
+    _map.add( 'task', itemA, 'ownerB' );
+    _map.release( 'task', itemA, 'ownerA' );
+    assert.ok( _map.has( 'task', 1 ), "release() other owner left: Passed!" );
+    _map.release( 'task', itemA, 'ownerB' );
+    assert.notOk( _map.has( 'task', 1 ), "release() last owner: Passed!" );
+    _map.release( 'user', itemA, 'ownerA' );
+
+    _map.clear();
+    assert.notOk( _map.has( 'task', 2 ), "clear(): Passed!" );
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_IdentityMap.js manager tests", function ( assert )
+{
+    var done = assert.async();
+    var tasks = {
+        "my.php": [ { "id": 1, "title": "a", "open": true }, { "id": 2, "title": "b", "open": false } ],
+        "open.php": [ { "id": 1, "title": "a", "open": true }, { "id": 3, "title": "c", "open": true } ]
+    };
+    var handler = function ( options ) {
+        if ( options.type === 'POST' ) {
+            return { "jsonrpc": "2.0", "result": { "item": { "id": options.data.item.id || 9 } }, "id": null };
+        }
+        return { "jsonrpc": "2.0", "result": { "list": tasks[options.url] }, "id": null };
+    };
+    var transport = new Mumsys_Transport_Memory( { "my.php": handler, "open.php": handler } );
+    var identities = new Mumsys_Generic_Manager_IdentityMap();
+    var mine = new Mumsys_Generic_Manager_Default( 'my.php', transport );
+    var open = new Mumsys_Generic_Manager_Default( 'open.php', transport );
+
+    assert.throws(
+        function () { mine.setIdentityMap( {} ); },
+        function ( e ) { return e.message === 'Invalid identity map'; },
+        "setIdentityMap() exception: Passed!"
+    );
+
+    mine.setIdentityMap( identities, 'task' );
+    open.setIdentityMap( identities, 'task' );
+    assert.equal( mine.getIdentityMap(), identities, "getIdentityMap(): Passed!" );
+
+    mine.loadItems( {} ).then( function () {
+        return open.loadItems( {} );
+    } ).then( function ( list )
+    {
+        var task = mine.getItem( 'id', 1 );
+
+        assert.equal( list[0], task, "loadItems() same object: Passed!" );
+        assert.equal( open.getItems().length, 2, "loadItems() adds shared item: Passed!" );
+
+        task.set( 'title', 'edited' );
+        assert.equal( open.getItem( 'id', 1 ).get( 'title' ), 'edited', "edit shows in both: Passed!" );
+
+        assert.equal( open.createItem( { "id": 2, "title": "B" } ), mine.getItem( 'id', 2 ), "createItem() registered: Passed!" );
+        assert.equal( mine.getItem( 'id', 2 ).get( 'title' ), 'B', "createItem() updates: Passed!" );
+
+        tasks["open.php"] = [ { "id": 1, "title": "server", "open": false }, { "id": 3, "title": "c", "open": true } ];
+
+        return open.loadItems( {} );
+    } ).then( function ( list ) {
+        assert.equal( list[0], mine.getItem( 'id', 1 ), "loadItems() again same object: Passed!" );
+        assert.equal( list[0].get( 'open' ), false, "loadItems() updates: Passed!" );
+        assert.equal( list[0].get( 'title' ), 'edited', "loadItems() keeps local changes: Passed!" );
+        assert.equal( open.getItems().length, 2, "loadItems() no duplicates: Passed!" );
+
+        return open.loadItems( {}, false, { "merge": true, "policy": "server" } );
+    } ).then( function ( list ) {
+        assert.equal( list[0].get( 'title' ), 'server', "loadItems() merge policy: Passed!" );
+
+        var task = mine.createItem( { "id": null } );
+        mine.addItem( task );
+        task.set( 'title', 'new' );
+
+        return mine.saveItem( task, {} );
+    } ).then( function ( task ) {
+        assert.equal( open.createItem( { "id": 9 } ), task, "saved item registered: Passed!" );
+
+        open.removeItem( 1 );
+        assert.equal( identities.get( 'task', 1 ), mine.getItem( 'id', 1 ), "removeItem() keeps registered: Passed!" );
+        assert.throws(
+            function () { open.addItem( new Mumsys_Generic_Item_Default( { "id": 1 } ) ); },
+            function ( e ) { return e.message === '"id" (1) is unique and already exists'; },
+            "addItem() duplicate of the map: Passed!"
+        );
+
+        return mine.deleteItem( mine.getItem( 'id', 2 ) );
+    } ).then( function () {
+        assert.notOk( identities.has( 'task', 2 ), "deleteItem() removes: Passed!" );
+        assert.notEqual( open.createItem( { "id": 2 } ), undefined, "createItem() after delete: Passed!" );
+        assert.notOk( identities.has( 'task', 2 ), "createItem() without addItem() not registered: Passed!" );
+
+        mine.removeItem( 1 );
+        assert.notOk( identities.has( 'task', 1 ), "removeItem() of the last manager releases: Passed!" );
+
+        open.clear();
+        assert.notOk( identities.has( 'task', 3 ), "clear() releases: Passed!" );
+        assert.equal( identities.get( 'task', 9 ), mine.getItem( 'id', 9 ), "items of other managers stay registered: Passed!" );
+
+        mine.setIdentityMap( null );
+        assert.notOk( identities.has( 'task', 9 ), "setIdentityMap() releases from the previous map: Passed!" );
+    } ).then( done, done );
+} );
@@ -0,0 +1,77 @@
+/**
+ * Mumsys_Generic_Manager_Index tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Index.js tests", function ( assert )
+{
+    var itemA = new Mumsys_Generic_Item_Default( { "id": 1, "group": "a" } );
+    var itemB = new Mumsys_Generic_Item_Default( { "id": 2, "group": "a" } );
+    var itemC = new Mumsys_Generic_Item_Default( { "id": null, "group": null } );
+
+    var _obj = new Mumsys_Generic_Manager_Index( 'id', true );
+    var _multi = new Mumsys_Generic_Manager_Index( 'group' );
+
+    assert.equal( Mumsys_Generic_Manager_Index.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _obj.getKey(), 'id', "getKey(): Passed!" );
+    assert.equal( _obj.isUnique(), true, "isUnique(): Passed!" );
+    assert.equal( _multi.isUnique(), false, "isUnique() multi-value: Passed!" );
+
+    [ itemA, itemB, itemC ].forEach( function ( item ) {
+        _obj.add( item );
+        _multi.add( item );
+    } );
+
+    //
+    // find(), findOne()
+    assert.equal( _obj.findOne( 1 ), itemA, "findOne(): Passed!" );
+    assert.equal( _obj.findOne( "1" ), undefined, "findOne() type save: Passed!" );
+    assert.deepEqual( _obj.find( 2 ), [ itemB ], "find() unique: Passed!" );
+    assert.deepEqual( _obj.find( null ), [], "find() null not indexed: Passed!" );
+    assert.deepEqual( _multi.find( 'a' ), [ itemA, itemB ], "find() multi-value: Passed!" );
+    assert.equal( _multi.findOne( 'a' ), itemA, "findOne() multi-value: Passed!" );
+    assert.deepEqual( _multi.find( 'b' ), [], "find() not found: Passed!" );
+
+    //
+    // assertAddable(), add()
+    assert.throws(
+        function () { _obj.add( new Mumsys_Generic_Item_Default( { "id": 1 } ) ); },
+        function ( e ) {
+            return e.name === 'Mumsys_Generic_Manager_Exception' && e.message === '"id" (1) is unique and already exists';
+        },
+        "add() unique exception: Passed!"
+    );
+    assert.equal( _obj.assertAddable( 1, itemA ), undefined, "assertAddable() same item: Passed!" );
+    _obj.add( new Mumsys_Generic_Item_Default( { "id": null } ) );
+    assert.ok( true, "add() several null values: Passed!" );
+
+    //
+    // update()
+    _multi.update( itemA, 'b', 'a' );
+    assert.deepEqual( _multi.find( 'a' ), [ itemB ], "update() old value: Passed!" );
+    assert.deepEqual( _multi.find( 'b' ), [ itemA ], "update() new value: Passed!" );
+    assert.throws(
+        function () { _obj.update( itemA, 2, 1 ); },
+        function ( e ) { return e.message === '"id" (2) is unique and already exists'; },
+        "update() unique exception: Passed!"
+    );
+    assert.equal( _obj.findOne( 1 ), itemA, "update() unchanged on exception: Passed!" );
+
+    //
+    // remove(), clear()
+    _obj.remove( itemB );
+    assert.equal( _obj.findOne( 2 ), undefined, "remove(): Passed!" );
+    _multi.clear();
+    assert.deepEqual( _multi.find( 'b' ), [], "clear(): Passed!" );
+
+} );
@@ -0,0 +1,385 @@
+/**
+ * Mumsys_Generic_Manager_Offline tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Offline.js tests", function ( assert )
+{
+    var done = assert.async();
+    var online = false;
+    var network = true;
+    var reject = false;
+    var nextId = 1;
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            if ( !network ) {
+                throw new Mumsys_Transport_Exception( 'Network error' );
+            }
+
+            if ( reject ) {
+                return { "jsonrpc": "2.0", "error": { "code": -32000, "message": "Rejected" }, "id": null };
+            }
+
+            var id = options.data.item.id;
+
+            return { "jsonrpc": "2.0", "result": { "item": { "id": ( id === null ) ? nextId++ : id } }, "id": null };
+        }
+    } );
+    var storage = new Mumsys_Storage_Memory();
+    var _manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var _obj = new Mumsys_Generic_Manager_Offline( _manager, storage, {
+        "online": function () {
+            return online;
+        }
+    } );
+    var statuses = [];
+    var observer = function ( queue, mutation ) {
+        statuses.push( mutation.status );
+    };
+    var item = _manager.createItem( { "id": null, "name": "a" } );
+    var itemB = _manager.createItem( { "id": 5, "name": "b" } );
+    var itemC = _manager.createItem( { "id": null, "name": "c" } );
+    var tempId;
+    var mutationId;
+
+    assert.equal( Mumsys_Generic_Manager_Offline.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _manager.getOfflineQueue(), null, "getOfflineQueue() default: Passed!" );
+    assert.throws(
+        function () { _manager.setOfflineQueue( {} ); },
+        function ( e ) { return e.message === 'Invalid offline queue'; },
+        "setOfflineQueue() exception: Passed!"
+    );
+    _manager.setOfflineQueue( _obj );
+    assert.equal( _manager.getOfflineQueue(), _obj, "setOfflineQueue(): Passed!" );
+    assert.equal( _obj.isOnline(), false, "isOnline(): Passed!" );
+    assert.equal(
+        Mumsys_Generic_Manager_Offline.isNetworkError( new Mumsys_Transport_Exception( 'x', Mumsys_Exception.ERRCODE_TRANSPORT, 500 ) ),
+        false,
+        "isNetworkError() http error: Passed!"
+    );
+    assert.throws(
+        function () { _obj.attach( 'x' ); },
+        function ( e ) { return e.message === 'Invalid observer'; },
+        "attach() exception: Passed!"
+    );
+    _obj.attach( observer );
+
+    _manager.addItem( item );
+    _manager.addItem( itemB );
+    _manager.addItem( itemC );
+    item.set( 'name', 'a1' );
+    itemB.set( 'name', 'b1' );
+    itemC.set( 'name', 'c1' );
+
+    //
+    // offline mutations
+    _manager.saveItem( item, {} ).then( function ( result )
+    {
+        var mutations = _obj.getMutations();
+        tempId = _obj.getTempId( item );
+
+        assert.equal( result, item, "saveItem() offline resolves: Passed!" );
+        assert.equal( item.isModified(), false, "saveItem() offline not modified: Passed!" );
+        assert.equal( transport.getRequests().length, 0, "saveItem() offline no request: Passed!" );
+        assert.equal( mutations.length, 1, "saveItem() queued: Passed!" );
+        assert.equal( mutations[0].status, Mumsys_Generic_Manager_Offline.STATUS_PENDING, "mutation status: Passed!" );
+        assert.equal( mutations[0].itemId, tempId, "mutation temp id: Passed!" );
+        assert.equal( tempId.indexOf( 'tmp-' ), 0, "getTempId(): Passed!" );
+        assert.equal( _obj.getServerId( tempId ), null, "getServerId() not saved: Passed!" );
+
+        item.set( 'name', 'a2' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        assert.equal( _obj.getMutations()[1].itemId, tempId, "saveItem() same temp id: Passed!" );
+
+        return _manager.deleteItem( itemB );
+    } ).then( function () {
+        assert.equal( _manager.getItem( 'id', 5 ), undefined, "deleteItem() offline removed: Passed!" );
+        assert.equal( _obj.getMutations()[2].itemId, 5, "deleteItem() queued: Passed!" );
+
+        return _manager.saveItem( itemC, {} );
+    } ).then( function () {
+        assert.equal( _obj.getMutations().length, 4, "saveItem() new item queued: Passed!" );
+
+        return _manager.deleteItem( itemC );
+    } ).then( function () {
+        assert.equal( _obj.getMutations().length, 3, "deleteItem() new item drops its mutations: Passed!" );
+        assert.equal( _manager.getItems().length, 1, "deleteItem() new item removed: Passed!" );
+
+        // stored mutations
+        var _objStored = new Mumsys_Generic_Manager_Offline( _manager, storage, { "online": function () { return false; } } );
+
+        return _objStored.ready().then( function () {
+            assert.deepEqual( _objStored.getMutations(), _obj.getMutations(), "ready() loads stored mutations: Passed!" );
+        } );
+    } ).then( function () {
+        //
+        // replay
+        online = true;
+        statuses = [];
+
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        var requests = transport.getRequests();
+
+        assert.deepEqual( counts, { "sent": 3, "failed": 0, "pending": 0 }, "replay(): Passed!" );
+        assert.deepEqual( statuses, [ 'sending', null, 'sending', null, 'sending', null ], "replay() notifies: Passed!" );
+        assert.equal( requests[0].data.item.id, null, "replay() first save: Passed!" );
+        assert.equal( requests[1].data.item.id, 1, "replay() server id: Passed!" );
+        assert.equal( requests[1].data.item.name, 'a2', "replay() in order: Passed!" );
+        assert.equal( _obj.getServerId( tempId ), 1, "getServerId(): Passed!" );
+        assert.equal( item.get( 'id' ), 1, "replay() sets the server id: Passed!" );
+        assert.equal( _manager.getItem( 'id', 1 ), item, "replay() updates the index: Passed!" );
+        assert.equal( _obj.getMutations().length, 0, "replay() empties the queue: Passed!" );
+
+        return storage.get( 'mumsys.offline.jsonrpc.php' );
+    } ).then( function ( data ) {
+        assert.deepEqual( data.mutations, [], "replay() stored: Passed!" );
+
+        //
+        // network error while online, rejected mutations
+        network = false;
+        item.set( 'name', 'a3' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        assert.equal( _obj.getMutations().length, 1, "saveItem() network error queued: Passed!" );
+
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        assert.deepEqual( counts, { "sent": 0, "failed": 0, "pending": 1 }, "replay() network error stops: Passed!" );
+        assert.equal( _obj.getMutations()[0].attempts, 1, "replay() attempts: Passed!" );
+
+        network = true;
+        reject = true;
+
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        var mutation = _obj.getMutations()[0];
+        mutationId = mutation.id;
+
+        assert.deepEqual( counts, { "sent": 0, "failed": 1, "pending": 0 }, "replay() rejected: Passed!" );
+        assert.equal( mutation.status, Mumsys_Generic_Manager_Offline.STATUS_FAILED, "replay() failed status: Passed!" );
+        assert.equal( mutation.error, 'Rejected', "replay() error message: Passed!" );
+
+        reject = false;
+
+        return _obj.retry( mutationId );
+    } ).then( function () {
+        assert.equal( _obj.getMutations()[0].status, Mumsys_Generic_Manager_Offline.STATUS_PENDING, "retry(): Passed!" );
+
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        assert.deepEqual( counts, { "sent": 1, "failed": 0, "pending": 0 }, "replay() after retry(): Passed!" );
+
+        return _obj.discard( mutationId );
+    } ).then( function () {
+        assert.ok( false, "discard() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Mutation "' + mutationId + '" not found', "discard() exception: Passed!" );
+
+        online = false;
+        item.set( 'name', 'a4' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        return _obj.discard( _obj.getMutations()[0].id );
+    } ).then( function () {
+        assert.equal( _obj.getMutations().length, 0, "discard(): Passed!" );
+
+        _obj.detach( observer );
+        statuses = [];
+        item.set( 'name', 'a5' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        assert.deepEqual( statuses, [], "detach(): Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Offline.js stored versions tests", function ( assert )
+{
+    var done = assert.async();
+    var network = true;
+    var version = 1;
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            if ( !network ) {
+                throw new Mumsys_Transport_Exception( 'Network error' );
+            }
+            // the next save fails as on a closed page
+            network = false;
+
+            return { "jsonrpc": "2.0", "result": { "item": { "id": options.data.item.id, "version": ++version } }, "id": null };
+        }
+    } );
+    var storage = new Mumsys_Storage_Memory();
+    var offline = function () { return false; };
+    var _manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var _obj = new Mumsys_Generic_Manager_Offline( _manager, storage, { "online": offline } );
+    var item = _manager.createItem( { "id": 5, "name": "a", "version": 1 } );
+
+    _manager.setVersionField( 'version' );
+    _manager.setOfflineQueue( _obj );
+    _manager.addItem( item );
+    item.set( 'name', 'b' );
+
+    _manager.saveItem( item, {} ).then( function ()
+    {
+        item.set( 'name', 'c' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        assert.deepEqual( counts, { "sent": 1, "failed": 0, "pending": 1 }, "replay() one sent: Passed!" );
+
+        return storage.get( 'mumsys.offline.jsonrpc.php' );
+    } ).then( function ( data ) {
+        assert.deepEqual( data.versions, { "5": 2 }, "versions stored: Passed!" );
+
+        // reload
+        network = true;
+        var _managerReloaded = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+        var _objReloaded = new Mumsys_Generic_Manager_Offline( _managerReloaded, storage, { "online": offline } );
+        _managerReloaded.setVersionField( 'version' );
+        _managerReloaded.setOfflineQueue( _objReloaded );
+
+        return _objReloaded.replay();
+    } ).then( function ( counts ) {
+        var requests = transport.getRequests();
+
+        assert.deepEqual( counts, { "sent": 1, "failed": 0, "pending": 0 }, "replay() after reload: Passed!" );
+        assert.equal( requests[requests.length - 1].data.item.version, 2, "replay() after reload sends the stored version: Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Offline.js changes after queueing tests", function ( assert )
+{
+    var done = assert.async();
+    var online = false;
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            return { "jsonrpc": "2.0", "result": { "item": { "id": options.data.item.id || 1 } }, "id": null };
+        }
+    } );
+    var _manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var _obj = new Mumsys_Generic_Manager_Offline( _manager, new Mumsys_Storage_Memory(), {
+        "online": function () {
+            return online;
+        }
+    } );
+    var item = _manager.createItem( { "id": null, "name": "a" } );
+
+    _manager.setOfflineQueue( _obj );
+    _manager.addItem( item );
+    item.set( 'name', 'a1' );
+
+    _manager.saveItem( item, {} ).then( function ()
+    {
+        // changed after the item was queued
+        item.set( 'name', 'a2' );
+        online = true;
+
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        assert.deepEqual( counts, { "sent": 1, "failed": 0, "pending": 0 }, "replay(): Passed!" );
+        assert.equal( item.get( 'id' ), 1, "replay() sets the server id: Passed!" );
+        assert.equal( _manager.getItem( 'id', 1 ), item, "replay() updates the index: Passed!" );
+        assert.deepEqual( item.getChanges(), { "name": "a2" }, "replay() later changes stay modified: Passed!" );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        var requests = transport.getRequests();
+
+        assert.deepEqual( requests[1].data.item, { "id": 1, "name": "a2" }, "saveItem() later changes saved: Passed!" );
+        assert.equal( item.isModified(), false, "saveItem() saved: Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Offline.js failed mutation order tests", function ( assert )
+{
+    var done = assert.async();
+    var online = false;
+    var reject = true;
+    var records = {};
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            var props = options.data.item;
+
+            if ( reject ) {
+                return { "jsonrpc": "2.0", "error": { "code": -32000, "message": "Rejected" }, "id": null };
+            }
+
+            props.id = props.id || 1;
+            records[props.id] = props;
+
+            return { "jsonrpc": "2.0", "result": { "item": { "id": props.id } }, "id": null };
+        }
+    } );
+    var _manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    var _obj = new Mumsys_Generic_Manager_Offline( _manager, new Mumsys_Storage_Memory(), {
+        "online": function () {
+            return online;
+        }
+    } );
+    var item = _manager.createItem( { "id": null, "name": "a" } );
+    var failedId;
+
+    _manager.setOfflineQueue( _obj );
+    _manager.addItem( item );
+    item.set( 'name', 'a1' );
+
+    _manager.saveItem( item, {} ).then( function ()
+    {
+        item.set( 'name', 'a2' );
+
+        return _manager.saveItem( item, {} );
+    } ).then( function () {
+        online = true;
+
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        var mutations = _obj.getMutations();
+        failedId = mutations[0].id;
+
+        assert.deepEqual( counts, { "sent": 0, "failed": 1, "pending": 1 }, "replay() failed create: Passed!" );
+        assert.equal( transport.getRequests().length, 1, "replay() later save held back: Passed!" );
+        assert.equal( mutations[1].status, Mumsys_Generic_Manager_Offline.STATUS_PENDING, "replay() later save pending: Passed!" );
+
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        assert.deepEqual( counts, { "sent": 0, "failed": 0, "pending": 1 }, "replay() still held back: Passed!" );
+
+        reject = false;
+
+        return _obj.retry( failedId );
+    } ).then( function () {
+        return _obj.replay();
+    } ).then( function ( counts ) {
+        var requests = transport.getRequests();
+
+        assert.deepEqual( counts, { "sent": 2, "failed": 0, "pending": 0 }, "replay() after retry(): Passed!" );
+        assert.equal( requests[2].data.item.id, 1, "replay() later save with the server id: Passed!" );
+        assert.deepEqual( records, { "1": { "id": 1, "name": "a2" } }, "replay() in order: Passed!" );
+        assert.equal( item.get( 'id' ), 1, "replay() server id set: Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,233 @@
+/**
+ * Mumsys_Generic_Manager_Relation tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Relation.js tests", function ( assert )
+{
+    var done = assert.async();
+    var tables = {
+        "users.php": [ { "id": 1, "name": "anna" }, { "id": 2, "name": "bob" } ],
+        "memberships.php": [
+            { "id": 1, "userId": 1, "groupId": 10 },
+            { "id": 2, "userId": 1, "groupId": 20 },
+            { "id": 3, "userId": 2, "groupId": 10 }
+        ],
+        "groups.php": [ { "id": 10, "name": "a" }, { "id": 20, "name": "b" } ]
+    };
+    var handler = function ( options ) {
+        if ( options.type === 'POST' ) {
+            return { "jsonrpc": "2.0", "result": { "item": { "id": options.data.item.id } }, "id": null };
+        }
+
+        var list = tables[options.url].filter( function ( row ) {
+            for ( var key in options.data ) {
+                if ( options.data[key].indexOf( row[key] ) === -1 ) {
+                    return false;
+                }
+            }
+            return true;
+        } );
+
+        return { "jsonrpc": "2.0", "result": { "list": list }, "id": null };
+    };
+    var transport = new Mumsys_Transport_Memory( {
+        "users.php": handler, "memberships.php": handler, "groups.php": handler
+    } );
+    var users = new Mumsys_Generic_Manager_Default( 'users.php', transport );
+    var memberships = new Mumsys_Generic_Manager_Default( 'memberships.php', transport );
+    var groups = new Mumsys_Generic_Manager_Default( 'groups.php', transport );
+    var requests = function ( url ) {
+        return transport.getRequests().filter( function ( request ) {
+            return request.url === url;
+        } );
+    };
+    var ids = function ( list ) {
+        return list.map( function ( item ) { return item.get( 'id' ); } );
+    };
+
+    assert.equal( Mumsys_Generic_Manager_Relation.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.throws(
+        function () { new Mumsys_Generic_Manager_Relation( 'x', 'oneToOne', groups, 'groupId' ); },
+        function ( e ) { return e.message === 'Invalid relation type "oneToOne"'; },
+        "construction type exception: Passed!"
+    );
+    assert.throws(
+        function () { new Mumsys_Generic_Manager_Relation( 'x', 'hasMany', {}, 'groupId' ); },
+        function ( e ) { return e.message === 'Invalid related manager of "x"'; },
+        "construction manager exception: Passed!"
+    );
+    assert.throws(
+        function () { users.belongsTo( 'x', groups, 'groupId', { "cascade": "delete" } ); },
+        function ( e ) { return e.message === 'Invalid cascade "delete" of "x"'; },
+        "belongsTo() cascade exception: Passed!"
+    );
+
+    var relation = users.hasMany( 'memberships', memberships, 'userId', { "cascade": "delete" } );
+    memberships.belongsTo( 'group', groups, 'groupId' );
+
+    assert.equal( relation.getName(), 'memberships', "getName(): Passed!" );
+    assert.equal( relation.getType(), Mumsys_Generic_Manager_Relation.TYPE_HASMANY, "getType(): Passed!" );
+    assert.equal( relation.getManager(), memberships, "getManager(): Passed!" );
+    assert.equal( relation.getForeignKey(), 'userId', "getForeignKey(): Passed!" );
+    assert.equal( relation.getCascade(), 'delete', "getCascade(): Passed!" );
+    assert.equal( users.getRelation( 'memberships' ), relation, "getRelation(): Passed!" );
+    assert.ok( memberships.hasIndex( 'userId' ), "hasMany() adds the index: Passed!" );
+    assert.throws(
+        function () { users.hasMany( 'memberships', memberships, 'userId' ); },
+        function ( e ) { return e.message === 'Relation "memberships" already exists'; },
+        "hasMany() exists exception: Passed!"
+    );
+    assert.throws(
+        function () { users.getRelation( 'x' ); },
+        function ( e ) { return e.message === 'Relation "x" not found'; },
+        "getRelation() exception: Passed!"
+    );
+    assert.throws(
+        function () { new Mumsys_Generic_Item_Default( { "id": 1 } ).related( 'x' ); },
+        function ( e ) { return e.message === 'Item has no manager'; },
+        "related() no manager exception: Passed!"
+    );
+
+    //
+    // eager loading
+    users.loadItems( {}, false, { "include": [ 'memberships' ] } ).then( function ( list )
+    {
+        var anna = list[0];
+
+        assert.deepEqual( requests( 'memberships.php' )[0].data, { "userId": [ 1, 2 ] }, "include one request: Passed!" );
+        assert.deepEqual( ids( anna.related( 'memberships' ) ), [ 1, 2 ], "include, related() hasMany: Passed!" );
+        assert.equal( anna.related( 'memberships' )[0].related( 'group' ), null, "related() belongsTo not loaded: Passed!" );
+
+        //
+        // lazy loading
+        return anna.related( 'memberships' )[0].loadRelated( 'group' );
+    } ).then( function ( group ) {
+        assert.equal( group.get( 'name' ), 'a', "loadRelated() belongsTo: Passed!" );
+        assert.deepEqual( requests( 'groups.php' )[0].data, { "id": [ 10 ] }, "loadRelated() request: Passed!" );
+
+        return memberships.getItem( 'id', 3 ).loadRelated( 'group' );
+    } ).then( function ( group ) {
+        assert.equal( group.get( 'id' ), 10, "loadRelated() loaded: Passed!" );
+        assert.equal( requests( 'groups.php' ).length, 1, "loadRelated() no request if loaded: Passed!" );
+        assert.equal( memberships.getItem( 'id', 3 ).related( 'group' ), groups.getItem( 'id', 10 ), "related() by id index: Passed!" );
+
+        return users.loadItems( {}, false, { "include": [ 'x' ] } );
+    } ).then( function () {
+        assert.ok( false, "loadItems() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Relation "x" not found', "loadItems() include exception: Passed!" );
+
+        //
+        // cascades
+        return users.deleteItem( users.getItem( 'id', 1 ) );
+    } ).then( function () {
+        assert.equal( users.getItem( 'id', 1 ), undefined, "deleteItem(): Passed!" );
+        assert.deepEqual( ids( memberships.getItems() ), [ 3 ], "deleteItem() cascade delete: Passed!" );
+
+        // restrict: related items not loaded yet will be loaded to check
+        var other = new Mumsys_Generic_Manager_Default( 'users.php', transport );
+        var notLoaded = new Mumsys_Generic_Manager_Default( 'memberships.php', transport );
+        other.addItem( other.createItem( { "id": 2 } ) );
+        other.hasMany( 'memberships', notLoaded, 'userId', { "cascade": "restrict" } );
+
+        return other.deleteItem( other.getItem( 'id', 2 ) ).then( function () {
+            assert.ok( false, "deleteItem() restrict rejection expected" );
+        }, function ( e ) {
+            assert.equal( e.message, 'Item "2" has related "memberships" items', "deleteItem() restrict: Passed!" );
+            assert.equal( other.getItems().length, 1, "deleteItem() restricted: Passed!" );
+            assert.deepEqual( ids( notLoaded.getItems() ), [ 3 ], "deleteItem() restrict loads related items: Passed!" );
+            assert.equal( requests( 'users.php' ).filter( function ( request ) {
+                return request.type === 'POST';
+            } ).length, 1, "deleteItem() restricted, not sent: Passed!" );
+        } );
+    } ).then( function () {
+        var other = new Mumsys_Generic_Manager_Default( 'users.php', transport );
+        other.addItem( other.createItem( { "id": 2 } ) );
+        other.hasMany( 'memberships', memberships, 'userId', { "cascade": "nullify" } );
+
+        return other.deleteItems( [ "id", "==", 2 ] );
+    } ).then( function () {
+        var membership = memberships.getItem( 'id', 3 );
+
+        assert.equal( membership.get( 'userId' ), null, "deleteItems() cascade nullify: Passed!" );
+        assert.equal( membership.isModified(), false, "deleteItems() cascade nullify saved: Passed!" );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager_Relation.js failed cascade tests", function ( assert )
+{
+    var done = assert.async();
+    var parentFails = true;
+    var transport = new Mumsys_Transport_Memory( {
+        "parents.php": function () {
+            if ( parentFails ) {
+                return { "jsonrpc": "2.0", "error": { "code": -32000, "message": "Denied" }, "id": null };
+            }
+
+            return { "jsonrpc": "2.0", "result": { "item": { "id": 1 } }, "id": null };
+        },
+        "children.php": function ( options ) {
+            if ( options.data.item.id === 2 ) {
+                return { "jsonrpc": "2.0", "error": { "code": -32000, "message": "Locked" }, "id": null };
+            }
+
+            return { "jsonrpc": "2.0", "result": { "item": { "id": options.data.item.id } }, "id": null };
+        }
+    } );
+    var parents = new Mumsys_Generic_Manager_Default( 'parents.php', transport );
+    var children = new Mumsys_Generic_Manager_Default( 'children.php', transport );
+    var parent = parents.createItem( { "id": 1 } );
+
+    parents.addItem( parent );
+    [ 1, 2, 3 ].forEach( function ( id ) {
+        children.addItem( children.createItem( { "id": id, "parentId": 1 } ) );
+    } );
+    parents.hasMany( 'children', children, 'parentId', { "cascade": "delete" } );
+
+    // the parent delete fails: no cascades
+    parents.deleteItem( parent ).then( function () {
+        assert.ok( false, "deleteItem() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Denied', "deleteItem() parent failed: Passed!" );
+        assert.equal( parents.getItem( 'id', 1 ), parent, "deleteItem() parent not deleted: Passed!" );
+        assert.equal( children.getItems().length, 3, "deleteItem() no cascades: Passed!" );
+        assert.equal( transport.getRequests().filter( function ( request ) {
+            return request.url === 'children.php';
+        } ).length, 0, "deleteItem() no cascade requests: Passed!" );
+
+        parentFails = false;
+
+        return parents.deleteItem( parent );
+    } ).then( function () {
+        assert.ok( false, "deleteItem() cascade rejection expected" );
+    }, function ( e ) {
+        assert.ok( e instanceof Mumsys_Generic_Manager_Relation_Exception, "deleteItem() cascade failed: Passed!" );
+        assert.equal( e.message, 'Cascading delete failed: "2": Locked', "deleteItem() cascade failed message: Passed!" );
+        assert.equal( e.getErrors()[0].item, children.getItem( 'id', 2 ), "getErrors(): Passed!" );
+        assert.equal( children.getItems().length, 1, "deleteItem() other cascades done: Passed!" );
+        assert.equal( parents.getItem( 'id', 1 ), undefined, "deleteItem() parent deleted: Passed!" );
+
+        // deleteItems() reports the failed cascades per item
+        var other = parents.createItem( { "id": 1 } );
+        parents.addItem( other );
+
+        return parents.deleteItems( [ "id", "==", 1 ] );
+    } ).then( function ( entries ) {
+        assert.ok( entries[0].error instanceof Mumsys_Generic_Manager_Relation_Exception, "deleteItems() cascade failed: Passed!" );
+        assert.equal( parents.getItems().length, 0, "deleteItems() item deleted: Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,100 @@
+/**
+ * Mumsys_Generic_Manager_Snapshot tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Snapshot.js tests", function ( assert )
+{
+    var data = {};
+    var webStorage = {
+        getItem: function ( key ) {
+            return data.hasOwnProperty( key ) ? data[key] : null;
+        },
+        setItem: function ( key, value ) {
+            data[key] = value;
+        },
+        removeItem: function ( key ) {
+            delete data[key];
+        }
+    };
+    var _obj = new Mumsys_Generic_Manager_Snapshot( new Mumsys_Storage_Web( webStorage ), 'app.' );
+    var _manager = new Mumsys_Generic_Manager_Default( 'users.php' );
+    var version = Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION;
+    var descriptor;
+    var snapshot;
+    var _loaded;
+
+    _manager.addItem( _manager.createItem( { "id": 1, "name": "a" } ) );
+    _manager.getItem( 'id', 1 ).set( 'name', 'b' );
+
+    assert.equal( Mumsys_Generic_Manager_Snapshot.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _obj.getKey( 'users' ), 'app.users.v' + version, "getKey(): Passed!" );
+    assert.equal( _obj.getKey( 'users', 3 ), 'app.users.v3', "getKey() version: Passed!" );
+    assert.equal( _obj.load( 'users' ), null, "load() not found: Passed!" );
+    assert.throws(
+        function () { _obj.addMigration( 1, null ); },
+        function ( e ) { return e.message === 'Invalid migration of version "1"'; },
+        "addMigration() exception: Passed!"
+    );
+
+    //
+    // save(), load(), remove()
+    _obj.save( 'users', _manager );
+    assert.deepEqual( JSON.parse( data['app.users.v' + version] ), _manager.serialize(), "save(): Passed!" );
+
+    _loaded = _obj.load( 'users' );
+    assert.equal( _loaded.getItem( 'id', 1 ).get( 'name' ), 'b', "load(): Passed!" );
+    assert.equal( _loaded.getItem( 'id', 1 ).getOriginal( 'name' ), 'a', "load() original values: Passed!" );
+
+    _obj.remove( 'users' );
+    assert.deepEqual( data, {}, "remove(): Passed!" );
+
+    //
+    // migrations of older versions (as if the current version were 2)
+    snapshot = _manager.serialize();
+    descriptor = Object.getOwnPropertyDescriptor( Mumsys_Generic_Manager_Default, 'SNAPSHOT_VERSION' );
+    Object.defineProperty( Mumsys_Generic_Manager_Default, 'SNAPSHOT_VERSION', {
+        get: function () { return 2; }, configurable: true
+    } );
+
+    try
+    {
+        data['app.users.v1'] = JSON.stringify( snapshot );
+        assert.equal( _obj.load( 'users' ), null, "load() no migration: Passed!" );
+        assert.deepEqual( Object.keys( data ), [ 'app.users.v1' ], "load() no migration, old version kept: Passed!" );
+
+        _obj.addMigration( 1, function () {
+            throw new Error( 'migration failed' );
+        } );
+        assert.throws(
+            function () { _obj.load( 'users' ); },
+            function ( e ) { return e.message === 'migration failed'; },
+            "load() migration exception: Passed!"
+        );
+        assert.deepEqual( Object.keys( data ), [ 'app.users.v1' ], "load() migration exception, old version kept: Passed!" );
+
+        _obj.addMigration( 1, function ( old ) {
+            old.items[0].props.name = 'migrated';
+            return old;
+        } );
+        _loaded = _obj.load( 'users' );
+        assert.equal( _loaded.getItem( 'id', 1 ).get( 'name' ), 'migrated', "load() migrated: Passed!" );
+        assert.equal( data['app.users.v1'], undefined, "load() old version removed: Passed!" );
+        assert.equal( JSON.parse( data['app.users.v2'] ).version, 2, "load() migrated stored: Passed!" );
+    } finally {
+        Object.defineProperty( Mumsys_Generic_Manager_Default, 'SNAPSHOT_VERSION', descriptor );
+    }
+
+    assert.equal( Mumsys_Generic_Manager_Default.SNAPSHOT_VERSION, version, "version restored: Passed!" );
+
+} );
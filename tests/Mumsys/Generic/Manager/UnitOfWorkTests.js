@@ -0,0 +1,149 @@
+/**
+ * Mumsys_Generic_Manager_UnitOfWork tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_UnitOfWork.js tests", function ( assert )
+{
+    var done = assert.async();
+    var failIds = [ 11 ];
+    var newId = 12;
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            return options.data.map( function ( req ) {
+                var id = req.params.item.id;
+                if ( failIds.indexOf( id ) !== -1 ) {
+                    return { "jsonrpc": "2.0", "error": { "code": 1, "message": "Locked" }, "id": req.id };
+                }
+                if ( req.method === 'save' && id === null ) {
+                    id = newId;
+                }
+
+                return { "jsonrpc": "2.0", "result": { "item": { "id": id } }, "id": req.id };
+            } );
+        }
+    } );
+    var _manager = new Mumsys_Generic_Manager_Default( 'jsonrpc.php', transport );
+    _manager.setJsonRpcClient( new Mumsys_JsonRpc_Client( transport ) );
+
+    var order = _manager.createItem( { "id": 1, "total": 10 } );
+    var lineA = _manager.createItem( { "id": 10, "orderId": 1 } );
+    var lineB = _manager.createItem( { "id": 11, "orderId": 1 } );
+    [ order, lineA, lineB ].forEach( function ( item ) {
+        _manager.addItem( item );
+    } );
+
+    var _obj = _manager.beginTransaction();
+    assert.ok( ( _obj instanceof Mumsys_Generic_Manager_UnitOfWork ), "beginTransaction(): Passed!" );
+    assert.equal( Mumsys_Generic_Manager_UnitOfWork.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _manager.getTransaction(), _obj, "getTransaction(): Passed!" );
+    assert.equal( _obj.isActive(), true, "isActive(): Passed!" );
+    assert.throws(
+        function () { _manager.beginTransaction(); },
+        function ( e ) { return e.message === 'Transaction already started'; },
+        "beginTransaction() already started exception: Passed!"
+    );
+
+    order.set( 'total', 30 );
+    var lineC = _manager.createItem( { "id": null, "orderId": 1 } );
+    lineC.setModified( true );
+    _manager.addItem( lineC );
+    _obj.registerDeleted( lineB );
+    assert.equal( _obj.isNew( lineC ), true, "isNew(): Passed!" );
+    assert.equal( _obj.isDeleted( lineB ), true, "isDeleted(): Passed!" );
+
+    _manager.commit().then( function () {
+        assert.ok( false, "commit() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.name, 'Mumsys_Generic_Manager_UnitOfWork_Exception', "commit() failure: Passed!" );
+        assert.equal( e.message, 'Transaction commit failed: "11": Locked', "commit() failure message: Passed!" );
+        assert.equal( e.getErrors()[0].item, lineB, "commit() failure getErrors(): Passed!" );
+        assert.equal( transport.getRequests()[0].data.length, 3, "commit() one batch: Passed!" );
+        assert.equal( order.isModified(), true, "commit() failure, item still modified: Passed!" );
+        assert.equal( lineC.get( 'id' ), null, "commit() failure, new item without id: Passed!" );
+        assert.equal( _manager.getItem( 'id', 11 ), lineB, "commit() failure, deleted item kept: Passed!" );
+        assert.equal( _obj.isActive(), true, "commit() failure, transaction active: Passed!" );
+
+        // returned id exists: confirm fails, pre-commit state restored
+        failIds = [];
+        newId = 10;
+
+        return _manager.commit();
+    } ).then( function () {
+        assert.ok( false, "commit() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, '"id" (10) is unique and already exists', "commit() confirm failure: Passed!" );
+        assert.equal( order.isModified(), true, "commit() confirm failure, modified flag restored: Passed!" );
+        assert.equal( order.get( 'total' ), 30, "commit() confirm failure, value kept: Passed!" );
+        assert.equal( lineC.get( 'id' ), null, "commit() confirm failure, id restored: Passed!" );
+
+        newId = 12;
+
+        return _manager.commit();
+    } ).then( function ( result ) {
+        assert.deepEqual( result, { "saved": [ order, lineC ], "deleted": [ lineB ] }, "commit(): Passed!" );
+        assert.equal( order.isModified(), false, "commit() confirmed: Passed!" );
+        assert.equal( lineC.get( 'id' ), 12, "commit() new item id: Passed!" );
+        assert.equal( _manager.getItem( 'id', 11 ), undefined, "commit() deleted item removed: Passed!" );
+        assert.equal( _manager.getTransaction(), null, "commit() ends the transaction: Passed!" );
+        assert.equal( _obj.isActive(), false, "commit() isActive(): Passed!" );
+
+        return _obj.commit();
+    } ).then( function () {
+        assert.ok( false, "commit() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Transaction not active', "commit() not active: Passed!" );
+
+        //
+        // rollback()
+        order.set( 'total', 40 );
+        _obj = _manager.beginTransaction();
+        order.set( 'total', 50 );
+        order.set( 'total', 60 );
+        var lineD = _manager.createItem( { "id": 20 } );
+        var lineE = _manager.createItem( { "id": 21 } );
+        _manager.addItem( lineD );
+        _manager.addItem( lineE );
+        _manager.removeItem( 21 );
+        _obj.registerDeleted( lineA );
+        _manager.removeItem( 12 );
+        _manager.rollback();
+
+        assert.equal( order.get( 'total' ), 40, "rollback() restores the state at the begin: Passed!" );
+        assert.equal( order.isModified(), true, "rollback() restores the modified flag: Passed!" );
+        assert.equal( _manager.getItem( 'id', 20 ), undefined, "rollback() removes new items: Passed!" );
+        assert.equal( _manager.getItem( 'id', 10 ), lineA, "rollback() keeps deleted items: Passed!" );
+        assert.equal( _manager.getItem( 'id', 12 ), lineC, "rollback() adds removed items again: Passed!" );
+        assert.equal( _manager.getItem( 'id', 21 ), undefined, "rollback() removed new items: Passed!" );
+        assert.equal( _manager.getTransaction(), null, "rollback() ends the transaction: Passed!" );
+        order.set( 'total', 70 );
+        assert.equal( _obj.isActive(), false, "rollback() stops tracking: Passed!" );
+        assert.throws(
+            function () { _manager.rollback(); },
+            function ( e ) { return e.message === 'Transaction not active'; },
+            "rollback() not active exception: Passed!"
+        );
+        assert.throws(
+            function () { _obj.registerDeleted( lineA ); },
+            function ( e ) { return e.message === 'Transaction not active'; },
+            "registerDeleted() not active exception: Passed!"
+        );
+
+        return _manager.commit();
+    } ).then( function () {
+        assert.ok( false, "commit() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Transaction not active', "manager commit() not active: Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,139 @@
+/**
+ * Mumsys_Generic_Manager_Worker tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Manager_Worker.js tests", function ( assert )
+{
+    var done = assert.async();
+    var workers = [];
+    // runs the worker source in this thread, messages are delivered async
+    var factory = function ( source )
+    {
+        var worker = {
+            "onmessage": null,
+            "terminated": false,
+            "postMessage": function ( data ) {
+                setTimeout( function () {
+                    if ( !worker.terminated ) {
+                        scope.onmessage( { "data": JSON.parse( JSON.stringify( data ) ) } );
+                    }
+                }, 0 );
+            },
+            "terminate": function () {
+                worker.terminated = true;
+            }
+        };
+        var scope = {
+            "postMessage": function ( data ) {
+                worker.onmessage( { "data": JSON.parse( JSON.stringify( data ) ) } );
+            }
+        };
+
+        new Function( 'self', source )( scope );
+        workers.push( worker );
+
+        return worker;
+    };
+    var normalize = function ( row ) {
+        return { "id": row.ID, "name": row.NAME };
+    };
+    var text = JSON.stringify( { "jsonrpc": "2.0", "result": { "list": [ { "ID": 1, "NAME": "a" } ] }, "id": null } );
+    var _obj = new Mumsys_Generic_Manager_Worker( normalize, factory );
+
+    assert.equal( Mumsys_Generic_Manager_Worker.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( typeof Mumsys_Generic_Manager_Worker.isSupported(), 'boolean', "static::isSupported(): Passed!" );
+    assert.throws(
+        function () { new Mumsys_Generic_Manager_Worker( 'x' ); },
+        function ( e ) { return e.message === 'Invalid normalize callback'; },
+        "construction normalize exception: Passed!"
+    );
+    assert.throws(
+        function () { new Mumsys_Generic_Manager_Worker( null, {} ); },
+        function ( e ) { return e.message === 'Invalid worker factory'; },
+        "construction factory exception: Passed!"
+    );
+    assert.ok( _obj.getSource().indexOf( 'row.NAME' ) !== -1, "getSource() contains normalize: Passed!" );
+
+    Promise.all( [ _obj.parse( text ), _obj.parse( '{"result": {"list": []}}' ) ] ).then( function ( responses )
+    {
+        assert.deepEqual( responses[0].result.list, [ { "id": 1, "name": "a" } ], "parse() in worker: Passed!" );
+        assert.deepEqual( responses[1].result.list, [], "parse() concurrent: Passed!" );
+        assert.equal( workers.length, 1, "parse() one worker: Passed!" );
+
+        return _obj.parse( '{bad' );
+    } ).then( function () {
+        assert.ok( false, "parse() rejection expected" );
+    }, function ( e ) {
+        assert.ok( e instanceof Mumsys_Transport_Exception, "parse() invalid json: Passed!" );
+        assert.equal( e.message.indexOf( 'Invalid json response: ' ), 0, "parse() invalid json message: Passed!" );
+
+        return _obj.parse( '{"result": {"list": [null]}}' );
+    } ).then( function () {
+        assert.ok( false, "parse() normalize rejection expected" );
+    }, function ( e ) {
+        assert.ok( e instanceof Mumsys_Transport_Exception, "parse() normalize error: Passed!" );
+        assert.equal( e.message.indexOf( 'Normalizing the rows failed: ' ), 0, "parse() normalize error message: Passed!" );
+
+        var pending = _obj.parse( text );
+        _obj.terminate();
+
+        return pending;
+    } ).then( function () {
+        assert.ok( false, "terminate() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "terminate() rejects pending: Passed!" );
+        assert.ok( workers[0].terminated, "terminate(): Passed!" );
+
+        return _obj.parse( text );
+    } ).then( function ( response ) {
+        assert.equal( workers.length, 2, "parse() after terminate() new worker: Passed!" );
+        assert.equal( response.result.list[0].name, 'a', "parse() new worker: Passed!" );
+
+        // default factory: Web Worker or the main thread without support
+        return new Mumsys_Generic_Manager_Worker( normalize, null ).parse( text );
+    } ).then( function ( response ) {
+        assert.deepEqual( response.result.list, [ { "id": 1, "name": "a" } ], "parse() default factory: Passed!" );
+
+        // worker errors (e.g. not loadable) reject the pending calls
+        var broken = [];
+        var failing = new Mumsys_Generic_Manager_Worker( normalize, function () {
+            var worker = {
+                "terminated": false,
+                "postMessage": function () {
+                    setTimeout( function () {
+                        worker.onerror( { "message": "SyntaxError" } );
+                    }, 0 );
+                },
+                "terminate": function () {
+                    worker.terminated = true;
+                }
+            };
+            broken.push( worker );
+
+            return worker;
+        } );
+
+        return Promise.all( [ failing.parse( text ), failing.parse( text ) ].map( function ( promise ) {
+            return promise.then( function () {
+                assert.ok( false, "parse() worker error rejection expected" );
+            }, function ( e ) {
+                return e;
+            } );
+        } ) ).then( function ( errors ) {
+            assert.equal( errors[0].message, 'Worker failed: SyntaxError', "parse() worker error: Passed!" );
+            assert.equal( errors[1].message, 'Worker failed: SyntaxError', "parse() worker error all pending: Passed!" );
+            assert.ok( broken[0].terminated, "parse() worker error, worker dropped: Passed!" );
+        } );
+    } ).then( done, done );
+} );
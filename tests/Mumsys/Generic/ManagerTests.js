@@ -108,6 +108,17 @@ QUnit.test( "Mumsys_Generic_Manager.js tests", function ( assert )
 
     assert.equal( _obj.getItem( "none", 123, false ), false, "getItem() default return: Passed!" );
 
+    //
+    // getItem() id lookup
+    assert.equal( _obj.getItem( "id", 3 ).get( "name" ), "name 3", "getItem() id map: Passed!" );
+
+    //
+    // query(), findAll()
+    assert.ok( ( _obj.query() instanceof Mumsys_Generic_Query ), "query(): Passed!" );
+    _expected = [ _obj.getItem( "id", 4 ), _obj.getItem( "id", 3 ) ];
+    assert.deepEqual( _obj.query().where( "id", ">", 2 ).orderBy( "id", "desc" ).getItems(), _expected, "query() items: Passed!" );
+    assert.deepEqual( _obj.findAll( [ "name", "contains", "2" ] ), [ _obj.getItem( "id", 2 ) ], "findAll(): Passed!" );
+
     //
     // clear()
     _obj.clear();
@@ -146,3 +157,81 @@ QUnit.test( "Mumsys_Generic_Manager.js tests", function ( assert )
     assert.equal( actual, expected, "saveItem() real request: Passed!" );
 
 } );
+
+
+QUnit.test( "Mumsys_Generic_Manager.js loadItems() error tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "failing.php": new Mumsys_Transport_Exception( 'Request failed: 500 Internal Server Error', Mumsys_Exception.ERRCODE_TRANSPORT, 500 ),
+        "rpcError.php": { "jsonrpc": "2.0", "error": { "code": -32603, "message": "Internal error" }, "id": 1 }
+    } );
+    var _obj = new Mumsys_Generic_Manager( 'failing.php', transport );
+    var errors = [];
+    var report = function ( e ) {
+        errors.push( e.message );
+    };
+
+    _obj.loadItems( {}, { "error": report } ).then( function ( result )
+    {
+        assert.equal( result, undefined, "loadItems() transport error resolves: Passed!" );
+        assert.deepEqual( errors, [ 'Request failed: 500 Internal Server Error' ], "loadItems() transport error reported once: Passed!" );
+        assert.equal( _obj.isLoaded(), false, "loadItems() transport error, isLoaded(): Passed!" );
+
+        return _obj.loadItems( {}, { "url": "rpcError.php", "error": report } );
+    } ).then( function ()
+    {
+        assert.equal( errors[1], 'Internal error', "loadItems() json rpc error reported: Passed!" );
+        assert.equal( _obj.isLoaded(), false, "loadItems() json rpc error, isLoaded(): Passed!" );
+
+        var logged = [];
+        var consoleError = console.error;
+        console.error = function ( e ) {
+            logged.push( e.message );
+        };
+
+        return _obj.loadItems( {} ).then( function () {
+            console.error = consoleError;
+            assert.deepEqual( logged, [ 'Request failed: 500 Internal Server Error' ], "loadItems() default error callback: Passed!" );
+        }, function ( e ) {
+            console.error = consoleError;
+            throw e;
+        } );
+    } ).then( done, done );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Manager.js saveItem() error tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "failing.php": new Mumsys_Transport_Exception( 'Request failed: 500 Internal Server Error', Mumsys_Exception.ERRCODE_TRANSPORT, 500 ),
+        "rpcError.php": { "jsonrpc": "2.0", "error": { "code": -32603, "message": "Internal error" }, "id": 1 }
+    } );
+    var _obj = new Mumsys_Generic_Manager( 'failing.php', transport );
+    var errors = [];
+    var report = function ( e ) {
+        errors.push( e.message );
+    };
+    var item = _obj.createItem( { "id": 1, "name": "a" } );
+
+    item.set( 'name', 'b' );
+    assert.equal( _obj.saveItem( item, {}, { "error": report } ), item, "saveItem(): Passed!" );
+    assert.equal( item.isModified(), false, "saveItem() isModified(): Passed!" );
+
+    setTimeout( function ()
+    {
+        assert.deepEqual( errors, [ 'Request failed: 500 Internal Server Error' ], "saveItem() transport error reported: Passed!" );
+        assert.equal( item.isModified(), true, "saveItem() failed, isModified(): Passed!" );
+
+        _obj.saveItem( item, {}, { "url": "rpcError.php", "error": report } );
+
+        setTimeout( function () {
+            assert.equal( errors[1], 'Internal error', "saveItem() json rpc error reported: Passed!" );
+            assert.equal( item.isModified(), true, "saveItem() json rpc error, isModified(): Passed!" );
+            done();
+        }, 5 );
+    }, 5 );
+
+} );
@@ -0,0 +1,194 @@
+/**
+ * Mumsys_Generic_Query tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Generic
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Generic_Query.js tests", function ( assert )
+{
+    var _expected, _mesgOut = '';
+    var manager = new Mumsys_Generic_Manager_Default();
+    var _items = [
+        { "id": 1, "name": "anna", "age": 30, "status": "open", "tags": [ "a", "b" ] },
+        { "id": 2, "name": "bob", "age": 17, "status": "new", "tags": [] },
+        { "id": 3, "name": "carl", "age": 30, "status": "closed", "tags": [ "b" ] },
+        { "id": 4, "name": "admin", "age": null, "status": "open", "tags": [ "a" ] }
+    ];
+    _items.forEach( function ( data ) {
+        manager.addItem( manager.createItem( data ) );
+    } );
+
+    var ids = function ( list ) {
+        return list.map( function ( item ) { return item.get( 'id' ); } );
+    };
+    var _obj = new Mumsys_Generic_Query( manager );
+
+    assert.equal( Mumsys_Generic_Query.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.deepEqual( ids( _obj.getItems() ), [ 1, 2, 3, 4 ], "getItems() no criteria: Passed!" );
+    assert.throws(
+        function () { new Mumsys_Generic_Query( [] ); },
+        function ( e ) {
+            return e.name === 'Mumsys_Generic_Exception' && e.message === 'Invalid query source';
+        },
+        "construct() invalid source exception: Passed!"
+    );
+
+    //
+    // compare()
+    assert.equal( Mumsys_Generic_Query.compare( 1, '==', '1' ), false, "compare() == type save: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( 1, '!=', 2 ), true, "compare() !=: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( 1, '<', 2 ), true, "compare() <: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( null, '<', 2 ), false, "compare() < null: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( 'b', '>=', 'a' ), true, "compare() >= string: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( 2, 'in', [ 1, 2 ] ), true, "compare() in: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( 'abc', 'contains', 'bc' ), true, "compare() contains string: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( [ 1, 2 ], 'contains', 3 ), false, "compare() contains array: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( 'abc', 'regex', '^a' ), true, "compare() regex string: Passed!" );
+    assert.equal( Mumsys_Generic_Query.compare( undefined, 'regex', /.*/ ), false, "compare() regex undefined: Passed!" );
+    assert.throws(
+        function () { Mumsys_Generic_Query.compare( 1, '===', 1 ); },
+        function ( e ) { return e.message === 'Invalid query operator "==="'; },
+        "compare() invalid operator exception: Passed!"
+    );
+
+    //
+    // where(), match()
+    _obj = manager.query().where( 'status', 'open' );
+    assert.deepEqual( ids( _obj.getItems() ), [ 1, 4 ], "where() equality shorthand: Passed!" );
+    assert.deepEqual( ids( manager.query().where( 'age', '>=', 18 ).getItems() ), [ 1, 3 ], "where() comparison: Passed!" );
+    assert.deepEqual( ids( manager.query().where( 'tags', 'contains', 'b' ).getItems() ), [ 1, 3 ], "where() contains: Passed!" );
+    assert.deepEqual( ids( manager.query().where( 'name', 'regex', /^a/ ).getItems() ), [ 1, 4 ], "where() regex: Passed!" );
+    assert.deepEqual( ids( manager.query().where( 'name', 'regex', /a/g ).getItems() ), [ 1, 3, 4 ], "where() regex global flag: Passed!" );
+    assert.deepEqual( ids( manager.query().where( 'name', 'regex', /a/y ).getItems() ), [ 1, 4 ], "where() regex sticky flag: Passed!" );
+    _mesgOut = "where() and/or/not: Passed!";
+    _expected = [ 2, 3 ];
+    assert.deepEqual(
+        ids( manager.query().where( {
+            "and": [
+                { "not": [ 'status', '==', 'open' ] },
+                { "or": [ [ 'age', '<', 18 ], [ 'name', 'in', [ 'carl' ] ] ] }
+            ]
+        } ).getItems() ),
+        _expected, _mesgOut
+    );
+    assert.deepEqual(
+        ids( manager.query().where( function ( item ) { return item.get( 'id' ) % 2 === 0; } ).getItems() ),
+        [ 2, 4 ], "where() callback: Passed!"
+    );
+    assert.throws(
+        function () { manager.query().where( 'id', 'like', 1 ); },
+        function ( e ) { return e.message === 'Invalid query operator "like"'; },
+        "where() invalid operator exception: Passed!"
+    );
+    assert.throws(
+        function () { manager.query().where( { "a": 1 } ).getItems(); },
+        function ( e ) { return e.message === 'Invalid query criteria: {"a":1}'; },
+        "where() invalid criteria exception: Passed!"
+    );
+
+    //
+    // orderBy()
+    _obj = manager.query().orderBy( 'age', 'desc' ).orderBy( 'name' );
+    assert.deepEqual( ids( _obj.getItems() ), [ 1, 3, 2, 4 ], "orderBy() multi key, null last: Passed!" );
+    _obj = manager.query().orderBy( 'age' ).orderBy( 'name', 'desc' );
+    assert.deepEqual( ids( _obj.getItems() ), [ 2, 3, 1, 4 ], "orderBy() asc/desc: Passed!" );
+    assert.throws(
+        function () { manager.query().orderBy( 'age', 'up' ); },
+        function ( e ) { return e.message === 'Invalid sort direction "up"'; },
+        "orderBy() invalid direction exception: Passed!"
+    );
+
+    //
+    // limit(), first(), count()
+    _obj = manager.query().orderBy( 'id', 'desc' ).limit( 2, 1 );
+    assert.deepEqual( ids( _obj.getItems() ), [ 3, 2 ], "limit(): Passed!" );
+    assert.equal( _obj.first().get( 'id' ), 3, "first() with offset: Passed!" );
+    assert.equal( _obj.count(), 4, "count() without limit: Passed!" );
+    assert.deepEqual( ids( _obj.limit( null, 3 ).getItems() ), [ 1 ], "limit() offset only: Passed!" );
+    assert.equal( manager.query().where( 'id', 99 ).first(), undefined, "first() not found: Passed!" );
+    assert.throws(
+        function () { manager.query().limit( -1 ); },
+        function ( e ) { return e.message === 'Invalid limit "-1"'; },
+        "limit() invalid limit exception: Passed!"
+    );
+    assert.throws(
+        function () { manager.query().limit( 1, 0.5 ); },
+        function ( e ) { return e.message === 'Invalid offset "0.5"'; },
+        "limit() invalid offset exception: Passed!"
+    );
+
+    //
+    // live view
+    _obj = manager.query().where( 'status', 'open' );
+    assert.equal( _obj.count(), 2, "live view: Passed!" );
+    manager.addItem( manager.createItem( { "id": 5, "name": "eve", "age": 20, "status": "open", "tags": [] } ) );
+    manager.getItem( 'id', 1 ).set( 'status', 'closed' );
+    assert.deepEqual( ids( _obj.getItems() ), [ 4, 5 ], "live view updated: Passed!" );
+
+} );
+
+
+QUnit.test( "Mumsys_Generic_Query.js aggregation tests", function ( assert )
+{
+    var manager = new Mumsys_Generic_Manager_Default();
+    var _items = [
+        { "id": 1, "status": "open", "price": 10, "rank": "b" },
+        { "id": 2, "status": "done", "price": 2.5, "rank": 3 },
+        { "id": 3, "status": "open", "price": "7", "rank": null },
+        { "id": 4, "price": null, "rank": "a" },
+        { "id": 5, "status": "1", "price": 5 },
+        { "id": 6, "status": 1, "price": NaN, "rank": 1 }
+    ];
+    _items.forEach( function ( data ) {
+        manager.addItem( manager.createItem( data ) );
+    } );
+
+    var ids = function ( list ) {
+        return list.map( function ( item ) { return item.get( 'id' ); } );
+    };
+    var groups = manager.query().groupBy( 'status' );
+
+    assert.deepEqual( groups.map( function ( group ) { return group.key; } ), [ 'open', 'done', null, '1', 1 ], "groupBy() keys type save: Passed!" );
+    assert.deepEqual( ids( groups[0].items ), [ 1, 3 ], "groupBy() items: Passed!" );
+    assert.deepEqual( ids( groups[2].items ), [ 4 ], "groupBy() missing values: Passed!" );
+    assert.deepEqual(
+        manager.query().where( 'status', '!=', 'done' ).orderBy( 'id', 'desc' ).limit( 1 ).countBy( 'status' ),
+        [ { "key": 1, "count": 1 }, { "key": "1", "count": 1 }, { "key": null, "count": 1 }, { "key": "open", "count": 2 } ],
+        "countBy() where, order, no limit: Passed!"
+    );
+    assert.deepEqual(
+        manager.query().countBy( function ( item ) { return item.get( 'price', 0 ) > 5; } ),
+        [ { "key": true, "count": 2 }, { "key": false, "count": 4 } ],
+        "countBy() accessor: Passed!"
+    );
+
+    assert.equal( manager.query().sum( 'price' ), 17.5, "sum() numbers only: Passed!" );
+    assert.equal( manager.query().where( 'id', 99 ).sum( 'price' ), 0, "sum() no items: Passed!" );
+    assert.equal( manager.query().sum( function ( item ) { return item.get( 'id' ) * 2; } ), 42, "sum() accessor: Passed!" );
+
+    assert.equal( manager.query().min( 'price' ), 2.5, "min(): Passed!" );
+    assert.strictEqual( manager.query().max( 'price' ), 10, "max() numbers only if numbers exist: Passed!" );
+    assert.equal( manager.query().min( 'rank' ), 1, "min() mixed: Passed!" );
+    assert.equal( manager.query().max( 'rank' ), 3, "max() mixed: Passed!" );
+    assert.equal( manager.query().where( 'id', '<', 5 ).min( 'status' ), 'done', "min() strings: Passed!" );
+    assert.equal( manager.query().where( 'id', '<', 5 ).max( 'status' ), 'open', "max() strings: Passed!" );
+    assert.equal( manager.query().where( 'id', '>', 4 ).max( 'rank' ), 1, "max() missing values: Passed!" );
+    assert.strictEqual( manager.query().min( 'unknown' ), null, "min() no values: Passed!" );
+
+    assert.deepEqual( manager.query().distinct( 'status' ), [ 'open', 'done', '1', 1 ], "distinct(): Passed!" );
+    assert.deepEqual( manager.query().orderBy( 'id', 'desc' ).distinct( 'rank' ), [ 1, 'a', 3, 'b' ], "distinct() sorted: Passed!" );
+    assert.throws(
+        function () { manager.query().sum( 5 ); },
+        function ( e ) { return e.message === 'Invalid aggregation key "5"'; },
+        "invalid key exception: Passed!"
+    );
+} );
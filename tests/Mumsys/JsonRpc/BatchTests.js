@@ -0,0 +1,88 @@
+/**
+ * Mumsys_JsonRpc_Batch tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_JsonRpc_Batch.js tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            var list = [];
+            if ( !Array.isArray( options.data ) ) {
+                return { "jsonrpc": "2.0", "error": { "code": -32600, "message": "Invalid Request" }, "id": null };
+            }
+            // reverse order: responses must be matched by id
+            for ( var i = options.data.length - 1; i >= 0; i-- ) {
+                var req = options.data[i];
+                if ( req.id === undefined || req.method === 'lost' ) {
+                    continue;
+                }
+                if ( req.method === 'fail' ) {
+                    list.push( { "jsonrpc": "2.0", "error": { "code": -32602, "message": "Invalid params" }, "id": req.id } );
+                } else {
+                    list.push( { "jsonrpc": "2.0", "result": req.params, "id": req.id } );
+                }
+            }
+
+            return list;
+        },
+        "invalid.php": { "jsonrpc": "2.0", "error": { "code": -32700, "message": "Parse error" }, "id": null },
+        "notify.php": ""
+    } );
+    var client = new Mumsys_JsonRpc_Client( transport );
+    var _obj = client.createBatch();
+
+    assert.ok( ( _obj instanceof Mumsys_JsonRpc_Batch ), "Client::createBatch(): Passed!" );
+    assert.equal( Mumsys_JsonRpc_Batch.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+
+    assert.equal( _obj.add( 'echo', [ 1 ] ), 0, "add(): Passed!" );
+    _obj.notify( 'log', [ "message" ] );
+    assert.equal( _obj.add( 'fail', [ 2 ] ), 1, "add() index: Passed!" );
+    assert.equal( _obj.add( 'lost' ), 2, "add() index: Passed!" );
+    assert.equal( _obj.add( 'echo', [ 3 ] ), 3, "add() index: Passed!" );
+    assert.equal( _obj.count(), 5, "count(): Passed!" );
+
+    _obj.send().then( function ( responses )
+    {
+        var request = transport.getRequests()[0];
+        assert.equal( request.data.length, 5, "send() one request: Passed!" );
+        assert.equal( _obj.count(), 0, "send() clears the queue: Passed!" );
+        assert.equal( responses.length, 4, "send() entry per call: Passed!" );
+        assert.deepEqual( responses[0], { "result": [ 1 ], "error": null }, "send() result: Passed!" );
+        assert.ok( ( responses[1].error instanceof Mumsys_JsonRpc_Exception_InvalidParams ), "send() error: Passed!" );
+        assert.equal( responses[2].error.message.indexOf( 'Json rpc response missing' ), 0, "send() missing response: Passed!" );
+        assert.deepEqual( responses[3].result, [ 3 ], "send() matched by id: Passed!" );
+
+        return _obj.send();
+    } ).then( function ( responses ) {
+        assert.deepEqual( responses, [], "send() empty batch: Passed!" );
+        assert.equal( transport.getRequests().length, 1, "send() empty batch not send: Passed!" );
+
+        _obj.notify( 'log', [ "message" ] );
+
+        return _obj.send( { "url": "notify.php" } );
+    } ).then( function ( responses ) {
+        assert.deepEqual( responses, [], "send() notifications only: Passed!" );
+        assert.equal( transport.getRequests()[1].dataType, 'text', "send() notifications data type: Passed!" );
+
+        _obj.add( 'echo' );
+
+        return _obj.send( { "url": "invalid.php" } );
+    } ).then( function () {
+        assert.ok( false, "send() rejection expected" );
+    }, function ( e ) {
+        assert.ok( ( e instanceof Mumsys_JsonRpc_Exception_Parse ), "send() batch error rejects: Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,130 @@
+/**
+ * Mumsys_JsonRpc_Client tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_JsonRpc_Client.js tests", function ( assert )
+{
+    var done = assert.async();
+    var transport = new Mumsys_Transport_Memory( {
+        "jsonrpc.php": function ( options ) {
+            var req = options.data;
+            if ( req.method === 'echo' ) {
+                return { "jsonrpc": "2.0", "result": req.params, "id": req.id };
+            }
+            if ( req.method === 'wrongId' ) {
+                return { "jsonrpc": "2.0", "result": true, "id": 999 };
+            }
+            if ( req.method === 'parseError' ) {
+                return { "jsonrpc": "2.0", "error": { "code": -32700, "message": "Parse error" }, "id": null };
+            }
+            if ( req.method === 'noResult' ) {
+                return { "jsonrpc": "2.0", "id": req.id };
+            }
+
+            return {
+                "jsonrpc": "2.0",
+                "error": { "code": -32601, "message": "Method not found", "data": req.method },
+                "id": req.id
+            };
+        },
+        "notify.php": ""
+    } );
+    var _obj = new Mumsys_JsonRpc_Client( transport );
+
+    assert.equal( Mumsys_JsonRpc_Client.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _obj.getTransport(), transport, "getTransport(): Passed!" );
+    assert.throws(
+        function () { new Mumsys_JsonRpc_Client( {} ); },
+        function ( e ) {
+            return e.name === 'Mumsys_JsonRpc_Exception' && e.message === 'Invalid transport';
+        },
+        "construct() invalid transport exception: Passed!"
+    );
+
+    //
+    // createRequest()
+    var _expected = { "jsonrpc": "2.0", "method": "a", "params": [ 1 ], "id": 1 };
+    assert.deepEqual( _obj.createRequest( 'a', [ 1 ] ), _expected, "createRequest(): Passed!" );
+    assert.equal( _obj.createRequest( 'a' ).id, 2, "createRequest() id increment: Passed!" );
+    assert.equal( _obj.createRequest( 'a' ).hasOwnProperty( 'params' ), false, "createRequest() no params: Passed!" );
+    assert.equal( _obj.createRequest( 'a', {}, true ).hasOwnProperty( 'id' ), false, "createRequest() notification: Passed!" );
+    assert.throws(
+        function () { _obj.createRequest( '' ); },
+        function ( e ) { return e.message === 'Invalid method name'; },
+        "createRequest() invalid method exception: Passed!"
+    );
+    assert.throws(
+        function () { _obj.createRequest( 'a', 'b' ); },
+        function ( e ) { return e.message === 'Invalid params, object or array expected'; },
+        "createRequest() invalid params exception: Passed!"
+    );
+
+    //
+    // call(), notify(), getResult()
+    _obj.call( 'echo', { "a": 1 } ).then( function ( result )
+    {
+        var request = transport.getRequests()[0];
+        assert.deepEqual( result, { "a": 1 }, "call(): Passed!" );
+        assert.equal( request.type, 'POST', "call() request type: Passed!" );
+        assert.equal( request.contentType, 'application/json', "call() content type: Passed!" );
+        assert.equal( request.data.jsonrpc, '2.0', "call() request envelope: Passed!" );
+        assert.equal( request.data.method, 'echo', "call() request method: Passed!" );
+
+        return _obj.call( 'unknown' );
+    } ).then( function () {
+        assert.ok( false, "call() rejection expected" );
+    }, function ( e ) {
+        assert.ok( ( e instanceof Mumsys_JsonRpc_Exception_MethodNotFound ), "call() typed exception: Passed!" );
+        assert.equal( e.message, 'Method not found', "call() error message: Passed!" );
+        assert.equal( e.getData(), 'unknown', "call() error data: Passed!" );
+
+        return _obj.call( 'parseError' );
+    } ).then( function () {
+        assert.ok( false, "call() rejection expected" );
+    }, function ( e ) {
+        assert.ok( ( e instanceof Mumsys_JsonRpc_Exception_Parse ), "call() error with null id: Passed!" );
+
+        return _obj.call( 'wrongId' );
+    } ).then( function () {
+        assert.ok( false, "call() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message.indexOf( 'Json rpc response id "999" does not match' ), 0, "call() id mismatch: Passed!" );
+
+        return _obj.call( 'noResult' );
+    } ).then( function () {
+        assert.ok( false, "call() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Invalid json rpc response, result missing', "call() result missing: Passed!" );
+
+        return _obj.call( 5 );
+    } ).then( function () {
+        assert.ok( false, "call() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Invalid method name', "call() invalid method rejects: Passed!" );
+
+        return _obj.notify( 'log', [ "message" ], { "url": "notify.php" } );
+    } ).then( function ( result ) {
+        var request = transport.getRequests().pop();
+        assert.equal( result, undefined, "notify(): Passed!" );
+        assert.equal( request.data.hasOwnProperty( 'id' ), false, "notify() without id: Passed!" );
+        assert.equal( request.dataType, 'text', "notify() data type: Passed!" );
+
+        assert.throws(
+            function () { _obj.getResult( { "result": 1 }, { "id": 1 } ); },
+            function ( e ) { return e.message === 'Invalid json rpc response'; },
+            "getResult() invalid response exception: Passed!"
+        );
+    } ).then( done, done );
+
+} );
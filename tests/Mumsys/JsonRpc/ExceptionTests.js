@@ -0,0 +1,53 @@
+/**
+ * Mumsys_JsonRpc_Exception tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  JsonRpc
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_JsonRpc_Exception.js tests", function ( assert )
+{
+    var _obj = new Mumsys_JsonRpc_Exception( 'Failure', 123, { "a": 1 } );
+
+    assert.ok( ( _obj instanceof Mumsys_Exception ), "Construction: Passed!" );
+    assert.equal( Mumsys_JsonRpc_Exception.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( _obj.name, 'Mumsys_JsonRpc_Exception', "name: Passed!" );
+    assert.equal( _obj.code, 123, "code: Passed!" );
+    assert.deepEqual( _obj.getData(), { "a": 1 }, "getData(): Passed!" );
+    assert.equal( ( new Mumsys_JsonRpc_Exception( 'Failure' ) ).getData(), null, "getData() default: Passed!" );
+
+    //
+    // createFromError()
+    var tests = {
+        "-32700": Mumsys_JsonRpc_Exception_Parse,
+        "-32600": Mumsys_JsonRpc_Exception_InvalidRequest,
+        "-32601": Mumsys_JsonRpc_Exception_MethodNotFound,
+        "-32602": Mumsys_JsonRpc_Exception_InvalidParams,
+        "-32603": Mumsys_JsonRpc_Exception_Internal,
+        "-32000": Mumsys_JsonRpc_Exception_Server,
+        "-32099": Mumsys_JsonRpc_Exception_Server
+    };
+    for ( var code in tests ) {
+        _obj = Mumsys_JsonRpc_Exception.createFromError( { "code": Number( code ), "message": "Error" } );
+        assert.ok( ( _obj instanceof tests[code] ), "createFromError() " + code + ": Passed!" );
+        assert.equal( _obj.code, Number( code ), "createFromError() " + code + " code: Passed!" );
+    }
+
+    _obj = Mumsys_JsonRpc_Exception.createFromError( { "code": 42, "message": "Custom", "data": [ 1 ] } );
+    assert.equal( _obj.name, 'Mumsys_JsonRpc_Exception', "createFromError() application error: Passed!" );
+    assert.equal( _obj.message, 'Custom', "createFromError() message: Passed!" );
+    assert.deepEqual( _obj.getData(), [ 1 ], "createFromError() data: Passed!" );
+    assert.ok(
+        ( Mumsys_JsonRpc_Exception.createFromError( { "code": -32100, "message": "" } ).name === 'Mumsys_JsonRpc_Exception' ),
+        "createFromError() out of server range: Passed!"
+    );
+
+} );
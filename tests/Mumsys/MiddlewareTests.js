@@ -0,0 +1,104 @@
+/**
+ * Mumsys_Middleware tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Middleware.js tests", function ( assert )
+{
+    var done = assert.async();
+    var _obj = new Mumsys_Middleware();
+    var calls = [];
+    var create = function ( name ) {
+        return function ( request, next ) {
+            calls.push( name );
+            request.path.push( name );
+
+            return next( request ).then( function ( result ) {
+                return result + '<' + name;
+            } );
+        };
+    };
+    var a = create( 'a' );
+    var b = create( 'b' );
+    var c = create( 'c' );
+    var handler = function ( request ) {
+        calls.push( 'handler' );
+        return request.path.join( '>' );
+    };
+
+    assert.equal( Mumsys_Middleware.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.throws(
+        function () { _obj.use( 'x' ); },
+        function ( e ) { return e.message === 'Invalid middleware'; },
+        "use() exception: Passed!"
+    );
+    assert.throws(
+        function () { _obj.use( a, 'high' ); },
+        function ( e ) { return e.message === 'Invalid middleware priority "high"'; },
+        "use() priority exception: Passed!"
+    );
+
+    _obj.use( a );
+    _obj.use( b, -1 );
+    _obj.use( c, 10 );
+    assert.deepEqual( _obj.getMiddlewares(), [ c, a, b ], "getMiddlewares() order: Passed!" );
+
+    var promise = _obj.run( { "path": [] }, handler );
+    assert.deepEqual( calls, [ 'c', 'a', 'b', 'handler' ], "run() synchronous calls: Passed!" );
+
+    promise.then( function ( result )
+    {
+        assert.equal( result, 'c>a>b<b<a<c', "run() result through the chain: Passed!" );
+
+        _obj.remove( a );
+        _obj.use( function () {
+            return 'mock';
+        }, 5 );
+        calls = [];
+
+        return _obj.run( { "path": [] }, handler );
+    } ).then( function ( result ) {
+        assert.equal( result, 'mock<c', "run() short-circuit: Passed!" );
+        assert.deepEqual( calls, [ 'c' ], "run() short-circuit, handler not called: Passed!" );
+
+        _obj.clear();
+        _obj.use( function ( request, next ) {
+            return next().catch( function ( e ) {
+                return 'recovered: ' + e.message;
+            } );
+        } );
+
+        return _obj.run( {}, function () {
+            throw new Error( 'failed' );
+        } );
+    } ).then( function ( result ) {
+        assert.equal( result, 'recovered: failed', "run() error through the chain: Passed!" );
+
+        _obj.clear();
+        _obj.use( function ( request, next ) {
+            return next().then( function () {
+                return next();
+            } );
+        } );
+
+        return _obj.run( { "path": [] }, handler );
+    } ).then( function () {
+        assert.ok( false, "run() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'next() called multiple times', "run() next() twice: Passed!" );
+
+        _obj.clear();
+        return _obj.run( { "path": [ 'x' ] }, handler );
+    } ).then( function ( result ) {
+        assert.equal( result, 'x', "run() without middlewares: Passed!" );
+    } ).then( done, done );
+} );
@@ -0,0 +1,133 @@
+/**
+ * Mumsys_Storage_IndexedDb tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Storage_IndexedDb.js tests", function ( assert )
+{
+    var done = assert.async();
+    var stores = {};
+    var opened = [];
+    var modes = [];
+    // minimal async IDBFactory
+    var createRequest = function ( run ) {
+        var request = { "result": undefined, "error": null };
+
+        setTimeout( function ()
+        {
+            try {
+                request.result = run( request );
+                request.onsuccess();
+            } catch ( e ) {
+                request.error = e;
+                request.onerror();
+            }
+        }, 0 );
+
+        return request;
+    };
+    var db = {
+        "objectStoreNames": {
+            "contains": function ( name ) { return stores.hasOwnProperty( name ); }
+        },
+        "createObjectStore": function ( name ) {
+            stores[name] = {};
+        },
+        "transaction": function ( name, mode ) {
+            modes.push( mode );
+
+            return {
+                "objectStore": function () {
+                    var data = stores[name];
+
+                    return {
+                        "get": function ( key ) {
+                            return createRequest( function () { return data[key]; } );
+                        },
+                        "put": function ( value, key ) {
+                            return createRequest( function () {
+                                if ( key === 'full' ) {
+                                    throw new Error( 'quota exceeded' );
+                                }
+                                data[key] = value;
+
+                                return key;
+                            } );
+                        },
+                        "delete": function ( key ) {
+                            return createRequest( function () { delete data[key]; } );
+                        }
+                    };
+                }
+            };
+        }
+    };
+    var factory = {
+        "fail": false,
+        "open": function ( name, version ) {
+            opened.push( name + ':' + version );
+
+            return createRequest( function ( request ) {
+                if ( factory.fail ) {
+                    throw new Error( 'blocked' );
+                }
+                request.result = db;
+                request.onupgradeneeded();
+
+                return db;
+            } );
+        }
+    };
+    var _obj = new Mumsys_Storage_IndexedDb( 'test', 'queue', factory );
+
+    assert.ok( ( _obj instanceof Mumsys_Storage_Abstract ), "Construction: Passed!" );
+    assert.equal( Mumsys_Storage_IndexedDb.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+
+    Promise.all( [ _obj.get( 'a' ), _obj.get( 'b' ) ] ).then( function ( results )
+    {
+        assert.deepEqual( results, [ null, null ], "get() not found: Passed!" );
+        assert.deepEqual( opened, [ 'test:1' ], "database opened once: Passed!" );
+        assert.ok( stores.hasOwnProperty( 'queue' ), "object store created: Passed!" );
+
+        return _obj.set( 'a', { "b": [ 1 ] } );
+    } ).then( function ( result ) {
+        assert.equal( result, undefined, "set() resolves: Passed!" );
+        assert.equal( stores.queue.a, '{"b":[1]}', "set() stores json: Passed!" );
+        assert.equal( modes[modes.length - 1], 'readwrite', "set() readwrite: Passed!" );
+
+        return _obj.get( 'a' );
+    } ).then( function ( result ) {
+        assert.deepEqual( result, { "b": [ 1 ] }, "get(): Passed!" );
+        assert.equal( modes[modes.length - 1], 'readonly', "get() readonly: Passed!" );
+
+        return _obj.remove( 'a' );
+    } ).then( function () {
+        assert.equal( stores.queue.a, undefined, "remove(): Passed!" );
+
+        return _obj.set( 'full', 1 );
+    } ).then( function () {
+        assert.ok( false, "set() rejection expected" );
+    }, function ( e ) {
+        assert.ok( e instanceof Mumsys_Storage_Exception, "set() rejects: Passed!" );
+        assert.equal( e.message, 'Storage request failed: quota exceeded', "set() error message: Passed!" );
+
+        factory.fail = true;
+
+        return new Mumsys_Storage_IndexedDb( 'blocked', 'queue', factory ).get( 'a' );
+    } ).then( function () {
+        assert.ok( false, "get() open rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Opening the database failed: blocked', "open error: Passed!" );
+    } ).then( done, done );
+
+} );
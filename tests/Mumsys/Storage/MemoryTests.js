@@ -0,0 +1,56 @@
+/**
+ * Mumsys_Storage_Memory tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Storage_Memory.js tests", function ( assert )
+{
+    var done = assert.async();
+    var _obj = new Mumsys_Storage_Memory();
+    var value = { "list": [ 1 ] };
+
+    assert.equal( Mumsys_Storage_Memory.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.equal( Mumsys_Storage_Abstract.getVersion(), '1.0.0', "Abstract::getVersion(): Passed!" );
+    assert.ok( _obj instanceof Mumsys_Storage_Abstract, "instance of Mumsys_Storage_Abstract: Passed!" );
+    assert.ok(
+        Mumsys_Storage_Abstract.createDefault() instanceof Mumsys_Storage_Abstract,
+        "Abstract::createDefault(): Passed!"
+    );
+
+    _obj.get( 'a' ).then( function ( result )
+    {
+        assert.equal( result, null, "get() not found: Passed!" );
+
+        return _obj.set( 'a', value );
+    } ).then( function () {
+        value.list.push( 2 );
+
+        return _obj.get( 'a' );
+    } ).then( function ( result ) {
+        assert.deepEqual( result, { "list": [ 1 ] }, "set() stores a copy: Passed!" );
+
+        return _obj.remove( 'a' );
+    } ).then( function () {
+        return _obj.get( 'a' );
+    } ).then( function ( result ) {
+        assert.equal( result, null, "remove(): Passed!" );
+
+        return new Mumsys_Storage_Abstract().get( 'a' );
+    } ).then( function () {
+        assert.ok( false, "Abstract::get() rejection expected" );
+    }, function ( e ) {
+        assert.ok( e instanceof Mumsys_Storage_Exception, "Abstract::get() exception: Passed!" );
+        assert.equal( e.message, 'Storage must implement get()', "Abstract::get() message: Passed!" );
+    } ).then( done, done );
+
+} );
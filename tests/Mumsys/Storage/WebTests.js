@@ -0,0 +1,85 @@
+/**
+ * Mumsys_Storage_Web tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Storage
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Storage_Web.js tests", function ( assert )
+{
+    var done = assert.async();
+    var data = {};
+    var webStorage = {
+        getItem: function ( key ) {
+            return data.hasOwnProperty( key ) ? data[key] : null;
+        },
+        setItem: function ( key, value ) {
+            if ( key === 'full' ) {
+                throw new Error( 'quota exceeded' );
+            }
+            data[key] = value;
+        },
+        removeItem: function ( key ) {
+            delete data[key];
+        }
+    };
+    var _obj = new Mumsys_Storage_Web( webStorage );
+
+    assert.equal( Mumsys_Storage_Web.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.throws(
+        function () { new Mumsys_Storage_Web( {} ); },
+        function ( e ) { return e.message === 'Web storage not available'; },
+        "construction exception: Passed!"
+    );
+
+    //
+    // sync methods
+    _obj.setSync( 'a', { "b": [ 1 ] } );
+    assert.equal( data.a, '{"b":[1]}', "setSync() stores json: Passed!" );
+    assert.deepEqual( _obj.getSync( 'a' ), { "b": [ 1 ] }, "getSync(): Passed!" );
+    assert.equal( _obj.getSync( 'x' ), null, "getSync() not found: Passed!" );
+    _obj.removeSync( 'a' );
+    assert.equal( data.a, undefined, "removeSync(): Passed!" );
+    data.invalid = '{';
+    assert.throws(
+        function () { _obj.getSync( 'invalid' ); },
+        function ( e ) {
+            return e instanceof Mumsys_Storage_Exception && e.message.indexOf( 'Invalid stored value of "invalid"' ) === 0;
+        },
+        "getSync() invalid value exception: Passed!"
+    );
+
+    //
+    // async methods
+    _obj.set( 'a', 1 ).then( function ()
+    {
+        return _obj.get( 'a' );
+    } ).then( function ( result ) {
+        assert.equal( result, 1, "set(), get(): Passed!" );
+
+        return _obj.remove( 'a' );
+    } ).then( function () {
+        assert.equal( data.a, undefined, "remove(): Passed!" );
+
+        return _obj.set( 'full', 1 );
+    } ).then( function () {
+        assert.ok( false, "set() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Storing "full" failed: quota exceeded', "set() rejects: Passed!" );
+
+        return _obj.get( 'invalid' );
+    } ).then( function () {
+        assert.ok( false, "get() rejection expected" );
+    }, function ( e ) {
+        assert.ok( e instanceof Mumsys_Storage_Exception, "get() rejects: Passed!" );
+    } ).then( done, done );
+
+} );
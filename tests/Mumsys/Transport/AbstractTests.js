@@ -0,0 +1,216 @@
+/**
+ * Mumsys_Transport_Abstract tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Transport_Abstract.js tests", function ( assert )
+{
+    var _expected;
+    var _obj = new Mumsys_Transport_Abstract();
+
+    assert.ok( ( _obj instanceof Mumsys_Transport_Abstract ), "Construction: Passed!" );
+    assert.equal( Mumsys_Transport_Abstract.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+    assert.ok(
+        ( Mumsys_Transport_Abstract.createDefault() instanceof Mumsys_Transport_Jquery ),
+        "createDefault() jQuery available: Passed!"
+    );
+
+    //
+    // request(), _send()
+    assert.throws(
+        function () { _obj.request( {} ); },
+        function ( e ) { return e.message === 'Transport must implement _send()'; },
+        "request() not implemented exception: Passed!"
+    );
+
+    //
+    // buildQuery()
+    assert.equal( _obj.buildQuery(), '', "buildQuery() undefined: Passed!" );
+    assert.equal( _obj.buildQuery( 'a=1' ), 'a=1', "buildQuery() string: Passed!" );
+    _expected = 'a%5Bb%5D=1&c%5B%5D=1&c%5B%5D=2&d=x+y&e=&f%5B0%5D%5Bg%5D=h';
+    assert.equal(
+        _obj.buildQuery( { "a": { "b": 1 }, "c": [ 1, 2 ], "d": "x y", "e": null, "f": [ { "g": "h" } ] } ),
+        _expected,
+        "buildQuery() nested: Passed!"
+    );
+
+    //
+    // _getUrl(), _getMethod(), _getBody(), _getContentType()
+    assert.equal( _obj._getUrl( { "url": "a.php", "data": { "b": 1 } } ), 'a.php?b=1', "_getUrl(): Passed!" );
+    assert.equal( _obj._getUrl( { "url": "a.php?c=2", "data": { "b": 1 } } ), 'a.php?c=2&b=1', "_getUrl() query: Passed!" );
+    assert.equal( _obj._getUrl( { "url": "a.php", "type": "POST", "data": { "b": 1 } } ), 'a.php', "_getUrl() POST: Passed!" );
+    assert.equal( _obj._getMethod( { "type": "post" } ), 'POST', "_getMethod(): Passed!" );
+    assert.equal( _obj._getMethod( { } ), 'GET', "_getMethod() default: Passed!" );
+    assert.equal( _obj._getBody( { "data": { "b": 1 } } ), null, "_getBody() GET: Passed!" );
+    assert.equal( _obj._getBody( { "type": "POST", "data": { "b": 1 } } ), 'b=1', "_getBody() form: Passed!" );
+    assert.equal(
+        _obj._getBody( { "type": "POST", "contentType": "application/json", "data": { "b": 1 } } ),
+        '{"b":1}',
+        "_getBody() json: Passed!"
+    );
+    _expected = 'application/x-www-form-urlencoded; charset=UTF-8';
+    assert.equal( _obj._getContentType( { } ), _expected, "_getContentType() default: Passed!" );
+
+    //
+    // _decode()
+    assert.deepEqual( _obj._decode( '{"a":1}', { } ), { "a": 1 }, "_decode() json: Passed!" );
+    assert.equal( _obj._decode( '{"a":1}', { "dataType": "text" } ), '{"a":1}', "_decode() text: Passed!" );
+    assert.throws(
+        function () { _obj._decode( 'no json', { } ); },
+        function ( e ) { return e.name === 'Mumsys_Transport_Exception'; },
+        "_decode() invalid json exception: Passed!"
+    );
+
+    //
+    // _createException()
+    var e = _obj._createException( 500, 'Internal Server Error', 'fatal error' );
+    assert.equal( e.name, 'Mumsys_Transport_Exception', "_createException(): Passed!" );
+    assert.equal( e.message, 'Request failed: 500 Internal Server Error', "_createException() message: Passed!" );
+    assert.equal( e.code, Mumsys_Exception.ERRCODE_TRANSPORT, "_createException() code: Passed!" );
+    assert.equal( e.status, 500, "_createException() status: Passed!" );
+    e = _obj._createException( 500, 'Internal Server Error', '{"jsonrpc":"2.0","error":{"code":-32603,"message":"Internal error"},"id":1}' );
+    assert.equal( e.code, -32603, "_createException() json rpc error: Passed!" );
+
+} );
+
+
+QUnit.test( "Mumsys_Transport_Abstract.js timeout, abort, retry tests", function ( assert )
+{
+    var done = assert.async();
+    var failures = 0;
+    var signals = [];
+    var pending = function ( options ) {
+        signals.push( options.signal );
+        return new Promise( function () {} );
+    };
+    var _obj = new Mumsys_Transport_Memory( {
+        "pending.php": pending,
+        "flaky.php": function () {
+            if ( failures-- > 0 ) {
+                throw new Mumsys_Transport_Exception( 'Request failed: 503 Service Unavailable', Mumsys_Exception.ERRCODE_TRANSPORT, 503 );
+            }
+
+            return { "ok": true };
+        },
+        "notFound.php": new Mumsys_Transport_Exception( 'Request failed: 404 Not Found', Mumsys_Exception.ERRCODE_TRANSPORT, 404 )
+    } );
+
+    assert.equal( Mumsys_Exception.ERRCODE_TIMEOUT, 3, "ERRCODE_TIMEOUT: Passed!" );
+    assert.equal( Mumsys_Exception.ERRCODE_ABORTED, 4, "ERRCODE_ABORTED: Passed!" );
+    assert.equal( Mumsys_Exception.ERRCODE_RETRIES, 5, "ERRCODE_RETRIES: Passed!" );
+    assert.deepEqual( _obj.getDefaultOptions(), {}, "getDefaultOptions() default: Passed!" );
+
+    //
+    // _isRetryable(), _getRetryDelay()
+    var timeout = new Mumsys_Transport_Exception( 'timeout', Mumsys_Exception.ERRCODE_TIMEOUT );
+    assert.equal( _obj._isRetryable( timeout, { } ), true, "_isRetryable() GET timeout: Passed!" );
+    assert.equal( _obj._isRetryable( timeout, { "type": "POST" } ), false, "_isRetryable() POST: Passed!" );
+    assert.equal( _obj._isRetryable( timeout, { "type": "POST", "idempotent": true } ), true, "_isRetryable() idempotent: Passed!" );
+    assert.equal( _obj._isRetryable( _obj._createException( 404, 'Not Found' ), { } ), false, "_isRetryable() 404: Passed!" );
+    assert.equal( _obj._isRetryable( _obj._createException( 0, 'Network error' ), { } ), true, "_isRetryable() network: Passed!" );
+    assert.equal( _obj._isRetryable( new Mumsys_JsonRpc_Exception( 'x', 1 ), { } ), false, "_isRetryable() json rpc: Passed!" );
+    var delay = _obj._getRetryDelay( 2, { "retryDelay": 100 } );
+    assert.ok( delay >= 200 && delay <= 400, "_getRetryDelay() backoff with jitter: Passed!" );
+    assert.ok( _obj._getRetryDelay( 10, { "retryDelay": 100, "retryMaxDelay": 500 } ) <= 500, "_getRetryDelay() max: Passed!" );
+
+    //
+    // timeout
+    _obj.setDefaultOptions( { "timeout": 10 } );
+    assert.deepEqual( _obj.getDefaultOptions(), { "timeout": 10 }, "setDefaultOptions(): Passed!" );
+
+    _obj.request( { "url": "pending.php" } ).then( function () {
+        assert.ok( false, "request() timeout rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_TIMEOUT, "request() default timeout: Passed!" );
+        assert.equal( e.message, 'Request timeout after 10ms', "request() timeout message: Passed!" );
+        assert.equal( _obj.getRequests()[0].timeout, 10, "request() default options used: Passed!" );
+        assert.equal( signals[0].aborted, true, "request() timeout aborts the attempt: Passed!" );
+        _obj.setDefaultOptions( {} );
+
+        // abort() handle
+        var promise = _obj.request( { "url": "pending.php" } );
+        promise.abort();
+
+        return promise;
+    } ).then( function () {
+        assert.ok( false, "request() abort rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "request() abort(): Passed!" );
+        assert.equal( e.message, 'Request aborted', "request() abort() message: Passed!" );
+        assert.equal( signals[1].aborted, true, "request() abort() aborts the attempt: Passed!" );
+
+        // abort signal
+        var controller = new AbortController();
+        var promise = _obj.request( { "url": "pending.php", "signal": controller.signal } );
+        controller.abort();
+
+        return promise;
+    } ).then( function () {
+        assert.ok( false, "request() signal rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "request() signal: Passed!" );
+        assert.equal( signals[2].aborted, true, "request() signal aborts the attempt: Passed!" );
+
+        // already aborted signal: nothing will be sent
+        var controller = new AbortController();
+        controller.abort();
+        _obj.clearRequests();
+
+        return _obj.request( { "url": "pending.php", "signal": controller.signal } );
+    } ).then( function () {
+        assert.ok( false, "request() aborted signal rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "request() aborted signal: Passed!" );
+        assert.equal( _obj.getRequests().length, 0, "request() aborted signal, not sent: Passed!" );
+
+        // retries
+        failures = 2;
+        _obj.clearRequests();
+
+        return _obj.request( { "url": "flaky.php", "retries": 3, "retryDelay": 1 } );
+    } ).then( function ( response ) {
+        assert.deepEqual( response, { "ok": true }, "request() retries: Passed!" );
+        assert.equal( _obj.getRequests().length, 3, "request() retry count: Passed!" );
+
+        failures = 5;
+        _obj.clearRequests();
+
+        return _obj.request( { "url": "flaky.php", "retries": 2, "retryDelay": 1 } );
+    } ).then( function () {
+        assert.ok( false, "request() retries rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_RETRIES, "request() retries exhausted: Passed!" );
+        assert.equal( e.message, 'Request failed after 2 retries: Request failed: 503 Service Unavailable', "request() retries message: Passed!" );
+        assert.equal( e.status, 503, "request() retries status: Passed!" );
+        assert.equal( _obj.getRequests().length, 3, "request() retries exhausted count: Passed!" );
+
+        failures = 1;
+        _obj.clearRequests();
+
+        return _obj.request( { "url": "flaky.php", "type": "POST", "retries": 2, "retryDelay": 1 } );
+    } ).then( function () {
+        assert.ok( false, "request() POST rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_TRANSPORT, "request() POST not retried: Passed!" );
+        assert.equal( _obj.getRequests().length, 1, "request() POST single request: Passed!" );
+        _obj.clearRequests();
+
+        return _obj.request( { "url": "notFound.php", "retries": 2, "retryDelay": 1 } );
+    } ).then( function () {
+        assert.ok( false, "request() 404 rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.status, 404, "request() 404 not retried: Passed!" );
+        assert.equal( _obj.getRequests().length, 1, "request() 404 single request: Passed!" );
+    } ).then( done, done );
+
+} );
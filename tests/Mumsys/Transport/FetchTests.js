@@ -0,0 +1,80 @@
+/**
+ * Mumsys_Transport_Fetch tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Transport_Fetch.js tests", function ( assert )
+{
+    var done = assert.async();
+    var requests = [];
+    var responses = [
+        { "ok": true, "status": 200, "statusText": "OK", "body": '{"jsonrpc":"2.0","result":{},"id":1}' },
+        { "ok": false, "status": 404, "statusText": "Not Found", "body": 'not found' }
+    ];
+    var fakeFetch = function ( url, init )
+    {
+        var response = responses.shift();
+
+        requests.push( { "url": url, "init": init } );
+
+        if ( response === undefined ) {
+            return Promise.reject( new TypeError( 'Failed to fetch' ) );
+        }
+
+        return Promise.resolve( {
+            "ok": response.ok,
+            "status": response.status,
+            "statusText": response.statusText,
+            "text": function () { return Promise.resolve( response.body ); }
+        } );
+    };
+
+    var _obj = new Mumsys_Transport_Fetch( fakeFetch, { "credentials": "same-origin" } );
+
+    assert.ok( ( _obj instanceof Mumsys_Transport_Abstract ), "Construction: Passed!" );
+    assert.equal( Mumsys_Transport_Fetch.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+
+    var options = {
+        "url": "jsonrpc.php",
+        "type": "POST",
+        "contentType": "application/json",
+        "headers": { "X-Token": "abc" },
+        "data": { "a": 1 }
+    };
+
+    _obj.request( options ).then( function ( response )
+    {
+        assert.deepEqual( response, { "jsonrpc": "2.0", "result": {}, "id": 1 }, "request() response: Passed!" );
+        assert.equal( requests[0].url, 'jsonrpc.php', "request() url: Passed!" );
+        assert.equal( requests[0].init.method, 'POST', "request() method: Passed!" );
+        assert.equal( requests[0].init.body, '{"a":1}', "request() body: Passed!" );
+        assert.equal( requests[0].init.credentials, 'same-origin', "request() default init: Passed!" );
+        assert.equal( requests[0].init.headers['X-Token'], 'abc', "request() headers: Passed!" );
+        assert.equal( requests[0].init.headers['Content-Type'], 'application/json', "request() content type: Passed!" );
+
+        return _obj.request( { "url": "a.php", "data": { "b": 2 } } );
+    } ).then( function () {
+        assert.ok( false, "request() rejection expected" );
+    }, function ( e ) {
+        assert.equal( requests[1].url, 'a.php?b=2', "request() GET url: Passed!" );
+        assert.equal( e.status, 404, "request() http error: Passed!" );
+
+        return _obj.request( { "url": "a.php" } );
+    } ).then( function () {
+        assert.ok( false, "request() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.message, 'Request failed: Failed to fetch', "request() network error: Passed!" );
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_TRANSPORT, "request() network error code: Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,89 @@
+/**
+ * Mumsys_Transport_Jquery tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Transport_Jquery.js tests", function ( assert )
+{
+    var done = assert.async();
+    var _obj = new Mumsys_Transport_Jquery( jQuery );
+
+    assert.ok( ( _obj instanceof Mumsys_Transport_Abstract ), "Construction: Passed!" );
+    assert.equal( Mumsys_Transport_Jquery.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+
+    // jQuery options and callbacks are passed through
+    var list;
+    var options = {
+        "url": "testfiles/genericItemList.200.json",
+        "async": false,
+        "dataType": "json",
+        "success": function ( obj ) { list = obj.result.list; }
+    };
+    var promise = _obj.request( options );
+    assert.equal( list.length, 8, "request() jQuery success callback: Passed!" );
+
+    promise.then( function ( response )
+    {
+        assert.equal( response.result.list.length, 8, "request(): Passed!" );
+
+        return _obj.request( { "url": "testfiles/notExists.json", "dataType": "json" } );
+    } ).then( function () {
+        assert.ok( false, "request() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.name, 'Mumsys_Transport_Exception', "request() error: Passed!" );
+        assert.equal( e.code, Mumsys_Exception.ERRCODE_TRANSPORT, "request() error code: Passed!" );
+
+        // request bodies are encoded like the other transports do
+        var sent = [];
+        var fake = new Mumsys_Transport_Jquery( {
+            "ajax": function ( ajaxOptions ) {
+                sent.push( ajaxOptions );
+                return jQuery.Deferred().resolve( { "jsonrpc": "2.0", "result": true, "id": 1 } ).promise();
+            }
+        } );
+        var data = { "jsonrpc": "2.0", "method": "user.list", "params": { "a": 1 }, "id": 1 };
+
+        return Promise.all( [
+            fake.request( { "url": "rpc.php", "type": "POST", "contentType": "application/json", "data": data } ),
+            fake.request( { "url": "form.php", "type": "POST", "data": { "a": [ 1, 2 ] } } ),
+            fake.request( { "url": "list.php", "type": "GET", "data": { "a": 1 } } )
+        ] ).then( function () {
+            assert.equal( sent[0].data, JSON.stringify( data ), "request() json body: Passed!" );
+            assert.strictEqual( sent[0].processData, false, "request() json body not processed: Passed!" );
+            assert.equal( sent[1].data, 'a%5B%5D=1&a%5B%5D=2', "request() form body: Passed!" );
+            assert.deepEqual( sent[2].data, { "a": 1 }, "request() GET data left to jQuery: Passed!" );
+            assert.strictEqual( sent[2].processData, undefined, "request() GET processData: Passed!" );
+
+            // abort() aborts the jQuery request
+            var aborts = 0;
+            var pending = new Mumsys_Transport_Jquery( {
+                "ajax": function () {
+                    var jqXHR = jQuery.Deferred().promise();
+                    jqXHR.abort = function () { aborts++; };
+
+                    return jqXHR;
+                }
+            } );
+            var promise = pending.request( { "url": "pending.php" } );
+            promise.abort();
+
+            return promise.then( function () {
+                assert.ok( false, "request() abort rejection expected" );
+            }, function ( e ) {
+                assert.equal( e.code, Mumsys_Exception.ERRCODE_ABORTED, "request() abort(): Passed!" );
+                assert.equal( aborts, 1, "request() abort() jqXHR aborted: Passed!" );
+            } );
+        } );
+    } ).then( done, done );
+
+} );
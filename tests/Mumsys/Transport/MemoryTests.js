@@ -0,0 +1,56 @@
+/**
+ * Mumsys_Transport_Memory tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Transport_Memory.js tests", function ( assert )
+{
+    var done = assert.async();
+    var response = { "jsonrpc": "2.0", "result": { "list": [] }, "id": null };
+    var _obj = new Mumsys_Transport_Memory( { "list.php": response } );
+
+    assert.ok( ( _obj instanceof Mumsys_Transport_Abstract ), "Construction: Passed!" );
+    assert.equal( Mumsys_Transport_Memory.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+
+    _obj.setResponse( 'echo.php', function ( options ) {
+        return { "jsonrpc": "2.0", "result": options.data, "id": null };
+    } );
+    _obj.setResponse( 'error.php', new Mumsys_Exception( 'Failure', 123 ) );
+
+    _obj.request( { "url": "list.php" } ).then( function ( actual )
+    {
+        assert.deepEqual( actual, response, "request(): Passed!" );
+        assert.notEqual( actual, response, "request() returns a copy: Passed!" );
+
+        return _obj.request( { "url": "echo.php", "data": { "a": 1 } } );
+    } ).then( function ( actual ) {
+        assert.deepEqual( actual.result, { "a": 1 }, "request() callback: Passed!" );
+
+        return _obj.request( { "url": "error.php" } );
+    } ).then( function () {
+        assert.ok( false, "request() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.code, 123, "request() exception: Passed!" );
+
+        return _obj.request( { "url": "unknown.php" } );
+    } ).then( function () {
+        assert.ok( false, "request() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.status, 404, "request() unknown url: Passed!" );
+        assert.equal( _obj.getRequests().length, 4, "getRequests(): Passed!" );
+        assert.equal( _obj.getRequests()[1].data.a, 1, "getRequests() options: Passed!" );
+        _obj.clearRequests();
+        assert.equal( _obj.getRequests().length, 0, "clearRequests(): Passed!" );
+    } ).then( done, done );
+
+} );
@@ -0,0 +1,66 @@
+/**
+ * Mumsys_Transport_Xhr tests
+ * for MUMSYS Library for Multi User Management System (MUMSYS)
+ *
+ * @license LGPL Version 3 http://www.gnu.org/licenses/lgpl-3.0.txt
+ * @copyright Copyright (c) 2017 by Florian Blasel for FloWorks Company
+ * @author Florian Blasel <flobee.code@gmail.com>
+ *
+ * @category    Mumsys
+ * @package     Js
+ * @subpackage  Transport
+ */
+
+"use strict";
+
+QUnit.test( "Mumsys_Transport_Xhr.js tests", function ( assert )
+{
+    var done = assert.async();
+    var _obj = new Mumsys_Transport_Xhr();
+    var called = false;
+
+    assert.ok( ( _obj instanceof Mumsys_Transport_Abstract ), "Construction: Passed!" );
+    assert.equal( Mumsys_Transport_Xhr.getVersion(), '1.0.0', "static::getVersion(): Passed!" );
+
+    var options = {
+        "url": "testfiles/genericItemList.200.json",
+        "success": function () { called = true; }
+    };
+
+    _obj.request( options ).then( function ( response )
+    {
+        assert.equal( response.result.list.length, 8, "request(): Passed!" );
+        assert.equal( called, true, "request() success callback: Passed!" );
+
+        return _obj.request( { "url": "testfiles/genericItemList.200.json", "dataType": "text" } );
+    } ).then( function ( response ) {
+        assert.equal( typeof response, 'string', "request() dataType text: Passed!" );
+
+        return _obj.request( { "url": "testfiles/notExists.json" } );
+    } ).then( function () {
+        assert.ok( false, "request() rejection expected" );
+    }, function ( e ) {
+        assert.equal( e.name, 'Mumsys_Transport_Exception', "request() error: Passed!" );
+
+        // the abort listener will be removed when the request finished
+        var listeners = [];
+        var signal = {
+            "aborted": false,
+            "addEventListener": function ( type, fn ) { listeners.push( fn ); },
+            "removeEventListener": function ( type, fn ) {
+                listeners = listeners.filter( function ( listener ) { return listener !== fn; } );
+            }
+        };
+
+        return _obj._send( { "url": "testfiles/genericItemList.200.json", "signal": signal } ).then( function () {
+            assert.equal( listeners.length, 0, "_send() abort listener removed: Passed!" );
+
+            return _obj._send( { "url": "testfiles/notExists.json", "signal": signal } );
+        } ).then( function () {
+            assert.ok( false, "_send() rejection expected" );
+        }, function () {
+            assert.equal( listeners.length, 0, "_send() abort listener removed on errors: Passed!" );
+        } );
+    } ).then( done, done );
+
+} );
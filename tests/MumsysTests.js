@@ -33,6 +33,15 @@
             assert.ok((e.name=="Mumsys_Exception"), "checkJsonRpcResponce() expected exception: Passed!");
         }
 
+        try {
+            Mumsys.checkJsonRpcResponce( {"jsonrpc": "2.0", "error": {"code": -32600, "message": "Invalid Request"}, "id": null} );
+            assert.ok(false, "checkJsonRpcResponce() error object exception expected");
+        } catch (e) {
+            assert.equal(e.message, 'Invalid Request', "checkJsonRpcResponce() error object message: Passed!");
+            assert.equal(e.name, 'Mumsys_JsonRpc_Exception_InvalidRequest', "checkJsonRpcResponce() error object exception: Passed!");
+            assert.equal(e.code, -32600, "checkJsonRpcResponce() error object code: Passed!");
+        }
+
 
     //    // demo
     //    assert.ok(true, "true succeeds");